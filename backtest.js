@@ -0,0 +1,276 @@
+// Скрипт бэктеста модели ценообразования
+// Пересчитывает calculateFreightRate на прошлые даты только по значениям индексов и цен на топливо,
+// опубликованным не позже этих дат, и сравнивает результат с фактическими ставками из historical_rates.
+// Для каждой конфигурации настроек выводятся MAE и MAPE по линиям и в целом
+//
+// Запуск: node backtest.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--config файл.json]
+//                          [--compare rate|finalRate] [--source источник] [--output отчет.json]
+// Файл конфигураций - массив [{ "name": "...", "settings": { "scfi_weight": 1.5, ... } }];
+// настройки, не указанные в конфигурации, берутся из текущих настроек системы
+
+import fs from 'fs';
+import pg from 'pg';
+import dotenv from 'dotenv';
+import freightCalculator from './freight_calculator_enhanced.js';
+import settingsService from './settings_service.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Поля результата расчета, которые можно сравнивать с фактической ставкой
+const COMPARE_FIELDS = ['rate', 'finalRate'];
+
+// Конфигурация по умолчанию - текущие настройки системы без изменений
+const DEFAULT_CONFIGURATIONS = [{ name: 'current', settings: {} }];
+
+// Вес отправки для расчета (на ставку контейнера не влияет)
+const BACKTEST_WEIGHT = 20000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Базовая ставка калькулятора рассчитывается за FEU без поправки на размер контейнера, поэтому у 20-футовых
+// контейнеров постоянное расхождение, которое не устраняется настройками. Такие линии показываются отдельно
+// и не входят в итог конфигурации
+function isIncludedInTotals(containerType) {
+  return !String(containerType).startsWith('20');
+}
+
+// Функция для разбора аргументов командной строки
+function parseArguments(args) {
+  const options = { from: null, to: null, config: null, compare: 'rate', source: null, output: null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (['--from', '--to', '--config', '--compare', '--source', '--output'].includes(arg)) {
+      options[arg.slice(2)] = args[++i] ?? null;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+// Функция для проверки параметров запуска; возвращает текст ошибки или null
+function validateOptions(options) {
+  if (options.from && !DATE_PATTERN.test(options.from)) {
+    return '--from must be a date in YYYY-MM-DD format';
+  }
+  if (options.to && !DATE_PATTERN.test(options.to)) {
+    return '--to must be a date in YYYY-MM-DD format';
+  }
+  if (options.from && options.to && options.from > options.to) {
+    return '--from must not be later than --to';
+  }
+  if (!COMPARE_FIELDS.includes(options.compare)) {
+    return `--compare must be one of: ${COMPARE_FIELDS.join(', ')}`;
+  }
+  return null;
+}
+
+// Функция для загрузки конфигураций из файла
+function loadConfigurations(configPath) {
+  if (!configPath) {
+    return DEFAULT_CONFIGURATIONS;
+  }
+
+  const configurations = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  if (!Array.isArray(configurations) || configurations.length === 0) {
+    throw new Error('Configuration file must contain a non-empty array');
+  }
+
+  const names = new Set();
+  for (const configuration of configurations) {
+    if (!configuration || typeof configuration.name !== 'string' || !configuration.name.trim()) {
+      throw new Error('Each configuration must have a name');
+    }
+    if (names.has(configuration.name)) {
+      throw new Error(`Duplicate configuration name: ${configuration.name}`);
+    }
+    names.add(configuration.name);
+
+    configuration.settings = configuration.settings || {};
+    if (Object.keys(configuration.settings).length > 0) {
+      const error = settingsService.validateSettings(configuration.settings);
+      if (error) {
+        throw new Error(`Configuration ${configuration.name}: ${error}`);
+      }
+    }
+  }
+  return configurations;
+}
+
+// Функция для получения фактических ставок за период
+// Синтетические ставки (генерируются анализатором сезонности) исключаются, если источник не задан явно
+async function getActualRates({ from, to, source }) {
+  const result = await pool.query(
+    `SELECT origin_port, destination_port, container_type, rate, to_char(date, 'YYYY-MM-DD') AS date, source
+     FROM historical_rates
+     WHERE ($1::DATE IS NULL OR date >= $1::DATE)
+       AND ($2::DATE IS NULL OR date <= $2::DATE)
+       AND (($3::VARCHAR IS NULL AND source IS DISTINCT FROM 'synthetic') OR source = $3)
+     ORDER BY date, origin_port, destination_port, container_type`,
+    [from, to, source]
+  );
+  return result.rows.map(row => ({ ...row, rate: parseFloat(row.rate) }));
+}
+
+// Функция для расчета метрик по набору наблюдений { predicted, actual }
+// MAPE учитывает только наблюдения с положительной фактической ставкой
+function summarizeErrors(observations) {
+  const round = value => Math.round(value * 100) / 100;
+  const withActual = observations.filter(observation => observation.actual > 0);
+  const absoluteErrors = observations.map(observation => Math.abs(observation.predicted - observation.actual));
+
+  return {
+    observations: observations.length,
+    mae: observations.length > 0 ? round(absoluteErrors.reduce((sum, error) => sum + error, 0) / observations.length) : null,
+    mape: withActual.length > 0
+      ? round(withActual.reduce((sum, observation) => sum + Math.abs(observation.predicted - observation.actual) / observation.actual, 0) / withActual.length * 100)
+      : null,
+    bias: observations.length > 0
+      ? round(observations.reduce((sum, observation) => sum + observation.predicted - observation.actual, 0) / observations.length)
+      : null,
+    fallbacks: observations.filter(observation => observation.fallback).length
+  };
+}
+
+// Функция для прогона одной конфигурации по всем фактическим ставкам
+async function runConfiguration(configuration, baseSettings, actualRates, compareField) {
+  // Снимок настроек без версии: конфигурация бэктеста не сохраняется в истории настроек
+  const settings = { version: null, values: { ...baseSettings, ...configuration.settings } };
+  const observationsByLane = {};
+  const failures = [];
+
+  for (const actual of actualRates) {
+    const lane = `${actual.origin_port}-${actual.destination_port} ${actual.container_type}`;
+    try {
+      const result = await freightCalculator.calculateFreightRate(
+        actual.origin_port, actual.destination_port, actual.container_type, BACKTEST_WEIGHT, false,
+        { asOf: actual.date, settings }
+      );
+      const predicted = result ? Number(result[compareField]) : NaN;
+      if (!Number.isFinite(predicted)) {
+        failures.push({ lane, date: actual.date, error: `Calculation returned no ${compareField}` });
+        continue;
+      }
+
+      if (!observationsByLane[lane]) {
+        observationsByLane[lane] = { inTotals: isIncludedInTotals(actual.container_type), observations: [] };
+      }
+      observationsByLane[lane].observations.push({
+        date: actual.date,
+        predicted,
+        actual: actual.rate,
+        // Без данных основных индексов на дату калькулятор возвращает базовый (хеш) расчет
+        fallback: !result.sourceCount
+      });
+    } catch (error) {
+      failures.push({ lane, date: actual.date, error: error.message });
+    }
+  }
+
+  const lanes = Object.entries(observationsByLane)
+    .map(([lane, { inTotals, observations }]) => ({ lane, inTotals, ...summarizeErrors(observations) }))
+    .sort((a, b) => a.lane.localeCompare(b.lane));
+  const laneGroups = Object.values(observationsByLane);
+  const excluded = laneGroups.filter(group => !group.inTotals);
+
+  return {
+    name: configuration.name,
+    settings: configuration.settings,
+    overall: summarizeErrors(laneGroups.filter(group => group.inTotals).flatMap(group => group.observations)),
+    // Линии, не вошедшие в итог (20-футовые контейнеры)
+    excludedFromTotals: excluded.length > 0 ? summarizeErrors(excluded.flatMap(group => group.observations)) : null,
+    lanes,
+    failures
+  };
+}
+
+// Функция для вывода отчета в консоль
+function printReport(report) {
+  console.log(`\nБэктест: ${report.actualRates} фактических ставок, период ${report.from || '...'} - ${report.to || '...'}, сравнение по ${report.compare}`);
+
+  for (const configuration of report.configurations) {
+    console.log(`\nКонфигурация: ${configuration.name} ${JSON.stringify(configuration.settings)}`);
+    console.table(configuration.lanes);
+    if (configuration.failures.length > 0) {
+      console.log(`Ошибки расчета: ${configuration.failures.length}`);
+      console.table(configuration.failures.slice(0, 10));
+    }
+  }
+
+  console.log('\nИтог по конфигурациям:');
+  console.table(report.configurations.map(configuration => ({ configuration: configuration.name, ...configuration.overall })));
+
+  const excluded = report.configurations.filter(configuration => configuration.excludedFromTotals);
+  if (excluded.length > 0) {
+    console.log('\n20-футовые контейнеры (не входят в итог, базовая ставка без поправки на размер контейнера):');
+    console.table(excluded.map(configuration => ({ configuration: configuration.name, ...configuration.excludedFromTotals })));
+  }
+}
+
+// Основная функция бэктеста
+async function runBacktest(args) {
+  try {
+    const options = parseArguments(args);
+    const error = validateOptions(options);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const configurations = loadConfigurations(options.config);
+    const actualRates = await getActualRates(options);
+    if (actualRates.length === 0) {
+      return { success: false, error: 'No actual rates found in historical_rates for the selected period' };
+    }
+
+    const baseSettings = await settingsService.getSettings();
+    const report = {
+      from: options.from,
+      to: options.to,
+      compare: options.compare,
+      actualRates: actualRates.length,
+      configurations: []
+    };
+
+    for (const configuration of configurations) {
+      console.log(`Прогон конфигурации ${configuration.name}...`);
+      report.configurations.push(await runConfiguration(configuration, baseSettings, actualRates, options.compare));
+    }
+
+    printReport(report);
+    // Полный отчет (включая наблюдения с ошибками расчета) для сравнения прогонов
+    if (options.output) {
+      fs.writeFileSync(options.output, JSON.stringify(report, null, 2));
+      console.log(`Отчет сохранен в ${options.output}`);
+    }
+
+    return { success: true, report };
+  } finally {
+    // Закрытие соединения с базой данных
+    await pool.end();
+  }
+}
+
+// Запуск бэктеста
+runBacktest(process.argv.slice(2))
+  .then(result => {
+    if (!result.success) {
+      console.error(result.error);
+      process.exit(1);
+    }
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('Критическая ошибка:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,388 @@
+// Скрипт заполнения локальной базы данных тестовыми данными для бэктеста
+// Создает минимальную схему (порты, типы контейнеров, история индексов, цены на топливо, фактические ставки, настройки)
+// и заполняет ее детерминированными еженедельными рядами за два года.
+// Таблицы индексов, цен на топливо и фактических ставок очищаются, поэтому запуск разрешен только
+// для локальной базы данных (localhost), для другой базы нужен явный флаг --force
+//
+// Запуск: node backtest_fixtures.js [--force]
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import EXPANDED_PORTS from './data/expanded_ports.js';
+import settingsService from './settings_service.js';
+import fuelSurchargeCalculator from './fuel_surcharge_calculator.js';
+import routeOptions from './route_options.js';
+import surchargeCalculator from './surcharge_calculator.js';
+import transitTime from './transit_time.js';
+import transshipment from './transshipment.js';
+import modifierBaselines from './modifier_baselines.js';
+import reeferCalculator from './reefer_calculator.js';
+import oogCalculator from './oog_calculator.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]', '::1'];
+
+// Период тестовых данных: еженедельные значения (по понедельникам) за 2023-2024 годы
+const FIXTURE_START_DATE = '2023-01-02';
+const FIXTURE_WEEKS = 105;
+
+// Порты тестовых линий (данные берутся из справочника портов)
+const FIXTURE_PORT_IDS = ['CNSHA', 'SGSIN', 'NLRTM', 'DEHAM', 'USLAX', 'USNYC'];
+
+// Начальные типы контейнеров справочника (как в init_database.js); TEU и размеры добавляет oog_calculator.js
+const FIXTURE_CONTAINER_TYPES = [
+  { id: '20DV', name: '20\' Dry Van', description: 'Standard 20-foot dry container' },
+  { id: '40DV', name: '40\' Dry Van', description: 'Standard 40-foot dry container' },
+  { id: '40HQ', name: '40\' High Cube', description: '40-foot high cube container with extra height' }
+];
+
+// Таблицы индексов с общей структурой (route, current_index, change, index_date)
+const INDEX_TABLES = [
+  'freight_indices_fbx',
+  'freight_indices_wci',
+  'freight_indices_ccfi',
+  'freight_indices_harpex',
+  'freight_indices_contex',
+  'freight_indices_bdi',
+  'freight_indices_cts',
+  'freight_indices_istfix'
+];
+
+// Ряды индексов: level - уровень при рыночном факторе 1.0, sensitivity - доля колебаний рынка в ряду,
+// bias - постоянное смещение ряда относительно рынка линии (индексы разных источников расходятся)
+// Названия линий соответствуют шаблонам lane_resolver.js
+const INDEX_SERIES = [
+  // Композитные значения
+  { table: 'freight_indices_scfi', route: 'SCFI Comprehensive', unit: 'Index', level: 1400, sensitivity: 1.0 },
+  { table: 'freight_indices_fbx', route: 'Global Container Index', level: 2100, sensitivity: 1.0 },
+  { table: 'freight_indices_wci', route: 'World Container Index Composite Index', level: 2600, sensitivity: 1.0 },
+  { table: 'freight_indices_ccfi', route: 'CCFI composite', level: 1100, sensitivity: 0.6 },
+  // Линия Азия - Северная Европа
+  { table: 'freight_indices_scfi', route: 'Europe (Base port)', unit: 'USD/TEU', level: 1050, sensitivity: 1.2 },
+  { table: 'freight_indices_fbx', route: 'FBX11 China/East Asia to North Europe', level: 2200, sensitivity: 1.1, bias: 0.04 },
+  { table: 'freight_indices_wci', route: 'Shanghai - Rotterdam', level: 2150, sensitivity: 1.15, bias: -0.03 },
+  // Линия Азия - западное побережье Северной Америки
+  { table: 'freight_indices_scfi', route: 'USWC (Base port)', unit: 'USD/FEU', level: 2300, sensitivity: 0.9 },
+  { table: 'freight_indices_fbx', route: 'FBX01 China/East Asia to North America West Coast', level: 2250, sensitivity: 0.85, bias: 0.02 },
+  { table: 'freight_indices_wci', route: 'Shanghai - Los Angeles', level: 2350, sensitivity: 0.9 },
+  // Линия Северная Европа - восточное побережье Северной Америки
+  { table: 'freight_indices_fbx', route: 'FBX21 North Europe to North America East Coast', level: 1700, sensitivity: 0.5 },
+  { table: 'freight_indices_wci', route: 'Rotterdam - New York', level: 1750, sensitivity: 0.5, bias: 0.05 },
+  // Модификаторы
+  { table: 'freight_indices_harpex', route: 'Harpex', level: 1500, sensitivity: 0.6 },
+  { table: 'freight_indices_contex', route: 'New ConTex Composite Index', level: 800, sensitivity: 0.6 },
+  { table: 'freight_indices_bdi', route: 'Baltic Dry Index', level: 1600, sensitivity: 0.3, volatility: 0.15 },
+  { table: 'freight_indices_cts', route: 'CTS Global Price Index', level: 110, sensitivity: 0.5 },
+  { table: 'freight_indices_istfix', route: 'ISTFIX Composite Index', level: 900, sensitivity: 0.4 }
+];
+
+// Фактические ставки: уровень 40DV при рыночном факторе 1.0 и доля колебаний рынка по линии;
+// ставка 20DV - доля ставки 40DV
+const FIXTURE_LANES = [
+  { origin: 'CNSHA', destination: 'NLRTM', level: 2200, sensitivity: 1.15, containerTypes: ['40DV', '20DV'] },
+  { origin: 'SGSIN', destination: 'DEHAM', level: 2100, sensitivity: 1.1, containerTypes: ['40DV'] },
+  { origin: 'CNSHA', destination: 'USLAX', level: 2300, sensitivity: 0.9, containerTypes: ['40DV'] },
+  { origin: 'NLRTM', destination: 'USNYC', level: 1800, sensitivity: 0.5, containerTypes: ['40DV'] }
+];
+const TWENTY_FOOT_SHARE = 0.6;
+
+// Цена VLSFO при рыночном факторе 1.0, USD за тонну
+const FUEL_PRICE_LEVEL = 600;
+
+// Источник тестовых фактических ставок
+const FIXTURE_SOURCE = 'fixture';
+
+// Функция для проверки, что база данных локальная
+function isLocalDatabase(connectionString) {
+  try {
+    return LOCAL_HOSTS.includes(new URL(connectionString).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Функция для получения даты недели в формате YYYY-MM-DD
+function getWeekDate(week) {
+  const date = new Date(`${FIXTURE_START_DATE}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + week * 7);
+  return date.toISOString().split('T')[0];
+}
+
+// Детерминированный шум в диапазоне [-0.5, 0.5): одинаковые данные при каждом запуске
+function noise(seed) {
+  const value = Math.sin(seed * 12.9898) * 43758.5453;
+  return value - Math.floor(value) - 0.5;
+}
+
+// Функция для получения строкового зерна шума
+function hashSeed(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash) % 10000;
+}
+
+// Рыночный фактор недели: годовая сезонность (пик летом) и скачок ставок в начале 2024 года
+function getMarketFactor(week) {
+  const seasonal = 0.15 * Math.sin(2 * Math.PI * (week - 13) / 52);
+  const spike = week >= 52 && week < 80 ? 0.8 * Math.sin(Math.PI * (week - 52) / 28) : 0;
+  return 1 + seasonal + spike;
+}
+
+// Значение ряда на неделю
+function getSeriesValue({ level, sensitivity, bias = 0, volatility = 0.03 }, week, seed) {
+  const market = 1 + sensitivity * (getMarketFactor(week) - 1);
+  return Math.round(level * market * (1 + bias) * (1 + volatility * noise(seed + week)) * 100) / 100;
+}
+
+// Функция для создания таблиц тестовых данных
+async function createFixtureTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ports (
+      id VARCHAR(10) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      country VARCHAR(100) NOT NULL,
+      region VARCHAR(100) NOT NULL,
+      latitude NUMERIC,
+      longitude NUMERIC,
+      popularity NUMERIC DEFAULT 0.5
+    )
+  `);
+
+  // Структура справочника типов контейнеров соответствует init_database.js
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS container_types (
+      id VARCHAR(10) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      description VARCHAR(255) NOT NULL
+    )
+  `);
+
+  // Структура таблицы SCFI соответствует scfi_scraper.js
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS freight_indices_scfi (
+      id SERIAL PRIMARY KEY,
+      route VARCHAR(255) NOT NULL,
+      unit VARCHAR(50),
+      current_index NUMERIC,
+      previous_index NUMERIC,
+      change NUMERIC,
+      "current_date" DATE,
+      previous_date DATE,
+      weighting NUMERIC,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(route, "current_date")
+    )
+  `);
+
+  for (const table of INDEX_TABLES) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id SERIAL PRIMARY KEY,
+        route VARCHAR(255) NOT NULL,
+        current_index NUMERIC NOT NULL,
+        change NUMERIC,
+        index_date DATE NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE(route, index_date)
+      )
+    `);
+  }
+
+  // Структура таблицы фактических ставок соответствует seasonality_analyzer.js
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS historical_rates (
+      id SERIAL PRIMARY KEY,
+      origin_port VARCHAR(10) NOT NULL,
+      destination_port VARCHAR(10) NOT NULL,
+      origin_region VARCHAR(50),
+      destination_region VARCHAR(50),
+      container_type VARCHAR(10) NOT NULL,
+      rate NUMERIC NOT NULL,
+      date DATE NOT NULL,
+      source VARCHAR(50),
+      UNIQUE(origin_port, destination_port, container_type, date, source)
+    )
+  `);
+}
+
+// Функция для заполнения истории индексов
+async function insertIndexSeries(client) {
+  let count = 0;
+  for (const series of INDEX_SERIES) {
+    const seed = hashSeed(series.route);
+    let previousValue = null;
+    for (let week = 0; week < FIXTURE_WEEKS; week++) {
+      const value = getSeriesValue(series, week, seed);
+      const change = previousValue ? Math.round((value - previousValue) / previousValue * 10000) / 100 : 0;
+      const date = getWeekDate(week);
+
+      if (series.table === 'freight_indices_scfi') {
+        await client.query(
+          `INSERT INTO freight_indices_scfi (route, unit, current_index, previous_index, change, "current_date", previous_date, weighting)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, 1.0)`,
+          [series.route, series.unit, value, previousValue, change, date, week > 0 ? getWeekDate(week - 1) : null]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO ${series.table} (route, current_index, change, index_date) VALUES ($1, $2, $3, $4)`,
+          [series.route, value, change, date]
+        );
+      }
+      previousValue = value;
+      count++;
+    }
+  }
+  return count;
+}
+
+// Функция для заполнения цен на топливо
+async function insertFuelPrices(client) {
+  for (let week = 0; week < FIXTURE_WEEKS; week++) {
+    const price = getSeriesValue({ level: FUEL_PRICE_LEVEL, sensitivity: 0.2 }, week, hashSeed('VLSFO'));
+    await client.query(
+      `INSERT INTO fuel_prices (price, date, fuel_type, source) VALUES ($1, $2, 'VLSFO', $3)`,
+      [price, getWeekDate(week), FIXTURE_SOURCE]
+    );
+  }
+  return FIXTURE_WEEKS;
+}
+
+// Функция для заполнения фактических ставок
+async function insertActualRates(client, ports) {
+  let count = 0;
+  for (const lane of FIXTURE_LANES) {
+    for (const containerType of lane.containerTypes) {
+      const share = containerType.startsWith('20') ? TWENTY_FOOT_SHARE : 1;
+      const seed = hashSeed(`${lane.origin}-${lane.destination}-${containerType}`);
+      for (let week = 0; week < FIXTURE_WEEKS; week++) {
+        const rate = Math.round(getSeriesValue({ ...lane, volatility: 0.08 }, week, seed) * share);
+        await client.query(
+          `INSERT INTO historical_rates
+           (origin_port, destination_port, origin_region, destination_region, container_type, rate, date, source)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [lane.origin, lane.destination, ports[lane.origin].region, ports[lane.destination].region, containerType, rate, getWeekDate(week), FIXTURE_SOURCE]
+        );
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+// Основная функция заполнения тестовыми данными
+async function loadBacktestFixtures(args) {
+  if (!isLocalDatabase(process.env.DATABASE_URL) && !args.includes('--force')) {
+    return { success: false, error: 'DATABASE_URL does not point to localhost. Fixture loading truncates index and rate tables; pass --force to run anyway.' };
+  }
+
+  try {
+    console.log('Загрузка тестовых данных для бэктеста...');
+
+    // Справочник портов должен существовать до таблиц расстояний и хабов
+    const ports = Object.fromEntries(
+      EXPANDED_PORTS.filter(port => FIXTURE_PORT_IDS.includes(port.id)).map(port => [port.id, port])
+    );
+    const client = await pool.connect();
+    try {
+      // Начало транзакции
+      await client.query('BEGIN');
+
+      await createFixtureTables(client);
+      for (const port of Object.values(ports)) {
+        await client.query(
+          `INSERT INTO ports (id, name, country, region, latitude, longitude, popularity)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name, country = EXCLUDED.country, region = EXCLUDED.region,
+             latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude, popularity = EXCLUDED.popularity`,
+          [port.id, port.name, port.country, port.region, port.latitude, port.longitude, port.popularity]
+        );
+      }
+      for (const containerType of FIXTURE_CONTAINER_TYPES) {
+        await client.query(
+          `INSERT INTO container_types (id, name, description) VALUES ($1, $2, $3) ON CONFLICT (id) DO NOTHING`,
+          [containerType.id, containerType.name, containerType.description]
+        );
+      }
+
+      // Завершение транзакции
+      await client.query('COMMIT');
+    } catch (error) {
+      // Откат транзакции в случае ошибки
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      // Освобождение клиента
+      client.release();
+    }
+
+    // Таблицы модулей, участвующих в расчете, создаются их собственными функциями инициализации
+    await settingsService.initializeSettingsTable();
+    // Колонки TEU и грузоподъемности добавляет справочник спецоборудования - до рефконтейнеров
+    await oogCalculator.initializeSpecialEquipment();
+    await reeferCalculator.initializeReeferContainerTypes();
+    await fuelSurchargeCalculator.initializeFuelSurchargeTables();
+    await transitTime.initializeTransitTables();
+    await routeOptions.initializeChokepointTables();
+    await surchargeCalculator.initializeSurchargeTables();
+    await transshipment.initializeTransshipmentTables();
+    await modifierBaselines.initializeBaselineTables();
+
+    const dataClient = await pool.connect();
+    try {
+      // Начало транзакции
+      await dataClient.query('BEGIN');
+
+      await dataClient.query(`TRUNCATE freight_indices_scfi, ${INDEX_TABLES.join(', ')}, fuel_prices, historical_rates, modifier_baselines`);
+
+      const indexRows = await insertIndexSeries(dataClient);
+      const fuelRows = await insertFuelPrices(dataClient);
+      const rateRows = await insertActualRates(dataClient, ports);
+
+      // Завершение транзакции
+      await dataClient.query('COMMIT');
+
+      console.log(`Загружено: ${indexRows} значений индексов, ${fuelRows} цен на топливо, ${rateRows} фактических ставок`);
+    } catch (error) {
+      // Откат транзакции в случае ошибки
+      await dataClient.query('ROLLBACK');
+      throw error;
+    } finally {
+      // Освобождение клиента
+      dataClient.release();
+    }
+
+    return { success: true, message: `Тестовые данные загружены: ${getWeekDate(0)} - ${getWeekDate(FIXTURE_WEEKS - 1)}` };
+  } catch (error) {
+    console.error('Ошибка при загрузке тестовых данных:', error);
+    return { success: false, error: error.message };
+  } finally {
+    // Закрытие соединения с базой данных
+    await pool.end();
+  }
+}
+
+// Запуск загрузки тестовых данных
+loadBacktestFixtures(process.argv.slice(2))
+  .then(result => {
+    console.log(result);
+    process.exit(result.success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Критическая ошибка:', error);
+    process.exit(1);
+  });
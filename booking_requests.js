@@ -0,0 +1,328 @@
+// Модуль заявок на бронирование по котировке
+// Клиент указывает дату готовности груза, отправителя, получателя и груз; заявка привязывается к номеру котировки,
+// котировка при этом переходит в статус accepted
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import quotes from './quotes.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Статусы заявки и допустимые переходы между ними
+const BOOKING_STATUSES = ['submitted', 'confirmed', 'rejected', 'cancelled'];
+const STATUS_TRANSITIONS = {
+  submitted: ['confirmed', 'rejected', 'cancelled'],
+  confirmed: ['cancelled'],
+  rejected: [],
+  cancelled: []
+};
+
+// Статусы, при которых заявка считается действующей (повторная заявка по той же котировке не принимается)
+const ACTIVE_STATUSES = ['submitted', 'confirmed'];
+
+const MAX_REFERENCE_ATTEMPTS = 5;
+
+// Функция для инициализации таблицы заявок на бронирование
+async function initializeBookingTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    // shipper / consignee: { name, address, contactName, phone, email }
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS booking_requests (
+        id SERIAL PRIMARY KEY,
+        reference VARCHAR(20) NOT NULL UNIQUE,
+        quote_reference VARCHAR(20) NOT NULL REFERENCES quotes(reference),
+        status VARCHAR(20) NOT NULL DEFAULT 'submitted',
+        cargo_ready_date DATE NOT NULL,
+        shipper JSONB NOT NULL,
+        consignee JSONB NOT NULL,
+        commodity VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        notes TEXT,
+        status_note TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_booking_requests_quote ON booking_requests (quote_reference)');
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Booking request tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing booking request tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Максимальная длина полей стороны перевозки, символов
+const PARTY_FIELD_LIMITS = {
+  name: 255,
+  address: 500,
+  contactName: 255,
+  phone: 50,
+  email: 255
+};
+
+// Максимальная длина примечания к заявке, символов
+const NOTES_MAX_LENGTH = 2000;
+
+// Функция для проверки стороны перевозки (отправитель / получатель); возвращает текст ошибки или null
+function validateParty(party, field) {
+  if (!party || typeof party !== 'object') {
+    return `${field} is required`;
+  }
+  if (!party.name || !String(party.name).trim()) {
+    return `${field}.name is required`;
+  }
+  if (!party.address || !String(party.address).trim()) {
+    return `${field}.address is required`;
+  }
+  for (const [key, maxLength] of Object.entries(PARTY_FIELD_LIMITS)) {
+    const value = party[key];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string') {
+      return `${field}.${key} must be a string`;
+    }
+    if (value.length > maxLength) {
+      return `${field}.${key} must be at most ${maxLength} characters`;
+    }
+  }
+  return null;
+}
+
+// Функция для проверки заявки на бронирование; возвращает текст ошибки или null
+function validateBookingRequest(booking) {
+  if (!booking.quoteReference) {
+    return 'quoteReference is required';
+  }
+
+  const readyDate = new Date(booking.cargoReadyDate);
+  if (!booking.cargoReadyDate || isNaN(readyDate.getTime())) {
+    return 'cargoReadyDate must be a valid date (YYYY-MM-DD)';
+  }
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (readyDate < today) {
+    return 'cargoReadyDate cannot be in the past';
+  }
+
+  for (const field of ['shipper', 'consignee']) {
+    const partyError = validateParty(booking[field], field);
+    if (partyError) return partyError;
+  }
+
+  if (!booking.commodity || !String(booking.commodity).trim()) {
+    return 'commodity is required';
+  }
+  if (String(booking.commodity).length > 255) {
+    return 'commodity must be at most 255 characters';
+  }
+  if (booking.notes !== undefined && booking.notes !== null && typeof booking.notes !== 'string') {
+    return 'notes must be a string';
+  }
+  if (booking.notes && booking.notes.length > NOTES_MAX_LENGTH) {
+    return `notes must be at most ${NOTES_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Функция для приведения заявки к формату API
+function formatBooking(row) {
+  return {
+    id: row.id,
+    reference: row.reference,
+    quoteReference: row.quote_reference,
+    status: row.status,
+    cargoReadyDate: row.cargo_ready_date,
+    shipper: row.shipper,
+    consignee: row.consignee,
+    commodity: row.commodity,
+    email: row.email,
+    notes: row.notes,
+    statusNote: row.status_note,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    // Маршрут и ставка котировки (при выборке вместе с котировкой)
+    originPort: row.origin_port_id,
+    destinationPort: row.destination_port_id,
+    finalRate: row.final_rate !== undefined ? parseFloat(row.final_rate) : undefined
+  };
+}
+
+// Функция для выбора контактных данных стороны
+function pickParty(party) {
+  return {
+    name: String(party.name).trim(),
+    address: String(party.address).trim(),
+    contactName: party.contactName || null,
+    phone: party.phone || null,
+    email: party.email || null
+  };
+}
+
+// Функция для создания заявки на бронирование
+// Возвращает { booking } или { error, statusCode }, если котировку нельзя забронировать
+async function createBookingRequest(booking) {
+  const quoteReference = String(booking.quoteReference).toUpperCase();
+
+  // Просроченная котировка помечается как expired до проверки
+  const quote = await quotes.getQuote(quoteReference);
+  if (!quote) {
+    return { error: 'Quote not found', statusCode: 404 };
+  }
+  // Принятая котировка не истекает автоматически - срок проверяется и для повторной заявки после отказа
+  if (quote.status === 'expired' || new Date(quote.validUntil) < new Date()) {
+    return { error: `Quote ${quoteReference} has expired; request a new quote`, statusCode: 409 };
+  }
+  const email = booking.email || quote.email;
+  if (!email) {
+    return { error: 'email is required', statusCode: 400 };
+  }
+  // Котировка, выданная клиенту (возможно, по договорной ставке), бронируется только с его email
+  if (quote.email && booking.email && quote.email.toLowerCase() !== booking.email.toLowerCase()) {
+    return { error: 'Quote was issued to a different customer', statusCode: 403 };
+  }
+
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    // Блокировка котировки, чтобы по ней не было принято две заявки одновременно
+    await client.query('SELECT reference FROM quotes WHERE reference = $1 FOR UPDATE', [quoteReference]);
+    const activeResult = await client.query(
+      'SELECT reference FROM booking_requests WHERE quote_reference = $1 AND status = ANY($2)',
+      [quoteReference, ACTIVE_STATUSES]
+    );
+    if (activeResult.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { error: `Quote ${quoteReference} already has booking request ${activeResult.rows[0].reference}`, statusCode: 409 };
+    }
+
+    let insertResult = { rows: [] };
+    for (let attempt = 0; attempt < MAX_REFERENCE_ATTEMPTS && insertResult.rows.length === 0; attempt++) {
+      insertResult = await client.query(
+        `INSERT INTO booking_requests (reference, quote_reference, cargo_ready_date, shipper, consignee, commodity, email, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (reference) DO NOTHING
+         RETURNING *`,
+        [
+          quotes.generateReference('B'),
+          quoteReference,
+          booking.cargoReadyDate,
+          JSON.stringify(pickParty(booking.shipper)),
+          JSON.stringify(pickParty(booking.consignee)),
+          String(booking.commodity).trim(),
+          email,
+          booking.notes || null
+        ]
+      );
+    }
+    if (insertResult.rows.length === 0) {
+      throw new Error('Failed to generate a unique booking reference');
+    }
+
+    // Котировка принята клиентом
+    await client.query(
+      `UPDATE quotes SET status = 'accepted', email = COALESCE(email, $2), updated_at = NOW() WHERE reference = $1`,
+      [quoteReference, email]
+    );
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    return { booking: formatBooking({ ...insertResult.rows[0], origin_port_id: quote.originPort, destination_port_id: quote.destinationPort, final_rate: quote.finalRate }) };
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для получения заявки по номеру
+async function getBookingRequest(reference) {
+  const result = await pool.query(
+    `SELECT br.*, q.origin_port_id, q.destination_port_id, q.final_rate
+     FROM booking_requests br
+     JOIN quotes q ON q.reference = br.quote_reference
+     WHERE br.reference = $1`,
+    [reference]
+  );
+  return result.rows.length > 0 ? formatBooking(result.rows[0]) : null;
+}
+
+// Функция для получения списка заявок (для администрирования)
+async function getBookingRequests({ status = null, limit = 100 } = {}) {
+  const result = await pool.query(
+    `SELECT br.*, q.origin_port_id, q.destination_port_id, q.final_rate
+     FROM booking_requests br
+     JOIN quotes q ON q.reference = br.quote_reference
+     WHERE $1::VARCHAR IS NULL OR br.status = $1
+     ORDER BY br.created_at DESC
+     LIMIT $2`,
+    [status, limit]
+  );
+  return result.rows.map(formatBooking);
+}
+
+// Функция для изменения статуса заявки; statusNote - причина отказа или комментарий
+// Возвращает { booking } или { error, statusCode }, если переход недопустим
+async function updateBookingStatus(id, status, statusNote = null) {
+  if (!BOOKING_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${BOOKING_STATUSES.join(', ')}`, statusCode: 400 };
+  }
+
+  const currentResult = await pool.query('SELECT status FROM booking_requests WHERE id = $1', [id]);
+  if (currentResult.rows.length === 0) {
+    return { error: 'Booking request not found', statusCode: 404 };
+  }
+  const currentStatus = currentResult.rows[0].status;
+  if (currentStatus !== status && !STATUS_TRANSITIONS[currentStatus].includes(status)) {
+    return { error: `Booking request is ${currentStatus} and cannot be changed to ${status}`, statusCode: 409 };
+  }
+
+  const result = await pool.query(
+    `UPDATE booking_requests SET status = $2, status_note = COALESCE($3, status_note), updated_at = NOW()
+     WHERE id = $1
+     RETURNING reference`,
+    [id, status, statusNote]
+  );
+  return { booking: await getBookingRequest(result.rows[0].reference) };
+}
+
+// Экспорт функций
+export default {
+  BOOKING_STATUSES,
+  initializeBookingTables,
+  validateBookingRequest,
+  createBookingRequest,
+  getBookingRequest,
+  getBookingRequests,
+  updateBookingStatus
+};
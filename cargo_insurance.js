@@ -0,0 +1,213 @@
+// Модуль расчета премии морского страхования груза (условия ICC A, B, C)
+// Ставка выбирается по категории груза и паре регионов, премия считается от страховой суммы с учетом минимальной премии
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import laneResolver from './lane_resolver.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Условия страхования Institute Cargo Clauses: A - все риски, B и C - поименованные риски
+const COVER_TYPES = {
+  A: 'ICC (A) - all risks',
+  B: 'ICC (B) - named perils incl. water damage',
+  C: 'ICC (C) - major casualties only'
+};
+
+// Категории грузов
+const COMMODITY_CATEGORIES = ['general', 'electronics', 'machinery', 'foodstuffs', 'chemicals', 'textiles', 'vehicles', 'pharmaceuticals'];
+
+// Страховая сумма по обычаю рынка: 110% от стоимости груза и фрахта (CIF + 10%)
+const INSURED_VALUE_FACTOR = 1.1;
+
+// Ставки по умолчанию, % от страховой суммы для условий A/B/C, и минимальная премия, USD
+// NULL в категории или регионе означает "любой"
+const DEFAULT_INSURANCE_RATES = [
+  { commodity: null, rateA: 0.25, rateB: 0.18, rateC: 0.12, minPremium: 50 },
+  { commodity: 'electronics', rateA: 0.45, rateB: 0.30, rateC: 0.20, minPremium: 75 },
+  { commodity: 'machinery', rateA: 0.30, rateB: 0.20, rateC: 0.15, minPremium: 50 },
+  { commodity: 'foodstuffs', rateA: 0.35, rateB: 0.25, rateC: 0.18, minPremium: 50 },
+  { commodity: 'chemicals', rateA: 0.40, rateB: 0.28, rateC: 0.20, minPremium: 75 },
+  { commodity: 'textiles', rateA: 0.22, rateB: 0.16, rateC: 0.11, minPremium: 50 },
+  { commodity: 'vehicles', rateA: 0.50, rateB: 0.35, rateC: 0.25, minPremium: 100 },
+  { commodity: 'pharmaceuticals', rateA: 0.55, rateB: 0.38, rateC: 0.25, minPremium: 100 },
+  { commodity: null, destinationRegion: 'Africa', rateA: 0.40, rateB: 0.28, rateC: 0.20, minPremium: 75 },
+  { commodity: 'electronics', originRegion: 'Asia', destinationRegion: 'Europe', rateA: 0.40, rateB: 0.27, rateC: 0.18, minPremium: 75 }
+];
+
+// Функция для инициализации таблицы страховых ставок
+async function initializeInsuranceTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS insurance_rates (
+        id SERIAL PRIMARY KEY,
+        commodity VARCHAR(50),
+        origin_region VARCHAR(100),
+        destination_region VARCHAR(100),
+        rate_a NUMERIC NOT NULL,
+        rate_b NUMERIC NOT NULL,
+        rate_c NUMERIC NOT NULL,
+        min_premium NUMERIC NOT NULL DEFAULT 0,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Заполнение ставками по умолчанию, если таблица пуста
+    const ratesCount = await client.query('SELECT COUNT(*) FROM insurance_rates');
+    if (parseInt(ratesCount.rows[0].count) === 0) {
+      for (const rate of DEFAULT_INSURANCE_RATES) {
+        await client.query(
+          `INSERT INTO insurance_rates (commodity, origin_region, destination_region, rate_a, rate_b, rate_c, min_premium)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [rate.commodity, rate.originRegion || null, rate.destinationRegion || null, rate.rateA, rate.rateB, rate.rateC, rate.minPremium]
+        );
+      }
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Insurance tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing insurance tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для проверки параметров страхования из запроса; возвращает текст ошибки или null
+function validateInsuranceRequest({ cargoValue, commodity, insuranceCover }) {
+  if (!(Number(cargoValue) > 0)) {
+    return 'cargoValue must be a positive number (USD)';
+  }
+  if (commodity && !COMMODITY_CATEGORIES.includes(commodity)) {
+    return `commodity must be one of: ${COMMODITY_CATEGORIES.join(', ')}`;
+  }
+  if (insuranceCover && !COVER_TYPES[insuranceCover]) {
+    return `insuranceCover must be one of: ${Object.keys(COVER_TYPES).join(', ')}`;
+  }
+  return null;
+}
+
+// Проверка соответствия региона правила региону порта (регион из ports.region или торговая зона)
+function matchesRegion(ruleRegion, port) {
+  if (!ruleRegion) return true;
+  if (!port) return false;
+  return ruleRegion === port.region || ruleRegion === laneResolver.getTradeArea(port);
+}
+
+// Специфичность ставки: категория груза важнее пары регионов
+function getSpecificity(rate) {
+  return (rate.commodity ? 4 : 0) + (rate.origin_region ? 2 : 0) + (rate.destination_region ? 1 : 0);
+}
+
+// Функция для расчета страховой премии
+// freight - стоимость перевозки, включаемая в страховую сумму; возвращает null, если ставка не найдена
+async function calculateInsurance(originPortId, destinationPortId, { cargoValue, commodity, insuranceCover }, freight = 0) {
+  const cover = insuranceCover || 'A';
+  const category = commodity || 'general';
+
+  const portsResult = await pool.query(
+    'SELECT id, name, country, region, latitude, longitude FROM ports WHERE id IN ($1, $2)',
+    [originPortId, destinationPortId]
+  );
+  const originPort = portsResult.rows.find(port => port.id === originPortId);
+  const destinationPort = portsResult.rows.find(port => port.id === destinationPortId);
+
+  const ratesResult = await pool.query('SELECT * FROM insurance_rates ORDER BY id');
+  let selectedRate = null;
+  for (const rate of ratesResult.rows) {
+    if (rate.commodity && rate.commodity !== category) continue;
+    if (!matchesRegion(rate.origin_region, originPort) || !matchesRegion(rate.destination_region, destinationPort)) continue;
+    if (!selectedRate || getSpecificity(rate) > getSpecificity(selectedRate)) {
+      selectedRate = rate;
+    }
+  }
+  if (!selectedRate) return null;
+
+  const insuredValue = Math.round((Number(cargoValue) + freight) * INSURED_VALUE_FACTOR);
+  const ratePercent = parseFloat(selectedRate[`rate_${cover.toLowerCase()}`]);
+  const minPremium = parseFloat(selectedRate.min_premium);
+  const calculatedPremium = insuredValue * ratePercent / 100;
+
+  return {
+    cover,
+    coverName: COVER_TYPES[cover],
+    commodity: category,
+    cargoValue: Number(cargoValue),
+    insuredValue,
+    ratePercent,
+    premium: Math.round(Math.max(calculatedPremium, minPremium)),
+    minimumApplied: calculatedPremium < minPremium,
+    ruleId: selectedRate.id
+  };
+}
+
+// Функция для проверки ставки перед сохранением; возвращает текст ошибки или null
+function validateInsuranceRate(rate) {
+  if (rate.commodity && !COMMODITY_CATEGORIES.includes(rate.commodity)) {
+    return `commodity must be one of: ${COMMODITY_CATEGORIES.join(', ')}`;
+  }
+  for (const field of ['rateA', 'rateB', 'rateC']) {
+    if (rate[field] === undefined || rate[field] === null || isNaN(parseFloat(rate[field])) || parseFloat(rate[field]) < 0) {
+      return `${field} must be a non-negative number (% of insured value)`;
+    }
+  }
+  if (rate.minPremium !== undefined && rate.minPremium !== null && (isNaN(parseFloat(rate.minPremium)) || parseFloat(rate.minPremium) < 0)) {
+    return 'minPremium must be a non-negative number';
+  }
+  return null;
+}
+
+// Функции администрирования ставок
+async function getInsuranceRates() {
+  const result = await pool.query('SELECT * FROM insurance_rates ORDER BY commodity NULLS FIRST, id');
+  return result.rows;
+}
+
+async function createInsuranceRate(rate) {
+  const result = await pool.query(
+    `INSERT INTO insurance_rates (commodity, origin_region, destination_region, rate_a, rate_b, rate_c, min_premium)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [rate.commodity || null, rate.originRegion || null, rate.destinationRegion || null, rate.rateA, rate.rateB, rate.rateC, rate.minPremium || 0]
+  );
+  return result.rows[0];
+}
+
+async function deleteInsuranceRate(id) {
+  const result = await pool.query('DELETE FROM insurance_rates WHERE id = $1 RETURNING *', [id]);
+  return result.rows.length > 0;
+}
+
+// Экспорт функций
+export default {
+  COVER_TYPES,
+  COMMODITY_CATEGORIES,
+  initializeInsuranceTables,
+  validateInsuranceRequest,
+  calculateInsurance,
+  validateInsuranceRate,
+  getInsuranceRates,
+  createInsuranceRate,
+  deleteInsuranceRate
+};
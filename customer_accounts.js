@@ -0,0 +1,281 @@
+// Модуль клиентских аккаунтов и договорных ставок
+// Клиент определяется по email контакта; действующая договорная ставка на линию заменяет морской фрахт по индексам
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Категории клиентов (для правил наценки)
+const CUSTOMER_TIERS = ['standard', 'preferred', 'strategic'];
+
+// Функция для инициализации таблиц клиентов, контактов и договорных ставок
+async function initializeCustomerTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id SERIAL PRIMARY KEY,
+        company_name VARCHAR(255) NOT NULL,
+        notes TEXT,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Категория клиента добавлена вместе с правилами наценки
+    await client.query(`ALTER TABLE customers ADD COLUMN IF NOT EXISTS tier VARCHAR(20) NOT NULL DEFAULT 'standard'`);
+
+    // Email контакта хранится в нижнем регистре и уникален: по нему запрос связывается с клиентом
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS customer_contacts (
+        id SERIAL PRIMARY KEY,
+        customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        name VARCHAR(255),
+        email VARCHAR(255) NOT NULL UNIQUE,
+        phone VARCHAR(50),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // rate - морской фрахт за контейнер, USD; надбавки начисляются по тарифу
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contract_rates (
+        id SERIAL PRIMARY KEY,
+        customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        origin_port_id VARCHAR(10) NOT NULL REFERENCES ports(id),
+        destination_port_id VARCHAR(10) NOT NULL REFERENCES ports(id),
+        container_type VARCHAR(10) NOT NULL,
+        rate NUMERIC NOT NULL,
+        valid_from DATE NOT NULL,
+        valid_to DATE NOT NULL,
+        contract_number VARCHAR(50),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_contract_rates_lane ON contract_rates (customer_id, origin_port_id, destination_port_id, container_type)');
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Customer tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing customer tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для поиска действующего клиента по email контакта; возвращает null для неизвестного email
+async function findCustomerByEmail(email) {
+  const result = await pool.query(
+    `SELECT c.id, c.company_name, c.tier, cc.name AS contact_name
+     FROM customer_contacts cc
+     JOIN customers c ON c.id = cc.customer_id
+     WHERE cc.email = LOWER($1) AND c.active`,
+    [email]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const row = result.rows[0];
+  return { id: row.id, companyName: row.company_name, tier: row.tier, contactName: row.contact_name };
+}
+
+// Функция для поиска действующей договорной ставки клиента на линию и тип контейнера
+// При пересечении сроков действует договор, начавший действовать позже
+async function findContractRate(customerId, originPortId, destinationPortId, containerType) {
+  const result = await pool.query(
+    `SELECT * FROM contract_rates
+     WHERE customer_id = $1 AND origin_port_id = $2 AND destination_port_id = $3 AND container_type = $4
+       AND valid_from <= CURRENT_DATE AND valid_to >= CURRENT_DATE
+     ORDER BY valid_from DESC, id DESC
+     LIMIT 1`,
+    [customerId, originPortId, destinationPortId, containerType]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const row = result.rows[0];
+  return {
+    id: row.id,
+    rate: parseFloat(row.rate),
+    validFrom: row.valid_from,
+    validTo: row.valid_to,
+    contractNumber: row.contract_number
+  };
+}
+
+// Функция для проверки клиента перед сохранением; возвращает текст ошибки или null
+function validateCustomer(customer) {
+  if (!customer.companyName || !String(customer.companyName).trim()) {
+    return 'companyName is required';
+  }
+  if (customer.tier && !CUSTOMER_TIERS.includes(customer.tier)) {
+    return `tier must be one of: ${CUSTOMER_TIERS.join(', ')}`;
+  }
+  return null;
+}
+
+// Функция для проверки контакта перед сохранением; возвращает текст ошибки или null
+function validateContact(contact) {
+  if (!contact.customerId) {
+    return 'customerId is required';
+  }
+  if (!contact.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email)) {
+    return 'email must be a valid email address';
+  }
+  return null;
+}
+
+// Функция для проверки договорной ставки перед сохранением; возвращает текст ошибки или null
+function validateContractRate(contractRate) {
+  for (const field of ['customerId', 'originPortId', 'destinationPortId', 'containerType']) {
+    if (!contractRate[field]) {
+      return `${field} is required`;
+    }
+  }
+  if (contractRate.originPortId === contractRate.destinationPortId) {
+    return 'originPortId and destinationPortId must differ';
+  }
+  if (isNaN(parseFloat(contractRate.rate)) || parseFloat(contractRate.rate) <= 0) {
+    return 'rate must be a positive number (USD per container)';
+  }
+  const validFrom = new Date(contractRate.validFrom);
+  const validTo = new Date(contractRate.validTo);
+  if (isNaN(validFrom.getTime()) || isNaN(validTo.getTime())) {
+    return 'validFrom and validTo must be valid dates (YYYY-MM-DD)';
+  }
+  if (validTo < validFrom) {
+    return 'validTo must not be earlier than validFrom';
+  }
+  return null;
+}
+
+// Функции администрирования клиентов, контактов и договорных ставок
+async function getCustomers() {
+  const result = await pool.query(
+    `SELECT c.*,
+       COALESCE(json_agg(json_build_object('id', cc.id, 'name', cc.name, 'email', cc.email, 'phone', cc.phone) ORDER BY cc.id)
+         FILTER (WHERE cc.id IS NOT NULL), '[]') AS contacts
+     FROM customers c
+     LEFT JOIN customer_contacts cc ON cc.customer_id = c.id
+     GROUP BY c.id
+     ORDER BY c.company_name`
+  );
+  return result.rows;
+}
+
+async function createCustomer(customer) {
+  const result = await pool.query(
+    'INSERT INTO customers (company_name, tier, notes) VALUES ($1, $2, $3) RETURNING *',
+    [String(customer.companyName).trim(), customer.tier || 'standard', customer.notes || null]
+  );
+  return result.rows[0];
+}
+
+async function updateCustomer(id, updates) {
+  const result = await pool.query(
+    `UPDATE customers SET
+       tier = COALESCE($2, tier),
+       notes = COALESCE($3, notes),
+       active = COALESCE($4, active)
+     WHERE id = $1
+     RETURNING *`,
+    [id, updates.tier || null, updates.notes ?? null, updates.active ?? null]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+async function deleteCustomer(id) {
+  const result = await pool.query('DELETE FROM customers WHERE id = $1 RETURNING *', [id]);
+  return result.rows.length > 0;
+}
+
+async function createContact(contact) {
+  const result = await pool.query(
+    `INSERT INTO customer_contacts (customer_id, name, email, phone)
+     VALUES ($1, $2, LOWER($3), $4)
+     RETURNING *`,
+    [contact.customerId, contact.name || null, contact.email.trim(), contact.phone || null]
+  );
+  return result.rows[0];
+}
+
+async function deleteContact(id) {
+  const result = await pool.query('DELETE FROM customer_contacts WHERE id = $1 RETURNING *', [id]);
+  return result.rows.length > 0;
+}
+
+async function getContractRates() {
+  const result = await pool.query(
+    `SELECT cr.*, c.company_name
+     FROM contract_rates cr
+     JOIN customers c ON c.id = cr.customer_id
+     ORDER BY c.company_name, cr.origin_port_id, cr.destination_port_id, cr.container_type, cr.valid_from DESC`
+  );
+  return result.rows;
+}
+
+async function createContractRate(contractRate) {
+  const result = await pool.query(
+    `INSERT INTO contract_rates (customer_id, origin_port_id, destination_port_id, container_type, rate, valid_from, valid_to, contract_number)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      contractRate.customerId,
+      contractRate.originPortId,
+      contractRate.destinationPortId,
+      contractRate.containerType,
+      parseFloat(contractRate.rate),
+      contractRate.validFrom,
+      contractRate.validTo,
+      contractRate.contractNumber || null
+    ]
+  );
+  return result.rows[0];
+}
+
+async function deleteContractRate(id) {
+  const result = await pool.query('DELETE FROM contract_rates WHERE id = $1 RETURNING *', [id]);
+  return result.rows.length > 0;
+}
+
+// Экспорт функций
+export default {
+  CUSTOMER_TIERS,
+  initializeCustomerTables,
+  findCustomerByEmail,
+  findContractRate,
+  validateCustomer,
+  validateContact,
+  validateContractRate,
+  getCustomers,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  createContact,
+  deleteContact,
+  getContractRates,
+  createContractRate,
+  deleteContractRate
+};
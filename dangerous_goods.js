@@ -0,0 +1,337 @@
+// Модуль расчета надбавок и проверки ограничений для опасных грузов (классы IMO, номера ООН)
+// Надбавки задаются по классу и торговой линии, ограничения - по классу для портов и пар регионов
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import laneResolver from './lane_resolver.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Классы и подклассы опасных грузов по кодексу IMDG
+const IMO_CLASSES = {
+  '1': 'Explosives',
+  '2.1': 'Flammable gases',
+  '2.2': 'Non-flammable, non-toxic gases',
+  '2.3': 'Toxic gases',
+  '3': 'Flammable liquids',
+  '4.1': 'Flammable solids',
+  '4.2': 'Substances liable to spontaneous combustion',
+  '4.3': 'Substances which emit flammable gases in contact with water',
+  '5.1': 'Oxidizing substances',
+  '5.2': 'Organic peroxides',
+  '6.1': 'Toxic substances',
+  '6.2': 'Infectious substances',
+  '7': 'Radioactive material',
+  '8': 'Corrosive substances',
+  '9': 'Miscellaneous dangerous substances'
+};
+
+// Действия ограничений: reject - груз не принимается, restrict - принимается с условиями
+const RESTRICTION_ACTIONS = ['reject', 'restrict'];
+
+// Надбавки по умолчанию, USD за FEU; правило для класса '2' применяется ко всем подклассам 2.x
+const DEFAULT_DG_SURCHARGES = [
+  { imoClass: null, amount: 350, description: 'Default DG surcharge' },
+  { imoClass: '1', amount: 1500, description: 'Explosives' },
+  { imoClass: '2', amount: 600, description: 'Gases' },
+  { imoClass: '3', amount: 400, description: 'Flammable liquids' },
+  { imoClass: '6.2', amount: 1200, description: 'Infectious substances' },
+  { imoClass: '7', amount: 2500, description: 'Radioactive material' },
+  { imoClass: '9', amount: 200, description: 'Miscellaneous dangerous goods (e.g. lithium batteries)' },
+  { imoClass: '3', originRegion: 'Asia', destinationRegion: 'Europe', amount: 450, description: 'Flammable liquids, Asia - Europe' }
+];
+
+// Ограничения по умолчанию
+const DEFAULT_DG_RESTRICTIONS = [
+  { imoClass: '1', portId: 'SGSIN', action: 'reject', description: 'Class 1 is not handled at Singapore container terminals' },
+  { imoClass: '1', portId: 'HKHKG', action: 'reject', description: 'Class 1 is not handled at Hong Kong container terminals' },
+  { imoClass: '1', action: 'restrict', description: 'Carrier pre-approval required; on-deck stowage only' },
+  { imoClass: '7', action: 'restrict', description: 'Carrier pre-approval and competent authority certificate required' },
+  { imoClass: '6.2', action: 'restrict', description: 'Carrier pre-approval required' }
+];
+
+// Функция для инициализации таблиц опасных грузов
+async function initializeDangerousGoodsTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    // NULL в imo_class/регионах означает "любой"; класс без подкласса ('2') относится ко всем подклассам
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS dg_surcharges (
+        id SERIAL PRIMARY KEY,
+        imo_class VARCHAR(5),
+        origin_region VARCHAR(100),
+        destination_region VARCHAR(100),
+        amount NUMERIC NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // port_id - порт отправления или назначения; если не указан, правило относится к паре регионов
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS dg_restrictions (
+        id SERIAL PRIMARY KEY,
+        imo_class VARCHAR(5),
+        port_id VARCHAR(10),
+        origin_region VARCHAR(100),
+        destination_region VARCHAR(100),
+        action VARCHAR(20) NOT NULL DEFAULT 'reject',
+        description TEXT NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Заполнение правилами по умолчанию, если таблицы пусты
+    const surchargesCount = await client.query('SELECT COUNT(*) FROM dg_surcharges');
+    if (parseInt(surchargesCount.rows[0].count) === 0) {
+      for (const rule of DEFAULT_DG_SURCHARGES) {
+        await client.query(
+          `INSERT INTO dg_surcharges (imo_class, origin_region, destination_region, amount, description)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [rule.imoClass, rule.originRegion || null, rule.destinationRegion || null, rule.amount, rule.description]
+        );
+      }
+    }
+
+    const restrictionsCount = await client.query('SELECT COUNT(*) FROM dg_restrictions');
+    if (parseInt(restrictionsCount.rows[0].count) === 0) {
+      for (const rule of DEFAULT_DG_RESTRICTIONS) {
+        await client.query(
+          `INSERT INTO dg_restrictions (imo_class, port_id, origin_region, destination_region, action, description)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [rule.imoClass, rule.portId || null, rule.originRegion || null, rule.destinationRegion || null, rule.action, rule.description]
+        );
+      }
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Dangerous goods tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing dangerous goods tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для приведения номера ООН к виду UN1234
+function normalizeUnNumber(unNumber) {
+  const match = /^(?:UN)?\s*(\d{4})$/i.exec(String(unNumber || '').trim());
+  return match ? `UN${match[1]}` : null;
+}
+
+// Функция для проверки опасного груза в запросе; возвращает текст ошибки или null
+// dangerousGoods: { imoClass, unNumber }
+function validateDangerousGoods(dangerousGoods) {
+  if (!dangerousGoods) return null;
+  if (!IMO_CLASSES[String(dangerousGoods.imoClass)]) {
+    return `dangerousGoods.imoClass must be one of: ${Object.keys(IMO_CLASSES).join(', ')}`;
+  }
+  if (!normalizeUnNumber(dangerousGoods.unNumber)) {
+    return 'dangerousGoods.unNumber must be a four-digit UN number (e.g. UN1263)';
+  }
+  return null;
+}
+
+// Проверка соответствия класса правила классу груза (класс '2' охватывает подклассы 2.1, 2.2, 2.3)
+function matchesClass(ruleClass, imoClass) {
+  if (!ruleClass) return true;
+  return ruleClass === imoClass || imoClass.split('.')[0] === ruleClass;
+}
+
+// Проверка соответствия региона правила региону порта (регион из ports.region или торговая зона)
+function matchesRegion(ruleRegion, port) {
+  if (!ruleRegion) return true;
+  if (!port) return false;
+  return ruleRegion === port.region || ruleRegion === laneResolver.getTradeArea(port);
+}
+
+// Специфичность правила надбавки: подкласс важнее класса, линия важнее общего правила
+function getSpecificity(rule) {
+  return (rule.imo_class ? (rule.imo_class.includes('.') ? 8 : 4) : 0) +
+         (rule.origin_region ? 2 : 0) + (rule.destination_region ? 1 : 0);
+}
+
+// Функция для загрузки портов пары
+async function getPorts(originPortId, destinationPortId) {
+  const result = await pool.query(
+    'SELECT id, name, country, region, latitude, longitude FROM ports WHERE id IN ($1, $2)',
+    [originPortId, destinationPortId]
+  );
+  return {
+    originPort: result.rows.find(port => port.id === originPortId),
+    destinationPort: result.rows.find(port => port.id === destinationPortId)
+  };
+}
+
+// Функция для проверки приема опасного груза на маршруте (hubPortIds - хабы перевалки маршрута)
+// Возвращает { accepted, rejections, restrictions } - списки описаний сработавших ограничений
+async function checkAcceptance(originPortId, destinationPortId, dangerousGoods, hubPortIds = []) {
+  const imoClass = String(dangerousGoods.imoClass);
+  const { originPort, destinationPort } = await getPorts(originPortId, destinationPortId);
+  const result = await pool.query('SELECT * FROM dg_restrictions ORDER BY id');
+  // Ограничения порта действуют и для хабов перевалки, через которые проходит груз
+  const portIds = [originPortId, destinationPortId, ...hubPortIds];
+
+  const rejections = [];
+  const restrictions = [];
+  for (const rule of result.rows) {
+    if (!matchesClass(rule.imo_class, imoClass)) continue;
+    if (rule.port_id && !portIds.includes(rule.port_id)) continue;
+    if (!matchesRegion(rule.origin_region, originPort) || !matchesRegion(rule.destination_region, destinationPort)) continue;
+
+    const entry = { ruleId: rule.id, imoClass: rule.imo_class, portId: rule.port_id, description: rule.description };
+    if (rule.action === 'reject') {
+      rejections.push(entry);
+    } else {
+      restrictions.push(entry);
+    }
+  }
+
+  return { accepted: rejections.length === 0, rejections, restrictions };
+}
+
+// Коэффициент пересчета надбавок, заданных за FEU, на тип контейнера
+function getFeuFactor(containerType) {
+  return containerType && containerType.startsWith('20') ? 0.5 : 1.0;
+}
+
+// Функция для расчета надбавки за опасный груз для контейнера
+// Возвращает { imoClass, className, unNumber, surcharge, ruleId, accepted, rejections, restrictions }
+async function calculateDangerousGoods(originPortId, destinationPortId, containerType, dangerousGoods) {
+  const imoClass = String(dangerousGoods.imoClass);
+  const { originPort, destinationPort } = await getPorts(originPortId, destinationPortId);
+  const rulesResult = await pool.query('SELECT * FROM dg_surcharges ORDER BY id');
+
+  // Выбираем самое специфичное подходящее правило надбавки
+  let selectedRule = null;
+  for (const rule of rulesResult.rows) {
+    if (!matchesClass(rule.imo_class, imoClass)) continue;
+    if (!matchesRegion(rule.origin_region, originPort) || !matchesRegion(rule.destination_region, destinationPort)) continue;
+    if (!selectedRule || getSpecificity(rule) > getSpecificity(selectedRule)) {
+      selectedRule = rule;
+    }
+  }
+
+  const acceptance = await checkAcceptance(originPortId, destinationPortId, dangerousGoods);
+
+  return {
+    imoClass,
+    className: IMO_CLASSES[imoClass],
+    unNumber: normalizeUnNumber(dangerousGoods.unNumber),
+    surcharge: selectedRule ? Math.round(parseFloat(selectedRule.amount) * getFeuFactor(containerType)) : 0,
+    ruleId: selectedRule ? selectedRule.id : null,
+    ...acceptance
+  };
+}
+
+// Функция для проверки правила надбавки перед сохранением; возвращает текст ошибки или null
+// Класс правила может быть основным классом ('2') - тогда правило относится ко всем подклассам
+function validateDgSurcharge(rule) {
+  if (rule.imoClass && !IMO_CLASSES[rule.imoClass] && !Object.keys(IMO_CLASSES).some(code => code.split('.')[0] === rule.imoClass)) {
+    return `imoClass must be one of: ${Object.keys(IMO_CLASSES).join(', ')}`;
+  }
+  if (rule.amount === undefined || rule.amount === null || isNaN(parseFloat(rule.amount)) || parseFloat(rule.amount) < 0) {
+    return 'amount must be a non-negative number';
+  }
+  return null;
+}
+
+// Функция для проверки ограничения перед сохранением; возвращает текст ошибки или null
+function validateDgRestriction(rule) {
+  if (rule.imoClass && !IMO_CLASSES[rule.imoClass] && !Object.keys(IMO_CLASSES).some(code => code.split('.')[0] === rule.imoClass)) {
+    return `imoClass must be one of: ${Object.keys(IMO_CLASSES).join(', ')}`;
+  }
+  if (rule.action && !RESTRICTION_ACTIONS.includes(rule.action)) {
+    return `action must be one of: ${RESTRICTION_ACTIONS.join(', ')}`;
+  }
+  if (!rule.description) {
+    return 'description is required';
+  }
+  return null;
+}
+
+// Функции администрирования правил
+async function getDgSurcharges() {
+  const result = await pool.query('SELECT * FROM dg_surcharges ORDER BY imo_class NULLS FIRST, id');
+  return result.rows;
+}
+
+async function createDgSurcharge(rule) {
+  const result = await pool.query(
+    `INSERT INTO dg_surcharges (imo_class, origin_region, destination_region, amount, description)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [rule.imoClass || null, rule.originRegion || null, rule.destinationRegion || null, rule.amount, rule.description || null]
+  );
+  return result.rows[0];
+}
+
+async function deleteDgSurcharge(id) {
+  const result = await pool.query('DELETE FROM dg_surcharges WHERE id = $1 RETURNING *', [id]);
+  return result.rows.length > 0;
+}
+
+async function getDgRestrictions() {
+  const result = await pool.query('SELECT * FROM dg_restrictions ORDER BY imo_class NULLS FIRST, id');
+  return result.rows;
+}
+
+async function createDgRestriction(rule) {
+  const result = await pool.query(
+    `INSERT INTO dg_restrictions (imo_class, port_id, origin_region, destination_region, action, description)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [
+      rule.imoClass || null,
+      rule.portId || null,
+      rule.originRegion || null,
+      rule.destinationRegion || null,
+      rule.action || 'reject',
+      rule.description
+    ]
+  );
+  return result.rows[0];
+}
+
+async function deleteDgRestriction(id) {
+  const result = await pool.query('DELETE FROM dg_restrictions WHERE id = $1 RETURNING *', [id]);
+  return result.rows.length > 0;
+}
+
+// Экспорт функций
+export default {
+  IMO_CLASSES,
+  RESTRICTION_ACTIONS,
+  initializeDangerousGoodsTables,
+  validateDangerousGoods,
+  checkAcceptance,
+  calculateDangerousGoods,
+  validateDgSurcharge,
+  validateDgRestriction,
+  getDgSurcharges,
+  createDgSurcharge,
+  deleteDgSurcharge,
+  getDgRestrictions,
+  createDgRestriction,
+  deleteDgRestriction
+};
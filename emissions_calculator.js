@@ -0,0 +1,226 @@
+// Модуль расчета выбросов CO2 за рейс и надбавки EU ETS (система торговли выбросами ЕС)
+// С 2024 года перевозчики перекладывают стоимость квот EUA на рейсы с заходом в порты ЕС/ЕЭЗ
+// Также рассчитывает выбросы CO2e отправки (well-to-wake) по методике GLEC
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import fuelSurchargeCalculator from './fuel_surcharge_calculator.js';
+import laneResolver from './lane_resolver.js';
+import settingsService from './settings_service.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Средняя интенсивность выбросов контейнеровоза (tank-to-wake), г CO2 на TEU-морскую милю
+// (~60 г CO2 на TEU-км по данным Clean Cargo)
+const TTW_CO2_GRAMS_PER_TEU_NM = 111;
+
+// Страны, порты которых входят в EU ETS (государства ЕС и ЕЭЗ)
+const EU_ETS_COUNTRIES = [
+  'Austria', 'Belgium', 'Bulgaria', 'Croatia', 'Cyprus', 'Czech Republic', 'Denmark', 'Estonia',
+  'Finland', 'France', 'Germany', 'Greece', 'Hungary', 'Ireland', 'Italy', 'Latvia', 'Lithuania',
+  'Luxembourg', 'Malta', 'Netherlands', 'Poland', 'Portugal', 'Romania', 'Slovakia', 'Slovenia',
+  'Spain', 'Sweden', 'Norway', 'Iceland'
+];
+
+// Доля выбросов, за которую перевозчик сдает квоты, по году (2024 - 40%, 2025 - 70%, далее 100%)
+const EU_ETS_PHASE_IN = {
+  2024: 0.4,
+  2025: 0.7
+};
+
+// Доля выбросов рейса, подпадающая под EU ETS: рейсы между портами ЕС - 100%, рейсы с одним портом ЕС - 50%
+const EU_ETS_COVERAGE = {
+  intra_eu: 1.0,
+  extra_eu: 0.5
+};
+
+// Интенсивность выбросов по торговым линиям, г CO2e на тонно-километр (well-to-wake)
+// Значения по умолчанию GLEC/Clean Cargo: крупные суда на линиях Азия - Европа эффективнее фидеров
+const TRADE_LANE_INTENSITIES = {
+  'Asia|North Europe': 7.4,
+  'Asia|Mediterranean': 8.1,
+  'Asia|North America West Coast': 8.6,
+  'Asia|North America East Coast': 8.9,
+  'Asia|South America': 9.5,
+  'Asia|Middle East': 10.0,
+  'Asia|Africa': 10.5,
+  'Asia|Oceania': 11.7,
+  'North Europe|North America East Coast': 11.5,
+  'Mediterranean|North America East Coast': 11.5,
+  'North Europe|South America': 11.0,
+  'North Europe|Mediterranean': 14.0,
+  'Asia|Asia': 13.3,
+  'Mediterranean|Mediterranean': 15.0,
+  'North Europe|North Europe': 17.0
+};
+
+// Интенсивность для линий, отсутствующих в таблице (среднее GLEC для контейнерных судов)
+const DEFAULT_LANE_INTENSITY = 12.0;
+
+// Доля tank-to-wake в выбросах well-to-wake для судового топлива (VLSFO)
+const TTW_SHARE_OF_WTW = 0.82;
+
+// Масса груза на TEU по умолчанию (GLEC), если вес груза не указан, тонн
+const DEFAULT_CARGO_TONNES_PER_TEU = 10;
+
+// Масса тары контейнера на TEU, тонн (20' ~2.2 т, 40' ~3.8 т); перевозится вместе с грузом и входит в массу отправки
+const TARE_TONNES_PER_TEU = 2.0;
+
+const KM_PER_NM = 1.852;
+
+// Функция для получения вместимости контейнера в TEU
+async function getContainerTeu(containerType) {
+  try {
+    const result = await pool.query('SELECT teu FROM container_types WHERE id = $1', [containerType]);
+    if (result.rows.length > 0 && result.rows[0].teu) {
+      return parseFloat(result.rows[0].teu);
+    }
+  } catch (error) {
+    // Колонка teu есть не во всех установках - используем размер из кода контейнера
+    console.error(`Error getting TEU for container type ${containerType}:`, error.message);
+  }
+  if (containerType && containerType.startsWith('20')) return 1;
+  if (containerType && containerType.startsWith('45')) return 2.25;
+  return 2;
+}
+
+// Функция для расчета выбросов CO2 (tank-to-wake) за рейс в тоннах на указанное количество TEU
+function calculateVoyageCo2(distanceNM, teu = 1) {
+  return distanceNM * TTW_CO2_GRAMS_PER_TEU_NM * teu / 1000000;
+}
+
+// Функция для получения доли квот EU ETS за год
+function getEtsPhaseIn(year) {
+  if (year < 2024) return 0;
+  return EU_ETS_PHASE_IN[year] ?? 1.0;
+}
+
+// Функция для определения типа рейса для EU ETS
+function getEtsVoyageType(originPort, destinationPort) {
+  const originInEts = Boolean(originPort && EU_ETS_COUNTRIES.includes(originPort.country));
+  const destinationInEts = Boolean(destinationPort && EU_ETS_COUNTRIES.includes(destinationPort.country));
+  if (originInEts && destinationInEts) return 'intra_eu';
+  if (originInEts || destinationInEts) return 'extra_eu';
+  return 'non_eu';
+}
+
+// Функция для расчета надбавки EU ETS
+// context: { originPort, destinationPort, containerType, seaRoute: { distance }, asOf, settings }
+async function calculateEtsSurcharge(context) {
+  const { originPort, destinationPort, containerType } = context;
+  const voyageType = getEtsVoyageType(originPort, destinationPort);
+
+  const breakdown = {
+    voyageType,
+    distance: null,
+    teu: null,
+    co2PerTeu: null,
+    co2Total: null,
+    coveredShare: EU_ETS_COVERAGE[voyageType] || 0,
+    phaseIn: getEtsPhaseIn((context.asOf ? new Date(context.asOf) : new Date()).getFullYear()),
+    euaPrice: null,
+    eurUsdRate: null,
+    amountEur: 0
+  };
+
+  if (voyageType === 'non_eu') {
+    return { amount: 0, details: 'Voyage does not call EU/EEA ports', breakdown };
+  }
+
+  // Расстояние маршрута из топливного калькулятора
+  const distance = context.seaRoute && context.seaRoute.distance
+    ? context.seaRoute.distance
+    : await fuelSurchargeCalculator.getPortDistance(originPort.id, destinationPort.id);
+
+  breakdown.distance = distance;
+  breakdown.teu = await getContainerTeu(containerType);
+  breakdown.co2PerTeu = Math.round(calculateVoyageCo2(distance) * 1000) / 1000;
+  breakdown.co2Total = Math.round(calculateVoyageCo2(distance, breakdown.teu) * 1000) / 1000;
+  const settings = context.settings || await settingsService.getSettings();
+  breakdown.euaPrice = settings.eua_price;
+  breakdown.eurUsdRate = settings.eur_usd_rate;
+
+  // Стоимость = CO2 * доля рейса под EU ETS * доля квот за год * цена EUA
+  const amountEur = breakdown.co2Total * breakdown.coveredShare * breakdown.phaseIn * breakdown.euaPrice;
+  breakdown.amountEur = Math.round(amountEur * 100) / 100;
+
+  return {
+    amount: amountEur * breakdown.eurUsdRate,
+    details: `${breakdown.co2Total} t CO2 x ${breakdown.coveredShare * 100}% (${voyageType}) x ${breakdown.phaseIn * 100}% phase-in x EUR ${breakdown.euaPrice}/t`,
+    breakdown
+  };
+}
+
+// Функция для получения интенсивности выбросов торговой линии (направление линии не учитывается)
+function getLaneIntensity(originArea, destinationArea) {
+  const intensity = TRADE_LANE_INTENSITIES[`${originArea}|${destinationArea}`] ??
+                    TRADE_LANE_INTENSITIES[`${destinationArea}|${originArea}`];
+  return {
+    laneKey: `${originArea}|${destinationArea}`,
+    intensity: intensity ?? DEFAULT_LANE_INTENSITY,
+    isDefault: intensity === undefined
+  };
+}
+
+// Функция для расчета выбросов CO2e отправки (well-to-wake) по методике GLEC
+// Выбросы = масса груза с тарой контейнера (т) * расстояние (км) * интенсивность линии (г CO2e/т-км)
+async function calculateShipmentEmissions(originPortId, destinationPortId, containerType, weight, distanceNM = null) {
+  const portsResult = await pool.query(
+    'SELECT id, name, country, region, latitude, longitude FROM ports WHERE id IN ($1, $2)',
+    [originPortId, destinationPortId]
+  );
+  const originPort = portsResult.rows.find(port => port.id === originPortId);
+  const destinationPort = portsResult.rows.find(port => port.id === destinationPortId);
+
+  const distance = distanceNM || await fuelSurchargeCalculator.getPortDistance(originPortId, destinationPortId);
+  const teu = await getContainerTeu(containerType);
+
+  // Вес груза в запросе указывается в кг; без веса используется масса по умолчанию на TEU.
+  // К массе груза добавляется тара по вместимости контейнера в TEU
+  const weightKg = parseFloat(weight);
+  const cargoTonnes = weightKg > 0 ? weightKg / 1000 : teu * DEFAULT_CARGO_TONNES_PER_TEU;
+  const tareTonnes = teu * TARE_TONNES_PER_TEU;
+  const grossTonnes = cargoTonnes + tareTonnes;
+
+  const lane = getLaneIntensity(laneResolver.getTradeArea(originPort), laneResolver.getTradeArea(destinationPort));
+  const distanceKm = distance * KM_PER_NM;
+  const wtwKg = grossTonnes * distanceKm * lane.intensity / 1000;
+
+  return {
+    co2eKg: Math.round(wtwKg),
+    wtwKg: Math.round(wtwKg),
+    ttwKg: Math.round(wtwKg * TTW_SHARE_OF_WTW),
+    distanceNM: distance,
+    distanceKm: Math.round(distanceKm),
+    cargoTonnes: Math.round(cargoTonnes * 100) / 100,
+    tareTonnes: Math.round(tareTonnes * 100) / 100,
+    grossTonnes: Math.round(grossTonnes * 100) / 100,
+    teu,
+    laneKey: lane.laneKey,
+    intensity: lane.intensity,
+    intensityUnit: 'g CO2e/t-km',
+    defaultIntensity: lane.isDefault,
+    methodology: 'GLEC Framework, well-to-wake, default trade lane intensity'
+  };
+}
+
+// Экспорт функций
+export default {
+  EU_ETS_COUNTRIES,
+  getContainerTeu,
+  calculateVoyageCo2,
+  getEtsPhaseIn,
+  getEtsVoyageType,
+  calculateEtsSurcharge,
+  calculateShipmentEmissions
+};
@@ -397,9 +397,8 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
 
       if (fuelPriceData && fuelPriceData.price) {
         // Рассчитываем надбавку
-        // Нужны расстояние или время в пути. Пока используем заглушку.
-        // TODO: Реализовать получение расстояния/времени для маршрута
-        const distanceNM = 5000; // Примерное расстояние в морских милях
+        // Расстояние по графу судоходных путей в морских милях
+        const distanceNM = await fuelSurchargeCalculator.getPortDistance(originPortId, destinationPortId);
         fuelSurcharge = fuelSurchargeCalculator.calculateSurcharge(fuelPriceData.price, distanceNM, containerType);
         fuelSurchargeStep.surcharge = fuelSurcharge;
         fuelSurchargeStep.details = `Calculated surcharge based on ${fuelType} price ${fuelPriceData.price} (Date: ${fuelPriceData.price_date}) for distance ${distanceNM} NM.`;
@@ -465,7 +464,7 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
         const fuelType = 'VLSFO';
         const fuelPriceData = await fuelSurchargeCalculator.getLatestFuelPrice(fuelType);
         if (fuelPriceData && fuelPriceData.price) {
-            const distanceNM = 5000; // Пример
+            const distanceNM = await fuelSurchargeCalculator.getPortDistance(originPortId, destinationPortId);
             const surcharge = fuelSurchargeCalculator.calculateSurcharge(fuelPriceData.price, distanceNM, containerType);
             finalFallbackRate += surcharge;
             if (debugMode) debugLog.push({ stage: 'Fallback Fuel Surcharge', surcharge, finalFallbackRate });
@@ -16,8 +16,22 @@ import istfixScraper from './istfix_scraper.js';
 import ctsScraper from './cts_scraper.js';
 
 import scraperAdapters from './scraper_adapters.js';
+import laneResolver from './lane_resolver.js';
 import seasonalityAnalyzer from './seasonality_analyzer.js';
 import fuelSurchargeCalculator from './fuel_surcharge_calculator.js';
+import routeOptions from './route_options.js';
+import surchargeCalculator from './surcharge_calculator.js';
+import emissionsCalculator from './emissions_calculator.js';
+import reeferCalculator from './reefer_calculator.js';
+import dangerousGoods from './dangerous_goods.js';
+import oogCalculator from './oog_calculator.js';
+import transshipment from './transshipment.js';
+import inlandHaulage from './inland_haulage.js';
+import transitTime from './transit_time.js';
+import customerAccounts from './customer_accounts.js';
+import settingsService from './settings_service.js';
+import modifierBaselines from './modifier_baselines.js';
+import indexHistory from './index_history.js';
 import webSearchIndices from './web_search_indices.js'; // Import web search module
 
 // Загрузка переменных окружения
@@ -32,30 +46,29 @@ const pool = new Pool({
   }
 });
 
-// Весовые коэффициенты для основных индексов спотовых ставок
-const CORE_SOURCE_WEIGHTS = {
-  'SCFI': 1.2,
-  'Freightos FBX': 1.2,
-  'Drewry WCI': 1.1,
-  'CCFI': 1.0,
-};
+// Весовые коэффициенты индексов задаются в настройках системы (settings_service.js) и читаются при каждом расчете;
+// базовые значения модификаторов - скользящие медианы истории индексов (modifier_baselines.js)
 
-// Веса для модификаторов (можно настроить)
-const MODIFIER_WEIGHTS = {
-  'Harpex': 0.4,
-  'NewConTex': 0.4,
-  'BDI': 0.1,
-  'CTS': 0.2,
-  'ISTFIX': 1.5 // Используется только для Intra-Asia
-};
+// Функция для получения весов основных индексов спотовых ставок
+function getCoreSourceWeights(settings) {
+  return {
+    'SCFI': settings.scfi_weight,
+    'FBX': settings.fbx_weight,
+    'WCI': settings.wci_weight,
+    'CCFI': settings.ccfi_weight
+  };
+}
 
-// Placeholder для базовых значений модификаторов (в идеале - из исторических данных)
-const MODIFIER_BASELINES = {
-  'Harpex': 1000, // Примерное значение
-  'NewConTex': 500, // Примерное значение
-  'BDI': 1500, // Примерное значение
-  'CTS': 100 // Примерное значение (индекс)
-};
+// Функция для получения весов модификаторов
+function getModifierWeights(settings) {
+  return {
+    'Harpex': settings.harpex_weight,
+    'NewConTex': settings.newcontex_weight,
+    'BDI': settings.bdi_weight,
+    'CTS': settings.cts_weight,
+    'ISTFIX': settings.istfix_weight // Используется только для Intra-Asia
+  };
+}
 
 // --- Вспомогательные функции ---
 
@@ -74,7 +87,8 @@ function calculateStandardDeviation(values) {
 }
 
 // Функция для базового расчета ставки фрахта (если нет данных из источников)
-function calculateBaseRate(origin, destination, containerType, debugLog = []) {
+// reliability - надежность расчета без данных (настройка default_reliability)
+function calculateBaseRate(origin, destination, containerType, debugLog = [], reliability = settingsService.SETTINGS_SCHEMA.default_reliability.default) {
   const step = { stage: 'Base Rate Calculation (Fallback)', inputs: { origin, destination, containerType } };
   try {
     function simpleHash(str) {
@@ -96,7 +110,7 @@ function calculateBaseRate(origin, destination, containerType, debugLog = []) {
       rate: baseRate,
       minRate: Math.round(baseRate * 0.9),
       maxRate: Math.round(baseRate * 1.1),
-      reliability: 0.7,
+      reliability,
       sourceCount: 0,
       sourcesUsed: ['Base calculation fallback'],
       finalRate: baseRate
@@ -147,18 +161,114 @@ async function getPortRegionById(portId) {
 
 // --- Основная функция расчета --- 
 
-async function calculateFreightRate(originPortId, destinationPortId, containerType, weight = 20000, debugMode = false) {
+// Функция для оценки транзитного времени по плечам маршрута; ошибка оценки не прерывает расчет ставки
+async function estimateTransit(legs, parameters = null) {
+  try {
+    return await transitTime.estimateTransitTime(legs, parameters);
+  } catch (error) {
+    console.error('Error estimating transit time:', error);
+    return null;
+  }
+}
+
+// Функция для получения окна транзитного времени (мин./макс. сут) без детализации по плечам
+function getTransitWindow(estimate) {
+  return estimate ? { minDays: estimate.minDays, maxDays: estimate.maxDays } : null;
+}
+
+// Функция для поиска договорной ставки клиента; ошибка поиска не прерывает расчет - применяется спотовая ставка
+async function findContract(customerId, originPortId, destinationPortId, containerType) {
+  try {
+    return await customerAccounts.findContractRate(customerId, originPortId, destinationPortId, containerType);
+  } catch (error) {
+    console.error('Error fetching contract rate, using spot rate:', error);
+    return null;
+  }
+}
+
+// Функция для описания основы ставки морского фрахта: договорная ставка клиента или спотовая по индексам
+function getPricing(options, spotRate) {
+  if (options.contract) {
+    return {
+      basis: 'contract',
+      contractId: options.contract.id,
+      contractNumber: options.contract.contractNumber,
+      contractRate: options.contract.rate,
+      spotRate,
+      validTo: options.contract.validTo
+    };
+  }
+  return {
+    basis: 'spot',
+    spotRate,
+    reason: options.customerId ? 'No contract rate valid today for this lane and container type' : undefined
+  };
+}
+
+// Функция для применения договорной ставки к резервному расчету (разбивки нет - вся ставка считается морским фрахтом)
+function withContractPricing(baseResult, options) {
+  if (!options.contract) {
+    return { ...baseResult, pricing: getPricing(options, baseResult.rate) };
+  }
+  const rate = options.contract.rate;
+  return { ...baseResult, rate, minRate: rate, maxRate: rate, finalRate: rate, pricing: getPricing(options, baseResult.rate) };
+}
+
+// options.routing - 'auto' (самый дешевый вариант) или тип маршрута: 'suez', 'cape', 'panama' и т.д.
+// options.setTemperature - заданная температура рефконтейнера, °C (для 20RF, 40RH)
+// options.dangerousGoods - опасный груз { imoClass, unNumber }
+// options.cargoDimensions - размеры груза { length, width, height } в см (для негабаритных грузов)
+// options.mainlineOnly - рассчитать прямой заход без построения маршрутов через хабы
+// options.customerId - клиент, для которого действующая договорная ставка на линию заменяет спотовый морской фрахт
+// options.asOf - дата расчета в прошлом (YYYY-MM-DD) для бэктеста: индексы, цены топлива и надбавки читаются на эту дату
+async function calculateFreightRate(originPortId, destinationPortId, containerType, weight = 20000, debugMode = false, options = {}) {
+  // Снимок настроек { version, values } берется один раз и передается в расчет магистральной линии и строк отправки
+  if (!options.settings) {
+    options = { ...options, settings: await settingsService.getSettingsSnapshot() };
+  }
+
+  // Договор ищется по линии запроса клиента; при расчете через хабы договорная ставка - сквозная ставка морской перевозки:
+  // она заменяет фрахт магистральной линии, а фидерные плечи и перевалка отдельно не начисляются
+  if (options.customerId && options.contract === undefined) {
+    options = { ...options, contract: await findContract(options.customerId, originPortId, destinationPortId, containerType) };
+  }
+
+  // Порты, обслуживаемые фидерами, рассчитываются через хабы: фидер + магистральная линия + перевалка
+  if (!options.mainlineOnly) {
+    let itineraries = [];
+    try {
+      itineraries = await transshipment.buildItineraries(originPortId, destinationPortId);
+    } catch (error) {
+      console.error('Error building transshipment itineraries, pricing as direct call:', error);
+    }
+    if (itineraries.length > 0) {
+      return await calculateTransshipmentRate(originPortId, destinationPortId, containerType, weight, debugMode, options, itineraries);
+    }
+  }
+
+  const requestedRouting = options.routing || 'auto';
+  const setTemperature = options.setTemperature === undefined || options.setTemperature === null || options.setTemperature === ''
+    ? null
+    : Number(options.setTemperature);
   const debugLog = [];
   const startTime = Date.now();
 
   if (debugMode) {
-    debugLog.push({ stage: 'Start Calculation', inputs: { originPortId, destinationPortId, containerType, weight: 20000 }, timestamp: new Date().toISOString() });
+    debugLog.push({ stage: 'Start Calculation', inputs: { originPortId, destinationPortId, containerType, weight, routing: requestedRouting, setTemperature, dangerousGoods: options.dangerousGoods, cargoDimensions: options.cargoDimensions }, timestamp: new Date().toISOString() });
   }
 
   try {
+    // 0. Настройки расчета: веса индексов
+    const settings = options.settings.values;
+    const coreSourceWeights = getCoreSourceWeights(settings);
+    const modifierWeights = getModifierWeights(settings);
+
     // 1. Получение данных из всех источников параллельно
-    const fetchStep = { stage: 'Fetch Index Data', sources: {} };
-    const indexPromises = {
+    const fetchStep = { stage: 'Fetch Index Data', asOf: options.asOf, sources: {} };
+    // При расчете на прошлую дату значения берутся только из истории индексов, без скраперов
+    const indexPromises = options.asOf
+      ? Object.fromEntries(Object.keys(indexHistory.INDEX_SERIES).map(key => [key, indexHistory.getIndexValueAsOf(key, options.asOf)]))
+      : {
       SCFI: scfiScraper.getSCFIDataForCalculation(), // Предполагаем, что эта функция есть и возвращает { current_index, change, index_date }
       FBX: scraperAdapters.getFBXDataForCalculationAdapter(),   // Используем адаптер
       WCI: scraperAdapters.getWCIDataForCalculationAdapter(),   // Используем адаптер
@@ -181,6 +291,10 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
       if (result.status === 'fulfilled' && result.value) {
         indexData[key] = result.value;
         fetchStep.sources[key] = { status: 'Success', value: indexData[key] };
+      } else if (options.asOf) {
+        // Веб-поиск возвращает текущие значения, на прошлую дату он неприменим
+        indexData[key] = null;
+        fetchStep.sources[key] = { status: 'Failed (No History)', reason: result.reason?.message || `No ${key} value published on or before ${options.asOf}` };
       } else {
         // Primary fetch failed, try web search fallback
         console.log(`[Fallback] Primary fetch for ${key} failed. Reason: ${result.reason?.message || 'No data returned'}. Trying web search...`);
@@ -209,19 +323,57 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
     }
     if (debugMode) debugLog.push(fetchStep);
 
+    // 1.1 Определение торговой линии для пары портов (SCFI, FBX, WCI)
+    const laneStep = { stage: 'Resolve Trade Lane', inputs: { originPortId, destinationPortId }, lanes: {} };
+    let laneData = { lanes: {} };
+    try {
+      laneData = await laneResolver.resolveLaneIndices(originPortId, destinationPortId, options.asOf || null);
+      laneStep.laneKey = laneData.laneKey;
+      laneStep.knownLane = laneData.knownLane;
+      for (const [sourceName, lane] of Object.entries(laneData.lanes)) {
+        laneStep.lanes[sourceName] = lane
+          ? { basis: 'lane', route: lane.route, value: lane.current_index, unit: lane.unit, rawValue: lane.raw_index, indexDate: lane.index_date }
+          : { basis: 'composite', reason: laneData.knownLane ? 'No lane row found in index table' : 'No lane mapping for region pair' };
+      }
+      laneStep.status = 'Success';
+    } catch (error) {
+      laneStep.status = 'Error resolving lanes, using composite indices';
+      laneStep.error = error.message;
+      console.error('Error resolving trade lane:', error);
+    }
+    if (debugMode) debugLog.push(laneStep);
+
     // 2. Расчет базовой ставки на основе основных индексов
-    const coreRateStep = { stage: 'Calculate Core Rate', inputs: {}, sourcesUsed: [], totalWeight: 0, weightedSum: 0 };
+    // Для источников с найденной линией используется значение линии, иначе - композитный индекс
+    // Композитные индексы публикуются в пунктах: если найдена хотя бы одна линия (USD/FEU) с ненулевым весом,
+    // источники без линии (включая CCFI, у которого линий нет) исключаются из средневзвешенного,
+    // чтобы не смешивать пункты со ставками
+    const hasLaneRates = Object.entries(laneData.lanes).some(([sourceName, lane]) => lane && coreSourceWeights[sourceName] > 0);
+    const coreRateStep = { stage: 'Calculate Core Rate', inputs: {}, excluded: {}, sourcesUsed: [], totalWeight: 0, weightedSum: 0 };
     const coreSourcesData = [];
     for (const sourceName of ['SCFI', 'FBX', 'WCI', 'CCFI']) {
-      if (indexData[sourceName] && indexData[sourceName].current_index) {
-        const weight = CORE_SOURCE_WEIGHTS[sourceName] || 1.0;
+      const lane = laneData.lanes[sourceName];
+      if (!lane && hasLaneRates) {
+        coreRateStep.excluded[sourceName] = 'Composite index points are not comparable with lane rates in USD/FEU';
+        continue;
+      }
+      const sourceRate = lane
+        ? lane.current_index
+        : (indexData[sourceName] && indexData[sourceName].current_index ? parseFloat(indexData[sourceName].current_index) : null);
+
+      // Источник с нулевым весом исключен из расчета в настройках
+      const weight = coreSourceWeights[sourceName];
+      if (sourceRate && weight > 0) {
         coreSourcesData.push({
           source: sourceName,
-          rate: indexData[sourceName].current_index,
-          weight: weight
+          rate: sourceRate,
+          weight: weight,
+          basis: lane ? 'lane' : 'composite',
+          route: lane ? lane.route : null,
+          indexDate: lane ? lane.index_date : indexData[sourceName].index_date
         });
-        coreRateStep.inputs[sourceName] = { rate: indexData[sourceName].current_index, weight: weight };
-        coreRateStep.weightedSum += indexData[sourceName].current_index * weight;
+        coreRateStep.inputs[sourceName] = { rate: sourceRate, weight: weight, basis: lane ? 'lane' : 'composite', route: lane ? lane.route : undefined };
+        coreRateStep.weightedSum += sourceRate * weight;
         coreRateStep.totalWeight += weight;
       }
     }
@@ -235,13 +387,20 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
     } else {
       // Если нет данных от основных источников, используем базовый расчет
       if (debugMode) debugLog.push({ stage: 'Core Rate Calculation', status: 'Failed', reason: 'No data from core indices (SCFI, FBX, WCI, CCFI). Falling back to base calculation.' });
-      const baseResult = calculateBaseRate(originPortId, destinationPortId, containerType, debugLog);
+      const baseResult = calculateBaseRate(originPortId, destinationPortId, containerType, debugLog, settings.default_reliability);
       // Логирование базового расчета уже внутри calculateBaseRate
-      return { ...baseResult, debugLog: debugMode ? debugLog : undefined };
+      const baseTransit = await estimateTransit([{ type: 'mainline', from: originPortId, to: destinationPortId }]);
+      return { ...withContractPricing(baseResult, options), settingsVersion: options.settings.version, transitTime: baseTransit, debugLog: debugMode ? debugLog : undefined };
     }
     if (debugMode) debugLog.push(coreRateStep);
 
     // 3. Расчет и применение модификаторов
+    // Базовое значение модификатора - медиана индекса за окно; без достаточной истории - значение из настроек
+    const baselines = options.asOf
+      ? await modifierBaselines.getBaselinesAsOf(settings, options.asOf)
+      : await modifierBaselines.getCurrentBaselines(settings);
+    if (debugMode) debugLog.push({ stage: 'Resolve Modifier Baselines', baselines });
+
     let modifiedRate = calculatedRate;
     const modifierStep = { stage: 'Apply Modifiers', initialRate: calculatedRate, modifiersApplied: {}, finalRate: null };
 
@@ -250,14 +409,14 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
     let charterSources = 0;
     if (indexData.Harpex && indexData.Harpex.current_index) {
       // Простая логика: если выше базового, увеличиваем, если ниже - уменьшаем
-      charterModifier *= (1 + MODIFIER_WEIGHTS.Harpex * (indexData.Harpex.current_index - MODIFIER_BASELINES.Harpex) / MODIFIER_BASELINES.Harpex);
+      charterModifier *= (1 + modifierWeights.Harpex * (indexData.Harpex.current_index - baselines.Harpex.value) / baselines.Harpex.value);
       charterSources++;
-      modifierStep.modifiersApplied.Harpex = { value: indexData.Harpex.current_index, baseline: MODIFIER_BASELINES.Harpex, weight: MODIFIER_WEIGHTS.Harpex };
+      modifierStep.modifiersApplied.Harpex = { value: indexData.Harpex.current_index, baseline: baselines.Harpex.value, baselineBasis: baselines.Harpex.basis, weight: modifierWeights.Harpex };
     }
     if (indexData.NewConTex && indexData.NewConTex.current_index) {
-      charterModifier *= (1 + MODIFIER_WEIGHTS.NewConTex * (indexData.NewConTex.current_index - MODIFIER_BASELINES.NewConTex) / MODIFIER_BASELINES.NewConTex);
+      charterModifier *= (1 + modifierWeights.NewConTex * (indexData.NewConTex.current_index - baselines.NewConTex.value) / baselines.NewConTex.value);
       charterSources++;
-      modifierStep.modifiersApplied.NewConTex = { value: indexData.NewConTex.current_index, baseline: MODIFIER_BASELINES.NewConTex, weight: MODIFIER_WEIGHTS.NewConTex };
+      modifierStep.modifiersApplied.NewConTex = { value: indexData.NewConTex.current_index, baseline: baselines.NewConTex.value, baselineBasis: baselines.NewConTex.basis, weight: modifierWeights.NewConTex };
     }
     if (charterSources > 0) {
       charterModifier = Math.max(0.8, Math.min(1.2, charterModifier)); // Ограничиваем модификатор +/- 20%
@@ -269,14 +428,14 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
     let demandModifier = 1.0;
     let demandSources = 0;
     if (indexData.BDI && indexData.BDI.current_index) {
-      demandModifier *= (1 + MODIFIER_WEIGHTS.BDI * (indexData.BDI.current_index - MODIFIER_BASELINES.BDI) / MODIFIER_BASELINES.BDI);
+      demandModifier *= (1 + modifierWeights.BDI * (indexData.BDI.current_index - baselines.BDI.value) / baselines.BDI.value);
       demandSources++;
-      modifierStep.modifiersApplied.BDI = { value: indexData.BDI.current_index, baseline: MODIFIER_BASELINES.BDI, weight: MODIFIER_WEIGHTS.BDI };
+      modifierStep.modifiersApplied.BDI = { value: indexData.BDI.current_index, baseline: baselines.BDI.value, baselineBasis: baselines.BDI.basis, weight: modifierWeights.BDI };
     }
     if (indexData.CTS && indexData.CTS.current_index) { // Предполагаем, что CTS возвращает current_index
-      demandModifier *= (1 + MODIFIER_WEIGHTS.CTS * (indexData.CTS.current_index - MODIFIER_BASELINES.CTS) / MODIFIER_BASELINES.CTS);
+      demandModifier *= (1 + modifierWeights.CTS * (indexData.CTS.current_index - baselines.CTS.value) / baselines.CTS.value);
       demandSources++;
-      modifierStep.modifiersApplied.CTS = { value: indexData.CTS.current_index, baseline: MODIFIER_BASELINES.CTS, weight: MODIFIER_WEIGHTS.CTS };
+      modifierStep.modifiersApplied.CTS = { value: indexData.CTS.current_index, baseline: baselines.CTS.value, baselineBasis: baselines.CTS.basis, weight: modifierWeights.CTS };
     }
      if (demandSources > 0) {
       demandModifier = Math.max(0.9, Math.min(1.1, demandModifier)); // Ограничиваем модификатор +/- 10%
@@ -293,7 +452,7 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
     if (isIntraAsia && indexData.ISTFIX && indexData.ISTFIX.current_index) {
       // Для Intra-Asia можно использовать ISTFIX с большим весом или даже заменить им core rate
       // Пример: смешиваем core rate и ISTFIX
-      const istfixWeight = MODIFIER_WEIGHTS.ISTFIX;
+      const istfixWeight = modifierWeights.ISTFIX;
       const coreWeight = 1.0; // Вес для уже рассчитанной ставки
       modifiedRate = (modifiedRate * coreWeight + indexData.ISTFIX.current_index * istfixWeight) / (coreWeight + istfixWeight);
       modifierStep.modifiersApplied.ISTFIX = { applied: true, value: indexData.ISTFIX.current_index, weight: istfixWeight, rateAfter: Math.round(modifiedRate) };
@@ -310,7 +469,7 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
     // 4. Применение сезонности
     const seasonalityStep = { stage: 'Apply Seasonality', initialRate: modifiedRate, factor: 1.0, finalRate: null };
     try {
-      const currentMonth = new Date().getMonth() + 1; // 1-12
+      const currentMonth = (options.asOf ? new Date(options.asOf) : new Date()).getMonth() + 1; // 1-12
       const seasonalityData = await seasonalityAnalyzer.getSeasonalityFactor(originRegion, destinationRegion, currentMonth);
       if (seasonalityData && seasonalityData.factor) {
         seasonalityStep.factor = seasonalityData.factor;
@@ -328,16 +487,59 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
     seasonalityStep.finalRate = modifiedRate;
     if (debugMode) debugLog.push(seasonalityStep);
 
-    // 5. Добавление топливной надбавки
-    const fuelSurchargeStep = { stage: 'Add Fuel Surcharge', initialRate: modifiedRate, surcharge: 0, finalRate: null };
-    let finalRateWithSurcharge = modifiedRate;
+    // 4.1. Договорная ставка клиента заменяет спотовый морской фрахт; надбавки начисляются по тарифу
+    const spotRate = modifiedRate;
+    if (options.contract) {
+      modifiedRate = options.contract.rate;
+      if (debugMode) {
+        debugLog.push({ stage: 'Apply Contract Rate', contractId: options.contract.id, contractNumber: options.contract.contractNumber, spotRate, contractRate: modifiedRate, validTo: options.contract.validTo });
+      }
+    }
+
+    // Параметры топливной надбавки из настроек расчета; при бэктесте цена топлива берется на дату asOf
+    const fuelOptions = { asOf: options.asOf || null, baseFuelPrice: settings.base_fuel_price };
+
+    // 5. Выбор маршрута (Суэц / мыс Доброй Надежды / Панама) с учетом закрытых проходов
+    const routingStep = { stage: 'Select Routing', requested: requestedRouting, selected: null, alternatives: [], unavailable: [], closedChokepoints: [] };
+    let selectedRoute = null;
+    try {
+      const routing = await routeOptions.getRouteAlternatives(originPortId, destinationPortId, containerType, fuelOptions);
+      routingStep.alternatives = routing.alternatives;
+      routingStep.unavailable = routing.unavailable;
+      routingStep.closedChokepoints = routing.closedChokepoints;
+      selectedRoute = routeOptions.selectRoute(routing.alternatives, requestedRouting);
+      if (selectedRoute) {
+        routingStep.selected = selectedRoute.routeType;
+        if (requestedRouting !== 'auto' && selectedRoute.routeType !== requestedRouting) {
+          routingStep.details = `Requested routing '${requestedRouting}' is not available for this port pair. Using '${selectedRoute.routeType}'.`;
+        }
+      } else {
+        routingStep.details = 'No routing alternatives available. Falling back to shortest sea route.';
+      }
+    } catch (error) {
+      routingStep.status = 'Error selecting routing';
+      routingStep.error = error.message;
+      console.error('Error selecting routing:', error);
+    }
+    if (debugMode) debugLog.push(routingStep);
+
+    // 5.1. Добавление топливной надбавки
+    const fuelSurchargeStep = { stage: 'Calculate Fuel Surcharge', surcharge: 0, seaRoute: null };
     try {
-      // Используем ID портов напрямую
-      const surchargeData = await fuelSurchargeCalculator.calculateFuelSurcharge(originPortId, destinationPortId, containerType);
+      const surchargeData = selectedRoute
+        ? await fuelSurchargeCalculator.calculateFuelSurcharge(originPortId, destinationPortId, containerType, 'VLSFO', selectedRoute, fuelOptions)
+        : await fuelSurchargeCalculator.calculateFuelSurcharge(originPortId, destinationPortId, containerType, 'VLSFO', 'sea', fuelOptions);
+      if (surchargeData && surchargeData.distance) {
+        fuelSurchargeStep.seaRoute = {
+          distance: surchargeData.distance,
+          unit: surchargeData.distanceUnit,
+          routeType: surchargeData.routeType,
+          passages: surchargeData.passages
+        };
+      }
       if (surchargeData && surchargeData.surcharge) {
         fuelSurchargeStep.surcharge = surchargeData.surcharge;
-        finalRateWithSurcharge += surchargeData.surcharge;
-        fuelSurchargeStep.details = `Calculated surcharge: ${surchargeData.surcharge}. Type: ${surchargeData.fuelType}. Price: ${surchargeData.fuelPrice}.`;
+        fuelSurchargeStep.details = `Calculated surcharge: ${surchargeData.surcharge}. Type: ${surchargeData.fuelType}. Price: ${surchargeData.fuelPrice}. Distance: ${surchargeData.distance} ${surchargeData.distanceUnit} (${surchargeData.routeType}).`;
       } else {
          fuelSurchargeStep.details = 'No fuel surcharge calculated or returned.';
       }
@@ -346,10 +548,137 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
       fuelSurchargeStep.error = error.message;
       console.error('Error adding fuel surcharge:', error);
     }
-    finalRateWithSurcharge = Math.round(finalRateWithSurcharge);
-    fuelSurchargeStep.finalRate = finalRateWithSurcharge;
     if (debugMode) debugLog.push(fuelSurchargeStep);
 
+    // 5.2. Построчная разбивка ставки: морской фрахт и надбавки (BAF, LSS, PSS, GRI, THC, EU ETS, маршрутные)
+    const surchargeStep = { stage: 'Itemise Surcharges', initialRate: modifiedRate, lineItems: [], finalRate: null };
+    const lineItems = [{ code: 'OCEAN_FREIGHT', name: 'Ocean Freight', amount: modifiedRate }];
+    try {
+      const tableItems = await surchargeCalculator.calculateSurcharges(originPortId, destinationPortId, containerType, {
+        oceanFreight: modifiedRate,
+        fuelSurcharge: fuelSurchargeStep.surcharge,
+        seaRoute: fuelSurchargeStep.seaRoute,
+        transitDays: selectedRoute ? selectedRoute.transitDays : null,
+        setTemperature,
+        asOf: options.asOf || null,
+        settings
+      });
+      lineItems.push(...tableItems);
+    } catch (error) {
+      surchargeStep.status = 'Error calculating table surcharges';
+      surchargeStep.error = error.message;
+      console.error('Error calculating surcharges:', error);
+    }
+    // Если в таблице нет правила BAF, топливная надбавка все равно включается в ставку
+    if (!lineItems.some(item => item.code === 'BAF') && fuelSurchargeStep.surcharge > 0) {
+      lineItems.push({ code: 'BAF', name: 'Bunker Adjustment Factor', amount: fuelSurchargeStep.surcharge, method: 'formula', details: 'Formula: fuel' });
+    }
+    // Надбавки выбранного маршрута (сборы за каналы, военные риски, экстренные надбавки за обход)
+    if (selectedRoute) {
+      const routingItems = [
+        { code: 'CANAL_TOLLS', name: 'Canal Tolls', amount: selectedRoute.canalTolls },
+        { code: 'WAR_RISK', name: 'War Risk Surcharge', amount: selectedRoute.warRiskSurcharge },
+        { code: 'EMERGENCY', name: 'Emergency Diversion Surcharge', amount: selectedRoute.emergencySurcharge }
+      ];
+      lineItems.push(...routingItems.filter(item => item.amount > 0).map(item => ({ ...item, method: 'routing', details: `Routing: ${selectedRoute.routeType}` })));
+    }
+    // Надбавка за опасный груз по классу IMO и торговой линии, ограничения портов и регионов
+    const dgStep = { stage: 'Dangerous Goods', inputs: options.dangerousGoods || null, result: null };
+    if (options.dangerousGoods) {
+      try {
+        dgStep.result = await dangerousGoods.calculateDangerousGoods(originPortId, destinationPortId, containerType, options.dangerousGoods);
+        if (dgStep.result.surcharge > 0) {
+          lineItems.push({
+            code: 'DG',
+            name: 'Dangerous Goods Surcharge',
+            amount: dgStep.result.surcharge,
+            method: 'dg',
+            ruleId: dgStep.result.ruleId,
+            details: `IMO class ${dgStep.result.imoClass} (${dgStep.result.className}), ${dgStep.result.unNumber}`
+          });
+        }
+      } catch (error) {
+        dgStep.status = 'Error calculating dangerous goods surcharge';
+        dgStep.error = error.message;
+        console.error('Error calculating dangerous goods surcharge:', error);
+      }
+      if (debugMode) debugLog.push(dgStep);
+    }
+    // Надбавки за спецоборудование (флэт-рэк, open top, платформа), потерянные места и обработку негабарита
+    const oogStep = { stage: 'Special Equipment / Out-of-Gauge', inputs: options.cargoDimensions || null, result: null };
+    try {
+      oogStep.result = await oogCalculator.calculateSpecialEquipment(containerType, options.cargoDimensions || null, modifiedRate);
+      if (oogStep.result) {
+        lineItems.push(...oogStep.result.items.filter(item => item.amount > 0));
+      }
+    } catch (error) {
+      oogStep.status = 'Error calculating special equipment charges';
+      oogStep.error = error.message;
+      console.error('Error calculating special equipment charges:', error);
+    }
+    if (debugMode && oogStep.result) debugLog.push(oogStep);
+    const finalRateWithSurcharge = Math.round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    // Часть ставки, зависящая от маршрута (BAF по формуле, EU ETS и маршрутные надбавки), - для сравнения альтернатив
+    const bafFromFuel = lineItems.some(item => item.code === 'BAF' && item.method === 'formula');
+    const routeDependentAmount = lineItems
+      .filter(item => item.method === 'routing' || (['BAF', 'ETS'].includes(item.code) && item.method === 'formula'))
+      .reduce((sum, item) => sum + item.amount, 0);
+    // Выбросы CO2 и стоимость квот EU ETS пропорциональны расстоянию, поэтому для альтернативы
+    // сумма ETS выбранного маршрута пересчитывается по ее расстоянию
+    const etsFormulaItem = lineItems.find(item => item.code === 'ETS' && item.method === 'formula');
+    const getAlternativeEts = alternative => {
+      if (!etsFormulaItem) return 0;
+      const etsDistance = etsFormulaItem.breakdown && etsFormulaItem.breakdown.distance;
+      return etsDistance > 0 ? etsFormulaItem.amount * alternative.distance / etsDistance : etsFormulaItem.amount;
+    };
+    surchargeStep.lineItems = lineItems;
+    surchargeStep.finalRate = finalRateWithSurcharge;
+    if (debugMode) debugLog.push(surchargeStep);
+
+    // Детали расчета EU ETS (выбросы CO2, доля рейса, доля квот, цена EUA)
+    const etsItem = lineItems.find(item => item.code === 'ETS');
+    if (debugMode && etsItem) {
+      debugLog.push({ stage: 'EU ETS Surcharge', amount: etsItem.amount, details: etsItem.details, ...etsItem.breakdown });
+    }
+
+    // 5.3. Оценка выбросов CO2e отправки (well-to-wake) по расстоянию выбранного маршрута
+    const emissionsStep = { stage: 'Estimate Emissions', emissions: null };
+    try {
+      emissionsStep.emissions = await emissionsCalculator.calculateShipmentEmissions(
+        originPortId, destinationPortId, containerType, weight,
+        fuelSurchargeStep.seaRoute ? fuelSurchargeStep.seaRoute.distance : null
+      );
+    } catch (error) {
+      emissionsStep.status = 'Error estimating emissions';
+      emissionsStep.error = error.message;
+      console.error('Error estimating emissions:', error);
+    }
+    if (debugMode) debugLog.push(emissionsStep);
+
+    // 5.4. Оценка транзитного времени порт - порт по выбранному маршруту и по каждой альтернативе
+    const transitStep = { stage: 'Estimate Transit Time', transitTime: null, alternatives: {} };
+    try {
+      const transitParameters = await transitTime.getTransitParameters();
+      transitStep.transitTime = await transitTime.estimateTransitTime([{
+        type: 'mainline',
+        from: originPortId,
+        to: destinationPortId,
+        distance: fuelSurchargeStep.seaRoute ? fuelSurchargeStep.seaRoute.distance : null,
+        delayDays: selectedRoute ? selectedRoute.delayDays : 0
+      }], transitParameters);
+      for (const alternative of routingStep.alternatives) {
+        const estimate = await transitTime.estimateTransitTime([{
+          type: 'mainline', from: originPortId, to: destinationPortId, distance: alternative.distance, delayDays: alternative.delayDays
+        }], transitParameters);
+        transitStep.alternatives[alternative.routeType] = getTransitWindow(estimate);
+      }
+    } catch (error) {
+      transitStep.status = 'Error estimating transit time';
+      transitStep.error = error.message;
+      console.error('Error estimating transit time:', error);
+    }
+    if (debugMode) debugLog.push(transitStep);
+
     // 6. Расчет диапазона и надежности (улучшенный)
     const finalCalcStep = { stage: 'Final Calculation', baseRate: modifiedRate, finalRateWithSurcharge: finalRateWithSurcharge, minRate: 0, maxRate: 0, reliability: 0, sourcesUsed: [], sourceCount: 0 };
 
@@ -368,6 +697,7 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
     if (modifierStep.modifiersApplied.ISTFIX?.applied) allSourcesUsed.push('ISTFIX');
     if (seasonalityStep.factor !== 1.0) allSourcesUsed.push('Seasonality');
     if (fuelSurchargeStep.surcharge > 0) allSourcesUsed.push('Fuel Surcharge');
+    if (lineItems.length > 1) allSourcesUsed.push('Surcharges');
 
     finalCalcStep.sourcesUsed = allSourcesUsed;
     finalCalcStep.sourceCount = allSourcesUsed.length; // Считаем все использованные источники после добавления всех источников
@@ -377,9 +707,15 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
     // Используем 'modifiedRate' (до топливной надбавки) как основу для диапазона
     finalCalcStep.minRate = Math.round(Math.max(modifiedRate - coreStdDev, modifiedRate * 0.85));
     finalCalcStep.maxRate = Math.round(Math.min(modifiedRate + coreStdDev, modifiedRate * 1.15));
+    // Договорная ставка фиксирована - диапазона нет
+    if (options.contract) {
+      finalCalcStep.minRate = modifiedRate;
+      finalCalcStep.maxRate = modifiedRate;
+    }
 
     // Расчет надежности: база 0.7 + бонус за количество основных источников + бонус за согласованность
-    const maxCoreSources = Object.keys(CORE_SOURCE_WEIGHTS).length;
+    const maxCoreSources = Object.entries(coreSourceWeights)
+      .filter(([sourceName, weight]) => weight > 0 && !coreRateStep.excluded[sourceName]).length;
     const sourceRatio = coreSourcesData.length / maxCoreSources;
     const cv = calculatedRate > 0 ? coreStdDev / calculatedRate : 0; // Коэфф. вариации основных индексов
     // Надежность от 0.7 до 1.0
@@ -395,13 +731,49 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
     // Формирование итогового результата
     return {
       rate: modifiedRate, // Ставка до топливной надбавки
+      pricing: getPricing(options, spotRate), // Основа морского фрахта: договорная или спотовая ставка
       minRate: finalCalcStep.minRate,
       maxRate: finalCalcStep.maxRate,
       fuelSurcharge: fuelSurchargeStep.surcharge,
+      lineItems, // Разбивка итоговой ставки: морской фрахт и надбавки
+      emissions: emissionsStep.emissions, // Выбросы CO2e отправки (well-to-wake)
+      reefer: reeferCalculator.isReeferContainer(containerType)
+        ? { setTemperature, mode: reeferCalculator.getTemperatureMode(setTemperature) }
+        : null, // Температурный режим рефконтейнера
+      dangerousGoods: dgStep.result, // Класс IMO, надбавка и ограничения для опасного груза
+      outOfGauge: oogStep.result ? {
+        category: oogStep.result.category,
+        assessment: oogStep.result.assessment,
+        lostSlots: oogStep.result.lostSlots
+      } : null, // Спецоборудование и выход груза за габариты
+      seaRoute: fuelSurchargeStep.seaRoute, // Морской маршрут, по которому рассчитана топливная надбавка
+      routing: {
+        requested: requestedRouting,
+        selected: routingStep.selected,
+        closedChokepoints: routingStep.closedChokepoints,
+        // Альтернативы с итоговой ставкой для сравнения (например, Суэц против мыса Доброй Надежды):
+        // маршрутные надбавки и EU ETS выбранного варианта заменяются надбавками альтернативы
+        alternatives: routingStep.alternatives.map(alternative => ({
+          ...alternative,
+          totalRate: finalRateWithSurcharge - routeDependentAmount + alternative.totalSurcharge - (bafFromFuel ? 0 : alternative.fuelSurcharge) + getAlternativeEts(alternative),
+          transitWindow: transitStep.alternatives[alternative.routeType] || null // Окно транзитного времени варианта, сут
+        })),
+        unavailable: routingStep.unavailable
+      },
+      itinerary: { type: 'direct', hubs: [], legs: [{ type: 'mainline', from: originPortId, to: destinationPortId }] },
+      transitTime: transitStep.transitTime, // Транзитное время порт - порт: окно minDays - maxDays и время по плечам
+      // Значения индексов, использованные в расчете (основные источники и модификаторы), с датой публикации
+      indexValues: [
+        ...coreSourcesData.map(d => ({ source: d.source, role: 'core', value: d.rate, weight: d.weight, basis: d.basis, route: d.route, indexDate: d.indexDate || null })),
+        ...['Harpex', 'NewConTex', 'BDI', 'CTS', 'ISTFIX']
+          .filter(key => modifierStep.modifiersApplied[key] && modifierStep.modifiersApplied[key].applied !== false)
+          .map(key => ({ source: key, role: 'modifier', value: parseFloat(indexData[key].current_index), indexDate: indexData[key].index_date || null }))
+      ],
       finalRate: finalRateWithSurcharge, // Итоговая ставка с надбавкой
       reliability: finalCalcStep.reliability,
       sourceCount: finalCalcStep.sourceCount, // Только основные источники
       sourcesUsed: finalCalcStep.sourcesUsed, // Все факторы
+      settingsVersion: options.settings.version, // Версия настроек, по которой выполнен расчет
       debugLog: debugMode ? debugLog : undefined
     };
 
@@ -411,9 +783,383 @@ async function calculateFreightRate(originPortId, destinationPortId, containerTy
       debugLog.push({ stage: 'Critical Error', error: error.message, stack: error.stack });
     }
     // Возвращаем базовый расчет при критической ошибке
-    const baseResult = calculateBaseRate(originPortId, destinationPortId, containerType, debugLog);
-    return { ...baseResult, debugLog: debugMode ? debugLog : undefined };
+    const baseResult = calculateBaseRate(originPortId, destinationPortId, containerType, debugLog, options.settings.values.default_reliability);
+    const baseTransit = await estimateTransit([{ type: 'mainline', from: originPortId, to: destinationPortId }]);
+    return { ...withContractPricing(baseResult, options), settingsVersion: options.settings.version, transitTime: baseTransit, debugLog: debugMode ? debugLog : undefined };
+  }
+}
+
+// Функция для расчета ставки через хабы: каждый маршрут оценивается как ставка магистральной линии между хабами
+// плюс фидерные плечи и сборы за перевалку; выбирается самый дешевый маршрут
+// Договорная ставка на линию запроса включает фидерные плечи и перевалку - они не начисляются сверх нее
+async function calculateTransshipmentRate(originPortId, destinationPortId, containerType, weight, debugMode, options, itineraries) {
+  const mainlineResults = {};
+  const priced = [];
+
+  for (const itinerary of itineraries) {
+    // Маршрут только из фидерного плеча (порт - собственный хаб фидера) рассчитывается как прямой заход,
+    // в котором ставка фидера заменяет морской фрахт; надбавки начисляются по паре портов
+    const mainlinePorts = itinerary.mainline || { origin: originPortId, destination: destinationPortId };
+    const mainlineKey = `${mainlinePorts.origin}|${mainlinePorts.destination}`;
+    if (!mainlineResults[mainlineKey]) {
+      mainlineResults[mainlineKey] = await calculateFreightRate(
+        mainlinePorts.origin, mainlinePorts.destination, containerType, weight, debugMode, { ...options, mainlineOnly: true }
+      );
+    }
+    const mainline = mainlineResults[mainlineKey];
+    const items = options.contract ? [] : transshipment.getItineraryItems(itinerary, containerType);
+    const replacesOceanFreight = !itinerary.mainline && items.length > 0;
+    const extraAmount = items.reduce((sum, item) => sum + item.amount, 0) - (replacesOceanFreight ? mainline.rate : 0);
+    priced.push({ itinerary, mainline, items, replacesOceanFreight, extraAmount, totalRate: mainline.finalRate + extraAmount });
+  }
+
+  // Транзитное время каждого маршрута: фидерные плечи по расписанию, магистральная линия - по выбранному варианту маршрута
+  const transitParameters = await transitTime.getTransitParameters().catch(() => null);
+  for (const candidate of priced) {
+    candidate.transitTime = await estimateTransit(
+      getItineraryTransitLegs(candidate.itinerary, getSelectedRouteAlternative(candidate.mainline)), transitParameters
+    );
+  }
+
+  const selected = priced.reduce((best, candidate) => candidate.totalRate < best.totalRate ? candidate : best);
+  const { mainline, items, replacesOceanFreight, extraAmount } = selected;
+
+  const alternativeWindows = {};
+  for (const alternative of (mainline.routing ? mainline.routing.alternatives : [])) {
+    alternativeWindows[alternative.routeType] = getTransitWindow(
+      await estimateTransit(getItineraryTransitLegs(selected.itinerary, alternative), transitParameters)
+    );
+  }
+
+  // Выбросы пересчитываются по всему маршруту: магистральная линия плюс фидерные плечи
+  let emissions = mainline.emissions || null;
+  if (selected.itinerary.mainline && mainline.seaRoute && mainline.seaRoute.distance) {
+    try {
+      let distance = mainline.seaRoute.distance;
+      for (const leg of selected.itinerary.legs.filter(leg => leg.type === 'feeder')) {
+        distance += await fuelSurchargeCalculator.getPortDistance(leg.from, leg.to) || 0;
+      }
+      emissions = await emissionsCalculator.calculateShipmentEmissions(originPortId, destinationPortId, containerType, weight, distance);
+    } catch (error) {
+      console.error('Error estimating emissions for transshipment itinerary:', error);
+    }
+  }
+
+  const itineraryStep = {
+    stage: 'Select Transshipment Itinerary',
+    selected: selected.itinerary.legs.map(leg => `${leg.from}-${leg.to} (${leg.type})`).join(', '),
+    candidates: priced.map(candidate => ({ hubs: candidate.itinerary.hubs, totalRate: candidate.totalRate, transitWindow: getTransitWindow(candidate.transitTime) })),
+    items,
+    contract: options.contract
+      ? `Contract ${options.contract.contractNumber} on ${originPortId}-${destinationPortId} applied as the through ocean rate; feeder and transshipment charges not added`
+      : undefined
+  };
+
+  // Ставка фидера показывается строкой морского фрахта (к ней же относится маржа продажи)
+  const feederRate = replacesOceanFreight ? items[0].amount : null;
+  return {
+    ...mainline,
+    ...(replacesOceanFreight ? { rate: feederRate, minRate: feederRate, maxRate: feederRate } : {}),
+    lineItems: mainline.lineItems
+      ? (replacesOceanFreight
+        ? mainline.lineItems.map(item => item.code === 'OCEAN_FREIGHT' ? { ...item, amount: feederRate, details: items[0].details } : item)
+        : [...mainline.lineItems, ...items])
+      : undefined,
+    emissions,
+    routing: mainline.routing ? {
+      ...mainline.routing,
+      alternatives: mainline.routing.alternatives.map(alternative => ({
+        ...alternative,
+        totalRate: alternative.totalRate + extraAmount,
+        transitWindow: alternativeWindows[alternative.routeType] || null
+      }))
+    } : mainline.routing,
+    itinerary: {
+      type: selected.itinerary.mainline ? 'transshipment' : 'feeder',
+      hubs: selected.itinerary.hubs,
+      legs: selected.itinerary.legs,
+      transitDays: selected.itinerary.legs.reduce((sum, leg) => sum + (leg.transitDays || 0), 0) || null, // Время на фидерных плечах, сут
+      alternatives: priced.map(candidate => ({ hubs: candidate.itinerary.hubs, totalRate: candidate.totalRate, transitWindow: getTransitWindow(candidate.transitTime) }))
+    }, // Маршрут с перевалкой: фидерные плечи и магистральная линия между хабами
+    transitTime: selected.transitTime, // Транзитное время по всему маршруту с учетом перевалки в хабах
+    finalRate: selected.totalRate,
+    debugLog: debugMode ? [itineraryStep, ...(mainline.debugLog || [])] : undefined
+  };
+}
+
+// Функция для получения варианта маршрута, выбранного в расчете магистральной линии (расстояние и задержка на каналах)
+function getSelectedRouteAlternative(result) {
+  if (!result.routing) return null;
+  return result.routing.alternatives.find(alternative => alternative.routeType === result.routing.selected) || null;
+}
+
+// Функция для построения плеч маршрута с перевалкой для оценки транзитного времени
+// Для магистрального плеча подставляются расстояние и задержка варианта маршрута; без варианта расстояние берется по умолчанию
+function getItineraryTransitLegs(itinerary, routeAlternative) {
+  return itinerary.legs.map(leg => leg.type === 'mainline' && routeAlternative
+    ? { ...leg, distance: routeAlternative.distance, delayDays: routeAlternative.delayDays || 0 }
+    : leg);
+}
+
+// Функция для суммирования выбросов по строкам отправки (выбросы строки считаются на один контейнер)
+function sumShipmentEmissions(lines) {
+  const withEmissions = lines.filter(line => line.emissions);
+  if (withEmissions.length === 0) return null;
+
+  const total = { ...withEmissions[0].emissions, co2eKg: 0, wtwKg: 0, ttwKg: 0, cargoTonnes: 0, tareTonnes: 0, grossTonnes: 0, teu: 0 };
+  for (const line of withEmissions) {
+    total.co2eKg += line.emissions.co2eKg * line.quantity;
+    total.wtwKg += line.emissions.wtwKg * line.quantity;
+    total.ttwKg += line.emissions.ttwKg * line.quantity;
+    total.cargoTonnes += line.emissions.cargoTonnes * line.quantity;
+    total.tareTonnes += line.emissions.tareTonnes * line.quantity;
+    total.grossTonnes += line.emissions.grossTonnes * line.quantity;
+    total.teu += line.emissions.teu * line.quantity;
+  }
+  total.cargoTonnes = Math.round(total.cargoTonnes * 100) / 100;
+  total.tareTonnes = Math.round(total.tareTonnes * 100) / 100;
+  total.grossTonnes = Math.round(total.grossTonnes * 100) / 100;
+  return total;
+}
+
+// Функция для определения основы ставки отправки по строкам оборудования
+function getShipmentPricing(lines) {
+  const bases = new Set(lines.map(line => line.pricing ? line.pricing.basis : 'spot'));
+  return { basis: bases.size > 1 ? 'mixed' : [...bases][0] || 'spot' };
+}
+
+// Функция для расчета ставки отправки из нескольких строк оборудования (например, 3 x 40HC + 2 x 20DC)
+// containers: [{ containerType, quantity, weight, setTemperature, dangerousGoods, cargoDimensions }], weight - вес груза в одном контейнере, кг
+// Надбавки за контейнер умножаются на количество, надбавки за бронирование (basis = 'booking') начисляются один раз
+async function calculateShipmentRate(originPortId, destinationPortId, containers, debugMode = false, options = {}) {
+  if (!options.settings) {
+    options = { ...options, settings: await settingsService.getSettingsSnapshot() };
+  }
+  const lines = [];
+  const bookingItems = {};
+  const results = [];
+
+  for (const container of containers) {
+    const quantity = parseInt(container.quantity) || 1;
+    const result = await calculateFreightRate(originPortId, destinationPortId, container.containerType, container.weight, debugMode, {
+      ...options,
+      setTemperature: container.setTemperature ?? null,
+      dangerousGoods: container.dangerousGoods || null,
+      cargoDimensions: container.cargoDimensions || null
+    });
+    results.push(result);
+
+    // В резервном расчете разбивки нет - вся ставка считается морским фрахтом
+    const lineItems = result.lineItems || [{ code: 'OCEAN_FREIGHT', name: 'Ocean Freight', amount: result.finalRate }];
+    const containerItems = lineItems.filter(item => item.basis !== 'booking');
+    const lineBookingItems = lineItems.filter(item => item.basis === 'booking');
+
+    // Сбор за бронирование может зависеть от типа контейнера - берем наибольший
+    for (const item of lineBookingItems) {
+      if (!bookingItems[item.code] || item.amount > bookingItems[item.code].amount) {
+        bookingItems[item.code] = item;
+      }
+    }
+
+    const containerRate = containerItems.reduce((sum, item) => sum + item.amount, 0);
+    lines.push({
+      containerType: container.containerType,
+      quantity,
+      weight: container.weight,
+      setTemperature: container.setTemperature ?? null,
+      dangerousGoods: result.dangerousGoods || null,
+      outOfGauge: result.outOfGauge || null,
+      rate: result.rate,
+      minRate: result.minRate,
+      maxRate: result.maxRate,
+      pricing: result.pricing || null,
+      containerRate, // Ставка за один контейнер без надбавок за бронирование
+      lineTotal: containerRate * quantity,
+      lineItems: containerItems,
+      bookingAmount: lineBookingItems.reduce((sum, item) => sum + item.amount, 0),
+      emissions: result.emissions || null,
+      reliability: result.reliability,
+      debugLog: result.debugLog
+    });
+  }
+
+  const bookingItemList = Object.values(bookingItems);
+  const bookingTotal = bookingItemList.reduce((sum, item) => sum + item.amount, 0);
+  const finalRate = lines.reduce((sum, line) => sum + line.lineTotal, 0) + bookingTotal;
+
+  // Сводная разбивка по отправке: строки за контейнер суммируются по всем строкам оборудования
+  const summaryItems = {};
+  for (const line of lines) {
+    for (const item of line.lineItems) {
+      if (!summaryItems[item.code]) {
+        summaryItems[item.code] = { code: item.code, name: item.name, amount: 0, method: item.method, basis: 'container' };
+      }
+      summaryItems[item.code].amount += item.amount * line.quantity;
+    }
   }
+
+  // Итог отправки для каждого варианта маршрута: ставки альтернатив пересчитываются по строкам
+  const firstRouting = results[0] && results[0].routing;
+  let routing = firstRouting;
+  if (firstRouting) {
+    routing = {
+      ...firstRouting,
+      alternatives: firstRouting.alternatives.map(alternative => {
+        let totalRate = bookingTotal;
+        lines.forEach((line, index) => {
+          const lineAlternative = results[index].routing && results[index].routing.alternatives
+            .find(candidate => candidate.routeType === alternative.routeType);
+          const containerRate = lineAlternative ? lineAlternative.totalRate - line.bookingAmount : line.containerRate;
+          totalRate += containerRate * line.quantity;
+        });
+        return { ...alternative, totalRate };
+      })
+    };
+  }
+
+  const sumByQuantity = field => lines.reduce((sum, line, index) => sum + (results[index][field] || 0) * line.quantity, 0);
+
+  return {
+    containers: lines.map(({ bookingAmount, debugLog, ...line }) => line),
+    totalContainers: lines.reduce((sum, line) => sum + line.quantity, 0),
+    rate: sumByQuantity('rate'), // Морской фрахт по всей отправке
+    pricing: getShipmentPricing(lines), // Договорная, спотовая или смешанная (договор есть не на все типы контейнеров)
+    minRate: sumByQuantity('minRate'),
+    maxRate: sumByQuantity('maxRate'),
+    fuelSurcharge: sumByQuantity('fuelSurcharge'),
+    lineItems: [...Object.values(summaryItems), ...bookingItemList],
+    bookingItems: bookingItemList, // Надбавки за бронирование, начисленные один раз
+    emissions: sumShipmentEmissions(lines),
+    seaRoute: results[0] ? results[0].seaRoute : null,
+    routing,
+    itinerary: results[0] ? results[0].itinerary : undefined,
+    transitTime: results[0] ? results[0].transitTime : null, // Все строки идут одним маршрутом
+    indexValues: results[0] ? results[0].indexValues : undefined,
+    finalRate, // Итоговая ставка по отправке
+    reliability: Math.min(...lines.map(line => line.reliability)),
+    sourceCount: results[0] ? results[0].sourceCount : 0,
+    sourcesUsed: results[0] ? results[0].sourcesUsed : [],
+    settingsVersion: options.settings.version,
+    debugLog: debugMode ? lines.map(line => ({ containerType: line.containerType, quantity: line.quantity, debugLog: line.debugLog })) : undefined
+  };
+}
+
+// Функция для расчета ставки от двери до двери: доставка до порта (pre-carriage), морская перевозка, доставка от порта (on-carriage)
+// doorPlan: { pickup, delivery, originPorts, destinationPorts } - адреса и порты-кандидаты (inlandHaulage.findPortCandidates)
+// Для каждой пары портов стоимость доставки добавляется к ставке отправки, выбирается пара с наименьшей итоговой ставкой
+// Возвращает null, если ни один тариф доставки не подходит для адресов
+async function calculateDoorToDoorRate(doorPlan, containers, debugMode = false, options = {}) {
+  if (!options.settings) {
+    options = { ...options, settings: await settingsService.getSettingsSnapshot() };
+  }
+  const haulageMode = options.haulageMode || 'auto';
+  let best = null;
+
+  for (const originPort of doorPlan.originPorts) {
+    for (const destinationPort of doorPlan.destinationPorts) {
+      if (originPort.id === destinationPort.id) continue;
+
+      // Стоимость доставки за один контейнер для каждой строки оборудования
+      const lineHaulage = [];
+      let available = true;
+      for (const container of containers) {
+        const items = [];
+        for (const leg of [
+          { location: doorPlan.pickup, port: originPort, code: 'PRE_CARRIAGE', name: 'Pre-carriage' },
+          { location: doorPlan.delivery, port: destinationPort, code: 'ON_CARRIAGE', name: 'On-carriage' }
+        ]) {
+          if (!leg.location) continue;
+          const haulage = await inlandHaulage.calculateHaulage(leg.location, leg.port, container.containerType, haulageMode);
+          if (!haulage) {
+            available = false;
+            break;
+          }
+          items.push({
+            code: leg.code,
+            name: leg.name,
+            amount: haulage.amount,
+            method: 'haulage',
+            details: `${leg.code === 'PRE_CARRIAGE' ? `${leg.location.name} - ${leg.port.id}` : `${leg.port.id} - ${leg.location.name}`}, ${haulage.distanceKm} km by ${haulage.mode}`,
+            breakdown: haulage
+          });
+        }
+        if (!available) break;
+        lineHaulage.push(items);
+      }
+      if (!available) continue;
+
+      const haulageTotal = lineHaulage.reduce((sum, items, index) =>
+        sum + items.reduce((lineSum, item) => lineSum + item.amount, 0) * (parseInt(containers[index].quantity) || 1), 0);
+      const ocean = await calculateShipmentRate(originPort.id, destinationPort.id, containers, debugMode, options);
+      const totalRate = ocean.finalRate + haulageTotal;
+
+      if (!best || totalRate < best.totalRate) {
+        best = { originPort, destinationPort, lineHaulage, haulageTotal, ocean, totalRate };
+      }
+    }
+  }
+
+  // Ни один тариф не подходит для адресов (например, ж/д на короткое расстояние)
+  if (!best) {
+    return null;
+  }
+
+  const { ocean, lineHaulage, haulageTotal } = best;
+  const lines = ocean.containers.map((line, index) => {
+    const lineHaulageAmount = lineHaulage[index].reduce((sum, item) => sum + item.amount, 0);
+    return {
+      ...line,
+      containerRate: line.containerRate + lineHaulageAmount,
+      lineTotal: (line.containerRate + lineHaulageAmount) * line.quantity,
+      lineItems: [...line.lineItems, ...lineHaulage[index]]
+    };
+  });
+
+  // Сводная разбивка: стоимость доставки суммируется по всем контейнерам отправки
+  const haulageSummary = {};
+  lineHaulage.forEach((items, index) => {
+    for (const item of items) {
+      if (!haulageSummary[item.code]) {
+        haulageSummary[item.code] = { code: item.code, name: item.name, amount: 0, method: item.method, basis: 'container' };
+      }
+      haulageSummary[item.code].amount += item.amount * lines[index].quantity;
+    }
+  });
+  const bookingCodes = new Set(ocean.bookingItems.map(item => item.code));
+
+  const describeLeg = (location, port, code) => {
+    if (!location) return null;
+    const item = lineHaulage[0].find(candidate => candidate.code === code);
+    return {
+      location,
+      portId: port.id,
+      portName: port.name,
+      distanceKm: item.breakdown.distanceKm,
+      mode: item.breakdown.mode
+    };
+  };
+
+  return {
+    ...ocean,
+    originPort: best.originPort.id,
+    destinationPort: best.destinationPort.id,
+    containers: lines,
+    lineItems: [
+      ...ocean.lineItems.filter(item => !bookingCodes.has(item.code)),
+      ...Object.values(haulageSummary),
+      ...ocean.bookingItems
+    ],
+    routing: ocean.routing ? {
+      ...ocean.routing,
+      alternatives: ocean.routing.alternatives.map(alternative => ({ ...alternative, totalRate: alternative.totalRate + haulageTotal }))
+    } : ocean.routing,
+    inland: {
+      pickup: describeLeg(doorPlan.pickup, best.originPort, 'PRE_CARRIAGE'),
+      delivery: describeLeg(doorPlan.delivery, best.destinationPort, 'ON_CARRIAGE'),
+      haulageTotal
+    }, // Доставка от двери до порта и от порта до двери
+    finalRate: best.totalRate
+  };
 }
 
 // Функция для обновления данных из всех источников (дополненная)
@@ -446,6 +1192,14 @@ async function updateAllSourcesData() {
   });
 
   await Promise.all(promises);
+
+  // Базовые значения модификаторов пересчитываются по обновленной истории индексов
+  try {
+    results.ModifierBaselines = { success: true, sources: await modifierBaselines.recomputeBaselines() };
+  } catch (error) {
+    results.ModifierBaselines = { success: false, error: error.message };
+    console.error('Error updating modifier baselines:', error.message);
+  }
   console.log('All sources data update attempt finished.');
   return results;
 }
@@ -453,5 +1207,7 @@ async function updateAllSourcesData() {
 // Экспорт функций
 export default {
   calculateFreightRate,
+  calculateShipmentRate,
+  calculateDoorToDoorRate,
   updateAllSourcesData
 };
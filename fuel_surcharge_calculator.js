@@ -5,6 +5,8 @@ const { Pool } = require('pg');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const dotenv = require('dotenv');
+const seaRouting = require('./sea_routing.js');
+const settingsService = require('./settings_service.js');
 
 // Загрузка переменных окружения
 dotenv.config();
@@ -23,8 +25,29 @@ const BUNKER_PRICE_URL = 'https://shipandbunker.com/prices/av/global/av-g20-glob
 // Альтернативный источник данных
 const BUNKER_PRICE_ALT_URL = 'https://www.bunkerindex.com/prices/bixfree.php';
 
-// Базовая цена на топливо в USD за тонну
-const BASE_FUEL_PRICE = 400;
+// Расстояние по умолчанию в морских милях, если координаты портов неизвестны
+const DEFAULT_DISTANCE_NM = 6000;
+
+// Коэффициенты топливной надбавки по типам контейнеров (40' сухой = 1.0)
+// Рефконтейнеры требуют электропитания от судовых генераторов, поэтому коэффициент выше
+const CONTAINER_FUEL_FACTORS = {
+  '20DC': 0.6,
+  '20DV': 0.6,
+  '40DC': 1.0,
+  '40DV': 1.0,
+  '40HC': 1.2,
+  '40HQ': 1.2,
+  '20RF': 0.8,
+  '40RH': 1.5,
+  '20OT': 0.6,
+  '40OT': 1.0,
+  '20FR': 0.6,
+  '40FR': 1.0,
+  '40PL': 1.0
+};
+
+// Приблизительная надбавка за FEU, если рассчитать ее не удалось
+const FALLBACK_SURCHARGE_PER_FEU = 250;
 
 // Функция для инициализации таблиц для расчета топливной надбавки
 async function initializeFuelSurchargeTables() {
@@ -51,10 +74,11 @@ async function initializeFuelSurchargeTables() {
     await client.query(`
       CREATE TABLE IF NOT EXISTS port_distances (
         id SERIAL PRIMARY KEY,
-        origin_port_id INTEGER NOT NULL,
-        destination_port_id INTEGER NOT NULL,
+        origin_port_id VARCHAR(10) NOT NULL,
+        destination_port_id VARCHAR(10) NOT NULL,
         distance NUMERIC NOT NULL,
         route_type VARCHAR(50) DEFAULT 'sea',
+        passages VARCHAR(255),
         created_at TIMESTAMP NOT NULL DEFAULT NOW(),
         UNIQUE(origin_port_id, destination_port_id, route_type),
         FOREIGN KEY (origin_port_id) REFERENCES ports(id),
@@ -62,6 +86,9 @@ async function initializeFuelSurchargeTables() {
       )
     `);
     
+    // Список пройденных каналов и проливов (для таблиц, созданных до появления колонки)
+    await client.query(`ALTER TABLE port_distances ADD COLUMN IF NOT EXISTS passages VARCHAR(255)`);
+    
     // Завершение транзакции
     await client.query('COMMIT');
     
@@ -349,17 +376,19 @@ async function saveFuelPrices(fuelPrices) {
 }
 
 // Функция для получения текущей цены на топливо
-async function getCurrentFuelPrice(fuelType = 'VLSFO') {
+// asOf - дата расчета для бэктеста: берется последняя цена не позже этой даты, актуальные данные не запрашиваются
+async function getCurrentFuelPrice(fuelType = 'VLSFO', asOf = null) {
   try {
     // Запрос последней цены на указанный тип топлива
     const query = `
       SELECT price, date FROM fuel_prices 
       WHERE fuel_type = $1 
+      ${asOf ? 'AND date <= $2::DATE' : ''}
       ORDER BY date DESC 
       LIMIT 1
     `;
     
-    const result = await pool.query(query, [fuelType]);
+    const result = await pool.query(query, asOf ? [fuelType, asOf] : [fuelType]);
     
     // Если цена найдена, возвращаем ее
     if (result.rows.length > 0) {
@@ -369,8 +398,8 @@ async function getCurrentFuelPrice(fuelType = 'VLSFO') {
       };
     }
     
-    // Если цена не найдена, получаем актуальные данные
-    const fuelPrices = await fetchCurrentFuelPrices();
+    // Если цена не найдена, получаем актуальные данные (кроме расчета на прошлую дату)
+    const fuelPrices = asOf ? {} : await fetchCurrentFuelPrices();
     
     // Если удалось получить цену для указанного типа топлива, возвращаем ее
     if (fuelPrices[fuelType]) {
@@ -399,124 +428,85 @@ async function getCurrentFuelPrice(fuelType = 'VLSFO') {
   }
 }
 
+// Функция для сохранения вариантов маршрута между двумя портами (в обоих направлениях)
+// Строка с route_type 'sea' дублирует кратчайший вариант для обратной совместимости
+async function savePortRoutes(db, originPortId, destinationPortId, routes) {
+  if (routes.length === 0) return;
+  
+  const rows = [
+    { routeType: 'sea', distance: routes[0].distance, passages: routes[0].passages },
+    ...routes.map(route => ({ routeType: route.routeType, distance: route.distance, passages: route.passages }))
+  ];
+  
+  for (const [fromId, toId] of [[originPortId, destinationPortId], [destinationPortId, originPortId]]) {
+    for (const row of rows) {
+      await db.query(
+        `INSERT INTO port_distances 
+         (origin_port_id, destination_port_id, distance, route_type, passages) 
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (origin_port_id, destination_port_id, route_type) 
+         DO UPDATE SET distance = $3, passages = $5`,
+        [
+          fromId,
+          toId,
+          row.distance,
+          row.routeType,
+          row.passages.join(',')
+        ]
+      );
+    }
+  }
+}
+
 // Функция для инициализации таблицы расстояний между портами
+// Варианты маршрута рассчитываются по графу судоходных путей при первом запросе пары портов (getPortRoute)
+// и сохраняются в таблицу, поэтому при запуске удаляются только старые приблизительные расстояния
+// (без разбивки по вариантам маршрута)
 async function initializePortDistances() {
-  const client = await pool.connect();
-  
   try {
     console.log('Initializing port distances');
     
-    // Начало транзакции
-    await client.query('BEGIN');
-    
-    // Проверка, есть ли уже данные в таблице
-    const checkResult = await client.query('SELECT COUNT(*) FROM port_distances');
-    
-    // Если таблица пуста, заполняем ее приблизительными расстояниями
-    if (parseInt(checkResult.rows[0].count) === 0) {
-      console.log('Generating approximate port distances');
-      
-      // Получение списка всех портов
-      const portsResult = await client.query('SELECT id, name, latitude, longitude FROM ports');
-      const ports = portsResult.rows;
-      
-      // Для каждой пары портов рассчитываем приблизительное расстояние
-      for (let i = 0; i < ports.length; i++) {
-        for (let j = i + 1; j < ports.length; j++) {
-          const originPort = ports[i];
-          const destinationPort = ports[j];
-          
-          // Расчет расстояния по координатам
-          const distance = calculateDistance(
-            originPort.latitude, originPort.longitude,
-            destinationPort.latitude, destinationPort.longitude
-          );
-          
-          // Вставка расстояния в обоих направлениях
-          await client.query(
-            `INSERT INTO port_distances 
-             (origin_port_id, destination_port_id, distance, route_type) 
-             VALUES ($1, $2, $3, 'sea')
-             ON CONFLICT (origin_port_id, destination_port_id, route_type) 
-             DO NOTHING`,
-            [
-              originPort.id,
-              destinationPort.id,
-              distance
-            ]
-          );
-          
-          await client.query(
-            `INSERT INTO port_distances 
-             (origin_port_id, destination_port_id, distance, route_type) 
-             VALUES ($1, $2, $3, 'sea')
-             ON CONFLICT (origin_port_id, destination_port_id, route_type) 
-             DO NOTHING`,
-            [
-              destinationPort.id,
-              originPort.id,
-              distance
-            ]
-          );
-        }
-      }
+    const result = await pool.query(`DELETE FROM port_distances WHERE route_type = 'sea'`);
+    if (result.rowCount > 0) {
+      console.log(`Removed ${result.rowCount} legacy approximate port distances`);
     }
     
-    // Завершение транзакции
-    await client.query('COMMIT');
-    
     console.log('Port distances initialization completed');
   } catch (error) {
-    // Откат транзакции в случае ошибки
-    await client.query('ROLLBACK');
     console.error('Error initializing port distances:', error);
     throw error;
-  } finally {
-    // Освобождение клиента
-    client.release();
   }
 }
 
-// Функция для расчета расстояния между портами по координатам
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Радиус Земли в км
-  const dLat = deg2rad(lat2 - lat1);
-  const dLon = deg2rad(lon2 - lon1);
-  
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c;
-  
-  // Учитываем, что морской путь обычно длиннее прямой линии
-  return Math.round(distance * 1.4);
-}
-
-// Вспомогательная функция для перевода градусов в радианы
-function deg2rad(deg) {
-  return deg * (Math.PI/180);
-}
-
-// Функция для получения расстояния между портами
-async function getPortDistance(originPortId, destinationPortId) {
+// Функция для получения маршрута между портами (расстояние в морских милях, тип маршрута, проходы)
+// routeType 'sea' означает кратчайший доступный маршрут
+async function getPortRoute(originPortId, destinationPortId, routeType = 'sea') {
   try {
-    // Запрос расстояния из базы данных
-    const query = `
-      SELECT distance FROM port_distances 
-      WHERE origin_port_id = $1 AND destination_port_id = $2
-    `;
-    
-    const result = await pool.query(query, [originPortId, destinationPortId]);
-    
-    // Если расстояние найдено, возвращаем его
+    // Запрос маршрута из базы данных
+    const query = routeType === 'sea'
+      ? `SELECT distance, route_type, passages FROM port_distances 
+         WHERE origin_port_id = $1 AND destination_port_id = $2 AND route_type <> 'sea'
+         ORDER BY distance
+         LIMIT 1`
+      : `SELECT distance, route_type, passages FROM port_distances 
+         WHERE origin_port_id = $1 AND destination_port_id = $2 AND route_type = $3`;
+    
+    const params = routeType === 'sea'
+      ? [originPortId, destinationPortId]
+      : [originPortId, destinationPortId, routeType];
+    
+    const result = await pool.query(query, params);
+    
+    // Если маршрут найден, возвращаем его
     if (result.rows.length > 0) {
-      return parseFloat(result.rows[0].distance);
+      return {
+        distance: parseFloat(result.rows[0].distance),
+        routeType: result.rows[0].route_type,
+        passages: result.rows[0].passages ? result.rows[0].passages.split(',') : []
+      };
     }
     
-    // Если расстояние не найдено, получаем координаты портов и рассчитываем расстояние
+    // Если маршрут не найден, получаем координаты портов и рассчитываем варианты маршрута
     const portsQuery = `
       SELECT id, latitude, longitude FROM ports 
       WHERE id IN ($1, $2)
@@ -528,57 +518,101 @@ async function getPortDistance(originPortId, destinationPortId) {
       const originPort = portsResult.rows.find(port => port.id === originPortId);
       const destinationPort = portsResult.rows.find(port => port.id === destinationPortId);
       
-      // Расчет расстояния по координатам
-      const distance = calculateDistance(
-        originPort.latitude, originPort.longitude,
-        destinationPort.latitude, destinationPort.longitude
-      );
+      const routes = seaRouting.getRouteOptions(originPort, destinationPort);
       
-      // Сохранение расстояния в базу данных
-      await pool.query(
-        `INSERT INTO port_distances 
-         (origin_port_id, destination_port_id, distance, route_type) 
-         VALUES ($1, $2, $3, 'sea')
-         ON CONFLICT (origin_port_id, destination_port_id, route_type) 
-         DO NOTHING`,
-        [
-          originPortId,
-          destinationPortId,
-          distance
-        ]
-      );
+      // Сохранение всех вариантов маршрута в базу данных
+      await savePortRoutes(pool, originPortId, destinationPortId, routes);
+      
+      const route = routeType === 'sea' ? routes[0] : routes.find(r => r.routeType === routeType);
+      if (route) {
+        return {
+          distance: route.distance,
+          routeType: route.routeType,
+          passages: route.passages
+        };
+      }
       
-      return distance;
+      // Запрошенный вариант маршрута для этой пары портов невозможен
+      return null;
     }
     
     // Если не удалось получить координаты портов, возвращаем приблизительное значение
-    return 10000; // Приблизительное значение по умолчанию
+    return { distance: DEFAULT_DISTANCE_NM, routeType: 'unknown', passages: [] };
   } catch (error) {
-    console.error('Error getting port distance:', error);
+    console.error('Error getting port route:', error);
     // В случае ошибки возвращаем приблизительное значение
-    return 10000;
+    return { distance: DEFAULT_DISTANCE_NM, routeType: 'unknown', passages: [] };
+  }
+}
+
+// Функция для получения всех вариантов маршрута между портами, отсортированных по расстоянию
+async function getPortRoutes(originPortId, destinationPortId) {
+  try {
+    const result = await pool.query(
+      `SELECT distance, route_type, passages FROM port_distances 
+       WHERE origin_port_id = $1 AND destination_port_id = $2 AND route_type <> 'sea'
+       ORDER BY distance`,
+      [originPortId, destinationPortId]
+    );
+    
+    if (result.rows.length > 0) {
+      return result.rows.map(row => ({
+        distance: parseFloat(row.distance),
+        routeType: row.route_type,
+        passages: row.passages ? row.passages.split(',') : []
+      }));
+    }
+    
+    // Если варианты маршрута еще не рассчитаны, рассчитываем и сохраняем их
+    const route = await getPortRoute(originPortId, destinationPortId);
+    if (!route || route.routeType === 'unknown') {
+      return route ? [route] : [];
+    }
+    
+    return getPortRoutes(originPortId, destinationPortId);
+  } catch (error) {
+    console.error('Error getting port routes:', error);
+    return [];
   }
 }
 
+// Функция для получения расстояния между портами в морских милях
+async function getPortDistance(originPortId, destinationPortId, routeType = 'sea') {
+  const route = await getPortRoute(originPortId, destinationPortId, routeType);
+  return route ? route.distance : null;
+}
+
+// Функция для получения коэффициента топливной надбавки для типа контейнера
+function getContainerFactor(containerType) {
+  return CONTAINER_FUEL_FACTORS[containerType] || 1.0;
+}
+
 // Функция для расчета топливной надбавки
-async function calculateFuelSurcharge(originPortId, destinationPortId, containerType, fuelType = 'VLSFO') {
+// route - тип маршрута ('sea' - кратчайший, 'suez', 'cape' и т.д.) или уже рассчитанный маршрут { distance, routeType, passages }
+// options.asOf - дата цены на топливо (бэктест), options.baseFuelPrice - базовая цена из снимка настроек расчета
+async function calculateFuelSurcharge(originPortId, destinationPortId, containerType, fuelType = 'VLSFO', route = 'sea', options = {}) {
   try {
     console.log(`Calculating fuel surcharge for route ${originPortId} to ${destinationPortId}, container type: ${containerType}`);
     
     // Получение текущей цены на топливо
-    const { price: currentFuelPrice } = await getCurrentFuelPrice(fuelType);
+    const { price: currentFuelPrice } = await getCurrentFuelPrice(fuelType, options.asOf || null);
     
-    // Получение расстояния между портами
-    const distance = await getPortDistance(originPortId, destinationPortId);
+    // Базовая цена на топливо в USD за тонну, уже учтенная в ставках (настройка base_fuel_price)
+    const baseFuelPrice = options.baseFuelPrice ?? await settingsService.getSetting('base_fuel_price');
+    
+    // Получение морского маршрута между портами
+    const seaRoute = typeof route === 'object' ? route : await getPortRoute(originPortId, destinationPortId, route);
+    if (!seaRoute) {
+      throw new Error(`Route type ${route} is not available between ${originPortId} and ${destinationPortId}`);
+    }
+    const distance = seaRoute.distance;
     
     // Коэффициент для расчета надбавки в зависимости от типа контейнера
-    const containerFactor = containerType === '40HC' ? 1.2 : 
-                           containerType === '40DC' ? 1.0 : 
-                           containerType === '20DC' ? 0.6 : 1.0;
+    const containerFactor = getContainerFactor(containerType);
     
     // Расчет топливной надбавки
-    // Формула: (текущая цена - базовая цена) * коэффициент * (расстояние / 1000)
-    const fuelDifference = Math.max(0, currentFuelPrice - BASE_FUEL_PRICE);
+    // Формула: (текущая цена - базовая цена) * коэффициент * (расстояние в морских милях / 1000)
+    const fuelDifference = Math.max(0, currentFuelPrice - baseFuelPrice);
     const surcharge = fuelDifference * containerFactor * (distance / 1000) * 0.15;
     
     // Округление до целого числа
@@ -589,23 +623,27 @@ async function calculateFuelSurcharge(originPortId, destinationPortId, container
     return {
       surcharge: roundedSurcharge,
       fuelPrice: currentFuelPrice,
-      baseFuelPrice: BASE_FUEL_PRICE,
+      baseFuelPrice,
+      fuelType,
       distance,
+      distanceUnit: 'NM',
+      routeType: seaRoute.routeType,
+      passages: seaRoute.passages,
       containerFactor
     };
   } catch (error) {
     console.error('Error calculating fuel surcharge:', error);
     // В случае ошибки возвращаем приблизительную надбавку
     return {
-      surcharge: containerType === '40HC' ? 300 : 
-                containerType === '40DC' ? 250 : 
-                containerType === '20DC' ? 150 : 250,
+      surcharge: Math.round(FALLBACK_SURCHARGE_PER_FEU * getContainerFactor(containerType)),
       fuelPrice: 550,
-      baseFuelPrice: BASE_FUEL_PRICE,
-      distance: 10000,
-      containerFactor: containerType === '40HC' ? 1.2 : 
-                      containerType === '40DC' ? 1.0 : 
-                      containerType === '20DC' ? 0.6 : 1.0
+      baseFuelPrice: settingsService.SETTINGS_SCHEMA.base_fuel_price.default,
+      fuelType,
+      distance: DEFAULT_DISTANCE_NM,
+      distanceUnit: 'NM',
+      routeType: 'unknown',
+      passages: [],
+      containerFactor: getContainerFactor(containerType)
     };
   }
 }
@@ -652,9 +690,12 @@ async function initializeAndUpdateFuelSurchargeData() {
 
 // Экспорт функций
 module.exports = {
+  initializeFuelSurchargeTables,
   initializeAndUpdateFuelSurchargeData,
   calculateFuelSurcharge,
   getCurrentFuelPrice,
   getFuelPriceHistory,
-  getPortDistance
+  getPortDistance,
+  getPortRoute,
+  getPortRoutes
 };
@@ -0,0 +1,141 @@
+// Модуль применения условий поставки Incoterms 2020 к расчету ставки
+// Каждая строка разбивки относится к группе расходов; Incoterm определяет, кто оплачивает группу - продавец или покупатель
+
+// Группы расходов по порядку перевозки
+const CHARGE_GROUPS = ['pre_carriage', 'origin', 'main_freight', 'insurance', 'destination', 'on_carriage'];
+
+// Группа расходов для кодов строк разбивки; коды, которых нет в таблице, относятся к основной перевозке
+const CHARGE_GROUP_BY_CODE = {
+  PRE_CARRIAGE: 'pre_carriage',
+  THC_ORIGIN: 'origin',
+  CFS_ORIGIN: 'origin',
+  CONSOLIDATION: 'origin',
+  PACKAGE_HANDLING: 'origin',
+  DOC: 'origin',
+  PTI: 'origin',
+  INSURANCE: 'insurance',
+  THC_DESTINATION: 'destination',
+  CFS_DESTINATION: 'destination',
+  ON_CARRIAGE: 'on_carriage'
+};
+
+// Правила Incoterms: sellerPays - группы, оплачиваемые продавцом, остальные оплачивает покупатель
+// arrangedBy - сторона, которая заключает договор основной перевозки и по умолчанию получает расчет
+const INCOTERMS = {
+  EXW: { name: 'Ex Works', arrangedBy: 'buyer', sellerPays: [] },
+  FCA: { name: 'Free Carrier', arrangedBy: 'buyer', sellerPays: ['pre_carriage'] },
+  FOB: { name: 'Free On Board', arrangedBy: 'buyer', sellerPays: ['pre_carriage', 'origin'] },
+  CFR: { name: 'Cost and Freight', arrangedBy: 'seller', sellerPays: ['pre_carriage', 'origin', 'main_freight'] },
+  CIF: { name: 'Cost, Insurance and Freight', arrangedBy: 'seller', sellerPays: ['pre_carriage', 'origin', 'main_freight', 'insurance'] },
+  DAP: { name: 'Delivered at Place', arrangedBy: 'seller', sellerPays: ['pre_carriage', 'origin', 'main_freight', 'insurance', 'destination', 'on_carriage'] },
+  DDP: { name: 'Delivered Duty Paid', arrangedBy: 'seller', sellerPays: ['pre_carriage', 'origin', 'main_freight', 'insurance', 'destination', 'on_carriage'] }
+};
+
+const QUOTE_PARTIES = ['buyer', 'seller'];
+
+// Функция для проверки Incoterm и стороны расчета; возвращает текст ошибки или null
+function validateIncoterm(incoterm, quoteFor) {
+  if (!INCOTERMS[incoterm]) {
+    return `incoterm must be one of: ${Object.keys(INCOTERMS).join(', ')}`;
+  }
+  if (quoteFor && !QUOTE_PARTIES.includes(quoteFor)) {
+    return `quoteFor must be one of: ${QUOTE_PARTIES.join(', ')}`;
+  }
+  return null;
+}
+
+// Функция для определения группы расходов строки разбивки
+function getChargeGroup(code) {
+  return CHARGE_GROUP_BY_CODE[code] || 'main_freight';
+}
+
+// Функция для определения плательщика группы расходов по Incoterm
+function getPayer(incoterm, group) {
+  return INCOTERMS[incoterm].sellerPays.includes(group) ? 'seller' : 'buyer';
+}
+
+// Функция для применения Incoterm к результату расчета
+// В итоговую ставку включаются только расходы стороны quoteFor (по умолчанию - стороны, заключающей договор перевозки),
+// остальные строки возвращаются в excludedItems
+function applyIncoterm(result, incoterm, quoteFor = null) {
+  const rule = INCOTERMS[incoterm];
+  const quotedParty = quoteFor || rule.arrangedBy;
+  const classify = item => {
+    const group = getChargeGroup(item.code);
+    return { ...item, group, payer: getPayer(incoterm, group) };
+  };
+
+  // В резервном расчете разбивки нет - вся ставка считается морским фрахтом
+  const lineItems = (result.lineItems || [{ code: 'OCEAN_FREIGHT', name: 'Ocean Freight', amount: result.finalRate }]).map(classify);
+  const includedItems = lineItems.filter(item => item.payer === quotedParty);
+  const excludedItems = lineItems.filter(item => item.payer !== quotedParty);
+  const finalRate = includedItems.reduce((sum, item) => sum + item.amount, 0);
+  const excludedTotal = excludedItems.reduce((sum, item) => sum + item.amount, 0);
+
+  // Для отправки из нескольких строк ставка за контейнер пересчитывается по включенным строкам
+  const containers = result.containers ? result.containers.map(line => {
+    const lineIncluded = line.lineItems.map(classify).filter(item => item.payer === quotedParty);
+    const containerRate = lineIncluded.reduce((sum, item) => sum + item.amount, 0);
+    return { ...line, containerRate, lineTotal: containerRate * line.quantity, lineItems: lineIncluded };
+  }) : result.containers;
+
+  const responsibilities = {};
+  for (const group of CHARGE_GROUPS) {
+    responsibilities[group] = getPayer(incoterm, group);
+  }
+
+  // Расходы, которые оплачивает сторона расчета, но которые не удалось рассчитать
+  const notes = [];
+  if (responsibilities.pre_carriage === quotedParty && !lineItems.some(item => item.group === 'pre_carriage')) {
+    notes.push('Pre-carriage from the named place is not included; add a pickup location to quote it');
+  }
+  if (responsibilities.insurance === quotedParty && !lineItems.some(item => item.group === 'insurance')) {
+    notes.push('Cargo insurance is not included');
+  }
+  if (responsibilities.on_carriage === quotedParty && !lineItems.some(item => item.group === 'on_carriage')) {
+    notes.push('On-carriage to the named place is not included; add a delivery location to quote it');
+  }
+  if (incoterm === 'DDP') {
+    notes.push('Import duties and taxes are payable by the seller and are not included');
+  }
+
+  const mainFreightIncluded = responsibilities.main_freight === quotedParty;
+
+  return {
+    ...result,
+    lineItems: includedItems,
+    excludedItems, // Строки, которые оплачивает другая сторона
+    bookingItems: result.bookingItems ? result.bookingItems.filter(item => getPayer(incoterm, getChargeGroup(item.code)) === quotedParty) : result.bookingItems,
+    containers,
+    routing: result.routing ? {
+      ...result.routing,
+      // Если основную перевозку оплачивает другая сторона, выбор маршрута на ставку не влияет
+      alternatives: result.routing.alternatives.map(alternative => ({
+        ...alternative,
+        totalRate: mainFreightIncluded ? alternative.totalRate - excludedTotal : finalRate
+      }))
+    } : result.routing,
+    incoterm: {
+      code: incoterm,
+      name: rule.name,
+      quotedParty,
+      responsibilities, // Плательщик по группам расходов
+      charges: {
+        seller: lineItems.filter(item => item.payer === 'seller').map(({ code, name, amount, group }) => ({ code, name, amount, group })),
+        buyer: lineItems.filter(item => item.payer === 'buyer').map(({ code, name, amount, group }) => ({ code, name, amount, group }))
+      },
+      notes
+    },
+    finalRate
+  };
+}
+
+// Экспорт функций
+export default {
+  INCOTERMS,
+  CHARGE_GROUPS,
+  QUOTE_PARTIES,
+  validateIncoterm,
+  getChargeGroup,
+  applyIncoterm
+};
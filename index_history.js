@@ -0,0 +1,78 @@
+// Модуль чтения значений индексов на дату (point-in-time)
+// Используется при бэктесте: расчет на прошлую дату видит только значения, опубликованные не позже этой даты,
+// без обращения к сайтам источников и веб-поиску
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Ряды индексов, которые калькулятор использует как текущее (композитное) значение источника
+// routes - точные названия ряда, pattern - шаблон ILIKE, без обоих - в таблице один ряд
+const INDEX_SERIES = {
+  SCFI: { table: 'freight_indices_scfi', dateColumn: 'current_date', routes: ['SCFI Comprehensive', 'SCFI Comprehensive AI'] },
+  FBX: { table: 'freight_indices_fbx', dateColumn: 'index_date', pattern: '%Global Container Index%' },
+  WCI: { table: 'freight_indices_wci', dateColumn: 'index_date', pattern: '%Composite Index%' },
+  CCFI: { table: 'freight_indices_ccfi', dateColumn: 'index_date', pattern: '%composite%' },
+  Harpex: { table: 'freight_indices_harpex', dateColumn: 'index_date' },
+  NewConTex: { table: 'freight_indices_contex', dateColumn: 'index_date', routes: ['New ConTex Composite Index'] },
+  BDI: { table: 'freight_indices_bdi', dateColumn: 'index_date' },
+  CTS: { table: 'freight_indices_cts', dateColumn: 'index_date', routes: ['CTS Global Price Index'] },
+  ISTFIX: { table: 'freight_indices_istfix', dateColumn: 'index_date', routes: ['ISTFIX Composite Index'] }
+};
+
+// Функция для получения последнего значения индекса, опубликованного не позже даты asOf
+// Возвращает { current_index, change, index_date, source: 'history' } или null, если значений на дату нет
+async function getIndexValueAsOf(sourceName, asOf) {
+  const series = INDEX_SERIES[sourceName];
+  if (!series) {
+    throw new Error(`Unknown index source: ${sourceName}`);
+  }
+
+  const params = [asOf];
+  let routeFilter = '';
+  if (series.routes) {
+    params.push(series.routes);
+    routeFilter = 'AND route = ANY($2)';
+  } else if (series.pattern) {
+    params.push(series.pattern);
+    routeFilter = 'AND route ILIKE $2';
+  }
+
+  const result = await pool.query(
+    `SELECT current_index, change, "${series.dateColumn}" AS index_date
+     FROM ${series.table}
+     WHERE "${series.dateColumn}" <= $1::DATE ${routeFilter}
+     ORDER BY "${series.dateColumn}" DESC
+     LIMIT 1`,
+    params
+  );
+
+  if (result.rows.length === 0 || result.rows[0].current_index === null) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return {
+    current_index: parseFloat(row.current_index),
+    change: row.change !== null ? parseFloat(row.change) : 0,
+    index_date: row.index_date,
+    source: 'history'
+  };
+}
+
+// Экспорт функций
+export default {
+  INDEX_SERIES,
+  getIndexValueAsOf
+};
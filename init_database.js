@@ -81,7 +81,9 @@ async function initializeDatabase() {
         INSERT INTO container_types (id, name, description) VALUES
         ('20DV', '20'' Dry Van', 'Standard 20-foot dry container'),
         ('40DV', '40'' Dry Van', 'Standard 40-foot dry container'),
-        ('40HQ', '40'' High Cube', '40-foot high cube container with extra height')
+        ('40HQ', '40'' High Cube', '40-foot high cube container with extra height'),
+        ('20RF', '20'' Reefer', '20-foot refrigerated container'),
+        ('40RH', '40'' Reefer High Cube', '40-foot high cube refrigerated container')
       `);
       console.log('Типы контейнеров добавлены успешно');
     } else {
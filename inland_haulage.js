@@ -0,0 +1,356 @@
+// Модуль расчета автомобильной и железнодорожной доставки до порта и от порта (pre-carriage, on-carriage)
+// Порт выбирается по координатам из справочника ports, стоимость - по тарифу страны в зависимости от расстояния
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import seaRouting from './sea_routing.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Виды транспорта: auto - самый дешевый из доступных
+const HAULAGE_MODES = ['truck', 'rail'];
+const HAULAGE_MODE_CHOICES = ['auto', ...HAULAGE_MODES];
+
+const KM_PER_NM = 1.852;
+
+// Отношение длины дороги к расстоянию по прямой
+const CIRCUITY_FACTORS = {
+  truck: 1.25,
+  rail: 1.3
+};
+
+// Максимальное расстояние по прямой от адреса до порта, км
+const MAX_HAULAGE_DISTANCE_KM = 1500;
+
+// Количество ближайших портов, среди которых выбирается порт с наименьшей итоговой ставкой
+const MAX_PORT_CANDIDATES = 2;
+
+// Тариф для 20-футового контейнера - доля тарифа за FEU
+const TWENTY_FOOT_FACTOR = 0.85;
+
+// Тарифы по умолчанию, USD за FEU: фиксированная часть + ставка за км; country = null - тариф для остальных стран
+const DEFAULT_HAULAGE_TARIFFS = [
+  { country: null, mode: 'truck', baseRate: 150, ratePerKm: 2.0 },
+  { country: null, mode: 'rail', baseRate: 350, ratePerKm: 1.0, minDistanceKm: 300 },
+  { country: 'Germany', mode: 'truck', baseRate: 180, ratePerKm: 2.4 },
+  { country: 'Germany', mode: 'rail', baseRate: 400, ratePerKm: 1.2, minDistanceKm: 250 },
+  { country: 'Netherlands', mode: 'truck', baseRate: 170, ratePerKm: 2.3 },
+  { country: 'Poland', mode: 'truck', baseRate: 120, ratePerKm: 1.6 },
+  { country: 'Poland', mode: 'rail', baseRate: 300, ratePerKm: 0.9, minDistanceKm: 300 },
+  { country: 'Estonia', mode: 'truck', baseRate: 110, ratePerKm: 1.5 },
+  { country: 'Latvia', mode: 'truck', baseRate: 110, ratePerKm: 1.5 },
+  { country: 'Lithuania', mode: 'truck', baseRate: 110, ratePerKm: 1.5 },
+  { country: 'Finland', mode: 'truck', baseRate: 160, ratePerKm: 2.1 },
+  { country: 'China', mode: 'truck', baseRate: 90, ratePerKm: 1.1 },
+  { country: 'China', mode: 'rail', baseRate: 250, ratePerKm: 0.6, minDistanceKm: 400 },
+  { country: 'United States', mode: 'truck', baseRate: 250, ratePerKm: 2.6 },
+  { country: 'United States', mode: 'rail', baseRate: 450, ratePerKm: 1.0, minDistanceKm: 500 }
+];
+
+// Населенные пункты без порта, доступные для поиска по названию
+const DEFAULT_INLAND_LOCATIONS = [
+  { name: 'Berlin', country: 'Germany', latitude: 52.52, longitude: 13.405 },
+  { name: 'Munich', country: 'Germany', latitude: 48.1351, longitude: 11.582 },
+  { name: 'Frankfurt', country: 'Germany', latitude: 50.1109, longitude: 8.6821 },
+  { name: 'Warsaw', country: 'Poland', latitude: 52.2297, longitude: 21.0122 },
+  { name: 'Lodz', country: 'Poland', latitude: 51.7592, longitude: 19.456 },
+  { name: 'Vilnius', country: 'Lithuania', latitude: 54.6872, longitude: 25.2797 },
+  { name: 'Kaunas', country: 'Lithuania', latitude: 54.8985, longitude: 23.9036 },
+  { name: 'Tartu', country: 'Estonia', latitude: 58.3776, longitude: 26.729 },
+  { name: 'Daugavpils', country: 'Latvia', latitude: 55.8747, longitude: 26.5362 },
+  { name: 'Prague', country: 'Czech Republic', latitude: 50.0755, longitude: 14.4378 },
+  { name: 'Vienna', country: 'Austria', latitude: 48.2082, longitude: 16.3738 },
+  { name: 'Budapest', country: 'Hungary', latitude: 47.4979, longitude: 19.0402 },
+  { name: 'Zurich', country: 'Switzerland', latitude: 47.3769, longitude: 8.5417 },
+  { name: 'Milan', country: 'Italy', latitude: 45.4642, longitude: 9.19 },
+  { name: 'Paris', country: 'France', latitude: 48.8566, longitude: 2.3522 },
+  { name: 'Madrid', country: 'Spain', latitude: 40.4168, longitude: -3.7038 },
+  { name: 'Chengdu', country: 'China', latitude: 30.5728, longitude: 104.0668 },
+  { name: 'Chongqing', country: 'China', latitude: 29.563, longitude: 106.5516 },
+  { name: 'Xi\'an', country: 'China', latitude: 34.3416, longitude: 108.9398 },
+  { name: 'Zhengzhou', country: 'China', latitude: 34.7466, longitude: 113.6254 },
+  { name: 'Wuhan', country: 'China', latitude: 30.5928, longitude: 114.3055 },
+  { name: 'Chicago', country: 'United States', latitude: 41.8781, longitude: -87.6298 },
+  { name: 'Dallas', country: 'United States', latitude: 32.7767, longitude: -96.797 },
+  { name: 'Memphis', country: 'United States', latitude: 35.1495, longitude: -90.049 }
+];
+
+// Функция для инициализации таблиц тарифов и населенных пунктов
+async function initializeHaulageTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    // NULL в country означает тариф для стран без собственного тарифа
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS haulage_tariffs (
+        id SERIAL PRIMARY KEY,
+        country VARCHAR(100),
+        mode VARCHAR(10) NOT NULL,
+        base_rate NUMERIC NOT NULL,
+        rate_per_km NUMERIC NOT NULL,
+        min_distance_km NUMERIC NOT NULL DEFAULT 0,
+        max_distance_km NUMERIC,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS inland_locations (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        country VARCHAR(100) NOT NULL,
+        latitude NUMERIC NOT NULL,
+        longitude NUMERIC NOT NULL,
+        UNIQUE (name, country)
+      )
+    `);
+
+    // Заполнение значениями по умолчанию, если таблицы пусты
+    const tariffsCount = await client.query('SELECT COUNT(*) FROM haulage_tariffs');
+    if (parseInt(tariffsCount.rows[0].count) === 0) {
+      for (const tariff of DEFAULT_HAULAGE_TARIFFS) {
+        await client.query(
+          `INSERT INTO haulage_tariffs (country, mode, base_rate, rate_per_km, min_distance_km)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [tariff.country, tariff.mode, tariff.baseRate, tariff.ratePerKm, tariff.minDistanceKm || 0]
+        );
+      }
+    }
+
+    for (const location of DEFAULT_INLAND_LOCATIONS) {
+      await client.query(
+        `INSERT INTO inland_locations (name, country, latitude, longitude)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (name, country) DO NOTHING`,
+        [location.name, location.country, location.latitude, location.longitude]
+      );
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Inland haulage tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing inland haulage tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для проверки адреса забора или доставки; возвращает текст ошибки или null
+// location: { city, country } или { latitude, longitude, country }
+function validateLocation(location, field) {
+  if (typeof location !== 'object' || location === null) {
+    return `${field} must be an object with city or latitude/longitude`;
+  }
+  const hasCoordinates = location.latitude !== undefined && location.latitude !== null && location.latitude !== '';
+  if (!hasCoordinates && !location.city) {
+    return `${field} must contain city or latitude and longitude`;
+  }
+  if (hasCoordinates) {
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+    if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+      return `${field}.latitude must be between -90 and 90, ${field}.longitude between -180 and 180`;
+    }
+  }
+  return null;
+}
+
+// Функция для расчета расстояния по прямой между точками, км
+function getDistanceKm(from, to) {
+  return seaRouting.greatCircleDistanceNM(
+    parseFloat(from.latitude), parseFloat(from.longitude), parseFloat(to.latitude), parseFloat(to.longitude)
+  ) * KM_PER_NM;
+}
+
+// Функция для получения ближайших к точке портов с координатами
+async function findNearestPorts(point, limit = MAX_PORT_CANDIDATES) {
+  const result = await pool.query(
+    'SELECT id, name, country, region, latitude, longitude FROM ports WHERE latitude IS NOT NULL AND longitude IS NOT NULL'
+  );
+  return result.rows
+    .map(port => ({ ...port, distanceKm: getDistanceKm(point, port) }))
+    .filter(port => port.distanceKm <= MAX_HAULAGE_DISTANCE_KM)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, limit);
+}
+
+// Функция для определения координат и страны адреса
+// Город ищется в inland_locations, затем среди портов; возвращает null, если адрес не найден
+async function resolveLocation(location) {
+  if (location.latitude !== undefined && location.latitude !== null && location.latitude !== '') {
+    const point = { latitude: Number(location.latitude), longitude: Number(location.longitude) };
+    let country = location.country || null;
+    // Без страны тариф выбирается по стране ближайшего порта
+    if (!country) {
+      const [nearestPort] = await findNearestPorts(point, 1);
+      country = nearestPort ? nearestPort.country : null;
+    }
+    return { name: location.city || `${point.latitude}, ${point.longitude}`, country, ...point };
+  }
+
+  const params = [location.city];
+  const countryFilter = location.country ? 'AND LOWER(country) = LOWER($2)' : '';
+  if (location.country) params.push(location.country);
+
+  for (const table of ['inland_locations', 'ports']) {
+    const result = await pool.query(
+      `SELECT name, country, latitude, longitude FROM ${table}
+       WHERE LOWER(name) = LOWER($1) ${countryFilter} AND latitude IS NOT NULL AND longitude IS NOT NULL
+       LIMIT 1`,
+      params
+    );
+    if (result.rows.length > 0) {
+      const row = result.rows[0];
+      return { name: row.name, country: row.country, latitude: parseFloat(row.latitude), longitude: parseFloat(row.longitude) };
+    }
+  }
+  return null;
+}
+
+// Функция для получения порта с координатами по коду
+async function getPort(portId) {
+  const result = await pool.query('SELECT id, name, country, region, latitude, longitude FROM ports WHERE id = $1', [portId]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+// Функция для подбора портов для доставки от двери и до двери
+// Если порт указан в запросе, используется он; иначе - ближайшие к адресу порты
+// Возвращает { originPorts, destinationPorts } или { error }
+async function findPortCandidates(originPortId, destinationPortId, pickup, delivery) {
+  const sides = [
+    { portId: originPortId, location: pickup, field: 'pickup' },
+    { portId: destinationPortId, location: delivery, field: 'delivery' }
+  ];
+  const candidates = [];
+
+  for (const side of sides) {
+    if (side.portId) {
+      const port = await getPort(side.portId);
+      if (!port) return { error: `Port ${side.portId} not found` };
+      if (side.location && (port.latitude === null || port.longitude === null)) {
+        return { error: `Port ${side.portId} has no coordinates; inland haulage cannot be estimated` };
+      }
+      candidates.push([port]);
+    } else {
+      const ports = await findNearestPorts(side.location);
+      if (ports.length === 0) {
+        return { error: `No port within ${MAX_HAULAGE_DISTANCE_KM} km of ${side.field} location ${side.location.name}` };
+      }
+      candidates.push(ports);
+    }
+  }
+
+  return { originPorts: candidates[0], destinationPorts: candidates[1] };
+}
+
+// Функция для расчета стоимости доставки между адресом и портом для типа контейнера
+// mode - 'truck', 'rail' или 'auto' (самый дешевый из применимых тарифов)
+async function calculateHaulage(location, port, containerType, mode = 'auto') {
+  const straightKm = getDistanceKm(location, port);
+  const tariffsResult = await pool.query(
+    `SELECT * FROM haulage_tariffs
+     WHERE (LOWER(country) = LOWER($1) OR country IS NULL)
+     ORDER BY country NULLS LAST, id`,
+    [location.country || '']
+  );
+
+  // Тариф страны имеет приоритет над тарифом по умолчанию для того же вида транспорта
+  const tariffs = {};
+  for (const tariff of tariffsResult.rows) {
+    if (!tariffs[tariff.mode]) tariffs[tariff.mode] = tariff;
+  }
+
+  const factor = containerType && containerType.startsWith('20') ? TWENTY_FOOT_FACTOR : 1.0;
+  const options = [];
+  for (const haulageMode of mode === 'auto' ? HAULAGE_MODES : [mode]) {
+    const tariff = tariffs[haulageMode];
+    if (!tariff) continue;
+    const distanceKm = Math.round(straightKm * CIRCUITY_FACTORS[haulageMode]);
+    if (distanceKm < parseFloat(tariff.min_distance_km)) continue;
+    if (tariff.max_distance_km && distanceKm > parseFloat(tariff.max_distance_km)) continue;
+
+    options.push({
+      mode: haulageMode,
+      distanceKm,
+      amount: Math.round((parseFloat(tariff.base_rate) + parseFloat(tariff.rate_per_km) * distanceKm) * factor),
+      tariffId: tariff.id,
+      country: tariff.country
+    });
+  }
+
+  if (options.length === 0) {
+    return null;
+  }
+  return options.reduce((best, option) => option.amount < best.amount ? option : best);
+}
+
+// Функция для проверки тарифа перед сохранением; возвращает текст ошибки или null
+function validateHaulageTariff(tariff) {
+  if (!HAULAGE_MODES.includes(tariff.mode)) {
+    return `mode must be one of: ${HAULAGE_MODES.join(', ')}`;
+  }
+  for (const field of ['baseRate', 'ratePerKm']) {
+    if (tariff[field] === undefined || tariff[field] === null || isNaN(parseFloat(tariff[field])) || parseFloat(tariff[field]) < 0) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  if (tariff.maxDistanceKm && parseFloat(tariff.maxDistanceKm) <= parseFloat(tariff.minDistanceKm || 0)) {
+    return 'maxDistanceKm must be greater than minDistanceKm';
+  }
+  return null;
+}
+
+// Функции администрирования тарифов
+async function getHaulageTariffs() {
+  const result = await pool.query('SELECT * FROM haulage_tariffs ORDER BY country NULLS FIRST, mode, id');
+  return result.rows;
+}
+
+async function createHaulageTariff(tariff) {
+  const result = await pool.query(
+    `INSERT INTO haulage_tariffs (country, mode, base_rate, rate_per_km, min_distance_km, max_distance_km)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [tariff.country || null, tariff.mode, tariff.baseRate, tariff.ratePerKm, tariff.minDistanceKm || 0, tariff.maxDistanceKm || null]
+  );
+  return result.rows[0];
+}
+
+async function deleteHaulageTariff(id) {
+  const result = await pool.query('DELETE FROM haulage_tariffs WHERE id = $1 RETURNING *', [id]);
+  return result.rows.length > 0;
+}
+
+// Экспорт функций
+export default {
+  HAULAGE_MODES,
+  HAULAGE_MODE_CHOICES,
+  initializeHaulageTables,
+  validateLocation,
+  resolveLocation,
+  findPortCandidates,
+  calculateHaulage,
+  validateHaulageTariff,
+  getHaulageTariffs,
+  createHaulageTariff,
+  deleteHaulageTariff
+};
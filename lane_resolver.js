@@ -0,0 +1,210 @@
+// Модуль сопоставления пары портов с конкретными линиями индексов фрахта
+// Определяет линии SCFI, FBX и WCI по регионам портов вместо композитных (глобальных) значений
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Источники, для которых выполняется поиск линий, и их таблицы
+const LANE_SOURCES = {
+  SCFI: { table: 'freight_indices_scfi', dateColumn: 'current_date' },
+  FBX: { table: 'freight_indices_fbx', dateColumn: 'index_date' },
+  WCI: { table: 'freight_indices_wci', dateColumn: 'index_date' }
+};
+
+// Линии SCFI для Европы и ряда других направлений публикуются в USD/TEU,
+// а FBX и WCI - в USD/FEU. Приводим всё к FEU, чтобы ставки были сопоставимы
+const TEU_TO_FEU_FACTOR = 2;
+
+// Страны Европы, порты которых относятся к Средиземноморью/Черному морю
+const MEDITERRANEAN_COUNTRIES = ['Italy', 'Greece', 'Turkey', 'Croatia', 'Slovenia', 'Malta', 'Cyprus', 'Romania', 'Bulgaria'];
+
+// Карта торговых линий: "регион отправления|регион назначения" -> шаблоны поиска по источникам
+// Шаблоны перебираются по порядку, первый найденный используется в расчете
+const LANE_PATTERNS = {
+  'Asia|North Europe': {
+    SCFI: ['%Europe (Base port)%', 'Europe%'],
+    FBX: ['%FBX11%', '%China/East Asia to North Europe%'],
+    WCI: ['%Shanghai%Rotterdam%']
+  },
+  'Asia|Mediterranean': {
+    SCFI: ['%Mediterranean%'],
+    FBX: ['%FBX13%', '%China/East Asia to Mediterranean%'],
+    WCI: ['%Shanghai%Genoa%']
+  },
+  'Asia|North America West Coast': {
+    SCFI: ['%USWC%', '%West Coast%'],
+    FBX: ['%FBX01%', '%China/East Asia to North America West Coast%'],
+    WCI: ['%Shanghai%Los Angeles%']
+  },
+  'Asia|North America East Coast': {
+    SCFI: ['%USEC%', '%East Coast%'],
+    FBX: ['%FBX03%', '%China/East Asia to North America East Coast%'],
+    WCI: ['%Shanghai%New York%']
+  },
+  'Asia|Middle East': {
+    SCFI: ['%Persian Gulf%']
+  },
+  'Asia|Oceania': {
+    SCFI: ['%Australia%']
+  },
+  'Asia|Africa': {
+    SCFI: ['%South Africa%', '%West Africa%']
+  },
+  'Asia|South America': {
+    SCFI: ['%South America%']
+  },
+  'North Europe|Asia': {
+    FBX: ['%FBX12%', '%North Europe to China/East Asia%'],
+    WCI: ['%Rotterdam%Shanghai%']
+  },
+  'Mediterranean|Asia': {
+    FBX: ['%FBX14%', '%Mediterranean to China/East Asia%'],
+    WCI: ['%Genoa%Shanghai%']
+  },
+  'North America West Coast|Asia': {
+    FBX: ['%FBX02%', '%North America West Coast to China/East Asia%'],
+    WCI: ['%Los Angeles%Shanghai%']
+  },
+  'North America East Coast|Asia': {
+    FBX: ['%FBX04%', '%North America East Coast to China/East Asia%']
+  },
+  'North Europe|North America East Coast': {
+    FBX: ['%FBX21%', '%North Europe to North America East Coast%'],
+    WCI: ['%Rotterdam%New York%']
+  },
+  'North America East Coast|North Europe': {
+    FBX: ['%FBX22%', '%North America East Coast to North Europe%'],
+    WCI: ['%New York%Rotterdam%']
+  },
+  'North Europe|South America': {
+    FBX: ['%FBX24%', '%Europe to South America East Coast%']
+  }
+};
+
+// Функция для определения торговой зоны порта (детализация поля ports.region)
+function getTradeArea(port) {
+  if (!port) return 'Unknown';
+
+  const region = port.region;
+  const latitude = port.latitude !== null && port.latitude !== undefined ? parseFloat(port.latitude) : null;
+  const longitude = port.longitude !== null && port.longitude !== undefined ? parseFloat(port.longitude) : null;
+
+  // Fallback-карта калькулятора использует отдельные регионы 'China' и 'Mediterranean'
+  if (region === 'China') return 'Asia';
+  if (region === 'Mediterranean') return 'Mediterranean';
+
+  if (region === 'Europe') {
+    if (MEDITERRANEAN_COUNTRIES.includes(port.country)) return 'Mediterranean';
+    // Средиземноморское побережье Испании и Франции (восточнее Гибралтара и южнее Бискайского залива)
+    if ((port.country === 'Spain' || port.country === 'France') && latitude !== null && longitude !== null &&
+        latitude < 44 && longitude > -5.7) {
+      return 'Mediterranean';
+    }
+    return 'North Europe';
+  }
+
+  if (region === 'North America') {
+    if (longitude !== null && longitude < -100) return 'North America West Coast';
+    return 'North America East Coast';
+  }
+
+  return region || 'Unknown';
+}
+
+// Функция для получения данных о порте
+async function getPortById(portId) {
+  try {
+    const result = await pool.query(
+      'SELECT id, name, country, region, latitude, longitude FROM ports WHERE id = $1',
+      [portId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (error) {
+    console.error(`Error getting port ${portId}:`, error);
+    return null;
+  }
+}
+
+// Функция для поиска последнего значения линии в таблице индекса
+// asOf - дата, не позже которой опубликовано значение (расчет на прошлую дату); null - последнее значение
+async function findLaneRow(sourceName, patterns, asOf = null) {
+  const { table, dateColumn } = LANE_SOURCES[sourceName];
+
+  for (const pattern of patterns) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM ${table}
+         WHERE route ILIKE $1
+         ${asOf ? `AND "${dateColumn}" <= $2::DATE` : ''}
+         ORDER BY "${dateColumn}" DESC
+         LIMIT 1`,
+        asOf ? [pattern, asOf] : [pattern]
+      );
+
+      if (result.rows.length > 0 && result.rows[0].current_index) {
+        const row = result.rows[0];
+        const rawValue = parseFloat(row.current_index);
+        const isPerTEU = row.unit ? /TEU/i.test(row.unit) : false;
+
+        return {
+          current_index: isPerTEU ? rawValue * TEU_TO_FEU_FACTOR : rawValue,
+          raw_index: rawValue,
+          unit: row.unit || 'USD/FEU',
+          route: row.route,
+          index_date: row[dateColumn],
+          pattern
+        };
+      }
+    } catch (error) {
+      console.error(`Error looking up ${sourceName} lane for pattern ${pattern}:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+// Основная функция: сопоставление пары портов с линиями SCFI, FBX и WCI
+// Для источников без подходящей линии возвращается null - калькулятор использует композитный индекс
+// asOf - дата расчета для бэктеста: используются только значения, опубликованные не позже нее
+async function resolveLaneIndices(originPortId, destinationPortId, asOf = null) {
+  const originPort = await getPortById(originPortId);
+  const destinationPort = await getPortById(destinationPortId);
+
+  const originArea = getTradeArea(originPort);
+  const destinationArea = getTradeArea(destinationPort);
+  const laneKey = `${originArea}|${destinationArea}`;
+  const lanePatterns = LANE_PATTERNS[laneKey] || {};
+
+  const lanes = {};
+  for (const sourceName of Object.keys(LANE_SOURCES)) {
+    lanes[sourceName] = lanePatterns[sourceName]
+      ? await findLaneRow(sourceName, lanePatterns[sourceName], asOf)
+      : null;
+  }
+
+  return {
+    laneKey,
+    originArea,
+    destinationArea,
+    knownLane: Boolean(LANE_PATTERNS[laneKey]),
+    lanes
+  };
+}
+
+// Экспорт функций
+export default {
+  resolveLaneIndices,
+  getTradeArea
+};
@@ -0,0 +1,159 @@
+// Модуль расчета ставок для сборных грузов (LCL) по объему и весу
+// Ставка за W/M выводится из ставки FCL калькулятора для линии, к ней добавляются сборы CFS и консолидации
+
+import enhancedFreightCalculator from './freight_calculator_enhanced.js';
+
+// Контейнер, по ставке FCL которого рассчитывается ставка LCL
+const REFERENCE_CONTAINER_TYPE = '40DV';
+
+// Полезный объем 40' контейнера и средняя загрузка сборного контейнера консолидатором
+const FEU_CAPACITY_CBM = 67;
+const CONSOLIDATION_FILL_FACTOR = 0.6;
+
+// Правило W/M: 1 тонна приравнивается к 1 куб. м, оплачивается большая из величин
+const KG_PER_REVENUE_TON = 1000;
+
+// Минимальное количество оплачиваемых единиц W/M
+const MIN_CHARGEABLE_UNITS = 1;
+
+// Предельные объем и вес сборного груза; больше - выгоднее FCL
+const MAX_LCL_VOLUME_CBM = 15;
+const MAX_LCL_WEIGHT_KG = 10000;
+
+// Строки FCL, которые не переносятся в ставку LCL: THC заменяются сборами CFS, сборы за бронирование начисляются отдельно
+const EXCLUDED_FCL_ITEMS = ['THC_ORIGIN', 'THC_DESTINATION'];
+
+// Сборы LCL, USD: CFS за W/M с минимумом на каждом конце, консолидация за отправку, обработка за место
+const LCL_CHARGES = {
+  CFS_ORIGIN: { name: 'Origin CFS Charge', perUnit: 15, minimum: 25 },
+  CFS_DESTINATION: { name: 'Destination CFS Charge', perUnit: 18, minimum: 30 },
+  CONSOLIDATION: { name: 'Consolidation Fee', perShipment: 35 },
+  PACKAGE_HANDLING: { name: 'Package Handling', perPackage: 1.5 }
+};
+
+// Функция для проверки параметров сборного груза; возвращает текст ошибки или null
+// cargo: { volume (куб. м), weight (кг брутто), packages (количество мест) }
+function validateLclCargo(cargo) {
+  const volume = Number(cargo.volume);
+  const weight = Number(cargo.weight);
+  const packages = Number(cargo.packages);
+
+  if (!(volume > 0)) return 'volume must be a positive number (CBM)';
+  if (!(weight > 0)) return 'weight must be a positive number (kg)';
+  if (!Number.isInteger(packages) || packages < 1) return 'packages must be a positive integer';
+  if (volume > MAX_LCL_VOLUME_CBM || weight > MAX_LCL_WEIGHT_KG) {
+    return `LCL is limited to ${MAX_LCL_VOLUME_CBM} CBM and ${MAX_LCL_WEIGHT_KG} kg; quote the cargo as FCL`;
+  }
+  return null;
+}
+
+// Функция для расчета оплачиваемых единиц по правилу W/M
+function getChargeableUnits(volume, weight) {
+  const revenueTons = weight / KG_PER_REVENUE_TON;
+  const units = Math.max(volume, revenueTons, MIN_CHARGEABLE_UNITS);
+  return {
+    units: Math.round(units * 1000) / 1000,
+    basis: revenueTons > volume ? 'weight' : 'measure',
+    minimumApplied: Math.max(volume, revenueTons) < MIN_CHARGEABLE_UNITS
+  };
+}
+
+// Функция для расчета ставки LCL
+// options - те же параметры, что и для calculateFreightRate (routing)
+async function calculateLclRate(originPortId, destinationPortId, cargo, debugMode = false, options = {}) {
+  const volume = Number(cargo.volume);
+  const weight = Number(cargo.weight);
+  const packages = Number(cargo.packages);
+
+  // Ставка FCL для линии - основа ставки за W/M
+  const fcl = await enhancedFreightCalculator.calculateFreightRate(
+    originPortId, destinationPortId, REFERENCE_CONTAINER_TYPE, weight, debugMode, options
+  );
+
+  const fclItems = (fcl.lineItems || [{ code: 'OCEAN_FREIGHT', name: 'Ocean Freight', amount: fcl.finalRate }])
+    .filter(item => !EXCLUDED_FCL_ITEMS.includes(item.code) && item.basis !== 'booking');
+  const fclBasis = fclItems.reduce((sum, item) => sum + item.amount, 0);
+  const cbmPerContainer = FEU_CAPACITY_CBM * CONSOLIDATION_FILL_FACTOR;
+  const ratePerUnit = fclBasis / cbmPerContainer;
+
+  const chargeable = getChargeableUnits(volume, weight);
+
+  const lineItems = [{
+    code: 'OCEAN_FREIGHT',
+    name: 'Ocean Freight (LCL)',
+    amount: Math.round(ratePerUnit * chargeable.units),
+    method: 'lcl',
+    details: `${chargeable.units} W/M (${chargeable.basis}${chargeable.minimumApplied ? ', minimum' : ''}) x USD ${Math.round(ratePerUnit * 100) / 100}/W/M`
+  }];
+
+  for (const code of ['CFS_ORIGIN', 'CFS_DESTINATION']) {
+    const charge = LCL_CHARGES[code];
+    const amount = Math.max(charge.perUnit * chargeable.units, charge.minimum);
+    lineItems.push({
+      code,
+      name: charge.name,
+      amount: Math.round(amount),
+      method: 'lcl',
+      details: `${chargeable.units} W/M x USD ${charge.perUnit}, minimum USD ${charge.minimum}`
+    });
+  }
+
+  lineItems.push({
+    code: 'CONSOLIDATION',
+    name: LCL_CHARGES.CONSOLIDATION.name,
+    amount: LCL_CHARGES.CONSOLIDATION.perShipment,
+    method: 'lcl',
+    basis: 'booking'
+  });
+  lineItems.push({
+    code: 'PACKAGE_HANDLING',
+    name: LCL_CHARGES.PACKAGE_HANDLING.name,
+    amount: Math.round(LCL_CHARGES.PACKAGE_HANDLING.perPackage * packages),
+    method: 'lcl',
+    details: `${packages} packages x USD ${LCL_CHARGES.PACKAGE_HANDLING.perPackage}`
+  });
+
+  // Сборы за бронирование (например, документация) начисляются так же, как для FCL
+  lineItems.push(...(fcl.lineItems || []).filter(item => item.basis === 'booking'));
+
+  const finalRate = lineItems.reduce((sum, item) => sum + item.amount, 0);
+
+  // Пересчет диапазона и альтернатив маршрута из FCL в LCL пропорционально оплачиваемым единицам
+  const toLcl = amount => Math.round(amount / cbmPerContainer * chargeable.units);
+
+  return {
+    mode: 'lcl',
+    cargo: { volume, weight, packages, chargeableUnits: chargeable.units, chargeableBasis: chargeable.basis },
+    ratePerUnit: Math.round(ratePerUnit * 100) / 100, // Ставка за W/M (куб. м или тонна)
+    rate: lineItems[0].amount,
+    minRate: toLcl(fcl.minRate),
+    maxRate: toLcl(fcl.maxRate),
+    lineItems,
+    emissions: fcl.emissions || null, // Выбросы считаются по массе груза, поэтому оценка FCL с весом LCL-груза применима без пересчета
+    seaRoute: fcl.seaRoute,
+    routing: fcl.routing ? {
+      ...fcl.routing,
+      alternatives: fcl.routing.alternatives.map(alternative => ({
+        ...alternative,
+        totalRate: finalRate + toLcl(alternative.totalRate - fcl.finalRate)
+      }))
+    } : fcl.routing,
+    itinerary: fcl.itinerary,
+    transitTime: fcl.transitTime,
+    indexValues: fcl.indexValues,
+    fclReference: { containerType: REFERENCE_CONTAINER_TYPE, basis: fclBasis, cbmPerContainer },
+    finalRate,
+    reliability: fcl.reliability,
+    sourceCount: fcl.sourceCount,
+    sourcesUsed: fcl.sourcesUsed,
+    settingsVersion: fcl.settingsVersion,
+    debugLog: fcl.debugLog
+  };
+}
+
+// Экспорт функций
+export default {
+  validateLclCargo,
+  getChargeableUnits,
+  calculateLclRate
+};
@@ -0,0 +1,397 @@
+// Модуль правил наценки: ставка продажи клиенту = ставка закупки (рыночная ставка калькулятора) + наценка
+// Правила задаются по паре регионов, типу контейнера, категории клиента, размеру отправки и сезону;
+// наценка в процентах или фиксированная за контейнер, с минимальной и максимальной ставкой продажи.
+// Правила проверяются по приоритету (меньшее значение - раньше), применяется первое подходящее
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import laneResolver from './lane_resolver.js';
+import customerAccounts from './customer_accounts.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Способы начисления наценки
+const MARKUP_TYPES = ['percent', 'flat'];
+
+// Тип "контейнера" для правил сборного груза (наценка и границы - на всю отправку LCL)
+const LCL_CONTAINER_TYPE = 'LCL';
+
+// Правило по умолчанию: наценка на любую линию, проверяется последним
+const DEFAULT_MARGIN_RULE = { name: 'Default margin', markupType: 'percent', markupValue: 10, priority: 1000 };
+
+// Функция для инициализации таблицы правил наценки
+async function initializeMarginTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    // Пустые условия означают "любой"; season_start_month / season_end_month - месяцы 1-12, период может переходить через год
+    // floor_rate / ceiling_rate - минимальная и максимальная ставка продажи за контейнер, USD
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS margin_rules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        origin_region VARCHAR(100),
+        destination_region VARCHAR(100),
+        container_type VARCHAR(10),
+        customer_tier VARCHAR(20),
+        min_containers INTEGER,
+        max_containers INTEGER,
+        season_start_month INTEGER CHECK (season_start_month BETWEEN 1 AND 12),
+        season_end_month INTEGER CHECK (season_end_month BETWEEN 1 AND 12),
+        markup_type VARCHAR(10) NOT NULL,
+        markup_value NUMERIC NOT NULL,
+        floor_rate NUMERIC,
+        ceiling_rate NUMERIC,
+        priority INTEGER NOT NULL DEFAULT 100,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Заполнение правилом по умолчанию, если таблица пуста
+    const rulesCount = await client.query('SELECT COUNT(*) FROM margin_rules');
+    if (parseInt(rulesCount.rows[0].count) === 0) {
+      await client.query(
+        'INSERT INTO margin_rules (name, markup_type, markup_value, priority) VALUES ($1, $2, $3, $4)',
+        [DEFAULT_MARGIN_RULE.name, DEFAULT_MARGIN_RULE.markupType, DEFAULT_MARGIN_RULE.markupValue, DEFAULT_MARGIN_RULE.priority]
+      );
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Margin rule tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing margin rule tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Проверка соответствия региона правила региону порта (регион из ports.region или торговая зона)
+function matchesRegion(ruleRegion, port) {
+  if (!ruleRegion) return true;
+  if (!port) return false;
+  return ruleRegion === port.region || ruleRegion === laneResolver.getTradeArea(port);
+}
+
+// Проверка попадания месяца в сезон правила (например, 11-2 - с ноября по февраль)
+function matchesSeason(rule, month) {
+  if (!rule.season_start_month || !rule.season_end_month) return true;
+  return rule.season_start_month <= rule.season_end_month
+    ? month >= rule.season_start_month && month <= rule.season_end_month
+    : month >= rule.season_start_month || month <= rule.season_end_month;
+}
+
+// Функция для проверки условий правила для строки оборудования
+function matchesRule(rule, { originPort, destinationPort, containerType, customerTier, shipmentSize, month }) {
+  return matchesRegion(rule.origin_region, originPort) &&
+    matchesRegion(rule.destination_region, destinationPort) &&
+    (!rule.container_type || rule.container_type === containerType) &&
+    (!rule.customer_tier || rule.customer_tier === customerTier) &&
+    (!rule.min_containers || shipmentSize >= rule.min_containers) &&
+    (!rule.max_containers || shipmentSize <= rule.max_containers) &&
+    matchesSeason(rule, month);
+}
+
+// Функция для расчета ставки продажи по правилу: наценка, затем минимальная и максимальная ставка
+function getSellRate(rule, buyRate) {
+  const markupValue = parseFloat(rule.markup_value);
+  let sellRate = rule.markup_type === 'percent' ? buyRate * (1 + markupValue / 100) : buyRate + markupValue;
+  let limit = null;
+  if (rule.floor_rate !== null && sellRate < parseFloat(rule.floor_rate)) {
+    sellRate = parseFloat(rule.floor_rate);
+    limit = 'floor';
+  }
+  if (rule.ceiling_rate !== null && sellRate > parseFloat(rule.ceiling_rate)) {
+    sellRate = parseFloat(rule.ceiling_rate);
+    limit = 'ceiling';
+  }
+  return { sellRate: Math.round(sellRate), limit };
+}
+
+// Функция для получения ставки закупки за контейнер без надбавок за бронирование
+function getBuyRate(lineItems, fallbackRate) {
+  return lineItems
+    ? lineItems.filter(item => item.basis !== 'booking').reduce((sum, item) => sum + item.amount, 0)
+    : fallbackRate;
+}
+
+// Функция для добавления наценки к строке морского фрахта: надбавки остаются по тарифу, наценка входит в фрахт
+function addToOceanFreight(lineItems, amount) {
+  if (!lineItems || amount === 0) return lineItems;
+  return lineItems.map(item => item.code === 'OCEAN_FREIGHT' ? { ...item, amount: item.amount + amount } : item);
+}
+
+// Функция для применения правил наценки к результату расчета (один контейнер, отправка, от двери до двери или LCL)
+// context: { originPortId, destinationPortId, containerType (для одного контейнера), customerTier, date }
+// Договорная ставка клиента уже является ставкой продажи - наценка на нее не начисляется
+// Возвращает результат со ставками продажи и полем margin (ставка закупки, наценка и примененные правила)
+async function applyMargins(result, { originPortId, destinationPortId, containerType = null, customerTier = null, date = new Date() }) {
+  const portsResult = await pool.query(
+    'SELECT id, name, country, region, latitude, longitude FROM ports WHERE id IN ($1, $2)',
+    [originPortId, destinationPortId]
+  );
+  const rulesResult = await pool.query('SELECT * FROM margin_rules WHERE active ORDER BY priority, id');
+
+  // Строки оборудования, на которые начисляется наценка
+  let units;
+  if (result.mode === 'lcl') {
+    units = [{ containerType: LCL_CONTAINER_TYPE, quantity: 1, buyRate: getBuyRate(result.lineItems, result.finalRate), pricing: result.pricing }];
+  } else if (result.containers) {
+    units = result.containers.map(line => ({ containerType: line.containerType, quantity: line.quantity, buyRate: line.containerRate, pricing: line.pricing }));
+  } else {
+    units = [{ containerType, quantity: 1, buyRate: getBuyRate(result.lineItems, result.finalRate), pricing: result.pricing }];
+  }
+
+  const matchContext = {
+    originPort: portsResult.rows.find(port => port.id === originPortId),
+    destinationPort: portsResult.rows.find(port => port.id === destinationPortId),
+    customerTier,
+    shipmentSize: units.reduce((sum, unit) => sum + unit.quantity, 0),
+    month: date.getMonth() + 1
+  };
+
+  const lines = units.map(unit => {
+    if (unit.pricing && unit.pricing.basis === 'contract') {
+      return { containerType: unit.containerType, quantity: unit.quantity, buyRate: unit.buyRate, sellRate: unit.buyRate, marginAmount: 0, ruleId: null, ruleName: null, limit: null, basis: 'contract' };
+    }
+    const rule = rulesResult.rows.find(candidate => matchesRule(candidate, { ...matchContext, containerType: unit.containerType }));
+    const { sellRate, limit } = rule ? getSellRate(rule, unit.buyRate) : { sellRate: unit.buyRate, limit: null };
+    return {
+      containerType: unit.containerType,
+      quantity: unit.quantity,
+      buyRate: unit.buyRate,
+      sellRate,
+      marginAmount: sellRate - unit.buyRate,
+      ruleId: rule ? rule.id : null,
+      ruleName: rule ? rule.name : null,
+      limit // 'floor' / 'ceiling', если ставка продажи ограничена правилом
+    };
+  });
+
+  const marginAmount = lines.reduce((sum, line) => sum + line.marginAmount * line.quantity, 0);
+  const perUnit = lines[0].marginAmount;
+  const margin = {
+    buyRate: result.finalRate,
+    marginAmount,
+    sellRate: result.finalRate + marginAmount,
+    marginPercent: result.finalRate > 0 ? Math.round(marginAmount / result.finalRate * 10000) / 100 : null,
+    lines
+  };
+
+  const sell = {
+    ...result,
+    rate: result.rate + marginAmount,
+    minRate: result.minRate + marginAmount,
+    maxRate: result.maxRate + marginAmount,
+    lineItems: addToOceanFreight(result.lineItems, marginAmount),
+    // Наценка выбранного маршрута переносится на альтернативы для сравнения
+    routing: result.routing ? {
+      ...result.routing,
+      alternatives: result.routing.alternatives.map(alternative => ({ ...alternative, totalRate: alternative.totalRate + marginAmount }))
+    } : result.routing,
+    itinerary: result.itinerary && result.itinerary.alternatives ? {
+      ...result.itinerary,
+      alternatives: result.itinerary.alternatives.map(alternative => ({ ...alternative, totalRate: alternative.totalRate + perUnit }))
+    } : result.itinerary,
+    margin,
+    finalRate: result.finalRate + marginAmount
+  };
+
+  if (result.containers) {
+    sell.containers = result.containers.map((line, index) => {
+      const lineMargin = lines[index].marginAmount;
+      return {
+        ...line,
+        rate: line.rate + lineMargin,
+        minRate: line.minRate + lineMargin,
+        maxRate: line.maxRate + lineMargin,
+        containerRate: line.containerRate + lineMargin,
+        lineTotal: line.lineTotal + lineMargin * line.quantity,
+        lineItems: addToOceanFreight(line.lineItems, lineMargin)
+      };
+    });
+  }
+  if (result.mode === 'lcl' && sell.lineItems) {
+    sell.ratePerUnit = Math.round(sell.lineItems[0].amount / result.cargo.chargeableUnits * 100) / 100;
+  }
+
+  return sell;
+}
+
+// Функция для удаления из основы ставки данных о закупке и реквизитов договора
+// Клиент определяется по email без подтверждения, поэтому номер, срок действия договора и клиент в ответ не попадают
+function toPublicPricing(pricing) {
+  const { spotRate, contractId, contractNumber, validTo, ...publicPricing } = pricing;
+  return publicPricing;
+}
+
+// Функция для удаления из результата данных о закупке: публичный ответ содержит только ставку продажи
+// Значения индексов, версия настроек и журнал расчета раскрывают модель ценообразования и тоже удаляются
+function toPublicQuote(result) {
+  if (!result) return result;
+  const { margin, fclReference, customer, indexValues, settingsVersion, debugLog, ...publicResult } = result;
+  if (publicResult.pricing) {
+    publicResult.pricing = toPublicPricing(publicResult.pricing);
+  }
+  if (publicResult.containers) {
+    publicResult.containers = publicResult.containers.map(({ debugLog: lineDebugLog, ...line }) =>
+      line.pricing ? { ...line, pricing: toPublicPricing(line.pricing) } : line);
+  }
+  return publicResult;
+}
+
+// Функция для проверки правила перед сохранением; возвращает текст ошибки или null
+function validateMarginRule(rule) {
+  if (!rule.name || !String(rule.name).trim()) {
+    return 'name is required';
+  }
+  if (!MARKUP_TYPES.includes(rule.markupType)) {
+    return `markupType must be one of: ${MARKUP_TYPES.join(', ')}`;
+  }
+  if (!rule.markupValue && rule.markupValue !== 0) {
+    return 'markupValue is required';
+  }
+  const rateError = validateMarginRuleUpdate(rule);
+  if (rateError) return rateError;
+  if (rule.customerTier && !customerAccounts.CUSTOMER_TIERS.includes(rule.customerTier)) {
+    return `customerTier must be one of: ${customerAccounts.CUSTOMER_TIERS.join(', ')}`;
+  }
+  for (const field of ['minContainers', 'maxContainers']) {
+    const value = rule[field];
+    if (value !== undefined && value !== null && value !== '' && (!Number.isInteger(Number(value)) || Number(value) < 1)) {
+      return `${field} must be a positive integer`;
+    }
+  }
+  if (rule.minContainers && rule.maxContainers && Number(rule.minContainers) > Number(rule.maxContainers)) {
+    return 'minContainers must not exceed maxContainers';
+  }
+  const hasStart = rule.seasonStartMonth !== undefined && rule.seasonStartMonth !== null && rule.seasonStartMonth !== '';
+  const hasEnd = rule.seasonEndMonth !== undefined && rule.seasonEndMonth !== null && rule.seasonEndMonth !== '';
+  if (hasStart !== hasEnd) {
+    return 'seasonStartMonth and seasonEndMonth must be set together';
+  }
+  for (const field of ['seasonStartMonth', 'seasonEndMonth']) {
+    const value = rule[field];
+    if (hasStart && (!Number.isInteger(Number(value)) || Number(value) < 1 || Number(value) > 12)) {
+      return `${field} must be a month number (1-12)`;
+    }
+  }
+  return null;
+}
+
+// Функция для проверки изменяемых полей правила (наценка, границы ставки, приоритет); возвращает текст ошибки или null
+function validateMarginRuleUpdate(updates) {
+  const isSet = value => value !== undefined && value !== null && value !== '';
+  if (isSet(updates.markupValue) && (isNaN(parseFloat(updates.markupValue)) || parseFloat(updates.markupValue) < 0)) {
+    return 'markupValue must be a non-negative number';
+  }
+  for (const field of ['floorRate', 'ceilingRate']) {
+    if (isSet(updates[field]) && (isNaN(parseFloat(updates[field])) || parseFloat(updates[field]) < 0)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  if (isSet(updates.floorRate) && isSet(updates.ceilingRate) && parseFloat(updates.floorRate) > parseFloat(updates.ceilingRate)) {
+    return 'floorRate must not exceed ceilingRate';
+  }
+  if (isSet(updates.priority) && !Number.isInteger(Number(updates.priority))) {
+    return 'priority must be an integer';
+  }
+  return null;
+}
+
+// Функции администрирования правил наценки
+async function getMarginRules() {
+  const result = await pool.query('SELECT * FROM margin_rules ORDER BY priority, id');
+  return result.rows;
+}
+
+async function createMarginRule(rule) {
+  const optional = value => value === undefined || value === '' ? null : value;
+  const result = await pool.query(
+    `INSERT INTO margin_rules (name, origin_region, destination_region, container_type, customer_tier, min_containers, max_containers,
+       season_start_month, season_end_month, markup_type, markup_value, floor_rate, ceiling_rate, priority, active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     RETURNING *`,
+    [
+      String(rule.name).trim(),
+      optional(rule.originRegion),
+      optional(rule.destinationRegion),
+      optional(rule.containerType),
+      optional(rule.customerTier),
+      optional(rule.minContainers),
+      optional(rule.maxContainers),
+      optional(rule.seasonStartMonth),
+      optional(rule.seasonEndMonth),
+      rule.markupType,
+      parseFloat(rule.markupValue),
+      optional(rule.floorRate),
+      optional(rule.ceilingRate),
+      optional(rule.priority) ?? 100,
+      rule.active !== false
+    ]
+  );
+  return result.rows[0];
+}
+
+// Минимальная и максимальная ставка заменяются переданными значениями (null снимает ограничение)
+async function updateMarginRule(id, updates) {
+  const result = await pool.query(
+    `UPDATE margin_rules SET
+       markup_value = COALESCE($2, markup_value),
+       floor_rate = $3,
+       ceiling_rate = $4,
+       priority = COALESCE($5, priority),
+       active = COALESCE($6, active)
+     WHERE id = $1
+     RETURNING *`,
+    [
+      id,
+      updates.markupValue ?? null,
+      updates.floorRate === '' ? null : updates.floorRate ?? null,
+      updates.ceilingRate === '' ? null : updates.ceilingRate ?? null,
+      updates.priority === '' ? null : updates.priority ?? null,
+      updates.active ?? null
+    ]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+async function deleteMarginRule(id) {
+  const result = await pool.query('DELETE FROM margin_rules WHERE id = $1 RETURNING *', [id]);
+  return result.rows.length > 0;
+}
+
+// Экспорт функций
+export default {
+  MARKUP_TYPES,
+  initializeMarginTables,
+  matchesSeason,
+  getSellRate,
+  applyMargins,
+  toPublicQuote,
+  validateMarginRule,
+  validateMarginRuleUpdate,
+  getMarginRules,
+  createMarginRule,
+  updateMarginRule,
+  deleteMarginRule
+};
@@ -0,0 +1,200 @@
+// Модуль базовых значений модификаторов (Harpex, New ConTex, BDI, CTS)
+// Базовое значение - скользящая медиана индекса за окно наблюдений (настройка baseline_window_days);
+// значения сохраняются с датой расчета, при недостатке истории используется значение из настроек
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import settingsService from './settings_service.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Таблицы истории индексов-модификаторов; route - ряд, который калькулятор использует как текущее значение
+// (null - в таблице один ряд), setting - базовое значение из настроек на случай недостатка истории
+const MODIFIER_SOURCES = {
+  Harpex: { table: 'freight_indices_harpex', route: null, setting: 'harpex_baseline' },
+  NewConTex: { table: 'freight_indices_contex', route: 'New ConTex Composite Index', setting: 'newcontex_baseline' },
+  BDI: { table: 'freight_indices_bdi', route: null, setting: 'bdi_baseline' },
+  CTS: { table: 'freight_indices_cts', route: 'CTS Global Price Index', setting: 'cts_baseline' }
+};
+
+// Функция для инициализации таблицы базовых значений модификаторов
+async function initializeBaselineTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    // Каждый пересчет сохраняется отдельной строкой; действует последняя строка по источнику
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS modifier_baselines (
+        id SERIAL PRIMARY KEY,
+        source VARCHAR(20) NOT NULL,
+        baseline NUMERIC NOT NULL,
+        observations INTEGER NOT NULL,
+        window_days INTEGER NOT NULL,
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        computed_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_modifier_baselines_source ON modifier_baselines (source, computed_at DESC)');
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Modifier baseline tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing modifier baseline tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для расчета медианы индекса за окно, заканчивающееся последним опубликованным значением
+// Окно отсчитывается от последней даты индекса, а не от текущей, чтобы пауза в загрузке данных не опустошала окно
+// asOf - дата для бэктеста: учитываются только значения, опубликованные не позже нее
+async function computeMedian(source, windowDays, asOf = null) {
+  const { table, route } = MODIFIER_SOURCES[source];
+  const params = [windowDays, route, asOf];
+
+  const result = await pool.query(
+    `WITH series AS (
+       SELECT current_index, index_date FROM ${table}
+       WHERE ($2::VARCHAR IS NULL OR route = $2) AND ($3::DATE IS NULL OR index_date <= $3::DATE)
+     )
+     SELECT
+       percentile_cont(0.5) WITHIN GROUP (ORDER BY current_index) AS median,
+       COUNT(*) AS observations,
+       MIN(index_date) AS period_start,
+       MAX(index_date) AS period_end
+     FROM series
+     WHERE index_date > (SELECT MAX(index_date) FROM series) - $1::INTEGER`,
+    params
+  );
+
+  const row = result.rows[0];
+  return {
+    median: row.median === null ? null : parseFloat(row.median),
+    observations: parseInt(row.observations),
+    periodStart: row.period_start,
+    periodEnd: row.period_end
+  };
+}
+
+// Функция для пересчета базовых значений всех модификаторов
+// Источник с числом наблюдений меньше baseline_min_observations пропускается - действует прежнее значение или настройка
+async function recomputeBaselines() {
+  const settings = await settingsService.getSettings();
+  const windowDays = settings.baseline_window_days;
+  const minObservations = settings.baseline_min_observations;
+  const results = {};
+
+  for (const source of Object.keys(MODIFIER_SOURCES)) {
+    try {
+      const median = await computeMedian(source, windowDays);
+      if (median.median === null || median.median <= 0 || median.observations < minObservations) {
+        results[source] = { success: false, observations: median.observations, reason: `Fewer than ${minObservations} observations in ${windowDays} days` };
+        continue;
+      }
+
+      await pool.query(
+        `INSERT INTO modifier_baselines (source, baseline, observations, window_days, period_start, period_end)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [source, median.median, median.observations, windowDays, median.periodStart, median.periodEnd]
+      );
+      results[source] = { success: true, baseline: median.median, observations: median.observations };
+    } catch (error) {
+      console.error(`Error computing ${source} baseline:`, error);
+      results[source] = { success: false, error: error.message };
+    }
+  }
+
+  console.log('Modifier baselines recomputed');
+  return results;
+}
+
+// Функция для получения действующих базовых значений модификаторов
+// Возвращает { Harpex: { value, basis: 'median' | 'setting', computedAt, observations, windowDays, periodStart, periodEnd }, ... }
+async function getCurrentBaselines(settings) {
+  const computed = {};
+  try {
+    const result = await pool.query(
+      `SELECT DISTINCT ON (source) *
+       FROM modifier_baselines
+       ORDER BY source, computed_at DESC, id DESC`
+    );
+    result.rows.forEach(row => {
+      computed[row.source] = row;
+    });
+  } catch (error) {
+    console.error('Error loading modifier baselines, using settings:', error);
+  }
+
+  const baselines = {};
+  for (const [source, { setting }] of Object.entries(MODIFIER_SOURCES)) {
+    const row = computed[source];
+    baselines[source] = row
+      ? {
+          value: parseFloat(row.baseline),
+          basis: 'median',
+          computedAt: row.computed_at,
+          observations: row.observations,
+          windowDays: row.window_days,
+          periodStart: row.period_start,
+          periodEnd: row.period_end
+        }
+      : { value: settings[setting], basis: 'setting', setting };
+  }
+  return baselines;
+}
+
+// Функция для расчета базовых значений на прошлую дату (бэктест) без сохранения
+// Медианы считаются по истории, доступной на дату asOf, с окном и минимумом наблюдений из переданных настроек
+async function getBaselinesAsOf(settings, asOf) {
+  const baselines = {};
+  for (const [source, { setting }] of Object.entries(MODIFIER_SOURCES)) {
+    let median = null;
+    try {
+      median = await computeMedian(source, settings.baseline_window_days, asOf);
+    } catch (error) {
+      console.error(`Error computing ${source} baseline as of ${asOf}:`, error);
+    }
+    baselines[source] = median && median.median > 0 && median.observations >= settings.baseline_min_observations
+      ? {
+          value: median.median,
+          basis: 'median',
+          asOf,
+          observations: median.observations,
+          windowDays: settings.baseline_window_days,
+          periodStart: median.periodStart,
+          periodEnd: median.periodEnd
+        }
+      : { value: settings[setting], basis: 'setting', setting };
+  }
+  return baselines;
+}
+
+// Экспорт функций
+export default {
+  MODIFIER_SOURCES,
+  initializeBaselineTables,
+  recomputeBaselines,
+  getCurrentBaselines,
+  getBaselinesAsOf
+};
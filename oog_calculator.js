@@ -0,0 +1,254 @@
+// Модуль расчета ставок для спецоборудования (флэт-рэк, open top, платформа) и негабаритных грузов (OOG)
+// Выход груза за габариты контейнера определяется по длине, ширине и высоте из справочника container_types
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Категории оборудования: спецоборудование допускает выход груза за габариты
+const EQUIPMENT_CATEGORIES = ['dry', 'reefer', 'open_top', 'flat_rack', 'platform'];
+const SPECIAL_EQUIPMENT_CATEGORIES = ['open_top', 'flat_rack', 'platform'];
+
+// Внутренние размеры (см), грузоподъемность (кг) и TEU типов контейнеров
+// Для платформы высота - допустимая высота груза над настилом в пределах габарита соседних ячеек
+const EQUIPMENT_TYPES = [
+  { id: '20DV', category: 'dry', length: 590, width: 235, height: 239, maxWeight: 28200, teu: 1 },
+  { id: '40DV', category: 'dry', length: 1203, width: 235, height: 239, maxWeight: 26700, teu: 2 },
+  { id: '40HQ', category: 'dry', length: 1203, width: 235, height: 269, maxWeight: 26500, teu: 2 },
+  { id: '20RF', category: 'reefer', length: 545, width: 229, height: 225, maxWeight: 27400, teu: 1 },
+  { id: '40RH', category: 'reefer', length: 1158, width: 229, height: 255, maxWeight: 29000, teu: 2 },
+  { id: '20OT', name: '20\' Open Top', description: '20-foot open top container for over-height cargo', category: 'open_top', length: 589, width: 234, height: 234, maxWeight: 28100, teu: 1 },
+  { id: '40OT', name: '40\' Open Top', description: '40-foot open top container for over-height cargo', category: 'open_top', length: 1203, width: 234, height: 234, maxWeight: 26500, teu: 2 },
+  { id: '20FR', name: '20\' Flat Rack', description: '20-foot collapsible flat rack for out-of-gauge cargo', category: 'flat_rack', length: 562, width: 220, height: 223, maxWeight: 30000, teu: 1 },
+  { id: '40FR', name: '40\' Flat Rack', description: '40-foot collapsible flat rack for out-of-gauge cargo', category: 'flat_rack', length: 1208, width: 212, height: 195, maxWeight: 39000, teu: 2 },
+  { id: '40PL', name: '40\' Platform', description: '40-foot platform for heavy and oversized cargo', category: 'platform', length: 1216, width: 240, height: 194, maxWeight: 40000, teu: 2 }
+];
+
+// Допустимые направления выхода за габариты по категориям оборудования
+const ALLOWED_OVERHANG = {
+  open_top: { length: false, width: false, height: true },
+  flat_rack: { length: true, width: true, height: true },
+  platform: { length: true, width: true, height: true }
+};
+
+// Максимальный выход за габариты, см (ширина - на каждую сторону); больше - только генеральным грузом
+const MAX_OVERHANG_CM = { length: 300, width: 150, height: 300 };
+
+// Размеры стандартной ячейки контейнеровоза для расчета потерянных мест, см
+const SLOT_HEIGHT_CM = 259;
+const SLOT_WIDTH_CM = 244;
+const SLOT_LENGTH_CM = 610;
+
+// Надбавка за спецоборудование (доля морского фрахта) и сбор за обработку негабарита (USD за контейнер)
+const EQUIPMENT_PREMIUMS = {
+  open_top: 0.2,
+  flat_rack: 0.4,
+  platform: 0.5
+};
+const OOG_HANDLING_PER_CONTAINER = 350;
+
+// Функция для добавления спецоборудования и размеров контейнеров в справочник
+async function initializeSpecialEquipment() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    // Размеры и грузоподъемность используются административным CRUD, но есть не во всех установках
+    await client.query(`
+      ALTER TABLE container_types
+        ADD COLUMN IF NOT EXISTS length NUMERIC,
+        ADD COLUMN IF NOT EXISTS width NUMERIC,
+        ADD COLUMN IF NOT EXISTS height NUMERIC,
+        ADD COLUMN IF NOT EXISTS max_weight NUMERIC,
+        ADD COLUMN IF NOT EXISTS teu NUMERIC,
+        ADD COLUMN IF NOT EXISTS equipment_category VARCHAR(20) NOT NULL DEFAULT 'dry'
+    `);
+
+    for (const equipment of EQUIPMENT_TYPES) {
+      if (equipment.name) {
+        await client.query(
+          `INSERT INTO container_types (id, name, description)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (id) DO NOTHING`,
+          [equipment.id, equipment.name, equipment.description]
+        );
+      }
+      // Значения, заданные администратором, не перезаписываются
+      await client.query(
+        `UPDATE container_types SET
+           length = COALESCE(length, $2),
+           width = COALESCE(width, $3),
+           height = COALESCE(height, $4),
+           max_weight = COALESCE(max_weight, $5),
+           teu = COALESCE(teu, $6),
+           equipment_category = CASE WHEN equipment_category = 'dry' THEN $7 ELSE equipment_category END
+         WHERE id = $1`,
+        [equipment.id, equipment.length, equipment.width, equipment.height, equipment.maxWeight, equipment.teu, equipment.category]
+      );
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Special equipment initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing special equipment:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для получения типа контейнера из справочника
+async function getEquipment(containerType) {
+  const result = await pool.query('SELECT * FROM container_types WHERE id = $1', [containerType]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+// Функция для определения выхода груза за габариты контейнера
+// equipment - строка container_types, cargoDimensions - { length, width, height } в см
+function assessCargo(equipment, cargoDimensions) {
+  const category = equipment.equipment_category || 'dry';
+  const overLength = Math.max(0, cargoDimensions.length - parseFloat(equipment.length));
+  const overWidth = Math.max(0, cargoDimensions.width - parseFloat(equipment.width));
+  const overHeight = Math.max(0, cargoDimensions.height - parseFloat(equipment.height));
+
+  return {
+    category,
+    cargoDimensions,
+    overLength,
+    overWidthPerSide: overWidth / 2,
+    overHeight,
+    isOutOfGauge: overLength > 0 || overWidth > 0 || overHeight > 0
+  };
+}
+
+// Функция для проверки размеров груза для типа контейнера; возвращает текст ошибки или null
+// equipment - строка container_types
+function validateCargoDimensions(equipment, cargoDimensions) {
+  if (!cargoDimensions) return null;
+
+  for (const dimension of ['length', 'width', 'height']) {
+    if (!(Number(cargoDimensions[dimension]) > 0)) {
+      return `cargoDimensions.${dimension} must be a positive number (cm)`;
+    }
+  }
+  if (!equipment.length || !equipment.width || !equipment.height) {
+    return `Internal dimensions of ${equipment.id} are not configured; out-of-gauge check is not possible`;
+  }
+
+  const assessment = assessCargo(equipment, normalizeDimensions(cargoDimensions));
+  if (!assessment.isOutOfGauge) return null;
+
+  const allowed = ALLOWED_OVERHANG[assessment.category];
+  if (!allowed) {
+    return `Cargo exceeds internal dimensions of ${equipment.id}; use open top, flat rack or platform equipment`;
+  }
+  const overhangs = { length: assessment.overLength, width: assessment.overWidthPerSide, height: assessment.overHeight };
+  for (const [dimension, overhang] of Object.entries(overhangs)) {
+    if (overhang > 0 && !allowed[dimension]) {
+      return `${equipment.id} does not allow over-${dimension} cargo; use flat rack or platform equipment`;
+    }
+    if (overhang > MAX_OVERHANG_CM[dimension]) {
+      return `Over-${dimension} of ${Math.round(overhang)} cm exceeds ${MAX_OVERHANG_CM[dimension]} cm; cargo must be quoted as break-bulk`;
+    }
+  }
+  return null;
+}
+
+// Функция для приведения размеров груза к числам
+function normalizeDimensions(cargoDimensions) {
+  return {
+    length: Number(cargoDimensions.length),
+    width: Number(cargoDimensions.width),
+    height: Number(cargoDimensions.height)
+  };
+}
+
+// Функция для расчета потерянных мест на судне (в TEU) из-за выхода груза за габариты
+// Выход по высоте занимает ярус сверху, по ширине - соседние ряды, по длине - соседнюю 20-футовую ячейку
+function calculateLostSlots(assessment, teu) {
+  const heightSlots = assessment.overHeight > 0 ? Math.ceil(assessment.overHeight / SLOT_HEIGHT_CM) * teu : 0;
+  const widthSlots = assessment.overWidthPerSide > 0 ? 2 * Math.ceil(assessment.overWidthPerSide / SLOT_WIDTH_CM) * teu : 0;
+  const lengthSlots = assessment.overLength > 0 ? Math.ceil(assessment.overLength / SLOT_LENGTH_CM) : 0;
+  return { heightSlots, widthSlots, lengthSlots, total: heightSlots + widthSlots + lengthSlots };
+}
+
+// Функция для расчета надбавок за спецоборудование и негабарит
+// Возвращает { category, assessment, lostSlots, items } или null для обычных контейнеров без размеров груза
+async function calculateSpecialEquipment(containerType, cargoDimensions, oceanFreight) {
+  const equipment = await getEquipment(containerType);
+  if (!equipment) return null;
+
+  const category = equipment.equipment_category || 'dry';
+  const isSpecial = SPECIAL_EQUIPMENT_CATEGORIES.includes(category);
+  if (!isSpecial && !cargoDimensions) return null;
+
+  const items = [];
+  const teu = parseFloat(equipment.teu) || (containerType.startsWith('20') ? 1 : 2);
+
+  if (isSpecial) {
+    items.push({
+      code: 'SPECIAL_EQUIPMENT',
+      name: 'Special Equipment Premium',
+      amount: Math.round(oceanFreight * EQUIPMENT_PREMIUMS[category]),
+      method: 'oog',
+      details: `${Math.round(EQUIPMENT_PREMIUMS[category] * 100)}% of ocean freight (${category.replace('_', ' ')})`
+    });
+  }
+
+  let assessment = null;
+  let lostSlots = null;
+  if (cargoDimensions && equipment.length && equipment.width && equipment.height) {
+    assessment = assessCargo(equipment, normalizeDimensions(cargoDimensions));
+
+    if (assessment.isOutOfGauge) {
+      lostSlots = calculateLostSlots(assessment, teu);
+      // Потерянное место оплачивается по ставке морского фрахта за TEU
+      const slotRate = oceanFreight / teu;
+      items.push({
+        code: 'LOST_SLOTS',
+        name: 'Lost Slot Charge',
+        amount: Math.round(lostSlots.total * slotRate),
+        method: 'oog',
+        details: `${lostSlots.total} TEU lost (OH ${Math.round(assessment.overHeight)} cm, OW ${Math.round(assessment.overWidthPerSide)} cm/side, OL ${Math.round(assessment.overLength)} cm) x USD ${Math.round(slotRate)}/TEU`
+      });
+      items.push({
+        code: 'OOG_HANDLING',
+        name: 'Out-of-Gauge Handling',
+        amount: OOG_HANDLING_PER_CONTAINER,
+        method: 'oog',
+        details: 'Special lashing and terminal handling for out-of-gauge cargo'
+      });
+    }
+  }
+
+  return { category, assessment, lostSlots, items };
+}
+
+// Экспорт функций
+export default {
+  EQUIPMENT_CATEGORIES,
+  SPECIAL_EQUIPMENT_CATEGORIES,
+  initializeSpecialEquipment,
+  validateCargoDimensions,
+  assessCargo,
+  calculateLostSlots,
+  calculateSpecialEquipment
+};
@@ -0,0 +1,338 @@
+// Модуль фиксации ставки (price lock): котировка действует N дней независимо от движения индексов
+// Условия фиксации задаются по паре регионов, количество одновременных фиксаций на линии ограничено для контроля риска
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import laneResolver from './lane_resolver.js';
+import quotes from './quotes.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Условия фиксации по умолчанию: любая линия, 7 дней, не более 5 фиксаций на линию одновременно
+const DEFAULT_LOCK_POLICIES = [
+  { originRegion: null, destinationRegion: null, lockDays: 7, maxReservations: 5 }
+];
+
+// Параметры запроса, не влияющие на ставку, - не входят в подпись запроса
+const SIGNATURE_EXCLUDED_FIELDS = ['email'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Функция для инициализации таблиц условий фиксации и фиксаций
+async function initializePriceLockTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS price_lock_policies (
+        id SERIAL PRIMARY KEY,
+        origin_region VARCHAR(100),
+        destination_region VARCHAR(100),
+        lock_days INTEGER NOT NULL,
+        max_reservations INTEGER NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // request_signature - подпись параметров запроса: фиксация применяется только к тому же набору груза и условий
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS price_locks (
+        id SERIAL PRIMARY KEY,
+        quote_reference VARCHAR(20) NOT NULL UNIQUE REFERENCES quotes(reference) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        origin_port_id VARCHAR(10) NOT NULL,
+        destination_port_id VARCHAR(10) NOT NULL,
+        request_signature VARCHAR(64) NOT NULL,
+        policy_id INTEGER REFERENCES price_lock_policies(id) ON DELETE SET NULL,
+        locked_until TIMESTAMP NOT NULL,
+        released_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_price_locks_customer ON price_locks (email, request_signature)');
+
+    // Заполнение условиями по умолчанию, если таблица пуста
+    const policiesCount = await client.query('SELECT COUNT(*) FROM price_lock_policies');
+    if (parseInt(policiesCount.rows[0].count) === 0) {
+      for (const policy of DEFAULT_LOCK_POLICIES) {
+        await client.query(
+          `INSERT INTO price_lock_policies (origin_region, destination_region, lock_days, max_reservations)
+           VALUES ($1, $2, $3, $4)`,
+          [policy.originRegion, policy.destinationRegion, policy.lockDays, policy.maxReservations]
+        );
+      }
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Price lock tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing price lock tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для приведения значения к каноническому виду (ключи объектов по алфавиту)
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      if (value[key] !== undefined && value[key] !== null && value[key] !== '') {
+        result[key] = canonicalize(value[key]);
+      }
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+// Функция для расчета подписи запроса: одинаковые параметры расчета дают одинаковую подпись
+function getRequestSignature(request) {
+  const fields = { ...request };
+  for (const field of SIGNATURE_EXCLUDED_FIELDS) {
+    delete fields[field];
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(fields))).digest('hex');
+}
+
+// Проверка соответствия региона условий региону порта (регион из ports.region или торговая зона)
+function matchesRegion(policyRegion, port) {
+  if (!policyRegion) return true;
+  if (!port) return false;
+  return policyRegion === port.region || policyRegion === laneResolver.getTradeArea(port);
+}
+
+// Функция для выбора условий фиксации для пары портов: пара регионов важнее региона одного конца
+async function findPolicy(originPortId, destinationPortId, client = pool) {
+  const portsResult = await client.query(
+    'SELECT id, name, country, region, latitude, longitude FROM ports WHERE id IN ($1, $2)',
+    [originPortId, destinationPortId]
+  );
+  const originPort = portsResult.rows.find(port => port.id === originPortId);
+  const destinationPort = portsResult.rows.find(port => port.id === destinationPortId);
+
+  const policiesResult = await client.query('SELECT * FROM price_lock_policies WHERE active ORDER BY id');
+  const specificity = policy => (policy.origin_region ? 2 : 0) + (policy.destination_region ? 1 : 0);
+  let selected = null;
+  for (const policy of policiesResult.rows) {
+    if (!matchesRegion(policy.origin_region, originPort) || !matchesRegion(policy.destination_region, destinationPort)) continue;
+    if (!selected || specificity(policy) > specificity(selected)) {
+      selected = policy;
+    }
+  }
+  return selected;
+}
+
+// Функция для подсчета действующих фиксаций на линии
+async function countActiveLocks(originPortId, destinationPortId, client = pool) {
+  const result = await client.query(
+    `SELECT COUNT(*) FROM price_locks
+     WHERE origin_port_id = $1 AND destination_port_id = $2 AND released_at IS NULL AND locked_until > NOW()`,
+    [originPortId, destinationPortId]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+// Функция для приведения фиксации к формату API
+function formatLock(row) {
+  return {
+    id: row.id,
+    quoteReference: row.quote_reference,
+    email: row.email,
+    originPort: row.origin_port_id,
+    destinationPort: row.destination_port_id,
+    policyId: row.policy_id,
+    lockedUntil: row.locked_until,
+    releasedAt: row.released_at,
+    createdAt: row.created_at
+  };
+}
+
+// Функция для фиксации ставки котировки для клиента
+// Возвращает { lock, quote } или { error, statusCode }, если котировку нельзя зафиксировать
+async function lockQuote(reference, email) {
+  const quote = await quotes.getQuote(reference);
+  if (!quote) {
+    return { error: 'Quote not found', statusCode: 404 };
+  }
+  if (quote.status === 'expired' || quote.status === 'accepted') {
+    return { error: `Quote ${reference} is ${quote.status} and cannot be locked`, statusCode: 409 };
+  }
+  const customerEmail = quote.email || email;
+  if (!customerEmail) {
+    return { error: 'email is required to lock a quote', statusCode: 400 };
+  }
+  if (quote.email && email && quote.email.toLowerCase() !== email.toLowerCase()) {
+    return { error: 'Quote was issued to a different customer', statusCode: 403 };
+  }
+
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT * FROM price_locks WHERE quote_reference = $1', [reference]);
+    if (existing.rows.length > 0 && !existing.rows[0].released_at && new Date(existing.rows[0].locked_until) > new Date()) {
+      await client.query('COMMIT');
+      return { lock: formatLock(existing.rows[0]), quote };
+    }
+
+    const policy = await findPolicy(quote.originPort, quote.destinationPort, client);
+    if (!policy) {
+      await client.query('ROLLBACK');
+      return { error: `Price lock is not offered on ${quote.originPort} - ${quote.destinationPort}`, statusCode: 409 };
+    }
+
+    // Блокировка условий фиксации на время подсчета, чтобы параллельные запросы не превысили лимит линии
+    await client.query('SELECT id FROM price_lock_policies WHERE id = $1 FOR UPDATE', [policy.id]);
+    const activeLocks = await countActiveLocks(quote.originPort, quote.destinationPort, client);
+    if (activeLocks >= policy.max_reservations) {
+      await client.query('ROLLBACK');
+      return { error: `No price lock capacity left on ${quote.originPort} - ${quote.destinationPort} (${policy.max_reservations} active)`, statusCode: 409 };
+    }
+
+    const lockedUntil = new Date(Date.now() + policy.lock_days * DAY_MS);
+    const lockResult = await client.query(
+      `INSERT INTO price_locks (quote_reference, email, origin_port_id, destination_port_id, request_signature, policy_id, locked_until)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (quote_reference) DO UPDATE SET
+         email = EXCLUDED.email, policy_id = EXCLUDED.policy_id, locked_until = EXCLUDED.locked_until, released_at = NULL, created_at = NOW()
+       RETURNING *`,
+      [reference, customerEmail, quote.originPort, quote.destinationPort, getRequestSignature(quote.request), policy.id, lockedUntil]
+    );
+
+    // Котировка действует до конца фиксации
+    await client.query(
+      'UPDATE quotes SET valid_until = GREATEST(valid_until, $2), email = COALESCE(email, $3), updated_at = NOW() WHERE reference = $1',
+      [reference, lockedUntil, customerEmail]
+    );
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    return { lock: formatLock(lockResult.rows[0]), quote: await quotes.getQuote(reference) };
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для поиска действующей фиксации клиента на тот же запрос
+// Возвращает результат зафиксированной котировки в формате ответа /api/calculate или null
+async function findActiveLock(email, request) {
+  const result = await pool.query(
+    `SELECT pl.*, q.result, q.status FROM price_locks pl
+     JOIN quotes q ON q.reference = pl.quote_reference
+     WHERE LOWER(pl.email) = LOWER($1) AND pl.request_signature = $2
+       AND pl.released_at IS NULL AND pl.locked_until > NOW() AND q.status IN ('draft', 'sent')
+     ORDER BY pl.created_at DESC
+     LIMIT 1`,
+    [email, getRequestSignature(request)]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return {
+    ...row.result,
+    quoteReference: row.quote_reference,
+    quoteStatus: row.status,
+    validUntil: row.locked_until,
+    priceLock: formatLock(row) // Ставка зафиксирована: расчет по текущим индексам не выполнялся
+  };
+}
+
+// Функция для снятия фиксации (например, по решению отдела продаж)
+async function releaseLock(id) {
+  const result = await pool.query(
+    'UPDATE price_locks SET released_at = NOW() WHERE id = $1 AND released_at IS NULL RETURNING *',
+    [id]
+  );
+  return result.rows.length > 0 ? formatLock(result.rows[0]) : null;
+}
+
+// Функция для получения действующих фиксаций (для администрирования)
+async function getActiveLocks() {
+  const result = await pool.query(
+    `SELECT * FROM price_locks
+     WHERE released_at IS NULL AND locked_until > NOW()
+     ORDER BY origin_port_id, destination_port_id, locked_until`
+  );
+  return result.rows.map(formatLock);
+}
+
+// Функция для проверки условий фиксации перед сохранением; возвращает текст ошибки или null
+function validatePolicy(policy) {
+  if (!Number.isInteger(Number(policy.lockDays)) || Number(policy.lockDays) < 1) {
+    return 'lockDays must be a positive integer';
+  }
+  if (!Number.isInteger(Number(policy.maxReservations)) || Number(policy.maxReservations) < 1) {
+    return 'maxReservations must be a positive integer';
+  }
+  return null;
+}
+
+// Функции администрирования условий фиксации
+async function getPolicies() {
+  const result = await pool.query('SELECT * FROM price_lock_policies ORDER BY origin_region NULLS FIRST, destination_region NULLS FIRST, id');
+  return result.rows;
+}
+
+async function createPolicy(policy) {
+  const result = await pool.query(
+    `INSERT INTO price_lock_policies (origin_region, destination_region, lock_days, max_reservations, active)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [policy.originRegion || null, policy.destinationRegion || null, Number(policy.lockDays), Number(policy.maxReservations), policy.active !== false]
+  );
+  return result.rows[0];
+}
+
+async function deletePolicy(id) {
+  const result = await pool.query('DELETE FROM price_lock_policies WHERE id = $1 RETURNING *', [id]);
+  return result.rows.length > 0;
+}
+
+// Экспорт функций
+export default {
+  initializePriceLockTables,
+  getRequestSignature,
+  lockQuote,
+  findActiveLock,
+  releaseLock,
+  getActiveLocks,
+  validatePolicy,
+  getPolicies,
+  createPolicy,
+  deletePolicy
+};
@@ -8,9 +8,31 @@ document.addEventListener('DOMContentLoaded', async () => {
   await loadPorts();
   await loadContainerTypes();
   
+  // Start with one equipment line
+  addContainerLine();
+  document.getElementById('addContainerLine').addEventListener('click', () => addContainerLine());
+  
+  // A pickup or delivery city makes the corresponding port optional
+  [['pickupCity', 'origin'], ['deliveryCity', 'destination']].forEach(([cityId, portId]) => {
+    document.getElementById(cityId).addEventListener('input', event => {
+      document.getElementById(portId).required = !event.target.value.trim();
+    });
+  });
+  
+  // Switch between full container (FCL) and consolidated cargo (LCL) inputs
+  document.querySelectorAll('input[name="shipmentMode"]').forEach(radio => {
+    radio.addEventListener('change', () => setShipmentMode(radio.value));
+  });
+  
   // Set up form submission
   const form = document.getElementById('calculatorForm');
   form.addEventListener('submit', handleFormSubmit);
+  
+  // Lock the displayed quote so it is honoured regardless of index moves
+  document.getElementById('lockRateButton').addEventListener('click', lockQuotedRate);
+  
+  // Request a booking against the displayed quote
+  document.getElementById('bookingForm').addEventListener('submit', handleBookingSubmit);
 });
 
 // Load ports from API
@@ -73,6 +95,9 @@ async function loadPorts() {
   }
 }
 
+// Container types loaded from API, used to fill equipment line selects
+let containerTypes = [];
+
 // Load container types from API
 async function loadContainerTypes() {
   console.log('Loading container types...');
@@ -82,27 +107,157 @@ async function loadContainerTypes() {
       throw new Error('Failed to fetch container types');
     }
     
-    const containerTypes = await response.json();
+    containerTypes = await response.json();
     console.log('Container types loaded:', containerTypes);
     
-    const containerTypeSelect = document.getElementById('containerType');
-    
-    // Clear existing options except the first one
-    containerTypeSelect.innerHTML = '<option value="">Select container type</option>';
-    
-    // Add container types
-    containerTypes.forEach(containerType => {
-      const option = document.createElement('option');
-      option.value = containerType.id;
-      option.textContent = `${containerType.name} - ${containerType.description}`;
-      containerTypeSelect.appendChild(option);
-    });
+    // Refresh selects of lines that were added before types loaded
+    document.querySelectorAll('.container-line select[name="lineContainerType"]').forEach(fillContainerTypeSelect);
   } catch (error) {
     console.error('Error loading container types:', error);
     alert('Failed to load container types. Please refresh the page and try again.');
   }
 }
 
+// Fill a container type select with loaded container types
+function fillContainerTypeSelect(select) {
+  const selectedValue = select.value;
+  select.innerHTML = '<option value="">Select container type</option>';
+  containerTypes.forEach(containerType => {
+    const option = document.createElement('option');
+    option.value = containerType.id;
+    option.textContent = `${containerType.name} - ${containerType.description}`;
+    option.dataset.maxWeight = containerType.max_weight || '';
+    option.dataset.category = containerType.equipment_category || 'dry';
+    select.appendChild(option);
+  });
+  select.value = selectedValue;
+}
+
+// Reefer container codes (20RF, 40RF, 40RH, 45RH) need a set temperature
+function isReeferContainer(containerType) {
+  return /^\d{2}R[FH]$/.test(containerType || '');
+}
+
+// Special equipment that takes out-of-gauge cargo dimensions
+const SPECIAL_EQUIPMENT_CATEGORIES = ['open_top', 'flat_rack', 'platform'];
+
+// IMO dangerous goods classes offered on equipment lines
+const IMO_CLASSES = ['1', '2.1', '2.2', '2.3', '3', '4.1', '4.2', '4.3', '5.1', '5.2', '6.1', '6.2', '7', '8', '9'];
+
+// Add an equipment line: container type, quantity, cargo weight per container, reefer set temperature and dangerous goods
+function addContainerLine() {
+  const linesContainer = document.getElementById('containerLines');
+  const line = document.createElement('div');
+  line.className = 'container-line flex flex-wrap gap-2';
+  line.innerHTML = `
+    <select name="lineContainerType" class="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500" required></select>
+    <input type="number" name="lineQuantity" min="1" step="1" value="1" title="Quantity" class="w-20 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500" required />
+    <input type="number" name="lineWeight" min="1" step="1" value="20000" title="Cargo weight per container, kg" class="w-32 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500" required />
+    <input type="number" name="lineSetTemperature" min="-35" max="30" step="0.5" placeholder="°C" title="Set temperature, °C" class="hidden w-20 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500" />
+    <select name="lineImoClass" title="Dangerous goods (IMO class)" class="w-28 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500">
+      <option value="">No DG</option>
+      ${IMO_CLASSES.map(imoClass => `<option value="${imoClass}">IMO ${imoClass}</option>`).join('')}
+    </select>
+    <input type="text" name="lineUnNumber" placeholder="UN number" title="UN number, e.g. UN1263" class="hidden w-28 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500" />
+    <div class="line-dimensions hidden flex gap-2 w-full">
+      <input type="number" name="lineCargoLength" min="1" step="1" placeholder="Cargo length, cm" class="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500" />
+      <input type="number" name="lineCargoWidth" min="1" step="1" placeholder="Cargo width, cm" class="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500" />
+      <input type="number" name="lineCargoHeight" min="1" step="1" placeholder="Cargo height, cm" class="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500" />
+    </div>
+    <button type="button" class="remove-line px-2 text-gray-400 hover:text-red-600" title="Remove line">&times;</button>
+  `;
+  
+  const select = line.querySelector('select');
+  fillContainerTypeSelect(select);
+  
+  // Limit cargo weight to the max weight of the selected container type
+  select.addEventListener('change', () => {
+    const maxWeight = select.options[select.selectedIndex].dataset.maxWeight;
+    const weightInput = line.querySelector('input[name="lineWeight"]');
+    if (maxWeight) {
+      weightInput.max = maxWeight;
+    } else {
+      weightInput.removeAttribute('max');
+    }
+    
+    // Set temperature is only asked for reefer containers
+    const temperatureInput = line.querySelector('input[name="lineSetTemperature"]');
+    const isReefer = isReeferContainer(select.value);
+    temperatureInput.classList.toggle('hidden', !isReefer);
+    temperatureInput.required = isReefer;
+    
+    // Cargo dimensions are asked for flat rack, open top and platform equipment
+    const isSpecial = SPECIAL_EQUIPMENT_CATEGORIES.includes(select.options[select.selectedIndex].dataset.category);
+    line.querySelector('.line-dimensions').classList.toggle('hidden', !isSpecial);
+  });
+  
+  // UN number is only asked for dangerous goods
+  const imoClassSelect = line.querySelector('select[name="lineImoClass"]');
+  imoClassSelect.addEventListener('change', () => {
+    const unNumberInput = line.querySelector('input[name="lineUnNumber"]');
+    unNumberInput.classList.toggle('hidden', !imoClassSelect.value);
+    unNumberInput.required = Boolean(imoClassSelect.value);
+  });
+  
+  line.querySelector('.remove-line').addEventListener('click', () => {
+    if (linesContainer.querySelectorAll('.container-line').length > 1) {
+      line.remove();
+    }
+  });
+  
+  linesContainer.appendChild(line);
+}
+
+// Collect equipment lines from the form
+function getContainerLines() {
+  return Array.from(document.querySelectorAll('.container-line')).map(line => {
+    const containerType = line.querySelector('select[name="lineContainerType"]').value;
+    const containerLine = {
+      containerType,
+      quantity: parseInt(line.querySelector('input[name="lineQuantity"]').value, 10),
+      weight: parseFloat(line.querySelector('input[name="lineWeight"]').value)
+    };
+    if (isReeferContainer(containerType)) {
+      containerLine.setTemperature = parseFloat(line.querySelector('input[name="lineSetTemperature"]').value);
+    }
+    const dimensionsVisible = !line.querySelector('.line-dimensions').classList.contains('hidden');
+    const cargoLength = parseFloat(line.querySelector('input[name="lineCargoLength"]').value);
+    if (dimensionsVisible && cargoLength > 0) {
+      containerLine.cargoDimensions = {
+        length: cargoLength,
+        width: parseFloat(line.querySelector('input[name="lineCargoWidth"]').value),
+        height: parseFloat(line.querySelector('input[name="lineCargoHeight"]').value)
+      };
+    }
+    const imoClass = line.querySelector('select[name="lineImoClass"]').value;
+    if (imoClass) {
+      containerLine.dangerousGoods = {
+        imoClass,
+        unNumber: line.querySelector('input[name="lineUnNumber"]').value
+      };
+    }
+    return containerLine;
+  });
+}
+
+// Show inputs for the selected shipment mode; hidden inputs are disabled so they skip form validation
+function setShipmentMode(mode) {
+  const isLcl = mode === 'lcl';
+  document.getElementById('lclCargo').classList.toggle('hidden', !isLcl);
+  document.getElementById('fclCargo').classList.toggle('hidden', isLcl);
+  document.getElementById('doorCargo').classList.toggle('hidden', isLcl);
+  document.querySelectorAll('#fclCargo input, #fclCargo select, #fclCargo button, #doorCargo input, #doorCargo select').forEach(control => {
+    control.disabled = isLcl;
+  });
+  if (isLcl) {
+    document.getElementById('origin').required = true;
+    document.getElementById('destination').required = true;
+  }
+  document.querySelectorAll('#lclCargo input').forEach(input => {
+    input.required = isLcl;
+  });
+}
+
 // Handle form submission
 async function handleFormSubmit(event) {
   event.preventDefault();
@@ -121,10 +276,30 @@ async function handleFormSubmit(event) {
     const data = {
       originPort: formData.get('origin'),
       destinationPort: formData.get('destination'),
-      containerType: formData.get('containerType'),
-      weight: 20000, // Добавляем стандартный вес 20 тонн
-      email: formData.get('email')
+      email: formData.get('email'),
+      routing: formData.get('routing') || 'auto'
     };
+    if (formData.get('incoterm')) {
+      data.incoterm = formData.get('incoterm');
+    }
+    if (formData.get('cargoValue')) {
+      data.cargoValue = parseFloat(formData.get('cargoValue'));
+      data.commodity = formData.get('commodity');
+      data.insuranceCover = formData.get('insuranceCover');
+    }
+    if (formData.get('shipmentMode') === 'lcl') {
+      data.mode = 'lcl';
+      data.volume = parseFloat(document.getElementById('lclVolume').value);
+      data.weight = parseFloat(document.getElementById('lclWeight').value);
+      data.packages = parseInt(document.getElementById('lclPackages').value, 10);
+    } else {
+      data.containers = getContainerLines();
+      const pickupCity = document.getElementById('pickupCity').value.trim();
+      const deliveryCity = document.getElementById('deliveryCity').value.trim();
+      if (pickupCity) data.pickup = { city: pickupCity };
+      if (deliveryCity) data.delivery = { city: deliveryCity };
+      if (pickupCity || deliveryCity) data.haulageMode = document.getElementById('haulageMode').value;
+    }
     
     console.log('Sending data to API:', data);
     
@@ -164,16 +339,21 @@ function displayResults(data, result) {
   // Get port and container names
   const originSelect = document.getElementById('origin');
   const destinationSelect = document.getElementById('destination');
-  const containerTypeSelect = document.getElementById('containerType');
   
   const originOption = originSelect.options[originSelect.selectedIndex];
   const destinationOption = destinationSelect.options[destinationSelect.selectedIndex];
-  const containerTypeOption = containerTypeSelect.options[containerTypeSelect.selectedIndex];
   
-  // Update display elements
-  document.getElementById('routeDisplay').textContent = `${originOption.textContent.split(' (')[0]} → ${destinationOption.textContent.split(' (')[0]}`;
-  document.getElementById('containerDisplay').textContent = containerTypeOption.textContent.split(' - ')[0];
+  // Update display elements; for door-to-door quotes the ports may have been selected by the server
+  const originName = result.inland && result.inland.pickup ? result.inland.pickup.location.name : originOption.textContent.split(' (')[0];
+  const destinationName = result.inland && result.inland.delivery ? result.inland.delivery.location.name : destinationOption.textContent.split(' (')[0];
+  document.getElementById('routeDisplay').textContent = `${originName} → ${destinationName}`;
+  document.getElementById('containerDisplay').textContent = result.mode === 'lcl'
+    ? `LCL ${result.cargo.volume} CBM / ${result.cargo.weight} kg, ${result.cargo.chargeableUnits} W/M @ $${result.ratePerUnit}`
+    : data.containers
+      .map(line => `${line.quantity} × ${line.containerType}`)
+      .join(' + ');
   document.getElementById('dateDisplay').textContent = new Date().toLocaleDateString();
+  displayQuoteReference(result);
   
   // Получаем значения ставок из ответа API
   const minRateValue = result.minRate || result.min_rate || 0;
@@ -270,6 +450,30 @@ function displayResults(data, result) {
     reliabilityElement.textContent = reliabilityValue;
   }
   
+  // Показываем строки оборудования отправки
+  displayShipmentLines(result.containers);
+  
+  // Показываем разбивку ставки по строкам (фрахт и надбавки)
+  displayLineItems(result);
+  
+  // Показываем, применена ли договорная ставка клиента или спотовая
+  displayPricing(result.pricing);
+  
+  // Показываем доставку от двери до порта и от порта до двери
+  displayInland(result.inland);
+  
+  // Показываем маршрут с перевалкой (фидер через хаб), если он выбран
+  displayItinerary(result.itinerary);
+  
+  // Показываем окно транзитного времени порт - порт
+  displayTransitTime(result.transitTime);
+  
+  // Показываем оценку выбросов CO2e
+  displayEmissions(result.emissions);
+  
+  // Показываем варианты маршрута (Суэц, мыс Доброй Надежды, Панама) для сравнения
+  displayRoutingAlternatives(result.routing);
+  
   // Показываем контейнер с результатами
   const resultContainer = document.getElementById('resultContainer');
   if (resultContainer) {
@@ -279,3 +483,373 @@ function displayResults(data, result) {
     console.error('resultContainer element not found in DOM');
   }
 }
+
+// Display equipment lines with per-container rate and line total
+function displayShipmentLines(lines) {
+  const container = document.getElementById('shipmentLines');
+  const tbody = document.getElementById('shipmentLinesBody');
+  if (!container || !tbody) return;
+  
+  if (!lines || lines.length === 0) {
+    container.classList.add('hidden');
+    return;
+  }
+  
+  tbody.innerHTML = '';
+  const restrictions = [];
+  lines.forEach(line => {
+    const dangerousGoods = line.dangerousGoods;
+    if (dangerousGoods) {
+      dangerousGoods.restrictions.forEach(restriction => {
+        restrictions.push(`${line.containerType}, IMO ${dangerousGoods.imoClass}: ${restriction.description}`);
+      });
+    }
+    
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="py-1">${line.containerType}${line.setTemperature !== null && line.setTemperature !== undefined ? ` (${line.setTemperature} °C)` : ''}${dangerousGoods ? ` DG ${dangerousGoods.imoClass} ${dangerousGoods.unNumber}` : ''}${line.outOfGauge && line.outOfGauge.assessment && line.outOfGauge.assessment.isOutOfGauge ? ' OOG' : ''}</td>
+      <td class="py-1">${line.quantity}</td>
+      <td class="py-1">${line.weight.toLocaleString()} kg</td>
+      <td class="py-1 text-right">$${line.containerRate}</td>
+      <td class="py-1 text-right">$${line.lineTotal}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  
+  // Dangerous goods conditions (pre-approval, stowage) to show the customer
+  document.getElementById('dgRestrictions').textContent = restrictions.join('; ');
+  
+  container.classList.remove('hidden');
+}
+
+// Display price breakdown: ocean freight and surcharges
+function displayLineItems(result) {
+  const container = document.getElementById('lineItems');
+  const tbody = document.getElementById('lineItemsBody');
+  if (!container || !tbody) return;
+  
+  if (!result.lineItems || result.lineItems.length === 0) {
+    container.classList.add('hidden');
+    return;
+  }
+  
+  tbody.innerHTML = '';
+  result.lineItems.forEach(item => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="py-1" title="${item.details || ''}">${item.name}</td>
+      <td class="py-1 text-right">$${item.amount}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  
+  document.getElementById('lineItemsTotal').textContent = `$${result.finalRate}`;
+  displayIncoterm(result);
+  container.classList.remove('hidden');
+}
+
+// Display Incoterm scope: charges paid by the other party and charges that could not be quoted
+function displayIncoterm(result) {
+  const container = document.getElementById('incotermDisplay');
+  if (!container) return;
+  
+  if (!result.incoterm) {
+    container.classList.add('hidden');
+    return;
+  }
+  
+  const otherParty = result.incoterm.quotedParty === 'buyer' ? 'seller' : 'buyer';
+  document.getElementById('incotermSummary').textContent =
+    `${result.incoterm.code} (${result.incoterm.name}): quoted for the ${result.incoterm.quotedParty}. ` +
+    (result.excludedItems.length > 0 ? `Paid by the ${otherParty}, not included:` : `No charges are paid by the ${otherParty}.`);
+  
+  const tbody = document.getElementById('excludedItemsBody');
+  tbody.innerHTML = '';
+  result.excludedItems.forEach(item => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="py-1">${item.name}</td>
+      <td class="py-1 text-right">$${item.amount}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  
+  const notes = document.getElementById('incotermNotes');
+  notes.innerHTML = '';
+  result.incoterm.notes.forEach(note => {
+    const li = document.createElement('li');
+    li.textContent = note;
+    notes.appendChild(li);
+  });
+  container.classList.remove('hidden');
+}
+
+// Display CO2e emissions estimate
+function displayEmissions(emissions) {
+  const container = document.getElementById('emissionsDisplay');
+  if (!container) return;
+  
+  if (!emissions) {
+    container.classList.add('hidden');
+    return;
+  }
+  
+  const tonnes = (emissions.co2eKg / 1000).toFixed(2);
+  document.getElementById('emissionsValue').textContent = `${tonnes} t CO2e`;
+  document.getElementById('emissionsDetails').textContent =
+    ` (${emissions.grossTonnes} t incl. tare × ${emissions.distanceKm.toLocaleString()} km × ${emissions.intensity} ${emissions.intensityUnit})`;
+  container.classList.remove('hidden');
+}
+
+// Display pre-carriage and on-carriage legs of a door-to-door quote
+function displayInland(inland) {
+  const container = document.getElementById('inlandDisplay');
+  if (!container) return;
+  
+  if (!inland) {
+    container.classList.add('hidden');
+    return;
+  }
+  
+  const legs = [];
+  if (inland.pickup) {
+    legs.push(`${inland.pickup.location.name} → ${inland.pickup.portName} (${inland.pickup.distanceKm} km by ${inland.pickup.mode})`);
+  }
+  if (inland.delivery) {
+    legs.push(`${inland.delivery.portName} → ${inland.delivery.location.name} (${inland.delivery.distanceKm} km by ${inland.delivery.mode})`);
+  }
+  document.getElementById('inlandLegs').textContent = legs.join(', ');
+  container.classList.remove('hidden');
+}
+
+// Display transshipment itinerary: feeder legs via hub ports
+function displayItinerary(itinerary) {
+  const container = document.getElementById('itineraryDisplay');
+  if (!container) return;
+  
+  if (!itinerary || itinerary.type !== 'transshipment') {
+    container.classList.add('hidden');
+    return;
+  }
+  
+  const ports = [itinerary.legs[0].from, ...itinerary.legs.map(leg => leg.to)];
+  document.getElementById('itineraryLegs').textContent = ports.join(' → ');
+  document.getElementById('itineraryDetails').textContent =
+    ` (transshipment at ${itinerary.hubs.join(', ')}` +
+    (itinerary.transitDays ? `, feeder legs ${itinerary.transitDays} days)` : ')');
+  container.classList.remove('hidden');
+}
+
+// Display quote reference and validity so the customer can come back to book at the quoted price
+function displayQuoteReference(result) {
+  const container = document.getElementById('quoteReferenceBlock');
+  if (!container) return;
+  
+  const bookingSection = document.getElementById('bookingSection');
+  if (!result.quoteReference) {
+    container.classList.add('hidden');
+    bookingSection.classList.add('hidden');
+    return;
+  }
+  
+  // A new quote starts with an empty booking form
+  if (bookingSection.dataset.quoteReference !== result.quoteReference) {
+    bookingSection.dataset.quoteReference = result.quoteReference;
+    document.getElementById('bookingForm').reset();
+    document.getElementById('bookingForm').classList.remove('hidden');
+    document.getElementById('bookingConfirmation').classList.add('hidden');
+  }
+  bookingSection.classList.remove('hidden');
+  
+  document.getElementById('quoteReference').textContent = result.quoteReference;
+  document.getElementById('quoteValidity').textContent = result.priceLock
+    ? `Rate locked until ${new Date(result.priceLock.lockedUntil).toLocaleString()}`
+    : `Valid until ${new Date(result.validUntil).toLocaleString()}`;
+  document.getElementById('lockRateButton').classList.toggle('hidden', Boolean(result.priceLock));
+  container.classList.remove('hidden');
+}
+
+// Split a free-text contact field into a contact name and a phone number
+function parseContact(value) {
+  const [contactName, ...rest] = value.split(',').map(part => part.trim());
+  return { contactName: contactName || null, phone: rest.join(', ') || null };
+}
+
+// Submit a booking request for the displayed quote
+async function handleBookingSubmit(event) {
+  event.preventDefault();
+  
+  const form = event.target;
+  const submitButton = form.querySelector('button[type="submit"]');
+  const email = document.getElementById('email').value.trim();
+  if (!email) {
+    alert('Please enter your email so we can confirm the booking.');
+    return;
+  }
+  
+  const booking = {
+    quoteReference: document.getElementById('bookingSection').dataset.quoteReference,
+    cargoReadyDate: document.getElementById('cargoReadyDate').value,
+    commodity: document.getElementById('bookingCommodity').value.trim(),
+    shipper: {
+      name: document.getElementById('shipperName').value.trim(),
+      address: document.getElementById('shipperAddress').value.trim(),
+      ...parseContact(document.getElementById('shipperContact').value)
+    },
+    consignee: {
+      name: document.getElementById('consigneeName').value.trim(),
+      address: document.getElementById('consigneeAddress').value.trim(),
+      ...parseContact(document.getElementById('consigneeContact').value)
+    },
+    email,
+    notes: document.getElementById('bookingNotes').value.trim() || null
+  };
+  
+  submitButton.disabled = true;
+  try {
+    const response = await fetch('/api/bookings', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(booking)
+    });
+    
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to submit the booking request');
+    }
+    
+    form.classList.add('hidden');
+    const confirmation = document.getElementById('bookingConfirmation');
+    confirmation.textContent = `Booking request ${result.reference} submitted. We will confirm it by email.`;
+    confirmation.classList.remove('hidden');
+  } catch (error) {
+    console.error('Error submitting booking request:', error);
+    alert(`Could not submit the booking request: ${error.message}`);
+  } finally {
+    submitButton.disabled = false;
+  }
+}
+
+// Lock the rate of the displayed quote for the customer's email
+async function lockQuotedRate() {
+  const reference = document.getElementById('quoteReference').textContent;
+  const email = document.getElementById('email').value.trim();
+  if (!email) {
+    alert('Please enter your email to lock this rate.');
+    return;
+  }
+  
+  try {
+    const response = await fetch(`/api/quotes/${encodeURIComponent(reference)}/lock`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ email })
+    });
+    
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to lock the rate');
+    }
+    
+    displayQuoteReference({ quoteReference: result.reference, priceLock: result.priceLock });
+  } catch (error) {
+    console.error('Error locking rate:', error);
+    alert(`Could not lock the rate: ${error.message}`);
+  }
+}
+
+// Display whether the customer's contract rate or the spot rate was used
+function displayPricing(pricing) {
+  const container = document.getElementById('pricingDisplay');
+  if (!container) return;
+  
+  if (!pricing) {
+    container.classList.add('hidden');
+    return;
+  }
+  
+  const labels = { contract: 'Contract rate', spot: 'Spot rate', mixed: 'Contract and spot rates' };
+  document.getElementById('pricingBasis').textContent = labels[pricing.basis] || pricing.basis;
+  
+  // Contract number and validity are not part of the public response
+  let details = '';
+  if (pricing.basis === 'mixed') {
+    details = ' (no valid contract for some container types)';
+  } else if (pricing.reason) {
+    details = ` (${pricing.reason})`;
+  }
+  document.getElementById('pricingDetails').textContent = details;
+  container.classList.remove('hidden');
+}
+
+// Display estimated port-to-port transit window
+function displayTransitTime(transitTime) {
+  const container = document.getElementById('transitDisplay');
+  if (!container) return;
+  
+  if (!transitTime) {
+    container.classList.add('hidden');
+    return;
+  }
+  
+  document.getElementById('transitValue').textContent = transitTime.minDays === transitTime.maxDays
+    ? `${transitTime.minDays} days`
+    : `${transitTime.minDays}–${transitTime.maxDays} days`;
+  const details = [`${transitTime.sailingDays} days at sea`, `${transitTime.portDays} days in port`];
+  if (transitTime.transshipmentDays > 0) {
+    details.push(`${transitTime.transshipmentDays} days transshipment`);
+  }
+  document.getElementById('transitDetails').textContent = ` (${details.join(', ')})`;
+  container.classList.remove('hidden');
+}
+
+// Display routing alternatives side by side
+function displayRoutingAlternatives(routing) {
+  const container = document.getElementById('routingAlternatives');
+  const tbody = document.getElementById('routingAlternativesBody');
+  const notice = document.getElementById('routingNotice');
+  if (!container || !tbody) return;
+  
+  if (!routing || !routing.alternatives || routing.alternatives.length === 0) {
+    container.classList.add('hidden');
+    return;
+  }
+  
+  const routeNames = {
+    direct: 'Direct',
+    kiel: 'Via Kiel Canal',
+    danish_straits: 'Via Danish Straits',
+    suez: 'Via Suez Canal',
+    cape: 'Via Cape of Good Hope',
+    panama: 'Via Panama Canal',
+    cape_horn: 'Via Cape Horn'
+  };
+  
+  tbody.innerHTML = '';
+  routing.alternatives.forEach(alternative => {
+    const tr = document.createElement('tr');
+    const isSelected = alternative.routeType === routing.selected;
+    tr.className = isSelected ? 'font-medium text-blue-800' : '';
+    const extraDays = alternative.extraTransitDays > 0 ? ` (+${alternative.extraTransitDays})` : '';
+    tr.innerHTML = `
+      <td class="py-1">${routeNames[alternative.routeType] || alternative.routeType}${isSelected ? ' ✓' : ''}</td>
+      <td class="py-1">${alternative.distance.toLocaleString()} NM</td>
+      <td class="py-1">${alternative.transitWindow ? `${alternative.transitWindow.minDays}–${alternative.transitWindow.maxDays}` : alternative.transitDays} days${extraDays}</td>
+      <td class="py-1">$${alternative.totalSurcharge}</td>
+      <td class="py-1">$${alternative.totalRate}</td>
+    `;
+    tbody.appendChild(tr);
+  });
+  
+  if (notice) {
+    notice.textContent = routing.closedChokepoints && routing.closedChokepoints.length > 0
+      ? `Currently closed: ${routing.closedChokepoints.join(', ')}. Affected routings are not offered.`
+      : '';
+  }
+  
+  container.classList.remove('hidden');
+}
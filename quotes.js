@@ -0,0 +1,270 @@
+// Модуль котировок: сохранение расчета под уникальным номером со сроком действия и статусом
+// Котировка хранит запрос, полную разбивку и значения индексов, чтобы клиент мог вернуться и забронировать по рассчитанной ставке
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Статусы котировки и допустимые переходы между ними
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'expired'];
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'accepted', 'expired'],
+  sent: ['accepted', 'expired'],
+  accepted: [],
+  expired: []
+};
+
+// Периодичность публикации индексов, сут: ставка котировки действует до выхода следующего значения
+const PUBLICATION_CADENCE_DAYS = {
+  SCFI: 7,
+  FBX: 1,
+  WCI: 7,
+  CCFI: 7,
+  Harpex: 7,
+  NewConTex: 7,
+  BDI: 1,
+  CTS: 30,
+  ISTFIX: 7
+};
+
+// Границы срока действия: не меньше минимального (ежедневные индексы иначе обнуляли бы котировку к утру)
+// и срок по умолчанию для резервного расчета без индексов
+const MIN_VALIDITY_DAYS = 3;
+const DEFAULT_VALIDITY_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Алфавит номера котировки без похожих символов (0/O, 1/I)
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_RANDOM_LENGTH = 6;
+const MAX_REFERENCE_ATTEMPTS = 5;
+
+// Функция для инициализации таблицы котировок
+async function initializeQuoteTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS quotes (
+        id SERIAL PRIMARY KEY,
+        reference VARCHAR(20) NOT NULL UNIQUE,
+        status VARCHAR(20) NOT NULL DEFAULT 'draft',
+        origin_port_id VARCHAR(10) NOT NULL REFERENCES ports(id),
+        destination_port_id VARCHAR(10) NOT NULL REFERENCES ports(id),
+        email VARCHAR(255),
+        request JSONB NOT NULL,
+        result JSONB NOT NULL,
+        index_values JSONB,
+        final_rate NUMERIC NOT NULL,
+        currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+        valid_until TIMESTAMP NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Версия настроек расчета (settings_versions) - чтобы объяснить цену котировки после изменения настроек
+    await client.query('ALTER TABLE quotes ADD COLUMN IF NOT EXISTS settings_version INTEGER');
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_quotes_status_valid_until ON quotes (status, valid_until)');
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Quote tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing quote tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для генерации номера вида Q261019-7KXM2P (префикс Q - котировка)
+function generateReference(prefix = 'Q', date = new Date()) {
+  const datePart = date.toISOString().slice(2, 10).replace(/-/g, '');
+  const bytes = crypto.randomBytes(REFERENCE_RANDOM_LENGTH);
+  let randomPart = '';
+  for (const byte of bytes) {
+    randomPart += REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length];
+  }
+  return `${prefix}${datePart}-${randomPart}`;
+}
+
+// Функция для определения срока действия по периодичности публикации основных индексов расчета
+// Срок заканчивается с выходом следующего значения любого из индексов, определивших ставку
+function getValidity(indexValues, now = new Date()) {
+  const coreValues = (indexValues || []).filter(value => value.role === 'core');
+  const minimum = new Date(now.getTime() + MIN_VALIDITY_DAYS * DAY_MS);
+
+  if (coreValues.length === 0) {
+    return { validUntil: new Date(now.getTime() + DEFAULT_VALIDITY_DAYS * DAY_MS), basis: 'default' };
+  }
+
+  let validUntil = null;
+  let basis = null;
+  for (const value of coreValues) {
+    const cadenceDays = PUBLICATION_CADENCE_DAYS[value.source] || DEFAULT_VALIDITY_DAYS;
+    const published = value.indexDate ? new Date(value.indexDate) : now;
+    let nextPublication = new Date(published.getTime() + cadenceDays * DAY_MS);
+    // Просроченный индекс (следующее значение не загружено) - отсчет от текущего момента
+    if (isNaN(nextPublication.getTime()) || nextPublication < now) {
+      nextPublication = new Date(now.getTime() + cadenceDays * DAY_MS);
+    }
+    if (!validUntil || nextPublication < validUntil) {
+      validUntil = nextPublication;
+      basis = value.source;
+    }
+  }
+
+  return validUntil < minimum ? { validUntil: minimum, basis: 'minimum' } : { validUntil, basis };
+}
+
+// Функция для приведения записи котировки к формату API
+function formatQuote(row) {
+  return {
+    reference: row.reference,
+    status: row.status,
+    originPort: row.origin_port_id,
+    destinationPort: row.destination_port_id,
+    email: row.email,
+    request: row.request,
+    quote: row.result,
+    indexValues: row.index_values,
+    settingsVersion: row.settings_version,
+    finalRate: parseFloat(row.final_rate),
+    currency: row.currency,
+    validUntil: row.valid_until,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Функция для сохранения котировки
+// request - входные параметры расчета, result - результат расчета после применения Incoterm и страхования
+async function createQuote({ originPort, destinationPort, email, request, result }) {
+  const { debugLog, ...snapshot } = result;
+  const validity = getValidity(result.indexValues);
+
+  for (let attempt = 0; attempt < MAX_REFERENCE_ATTEMPTS; attempt++) {
+    const reference = generateReference();
+    const insertResult = await pool.query(
+      `INSERT INTO quotes (reference, origin_port_id, destination_port_id, email, request, result, index_values, final_rate, valid_until, settings_version)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (reference) DO NOTHING
+       RETURNING *`,
+      [
+        reference,
+        originPort,
+        destinationPort,
+        email || null,
+        JSON.stringify(request),
+        JSON.stringify({ ...snapshot, validityBasis: validity.basis }),
+        JSON.stringify(result.indexValues || []),
+        result.finalRate,
+        validity.validUntil,
+        result.settingsVersion ?? null
+      ]
+    );
+    if (insertResult.rows.length > 0) {
+      return formatQuote(insertResult.rows[0]);
+    }
+  }
+
+  throw new Error('Failed to generate a unique quote reference');
+}
+
+// Функция для перевода просроченных котировок в статус expired
+async function expireQuotes() {
+  const result = await pool.query(
+    `UPDATE quotes SET status = 'expired', updated_at = NOW()
+     WHERE status IN ('draft', 'sent') AND valid_until < NOW()
+     RETURNING reference`
+  );
+  return result.rows.length;
+}
+
+// Функция для получения котировки по номеру; просроченная котировка помечается как expired
+async function getQuote(reference) {
+  const result = await pool.query(
+    `UPDATE quotes SET status = 'expired', updated_at = NOW()
+     WHERE reference = $1 AND status IN ('draft', 'sent') AND valid_until < NOW()
+     RETURNING *`,
+    [reference]
+  );
+  if (result.rows.length > 0) {
+    return formatQuote(result.rows[0]);
+  }
+
+  const quoteResult = await pool.query('SELECT * FROM quotes WHERE reference = $1', [reference]);
+  return quoteResult.rows.length > 0 ? formatQuote(quoteResult.rows[0]) : null;
+}
+
+// Функция для получения списка котировок (для администрирования)
+async function getQuotes({ status = null, limit = 100 } = {}) {
+  await expireQuotes();
+  const result = await pool.query(
+    `SELECT * FROM quotes
+     WHERE $1::VARCHAR IS NULL OR status = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [status, limit]
+  );
+  return result.rows.map(formatQuote);
+}
+
+// Функция для изменения статуса котировки
+// Возвращает { quote } или { error, statusCode }, если переход недопустим
+async function updateQuoteStatus(reference, status) {
+  if (!QUOTE_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${QUOTE_STATUSES.join(', ')}`, statusCode: 400 };
+  }
+
+  const quote = await getQuote(reference);
+  if (!quote) {
+    return { error: 'Quote not found', statusCode: 404 };
+  }
+  if (quote.status === status) {
+    return { quote };
+  }
+  if (!STATUS_TRANSITIONS[quote.status].includes(status)) {
+    return { error: `Quote ${reference} is ${quote.status} and cannot be changed to ${status}`, statusCode: 409 };
+  }
+
+  const result = await pool.query(
+    'UPDATE quotes SET status = $2, updated_at = NOW() WHERE reference = $1 RETURNING *',
+    [reference, status]
+  );
+  return { quote: formatQuote(result.rows[0]) };
+}
+
+// Экспорт функций
+export default {
+  QUOTE_STATUSES,
+  initializeQuoteTables,
+  generateReference,
+  getValidity,
+  createQuote,
+  expireQuotes,
+  getQuote,
+  getQuotes,
+  updateQuoteStatus
+};
@@ -0,0 +1,165 @@
+// Модуль расчета ставок для рефрижераторных контейнеров (20RF, 40RH)
+// Рефнадбавка к морскому фрахту зависит от торговой линии, плата за электропитание - от температуры и времени в пути
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import laneResolver from './lane_resolver.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Типы рефконтейнеров, добавляемые в справочник container_types
+const REEFER_CONTAINER_TYPES = [
+  { id: '20RF', name: '20\' Reefer', description: '20-foot refrigerated container', maxWeight: 27400, teu: 1 },
+  { id: '40RH', name: '40\' Reefer High Cube', description: '40-foot high cube refrigerated container', maxWeight: 29000, teu: 2 }
+];
+
+// Допустимый диапазон температуры, заданной для рефконтейнера, °C
+const SET_TEMPERATURE_RANGE = { min: -35, max: 30 };
+
+// Температура, ниже которой груз перевозится в замороженном режиме, °C
+const FROZEN_THRESHOLD = -10;
+
+// Рефнадбавка к ставке сухого контейнера по торговым линиям (доля морского фрахта)
+// Линия учитывает направление: на экспортных линиях из Европы рефоборудования не хватает, надбавка выше
+const REEFER_LANE_PREMIUMS = {
+  'North Europe|Asia': 0.9,
+  'North Europe|Middle East': 0.8,
+  'North Europe|Africa': 0.8,
+  'North Europe|North America East Coast': 0.7,
+  'North Europe|Mediterranean': 0.5,
+  'North Europe|North Europe': 0.5,
+  'Asia|North Europe': 0.4,
+  'Asia|Mediterranean': 0.4,
+  'South America|North Europe': 0.5,
+  'South America|Mediterranean': 0.5,
+  'Oceania|Asia': 0.5,
+  'North America West Coast|Asia': 0.6,
+  'North America East Coast|North Europe': 0.6
+};
+
+// Рефнадбавка для линий, отсутствующих в таблице
+const DEFAULT_REEFER_PREMIUM = 0.6;
+
+// Плата за электропитание рефконтейнера в пути, USD за FEU в сутки
+const POWER_RATE_PER_DAY = {
+  frozen: 12,
+  chilled: 9
+};
+
+// Эксплуатационная скорость для оценки времени в пути, если маршрут не выбран, узлы
+const SERVICE_SPEED_KNOTS = 16;
+
+// Функция для проверки, является ли контейнер рефрижераторным (коды ISO: 20RF, 40RF, 40RH, 45RH)
+function isReeferContainer(containerType) {
+  return /^\d{2}R[FH]$/.test(containerType || '');
+}
+
+// Функция для определения температурного режима
+function getTemperatureMode(setTemperature) {
+  return setTemperature !== null && setTemperature !== undefined && setTemperature <= FROZEN_THRESHOLD ? 'frozen' : 'chilled';
+}
+
+// Функция для проверки заданной температуры; возвращает текст ошибки или null
+function validateSetTemperature(containerType, setTemperature) {
+  if (!isReeferContainer(containerType)) return null;
+  if (setTemperature === undefined || setTemperature === null || setTemperature === '') {
+    return `setTemperature is required for reefer container ${containerType}`;
+  }
+  const temperature = Number(setTemperature);
+  if (isNaN(temperature) || temperature < SET_TEMPERATURE_RANGE.min || temperature > SET_TEMPERATURE_RANGE.max) {
+    return `setTemperature must be between ${SET_TEMPERATURE_RANGE.min} and ${SET_TEMPERATURE_RANGE.max} °C`;
+  }
+  return null;
+}
+
+// Функция для добавления типов рефконтейнеров в справочник
+async function initializeReeferContainerTypes() {
+  try {
+    for (const containerType of REEFER_CONTAINER_TYPES) {
+      await pool.query(
+        `INSERT INTO container_types (id, name, description)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (id) DO NOTHING`,
+        [containerType.id, containerType.name, containerType.description]
+      );
+      // Максимальный вес и TEU есть не во всех установках справочника
+      await pool.query(
+        'UPDATE container_types SET max_weight = COALESCE(max_weight, $2), teu = COALESCE(teu, $3) WHERE id = $1',
+        [containerType.id, containerType.maxWeight, containerType.teu]
+      ).catch(error => console.warn(`Could not set max weight/TEU for ${containerType.id}:`, error.message));
+    }
+    console.log('Reefer container types initialized');
+  } catch (error) {
+    console.error('Error initializing reefer container types:', error);
+    throw error;
+  }
+}
+
+// Функция для получения рефнадбавки торговой линии
+function getReeferLanePremium(originPort, destinationPort) {
+  const laneKey = `${laneResolver.getTradeArea(originPort)}|${laneResolver.getTradeArea(destinationPort)}`;
+  const premium = REEFER_LANE_PREMIUMS[laneKey];
+  return {
+    laneKey,
+    premium: premium ?? DEFAULT_REEFER_PREMIUM,
+    isDefault: premium === undefined
+  };
+}
+
+// Функция для расчета рефнадбавки к морскому фрахту
+// context: { originPort, destinationPort, containerType, oceanFreight }
+function calculateReeferPremium(context) {
+  if (!isReeferContainer(context.containerType)) {
+    return { amount: 0, details: 'Not a reefer container' };
+  }
+
+  const lane = getReeferLanePremium(context.originPort, context.destinationPort);
+  const oceanFreight = context.oceanFreight || 0;
+  return {
+    amount: oceanFreight * lane.premium,
+    details: `${Math.round(lane.premium * 100)}% of ocean freight (${lane.laneKey}${lane.isDefault ? ', default premium' : ''})`,
+    breakdown: { laneKey: lane.laneKey, premium: lane.premium, oceanFreight }
+  };
+}
+
+// Функция для расчета платы за электропитание рефконтейнера за время в пути
+// context: { containerType, setTemperature, transitDays, seaRoute: { distance } }
+function calculateReeferPower(context) {
+  if (!isReeferContainer(context.containerType)) {
+    return { amount: 0, details: 'Not a reefer container' };
+  }
+
+  const transitDays = context.transitDays ||
+    (context.seaRoute && context.seaRoute.distance ? context.seaRoute.distance / (SERVICE_SPEED_KNOTS * 24) : 0);
+  const mode = getTemperatureMode(context.setTemperature);
+  const feuFactor = context.containerType.startsWith('20') ? 0.75 : 1.0;
+  const ratePerDay = POWER_RATE_PER_DAY[mode] * feuFactor;
+
+  return {
+    amount: ratePerDay * transitDays,
+    details: `${Math.round(transitDays * 10) / 10} days x USD ${ratePerDay}/day (${mode}, set ${context.setTemperature ?? 'n/a'} °C)`,
+    breakdown: { mode, setTemperature: context.setTemperature ?? null, transitDays, ratePerDay }
+  };
+}
+
+// Экспорт функций
+export default {
+  REEFER_CONTAINER_TYPES,
+  SET_TEMPERATURE_RANGE,
+  isReeferContainer,
+  getTemperatureMode,
+  validateSetTemperature,
+  initializeReeferContainerTypes,
+  calculateReeferPremium,
+  calculateReeferPower
+};
@@ -0,0 +1,240 @@
+// Модуль вариантов маршрутизации через каналы и узкие места судоходства
+// Рассчитывает альтернативы (Суэц, мыс Доброй Надежды, Панама и т.д.) с расстоянием, транзитным временем и надбавками
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import fuelSurchargeCalculator from './fuel_surcharge_calculator.js';
+import seaRouting from './sea_routing.js';
+import transitTime from './transit_time.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Допустимые значения параметра маршрутизации в запросе
+const ROUTING_CHOICES = ['auto', ...seaRouting.ROUTE_TYPES];
+
+// Узкие места по умолчанию: сборы за проход в USD за FEU, задержка на проходе в сутках
+const DEFAULT_CHOKEPOINTS = [
+  { code: 'SUEZ', name: 'Suez Canal', tollPerFeu: 500, delayDays: 1 },
+  { code: 'BAB_EL_MANDEB', name: 'Bab-el-Mandeb / Red Sea', tollPerFeu: 0, delayDays: 0 },
+  { code: 'PANAMA', name: 'Panama Canal', tollPerFeu: 300, delayDays: 1 },
+  { code: 'KIEL', name: 'Kiel Canal', tollPerFeu: 40, delayDays: 0.5 },
+  { code: 'DANISH_STRAITS', name: 'Danish Straits', tollPerFeu: 0, delayDays: 0 },
+  { code: 'GIBRALTAR', name: 'Strait of Gibraltar', tollPerFeu: 0, delayDays: 0 },
+  { code: 'MALACCA', name: 'Strait of Malacca', tollPerFeu: 0, delayDays: 0 },
+  { code: 'HORMUZ', name: 'Strait of Hormuz', tollPerFeu: 0, delayDays: 0 },
+  { code: 'CAPE_GOOD_HOPE', name: 'Cape of Good Hope', tollPerFeu: 0, delayDays: 0 },
+  { code: 'CAPE_HORN', name: 'Cape Horn', tollPerFeu: 0, delayDays: 0 }
+];
+
+// Функция для инициализации таблицы узких мест
+async function initializeChokepointTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    // status: 'open' или 'closed'; war_risk_per_feu взимается при проходе,
+    // emergency_surcharge_per_feu - при обходе закрытого прохода
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS chokepoints (
+        code VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        toll_per_feu NUMERIC NOT NULL DEFAULT 0,
+        war_risk_per_feu NUMERIC NOT NULL DEFAULT 0,
+        emergency_surcharge_per_feu NUMERIC NOT NULL DEFAULT 0,
+        delay_days NUMERIC NOT NULL DEFAULT 0,
+        notes TEXT,
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    for (const chokepoint of DEFAULT_CHOKEPOINTS) {
+      await client.query(
+        `INSERT INTO chokepoints (code, name, toll_per_feu, delay_days)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (code) DO NOTHING`,
+        [chokepoint.code, chokepoint.name, chokepoint.tollPerFeu, chokepoint.delayDays]
+      );
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Chokepoint tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing chokepoint tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для получения списка узких мест
+async function getChokepoints() {
+  const result = await pool.query('SELECT * FROM chokepoints ORDER BY code');
+  return result.rows;
+}
+
+// Функция для обновления статуса и надбавок узкого места
+async function updateChokepoint(code, updates) {
+  const result = await pool.query(
+    `UPDATE chokepoints SET
+       status = COALESCE($2, status),
+       toll_per_feu = COALESCE($3, toll_per_feu),
+       war_risk_per_feu = COALESCE($4, war_risk_per_feu),
+       emergency_surcharge_per_feu = COALESCE($5, emergency_surcharge_per_feu),
+       delay_days = COALESCE($6, delay_days),
+       notes = COALESCE($7, notes),
+       updated_at = NOW()
+     WHERE code = $1
+     RETURNING *`,
+    [
+      code,
+      updates.status ?? null,
+      updates.tollPerFeu ?? null,
+      updates.warRiskPerFeu ?? null,
+      updates.emergencySurchargePerFeu ?? null,
+      updates.delayDays ?? null,
+      updates.notes ?? null
+    ]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+// Коэффициент пересчета надбавок, заданных за FEU, на тип контейнера
+function getFeuFactor(containerType) {
+  return containerType && containerType.startsWith('20') ? 0.5 : 1.0;
+}
+
+// Функция для расчета вариантов маршрута вручную, если все сохраненные варианты проходят через закрытые проходы
+async function computeRoutesAvoiding(originPortId, destinationPortId, closedCodes) {
+  const result = await pool.query(
+    'SELECT id, latitude, longitude FROM ports WHERE id IN ($1, $2)',
+    [originPortId, destinationPortId]
+  );
+  const originPort = result.rows.find(port => port.id === originPortId);
+  const destinationPort = result.rows.find(port => port.id === destinationPortId);
+  if (!originPort || !destinationPort) return [];
+
+  return seaRouting.getRouteOptions(originPort, destinationPort, { avoidPassages: closedCodes })
+    .map(route => ({ distance: route.distance, routeType: route.routeType, passages: route.passages }));
+}
+
+// Функция для расчета всех доступных вариантов маршрута с надбавками
+// Возвращает { alternatives, unavailable, closedChokepoints }; alternatives отсортированы по сумме надбавок
+// fuelOptions - параметры топливной надбавки ({ asOf, baseFuelPrice }, см. calculateFuelSurcharge)
+async function getRouteAlternatives(originPortId, destinationPortId, containerType, fuelOptions = {}) {
+  const chokepointRows = await getChokepoints();
+  const chokepoints = Object.fromEntries(chokepointRows.map(row => [row.code, row]));
+  const closedCodes = chokepointRows.filter(row => row.status === 'closed').map(row => row.code);
+
+  const allRoutes = await fuelSurchargeCalculator.getPortRoutes(originPortId, destinationPortId);
+  const isBlocked = route => route.passages.some(passage => closedCodes.includes(passage));
+
+  let routes = allRoutes.filter(route => !isBlocked(route));
+  const unavailable = allRoutes
+    .filter(isBlocked)
+    .map(route => ({
+      routeType: route.routeType,
+      distance: route.distance,
+      closedPassages: route.passages.filter(passage => closedCodes.includes(passage))
+    }));
+
+  // Сохраненные варианты покрывают только основные каналы; при закрытии прочих проходов ищем обход по графу
+  if (routes.length === 0 && closedCodes.length > 0) {
+    routes = await computeRoutesAvoiding(originPortId, destinationPortId, closedCodes);
+  }
+
+  // Закрытые проходы, которые лежали на кратчайшем маршруте, - за их обход взимается экстренная надбавка
+  const divertedCodes = allRoutes.length > 0
+    ? allRoutes[0].passages.filter(passage => closedCodes.includes(passage))
+    : [];
+
+  const feuFactor = getFeuFactor(containerType);
+  const alternatives = [];
+  // Транзитное время оценивается по эксплуатационной скорости магистральной линии
+  const { mainline } = await transitTime.getTransitParameters();
+
+  for (const route of routes) {
+    const fuelData = await fuelSurchargeCalculator.calculateFuelSurcharge(
+      originPortId, destinationPortId, containerType, 'VLSFO', route, fuelOptions
+    );
+
+    let canalTolls = 0;
+    let warRiskSurcharge = 0;
+    let delayDays = 0;
+    for (const passage of route.passages) {
+      const chokepoint = chokepoints[passage];
+      if (!chokepoint) continue;
+      canalTolls += parseFloat(chokepoint.toll_per_feu) * feuFactor;
+      warRiskSurcharge += parseFloat(chokepoint.war_risk_per_feu) * feuFactor;
+      delayDays += parseFloat(chokepoint.delay_days);
+    }
+
+    let emergencySurcharge = 0;
+    for (const code of divertedCodes) {
+      emergencySurcharge += parseFloat(chokepoints[code].emergency_surcharge_per_feu) * feuFactor;
+    }
+
+    const transitDays = transitTime.getSailingDays(route.distance, mainline.serviceSpeedKnots) + delayDays;
+
+    alternatives.push({
+      routeType: route.routeType,
+      distance: route.distance,
+      distanceUnit: 'NM',
+      passages: route.passages,
+      transitDays: Math.round(transitDays * 10) / 10,
+      delayDays, // Задержка на проходе каналов и проливов, сут
+      fuelSurcharge: fuelData.surcharge,
+      canalTolls: Math.round(canalTolls),
+      warRiskSurcharge: Math.round(warRiskSurcharge),
+      emergencySurcharge: Math.round(emergencySurcharge),
+      totalSurcharge: Math.round(fuelData.surcharge + canalTolls + warRiskSurcharge + emergencySurcharge)
+    });
+  }
+
+  // Дополнительные сутки в пути относительно самого быстрого доступного варианта
+  const fastestTransit = Math.min(...alternatives.map(alternative => alternative.transitDays));
+  alternatives.forEach(alternative => {
+    alternative.extraTransitDays = Math.round((alternative.transitDays - fastestTransit) * 10) / 10;
+  });
+
+  alternatives.sort((a, b) => a.totalSurcharge - b.totalSurcharge);
+
+  return { alternatives, unavailable, closedChokepoints: closedCodes };
+}
+
+// Функция для выбора варианта маршрута: запрошенный клиентом или самый дешевый ('auto')
+function selectRoute(alternatives, requestedRouting = 'auto') {
+  if (alternatives.length === 0) return null;
+  if (requestedRouting && requestedRouting !== 'auto') {
+    const requested = alternatives.find(alternative => alternative.routeType === requestedRouting);
+    if (requested) return requested;
+  }
+  return alternatives[0];
+}
+
+// Экспорт функций
+export default {
+  ROUTING_CHOICES,
+  initializeChokepointTables,
+  getChokepoints,
+  updateChokepoint,
+  getRouteAlternatives,
+  selectRoute
+};
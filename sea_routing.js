@@ -0,0 +1,709 @@
+// Модуль расчета морских расстояний между портами по графу судоходных путей
+// Работает офлайн: граф путевых точек (каналы, проливы, мысы) + алгоритм Дейкстры
+// Расстояния возвращаются в морских милях (NM)
+
+// Радиус Земли в морских милях
+const EARTH_RADIUS_NM = 3440.065;
+
+// Путевые точки графа. Поле passage помечает проливы и мысы, через которые проходит маршрут
+const WAYPOINTS = {
+  // Балтийское море
+  GULF_OF_FINLAND_EAST: { lat: 60.0, lon: 27.0 },
+  KRONSHTADT: { lat: 59.98, lon: 29.5 },
+  GULF_OF_FINLAND_CENTRAL: { lat: 59.75, lon: 24.8 },
+  GULF_OF_FINLAND_WEST: { lat: 59.6, lon: 22.0 },
+  ALAND_SEA: { lat: 59.7, lon: 19.4 },
+  BALTIC_NORTH: { lat: 58.6, lon: 20.0 },
+  GULF_OF_RIGA: { lat: 57.4, lon: 23.7 },
+  IRBE_STRAIT: { lat: 57.8, lon: 21.9 },
+  BALTIC_EAST: { lat: 56.5, lon: 20.0 },
+  BALTIC_SOUTHEAST: { lat: 55.3, lon: 19.8 },
+  GULF_OF_GDANSK: { lat: 54.6, lon: 19.0 },
+  BORNHOLM: { lat: 55.4, lon: 14.2 },
+  KADET_CHANNEL: { lat: 54.55, lon: 12.3 },
+  FEHMARN_BELT: { lat: 54.55, lon: 11.2 },
+
+  // Датские проливы и Кильский канал
+  ORESUND: { lat: 55.8, lon: 12.7, passage: 'DANISH_STRAITS' },
+  GREAT_BELT: { lat: 55.5, lon: 10.95, passage: 'DANISH_STRAITS' },
+  KIEL_CANAL_EAST: { lat: 54.4, lon: 10.2 },
+  KIEL_CANAL_WEST: { lat: 53.89, lon: 9.14 },
+  KATTEGAT_SOUTH: { lat: 56.2, lon: 11.2 },
+  KATTEGAT_NORTH: { lat: 57.3, lon: 11.5 },
+  SKAGEN: { lat: 57.95, lon: 10.75 },
+  OSLOFJORD: { lat: 59.0, lon: 10.5 },
+
+  // Северное море и Ла-Манш
+  SKAGERRAK_WEST: { lat: 57.8, lon: 7.5 },
+  NORTH_SEA_CENTRAL: { lat: 55.5, lon: 4.0 },
+  GERMAN_BIGHT: { lat: 54.0, lon: 7.8 },
+  WESER_MOUTH: { lat: 53.75, lon: 8.3 },
+  NORTH_SEA_SOUTH: { lat: 52.3, lon: 3.3 },
+  SCHELDT_MOUTH: { lat: 51.45, lon: 3.4 },
+  THAMES_ESTUARY: { lat: 51.6, lon: 1.6 },
+  DOVER_STRAIT: { lat: 51.0, lon: 1.45 },
+  SEINE_BAY: { lat: 49.6, lon: -0.1 },
+  ISLE_OF_WIGHT: { lat: 50.55, lon: -1.1 },
+  USHANT: { lat: 48.6, lon: -5.6 },
+  ST_GEORGES_CHANNEL: { lat: 51.8, lon: -6.0 },
+  IRISH_SEA: { lat: 53.5, lon: -4.0 },
+
+  // Атлантическое побережье Европы и Гибралтар
+  BAY_OF_BISCAY: { lat: 44.0, lon: -3.5 },
+  FINISTERRE: { lat: 43.3, lon: -9.8 },
+  LISBON_APPROACH: { lat: 38.6, lon: -9.6 },
+  CAPE_ST_VINCENT: { lat: 36.8, lon: -9.2 },
+  GIBRALTAR: { lat: 35.95, lon: -5.5, passage: 'GIBRALTAR' },
+
+  // Средиземное море
+  ALBORAN: { lat: 36.2, lon: -2.5 },
+  CARTAGENA: { lat: 37.4, lon: -0.5 },
+  BALEARIC_WEST: { lat: 39.3, lon: 0.5 },
+  BALEARIC_NORTH: { lat: 41.1, lon: 2.8 },
+  GULF_OF_LION: { lat: 42.5, lon: 4.5 },
+  LIGURIAN_SEA: { lat: 43.8, lon: 9.0 },
+  CORSICA_CHANNEL: { lat: 42.6, lon: 9.9 },
+  TYRRHENIAN_SEA: { lat: 40.5, lon: 12.5 },
+  NAPLES_BAY: { lat: 40.7, lon: 14.0 },
+  MESSINA_STRAIT: { lat: 38.1, lon: 15.6 },
+  SARDINIA_SOUTH: { lat: 38.5, lon: 8.8 },
+  SICILY_CHANNEL: { lat: 37.3, lon: 11.6 },
+  MED_CENTRAL: { lat: 35.5, lon: 17.0 },
+  OTRANTO: { lat: 40.0, lon: 19.0 },
+  ADRIATIC_CENTRAL: { lat: 42.8, lon: 15.5 },
+  ADRIATIC_NORTH: { lat: 45.0, lon: 13.2 },
+  KVARNER: { lat: 44.9, lon: 14.2 },
+  MATAPAN: { lat: 36.0, lon: 22.5 },
+  AEGEAN_WEST: { lat: 37.5, lon: 24.2 },
+  THERMAIC_GULF: { lat: 40.2, lon: 23.2 },
+  IZMIR_BAY: { lat: 38.6, lon: 26.6 },
+  DARDANELLES: { lat: 40.0, lon: 26.1 },
+  MARMARA: { lat: 40.8, lon: 28.0 },
+  BOSPHORUS_NORTH: { lat: 41.3, lon: 29.2 },
+  BLACK_SEA_WEST: { lat: 43.5, lon: 29.5 },
+  KASOS_STRAIT: { lat: 35.4, lon: 26.6 },
+  CRETE_SOUTH: { lat: 34.6, lon: 25.0 },
+  CILICIA: { lat: 36.3, lon: 34.5 },
+  PORT_SAID: { lat: 31.4, lon: 32.35 },
+
+  // Суэцкий канал, Красное море, Ближний Восток
+  SUEZ: { lat: 29.9, lon: 32.55 },
+  RED_SEA_NORTH: { lat: 27.5, lon: 34.0 },
+  JEDDAH_APPROACH: { lat: 21.5, lon: 38.9 },
+  BAB_EL_MANDEB: { lat: 12.6, lon: 43.3, passage: 'BAB_EL_MANDEB' },
+  GULF_OF_ADEN: { lat: 12.2, lon: 46.0 },
+  GUARDAFUI: { lat: 12.0, lon: 51.7 },
+  SALALAH_APPROACH: { lat: 16.8, lon: 54.2 },
+  RAS_AL_HADD: { lat: 22.6, lon: 60.0 },
+  HORMUZ: { lat: 26.5, lon: 56.5, passage: 'HORMUZ' },
+  JEBEL_ALI_APPROACH: { lat: 25.2, lon: 55.0 },
+
+  // Индийский океан и Малаккский пролив
+  DONDRA: { lat: 5.7, lon: 80.6 },
+  MALACCA_NW: { lat: 5.3, lon: 98.5 },
+  MALACCA_CENTRAL: { lat: 2.9, lon: 100.8, passage: 'MALACCA' },
+  MALACCA_SE: { lat: 1.9, lon: 102.4 },
+  SINGAPORE_STRAIT: { lat: 1.2, lon: 103.9 },
+  SUNDA_STRAIT: { lat: -6.0, lon: 105.8 },
+  JAVA_SEA: { lat: -5.5, lon: 107.5 },
+  KARIMATA_STRAIT: { lat: -2.0, lon: 108.5 },
+  MAKASSAR_STRAIT: { lat: -4.5, lon: 118.5 },
+  INDIAN_OCEAN_SOUTH: { lat: -25.0, lon: 60.0 },
+
+  // Африка
+  CAPE_GOOD_HOPE: { lat: -34.6, lon: 18.3, passage: 'CAPE_GOOD_HOPE' },
+  CAPE_AGULHAS: { lat: -35.2, lon: 20.0, passage: 'CAPE_GOOD_HOPE' },
+  TABLE_BAY: { lat: -33.8, lon: 18.3 },
+  DURBAN_APPROACH: { lat: -29.9, lon: 31.3 },
+  MOZAMBIQUE_CHANNEL: { lat: -17.0, lon: 41.5 },
+  MOMBASA_APPROACH: { lat: -4.1, lon: 39.9 },
+  SOUTH_ATLANTIC_EAST: { lat: -20.0, lon: 8.0 },
+  GULF_OF_GUINEA: { lat: 2.0, lon: 4.0 },
+  LAGOS_APPROACH: { lat: 6.2, lon: 3.4 },
+  CAPE_VERDE: { lat: 15.0, lon: -19.0 },
+  CANARIES_NORTH: { lat: 31.0, lon: -14.0 },
+
+  // Юго-Восточная и Восточная Азия
+  GULF_OF_THAILAND: { lat: 12.5, lon: 101.0 },
+  SCS_SOUTH: { lat: 5.0, lon: 106.5 },
+  VUNG_TAU_APPROACH: { lat: 10.0, lon: 107.3 },
+  SCS_CENTRAL: { lat: 12.0, lon: 112.0 },
+  GULF_OF_TONKIN: { lat: 20.0, lon: 107.5 },
+  HAINAN_EAST: { lat: 18.5, lon: 111.5 },
+  SCS_NORTH: { lat: 19.0, lon: 115.0 },
+  HONG_KONG_APPROACH: { lat: 22.1, lon: 114.3 },
+  TAIWAN_STRAIT: { lat: 24.0, lon: 119.3 },
+  TAIWAN_SOUTH: { lat: 22.0, lon: 120.0 },
+  LUZON_STRAIT: { lat: 20.5, lon: 121.5 },
+  TAIWAN_NORTH: { lat: 25.5, lon: 122.0 },
+  ZHOUSHAN: { lat: 29.9, lon: 122.4 },
+  YANGTZE_MOUTH: { lat: 31.0, lon: 122.3 },
+  EAST_CHINA_SEA: { lat: 30.0, lon: 126.0 },
+  YELLOW_SEA: { lat: 35.5, lon: 122.0 },
+  YELLOW_SEA_EAST: { lat: 36.5, lon: 125.5 },
+  BOHAI_STRAIT: { lat: 38.3, lon: 121.0 },
+  BOHAI_BAY: { lat: 38.8, lon: 118.5 },
+  KOREA_SOUTH: { lat: 34.2, lon: 127.8 },
+  KOREA_STRAIT: { lat: 34.5, lon: 129.0 },
+  KYUSHU_SOUTH: { lat: 30.8, lon: 131.0 },
+  KII_CHANNEL: { lat: 33.5, lon: 135.2 },
+  OSAKA_BAY: { lat: 34.3, lon: 135.1 },
+  ISE_BAY: { lat: 34.4, lon: 137.0 },
+  TOKYO_BAY: { lat: 34.9, lon: 139.8 },
+  JAPAN_SOUTHEAST: { lat: 33.0, lon: 141.0 },
+  MANILA_BAY: { lat: 14.4, lon: 120.5 },
+  VISAYAN_SEA: { lat: 10.0, lon: 124.0 },
+  SURIGAO_STRAIT: { lat: 10.2, lon: 125.6 },
+  MINDANAO_SOUTH: { lat: 5.8, lon: 125.5 },
+  PHILIPPINE_SEA: { lat: 12.0, lon: 130.0 },
+
+  // Океания
+  PACIFIC_EQUATOR_EAST: { lat: 0.0, lon: 162.0 },
+  CORAL_SEA_EAST: { lat: -12.0, lon: 163.0 },
+  BRISBANE_APPROACH: { lat: -27.2, lon: 153.5 },
+  SYDNEY_APPROACH: { lat: -33.9, lon: 151.5 },
+  BASS_STRAIT: { lat: -39.3, lon: 145.5 },
+  PORT_PHILLIP: { lat: -38.4, lon: 144.7 },
+  FREMANTLE_APPROACH: { lat: -32.0, lon: 115.3 },
+  AUCKLAND_APPROACH: { lat: -36.5, lon: 175.2 },
+
+  // Северная Америка
+  SAN_PEDRO_BAY: { lat: 33.6, lon: -118.3 },
+  SF_BAY: { lat: 37.8, lon: -122.6 },
+  JUAN_DE_FUCA: { lat: 48.4, lon: -124.8 },
+  PUGET_SOUND: { lat: 48.2, lon: -122.8 },
+  CABO_SAN_LUCAS: { lat: 22.3, lon: -110.0 },
+  MEXICO_PACIFIC: { lat: 16.0, lon: -100.0 },
+  CENTRAL_AMERICA_PACIFIC: { lat: 11.5, lon: -89.0 },
+  COIBA_SOUTH: { lat: 6.8, lon: -82.0 },
+  NEW_YORK_APPROACH: { lat: 40.4, lon: -73.8 },
+  CHESAPEAKE_ENTRANCE: { lat: 36.9, lon: -75.8 },
+  SAVANNAH_APPROACH: { lat: 31.9, lon: -80.7 },
+  FLORIDA_STRAIT: { lat: 24.0, lon: -81.0 },
+  GULF_OF_MEXICO: { lat: 27.0, lon: -90.0 },
+  GALVESTON_APPROACH: { lat: 29.3, lon: -94.6 },
+  YUCATAN_CHANNEL: { lat: 21.8, lon: -85.5 },
+  CABOT_STRAIT: { lat: 47.3, lon: -60.0 },
+  ST_LAWRENCE_GULF: { lat: 49.5, lon: -64.5 },
+  QUEBEC: { lat: 46.8, lon: -71.2 },
+  NORTH_ATLANTIC_WEST: { lat: 41.0, lon: -50.0 },
+
+  // Карибский бассейн и Панамский канал
+  WINDWARD_PASSAGE: { lat: 20.0, lon: -73.8 },
+  ANEGADA_PASSAGE: { lat: 18.5, lon: -64.5 },
+  CARIBBEAN_CENTRAL: { lat: 14.0, lon: -76.0 },
+  CARIBBEAN_EAST: { lat: 12.5, lon: -62.0 },
+  PANAMA_ATLANTIC: { lat: 9.4, lon: -79.9 },
+  PANAMA_PACIFIC: { lat: 8.9, lon: -79.5 },
+  GULF_OF_PANAMA: { lat: 7.2, lon: -79.6 },
+
+  // Южная Америка
+  BRAZIL_BULGE: { lat: -6.0, lon: -34.0 },
+  SANTOS_APPROACH: { lat: -24.2, lon: -46.2 },
+  RIO_GRANDE_APPROACH: { lat: -32.3, lon: -51.8 },
+  RIO_DE_LA_PLATA: { lat: -35.2, lon: -56.5 },
+  CAPE_HORN: { lat: -56.5, lon: -67.0, passage: 'CAPE_HORN' },
+  VALPARAISO_APPROACH: { lat: -33.0, lon: -72.0 },
+  CALLAO_APPROACH: { lat: -12.1, lon: -77.4 },
+  BUENAVENTURA_APPROACH: { lat: 3.8, lon: -77.5 }
+};
+
+// Судоходные пути (ребра графа). Для каналов задается фактическая длина и признак прохода
+const SEA_LANES = [
+  // Балтика
+  ['KRONSHTADT', 'GULF_OF_FINLAND_EAST'],
+  ['GULF_OF_FINLAND_EAST', 'GULF_OF_FINLAND_CENTRAL'],
+  ['GULF_OF_FINLAND_CENTRAL', 'GULF_OF_FINLAND_WEST'],
+  ['GULF_OF_FINLAND_WEST', 'ALAND_SEA'],
+  ['GULF_OF_FINLAND_WEST', 'BALTIC_NORTH'],
+  ['ALAND_SEA', 'BALTIC_NORTH'],
+  ['BALTIC_NORTH', 'IRBE_STRAIT'],
+  ['BALTIC_NORTH', 'BALTIC_EAST'],
+  ['BALTIC_NORTH', 'BORNHOLM'],
+  ['GULF_OF_RIGA', 'IRBE_STRAIT'],
+  ['IRBE_STRAIT', 'BALTIC_EAST'],
+  ['BALTIC_EAST', 'BALTIC_SOUTHEAST'],
+  ['BALTIC_SOUTHEAST', 'GULF_OF_GDANSK'],
+  ['BALTIC_SOUTHEAST', 'BORNHOLM'],
+  ['GULF_OF_GDANSK', 'BORNHOLM'],
+  ['BORNHOLM', 'ORESUND'],
+  ['BORNHOLM', 'KADET_CHANNEL'],
+  ['KADET_CHANNEL', 'FEHMARN_BELT'],
+  ['FEHMARN_BELT', 'GREAT_BELT'],
+  ['FEHMARN_BELT', 'KIEL_CANAL_EAST'],
+  ['KIEL_CANAL_EAST', 'KIEL_CANAL_WEST', { passage: 'KIEL', distance: 53 }],
+  ['ORESUND', 'KATTEGAT_SOUTH'],
+  ['GREAT_BELT', 'KATTEGAT_SOUTH'],
+  ['KATTEGAT_SOUTH', 'KATTEGAT_NORTH'],
+  ['KATTEGAT_NORTH', 'SKAGEN'],
+  ['SKAGEN', 'OSLOFJORD'],
+  ['SKAGEN', 'SKAGERRAK_WEST'],
+
+  // Северное море и Ла-Манш
+  ['SKAGERRAK_WEST', 'NORTH_SEA_CENTRAL'],
+  ['SKAGERRAK_WEST', 'GERMAN_BIGHT'],
+  ['KIEL_CANAL_WEST', 'GERMAN_BIGHT'],
+  ['WESER_MOUTH', 'GERMAN_BIGHT'],
+  ['GERMAN_BIGHT', 'NORTH_SEA_CENTRAL'],
+  ['GERMAN_BIGHT', 'NORTH_SEA_SOUTH'],
+  ['NORTH_SEA_CENTRAL', 'NORTH_SEA_SOUTH'],
+  ['NORTH_SEA_SOUTH', 'SCHELDT_MOUTH'],
+  ['NORTH_SEA_SOUTH', 'THAMES_ESTUARY'],
+  ['NORTH_SEA_SOUTH', 'DOVER_STRAIT'],
+  ['SCHELDT_MOUTH', 'DOVER_STRAIT'],
+  ['THAMES_ESTUARY', 'DOVER_STRAIT'],
+  ['DOVER_STRAIT', 'SEINE_BAY'],
+  ['DOVER_STRAIT', 'ISLE_OF_WIGHT'],
+  ['SEINE_BAY', 'ISLE_OF_WIGHT'],
+  ['SEINE_BAY', 'USHANT'],
+  ['ISLE_OF_WIGHT', 'USHANT'],
+  ['USHANT', 'ST_GEORGES_CHANNEL'],
+  ['ST_GEORGES_CHANNEL', 'IRISH_SEA'],
+
+  // Атлантическое побережье Европы
+  ['USHANT', 'BAY_OF_BISCAY'],
+  ['USHANT', 'FINISTERRE'],
+  ['BAY_OF_BISCAY', 'FINISTERRE'],
+  ['FINISTERRE', 'LISBON_APPROACH'],
+  ['LISBON_APPROACH', 'CAPE_ST_VINCENT'],
+  ['CAPE_ST_VINCENT', 'GIBRALTAR'],
+  ['CAPE_ST_VINCENT', 'CANARIES_NORTH'],
+
+  // Средиземное море
+  ['GIBRALTAR', 'ALBORAN'],
+  ['ALBORAN', 'CARTAGENA'],
+  ['ALBORAN', 'SARDINIA_SOUTH'],
+  ['CARTAGENA', 'BALEARIC_WEST'],
+  ['BALEARIC_WEST', 'BALEARIC_NORTH'],
+  ['BALEARIC_WEST', 'SARDINIA_SOUTH'],
+  ['BALEARIC_NORTH', 'GULF_OF_LION'],
+  ['GULF_OF_LION', 'LIGURIAN_SEA'],
+  ['GULF_OF_LION', 'SARDINIA_SOUTH'],
+  ['LIGURIAN_SEA', 'CORSICA_CHANNEL'],
+  ['CORSICA_CHANNEL', 'TYRRHENIAN_SEA'],
+  ['TYRRHENIAN_SEA', 'NAPLES_BAY'],
+  ['TYRRHENIAN_SEA', 'MESSINA_STRAIT'],
+  ['TYRRHENIAN_SEA', 'SARDINIA_SOUTH'],
+  ['TYRRHENIAN_SEA', 'SICILY_CHANNEL'],
+  ['SARDINIA_SOUTH', 'SICILY_CHANNEL'],
+  ['SICILY_CHANNEL', 'MED_CENTRAL'],
+  ['MESSINA_STRAIT', 'MED_CENTRAL'],
+  ['MESSINA_STRAIT', 'OTRANTO'],
+  ['MED_CENTRAL', 'OTRANTO'],
+  ['OTRANTO', 'ADRIATIC_CENTRAL'],
+  ['ADRIATIC_CENTRAL', 'ADRIATIC_NORTH'],
+  ['ADRIATIC_CENTRAL', 'KVARNER'],
+  ['ADRIATIC_NORTH', 'KVARNER'],
+  ['MED_CENTRAL', 'MATAPAN'],
+  ['MED_CENTRAL', 'CRETE_SOUTH'],
+  ['OTRANTO', 'MATAPAN'],
+  ['MATAPAN', 'AEGEAN_WEST'],
+  ['MATAPAN', 'CRETE_SOUTH'],
+  ['AEGEAN_WEST', 'THERMAIC_GULF'],
+  ['AEGEAN_WEST', 'IZMIR_BAY'],
+  ['AEGEAN_WEST', 'DARDANELLES'],
+  ['AEGEAN_WEST', 'KASOS_STRAIT'],
+  ['THERMAIC_GULF', 'DARDANELLES'],
+  ['IZMIR_BAY', 'DARDANELLES'],
+  ['DARDANELLES', 'MARMARA'],
+  ['MARMARA', 'BOSPHORUS_NORTH'],
+  ['BOSPHORUS_NORTH', 'BLACK_SEA_WEST'],
+  ['KASOS_STRAIT', 'CILICIA'],
+  ['KASOS_STRAIT', 'PORT_SAID'],
+  ['CRETE_SOUTH', 'KASOS_STRAIT'],
+  ['CRETE_SOUTH', 'PORT_SAID'],
+  ['CILICIA', 'PORT_SAID'],
+
+  // Суэцкий канал и Красное море
+  ['PORT_SAID', 'SUEZ', { passage: 'SUEZ', distance: 104 }],
+  ['SUEZ', 'RED_SEA_NORTH'],
+  ['RED_SEA_NORTH', 'JEDDAH_APPROACH'],
+  ['JEDDAH_APPROACH', 'BAB_EL_MANDEB'],
+  ['BAB_EL_MANDEB', 'GULF_OF_ADEN'],
+  ['GULF_OF_ADEN', 'GUARDAFUI'],
+  ['GUARDAFUI', 'SALALAH_APPROACH'],
+  ['GUARDAFUI', 'RAS_AL_HADD'],
+  ['GUARDAFUI', 'DONDRA'],
+  ['GUARDAFUI', 'MOMBASA_APPROACH'],
+  ['SALALAH_APPROACH', 'RAS_AL_HADD'],
+  ['SALALAH_APPROACH', 'DONDRA'],
+  ['RAS_AL_HADD', 'HORMUZ'],
+  ['RAS_AL_HADD', 'DONDRA'],
+  ['HORMUZ', 'JEBEL_ALI_APPROACH'],
+
+  // Индийский океан, Малаккский и Зондский проливы
+  ['DONDRA', 'MALACCA_NW'],
+  ['MALACCA_NW', 'MALACCA_CENTRAL'],
+  ['MALACCA_CENTRAL', 'MALACCA_SE'],
+  ['MALACCA_SE', 'SINGAPORE_STRAIT'],
+  ['SINGAPORE_STRAIT', 'SCS_SOUTH'],
+  ['SINGAPORE_STRAIT', 'KARIMATA_STRAIT'],
+  ['KARIMATA_STRAIT', 'JAVA_SEA'],
+  ['JAVA_SEA', 'SUNDA_STRAIT'],
+  ['JAVA_SEA', 'MAKASSAR_STRAIT'],
+  ['MAKASSAR_STRAIT', 'MINDANAO_SOUTH'],
+  ['SUNDA_STRAIT', 'INDIAN_OCEAN_SOUTH'],
+  ['SUNDA_STRAIT', 'FREMANTLE_APPROACH'],
+  ['SUNDA_STRAIT', 'DONDRA'],
+  ['DONDRA', 'INDIAN_OCEAN_SOUTH'],
+  ['MALACCA_NW', 'INDIAN_OCEAN_SOUTH'],
+  ['INDIAN_OCEAN_SOUTH', 'CAPE_AGULHAS'],
+  ['INDIAN_OCEAN_SOUTH', 'DURBAN_APPROACH'],
+  ['INDIAN_OCEAN_SOUTH', 'FREMANTLE_APPROACH'],
+
+  // Африка
+  ['MOMBASA_APPROACH', 'MOZAMBIQUE_CHANNEL'],
+  ['MOZAMBIQUE_CHANNEL', 'DURBAN_APPROACH'],
+  ['DURBAN_APPROACH', 'CAPE_AGULHAS'],
+  ['CAPE_AGULHAS', 'CAPE_GOOD_HOPE'],
+  ['CAPE_GOOD_HOPE', 'TABLE_BAY'],
+  ['CAPE_GOOD_HOPE', 'SOUTH_ATLANTIC_EAST'],
+  ['TABLE_BAY', 'SOUTH_ATLANTIC_EAST'],
+  ['SOUTH_ATLANTIC_EAST', 'GULF_OF_GUINEA'],
+  ['GULF_OF_GUINEA', 'LAGOS_APPROACH'],
+  ['GULF_OF_GUINEA', 'CAPE_VERDE'],
+  ['CAPE_VERDE', 'CANARIES_NORTH'],
+  ['CAPE_VERDE', 'BRAZIL_BULGE'],
+  ['CAPE_GOOD_HOPE', 'SANTOS_APPROACH'],
+  ['CAPE_GOOD_HOPE', 'RIO_DE_LA_PLATA'],
+
+  // Юго-Восточная и Восточная Азия
+  ['SINGAPORE_STRAIT', 'GULF_OF_THAILAND'],
+  ['SCS_SOUTH', 'GULF_OF_THAILAND'],
+  ['SCS_SOUTH', 'VUNG_TAU_APPROACH'],
+  ['SCS_SOUTH', 'SCS_CENTRAL'],
+  ['VUNG_TAU_APPROACH', 'SCS_CENTRAL'],
+  ['SCS_CENTRAL', 'HAINAN_EAST'],
+  ['SCS_CENTRAL', 'SCS_NORTH'],
+  ['SCS_CENTRAL', 'MANILA_BAY'],
+  ['HAINAN_EAST', 'GULF_OF_TONKIN'],
+  ['HAINAN_EAST', 'HONG_KONG_APPROACH'],
+  ['SCS_NORTH', 'HONG_KONG_APPROACH'],
+  ['SCS_NORTH', 'TAIWAN_SOUTH'],
+  ['SCS_NORTH', 'LUZON_STRAIT'],
+  ['HONG_KONG_APPROACH', 'TAIWAN_STRAIT'],
+  ['HONG_KONG_APPROACH', 'TAIWAN_SOUTH'],
+  ['TAIWAN_STRAIT', 'TAIWAN_NORTH'],
+  ['TAIWAN_SOUTH', 'LUZON_STRAIT'],
+  ['LUZON_STRAIT', 'TAIWAN_NORTH'],
+  ['LUZON_STRAIT', 'PHILIPPINE_SEA'],
+  ['LUZON_STRAIT', 'MANILA_BAY'],
+  ['TAIWAN_NORTH', 'ZHOUSHAN'],
+  ['TAIWAN_NORTH', 'EAST_CHINA_SEA'],
+  ['ZHOUSHAN', 'YANGTZE_MOUTH'],
+  ['ZHOUSHAN', 'EAST_CHINA_SEA'],
+  ['YANGTZE_MOUTH', 'EAST_CHINA_SEA'],
+  ['YANGTZE_MOUTH', 'YELLOW_SEA'],
+  ['YELLOW_SEA', 'YELLOW_SEA_EAST'],
+  ['YELLOW_SEA', 'BOHAI_STRAIT'],
+  ['BOHAI_STRAIT', 'BOHAI_BAY'],
+  ['YELLOW_SEA_EAST', 'KOREA_SOUTH'],
+  ['YELLOW_SEA', 'EAST_CHINA_SEA'],
+  ['EAST_CHINA_SEA', 'KOREA_SOUTH'],
+  ['EAST_CHINA_SEA', 'KYUSHU_SOUTH'],
+  ['KOREA_SOUTH', 'KOREA_STRAIT'],
+  ['KOREA_STRAIT', 'KYUSHU_SOUTH'],
+  ['KYUSHU_SOUTH', 'KII_CHANNEL'],
+  ['KYUSHU_SOUTH', 'JAPAN_SOUTHEAST'],
+  ['KII_CHANNEL', 'OSAKA_BAY'],
+  ['KII_CHANNEL', 'ISE_BAY'],
+  ['ISE_BAY', 'TOKYO_BAY'],
+  ['TOKYO_BAY', 'JAPAN_SOUTHEAST'],
+  ['ISE_BAY', 'JAPAN_SOUTHEAST'],
+  ['MANILA_BAY', 'VISAYAN_SEA'],
+  ['VISAYAN_SEA', 'SURIGAO_STRAIT'],
+  ['SURIGAO_STRAIT', 'PHILIPPINE_SEA'],
+  ['MINDANAO_SOUTH', 'PHILIPPINE_SEA'],
+  ['PHILIPPINE_SEA', 'PACIFIC_EQUATOR_EAST'],
+  ['MINDANAO_SOUTH', 'PACIFIC_EQUATOR_EAST'],
+  ['PHILIPPINE_SEA', 'JAPAN_SOUTHEAST'],
+
+  // Океания
+  ['PACIFIC_EQUATOR_EAST', 'CORAL_SEA_EAST'],
+  ['CORAL_SEA_EAST', 'BRISBANE_APPROACH'],
+  ['CORAL_SEA_EAST', 'SYDNEY_APPROACH'],
+  ['CORAL_SEA_EAST', 'AUCKLAND_APPROACH'],
+  ['BRISBANE_APPROACH', 'SYDNEY_APPROACH'],
+  ['SYDNEY_APPROACH', 'BASS_STRAIT'],
+  ['SYDNEY_APPROACH', 'AUCKLAND_APPROACH'],
+  ['BASS_STRAIT', 'PORT_PHILLIP'],
+  ['BASS_STRAIT', 'FREMANTLE_APPROACH'],
+
+  // Транстихоокеанские линии и тихоокеанское побережье Америки
+  ['JAPAN_SOUTHEAST', 'JUAN_DE_FUCA'],
+  ['JAPAN_SOUTHEAST', 'SF_BAY'],
+  ['JAPAN_SOUTHEAST', 'SAN_PEDRO_BAY'],
+  ['JUAN_DE_FUCA', 'PUGET_SOUND'],
+  ['JUAN_DE_FUCA', 'SF_BAY'],
+  ['SF_BAY', 'SAN_PEDRO_BAY'],
+  ['SAN_PEDRO_BAY', 'CABO_SAN_LUCAS'],
+  ['CABO_SAN_LUCAS', 'MEXICO_PACIFIC'],
+  ['MEXICO_PACIFIC', 'CENTRAL_AMERICA_PACIFIC'],
+  ['CENTRAL_AMERICA_PACIFIC', 'COIBA_SOUTH'],
+  ['COIBA_SOUTH', 'GULF_OF_PANAMA'],
+  ['GULF_OF_PANAMA', 'PANAMA_PACIFIC'],
+  ['GULF_OF_PANAMA', 'BUENAVENTURA_APPROACH'],
+  ['BUENAVENTURA_APPROACH', 'CALLAO_APPROACH'],
+  ['CALLAO_APPROACH', 'VALPARAISO_APPROACH'],
+  ['VALPARAISO_APPROACH', 'CAPE_HORN'],
+  ['CALLAO_APPROACH', 'JAPAN_SOUTHEAST'],
+  ['VALPARAISO_APPROACH', 'AUCKLAND_APPROACH'],
+
+  // Панамский канал
+  ['PANAMA_ATLANTIC', 'PANAMA_PACIFIC', { passage: 'PANAMA', distance: 44 }],
+
+  // Атлантическое побережье Америки и Карибский бассейн
+  ['PANAMA_ATLANTIC', 'CARIBBEAN_CENTRAL'],
+  ['CARIBBEAN_CENTRAL', 'WINDWARD_PASSAGE'],
+  ['CARIBBEAN_CENTRAL', 'YUCATAN_CHANNEL'],
+  ['CARIBBEAN_CENTRAL', 'ANEGADA_PASSAGE'],
+  ['CARIBBEAN_CENTRAL', 'CARIBBEAN_EAST'],
+  ['YUCATAN_CHANNEL', 'GULF_OF_MEXICO'],
+  ['YUCATAN_CHANNEL', 'FLORIDA_STRAIT'],
+  ['GULF_OF_MEXICO', 'GALVESTON_APPROACH'],
+  ['GULF_OF_MEXICO', 'FLORIDA_STRAIT'],
+  ['FLORIDA_STRAIT', 'SAVANNAH_APPROACH'],
+  ['WINDWARD_PASSAGE', 'SAVANNAH_APPROACH'],
+  ['WINDWARD_PASSAGE', 'CHESAPEAKE_ENTRANCE'],
+  ['SAVANNAH_APPROACH', 'CHESAPEAKE_ENTRANCE'],
+  ['CHESAPEAKE_ENTRANCE', 'NEW_YORK_APPROACH'],
+  ['NEW_YORK_APPROACH', 'NORTH_ATLANTIC_WEST'],
+  ['NEW_YORK_APPROACH', 'CABOT_STRAIT'],
+  ['CHESAPEAKE_ENTRANCE', 'NORTH_ATLANTIC_WEST'],
+  ['CABOT_STRAIT', 'ST_LAWRENCE_GULF'],
+  ['ST_LAWRENCE_GULF', 'QUEBEC'],
+  ['CABOT_STRAIT', 'ST_GEORGES_CHANNEL'],
+  ['CABOT_STRAIT', 'USHANT'],
+  ['NORTH_ATLANTIC_WEST', 'USHANT'],
+  ['NORTH_ATLANTIC_WEST', 'ST_GEORGES_CHANNEL'],
+  ['NORTH_ATLANTIC_WEST', 'FINISTERRE'],
+  ['NORTH_ATLANTIC_WEST', 'CAPE_ST_VINCENT'],
+  ['ANEGADA_PASSAGE', 'CAPE_ST_VINCENT'],
+  ['ANEGADA_PASSAGE', 'USHANT'],
+  ['ANEGADA_PASSAGE', 'CANARIES_NORTH'],
+  ['ANEGADA_PASSAGE', 'NEW_YORK_APPROACH'],
+  ['CARIBBEAN_EAST', 'BRAZIL_BULGE'],
+  ['BRAZIL_BULGE', 'SANTOS_APPROACH'],
+  ['SANTOS_APPROACH', 'RIO_GRANDE_APPROACH'],
+  ['RIO_GRANDE_APPROACH', 'RIO_DE_LA_PLATA'],
+  ['RIO_DE_LA_PLATA', 'CAPE_HORN']
+];
+
+// Порты, для которых ближайшая путевая точка находится за сушей или на другом водоеме
+const PORT_WAYPOINT_OVERRIDES = {
+  'PAONX': 'PANAMA_ATLANTIC', // Колон - карибская сторона канала
+  'PAMIT': 'PANAMA_ATLANTIC', // Мансанильо (Панама) - карибская сторона канала
+  'EGPSD': 'PORT_SAID', // Порт-Саид - средиземноморский вход в Суэцкий канал
+  'DEHAM': 'KIEL_CANAL_WEST', // Гамбург - выход по Эльбе в районе Брунсбюттеля
+  'FRPAR': 'SEINE_BAY' // Париж - речной порт на Сене
+};
+
+// Варианты маршрутов, которые рассчитываются для каждой пары портов
+// route_type 'sea' всегда хранит кратчайший из доступных маршрутов
+const ROUTE_TYPES = ['direct', 'kiel', 'danish_straits', 'suez', 'cape', 'panama', 'cape_horn'];
+
+// Функция для перевода градусов в радианы
+function deg2rad(deg) {
+  return deg * (Math.PI / 180);
+}
+
+// Функция для расчета ортодромического расстояния в морских милях
+function greatCircleDistanceNM(lat1, lon1, lat2, lon2) {
+  const dLat = deg2rad(lat2 - lat1);
+  const dLon = deg2rad(lon2 - lon1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_NM * c;
+}
+
+// Построение списка смежности графа (строится один раз и кэшируется)
+let cachedGraph = null;
+
+function buildGraph() {
+  if (cachedGraph) return cachedGraph;
+
+  const graph = {};
+  for (const name of Object.keys(WAYPOINTS)) {
+    graph[name] = [];
+  }
+
+  for (const [from, to, options = {}] of SEA_LANES) {
+    if (!WAYPOINTS[from] || !WAYPOINTS[to]) {
+      throw new Error(`Unknown waypoint in sea lane ${from} - ${to}`);
+    }
+    const distance = options.distance || greatCircleDistanceNM(
+      WAYPOINTS[from].lat, WAYPOINTS[from].lon,
+      WAYPOINTS[to].lat, WAYPOINTS[to].lon
+    );
+    graph[from].push({ to, distance, passage: options.passage || null });
+    graph[to].push({ to: from, distance, passage: options.passage || null });
+  }
+
+  cachedGraph = graph;
+  return graph;
+}
+
+// Функция для поиска путевой точки, к которой подключается порт
+function findAccessWaypoint(port) {
+  if (port.id && PORT_WAYPOINT_OVERRIDES[port.id]) {
+    return PORT_WAYPOINT_OVERRIDES[port.id];
+  }
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const [name, waypoint] of Object.entries(WAYPOINTS)) {
+    const distance = greatCircleDistanceNM(port.latitude, port.longitude, waypoint.lat, waypoint.lon);
+    if (distance < nearestDistance) {
+      nearest = name;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+// Алгоритм Дейкстры по графу путевых точек с учетом закрытых проходов
+function findShortestPath(startWaypoint, endWaypoint, avoidPassages = []) {
+  const graph = buildGraph();
+  const isClosed = name => WAYPOINTS[name].passage && avoidPassages.includes(WAYPOINTS[name].passage);
+
+  if (isClosed(startWaypoint) || isClosed(endWaypoint)) return null;
+
+  const distances = { [startWaypoint]: 0 };
+  const previous = {};
+  const visited = new Set();
+  const queue = [startWaypoint];
+
+  while (queue.length > 0) {
+    // Граф небольшой (~200 узлов), поэтому линейный поиск минимума достаточен
+    let minIndex = 0;
+    for (let i = 1; i < queue.length; i++) {
+      if (distances[queue[i]] < distances[queue[minIndex]]) minIndex = i;
+    }
+    const current = queue.splice(minIndex, 1)[0];
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    if (current === endWaypoint) break;
+
+    for (const edge of graph[current]) {
+      if (visited.has(edge.to) || isClosed(edge.to)) continue;
+      if (edge.passage && avoidPassages.includes(edge.passage)) continue;
+
+      const candidate = distances[current] + edge.distance;
+      if (distances[edge.to] === undefined || candidate < distances[edge.to]) {
+        distances[edge.to] = candidate;
+        previous[edge.to] = { from: current, passage: edge.passage };
+        queue.push(edge.to);
+      }
+    }
+  }
+
+  if (distances[endWaypoint] === undefined) return null;
+
+  // Восстановление пути
+  const path = [endWaypoint];
+  const passages = [];
+  let node = endWaypoint;
+  while (node !== startWaypoint) {
+    const step = previous[node];
+    if (step.passage) passages.unshift(step.passage);
+    node = step.from;
+    path.unshift(node);
+  }
+  for (const name of path) {
+    const passage = WAYPOINTS[name].passage;
+    if (passage && !passages.includes(passage)) passages.push(passage);
+  }
+
+  return { distance: distances[endWaypoint], waypoints: path, passages };
+}
+
+// Функция для определения типа маршрута по пройденным каналам и мысам
+function classifyRoute(passages) {
+  if (passages.includes('SUEZ')) return 'suez';
+  if (passages.includes('PANAMA')) return 'panama';
+  if (passages.includes('CAPE_GOOD_HOPE')) return 'cape';
+  if (passages.includes('CAPE_HORN')) return 'cape_horn';
+  if (passages.includes('KIEL')) return 'kiel';
+  if (passages.includes('DANISH_STRAITS')) return 'danish_straits';
+  return 'direct';
+}
+
+// Функция для расчета морского маршрута между двумя портами
+// origin/destination: { id, latitude, longitude }; options.avoidPassages - список закрытых проходов
+function computeSeaRoute(origin, destination, options = {}) {
+  const avoidPassages = options.avoidPassages || [];
+
+  if (!hasCoordinates(origin) || !hasCoordinates(destination)) {
+    return null;
+  }
+
+  const originLat = parseFloat(origin.latitude);
+  const originLon = parseFloat(origin.longitude);
+  const destinationLat = parseFloat(destination.latitude);
+  const destinationLon = parseFloat(destination.longitude);
+
+  const startWaypoint = findAccessWaypoint({ id: origin.id, latitude: originLat, longitude: originLon });
+  const endWaypoint = findAccessWaypoint({ id: destination.id, latitude: destinationLat, longitude: destinationLon });
+
+  const path = findShortestPath(startWaypoint, endWaypoint, avoidPassages);
+  if (!path) return null;
+
+  const accessDistance =
+    greatCircleDistanceNM(originLat, originLon, WAYPOINTS[startWaypoint].lat, WAYPOINTS[startWaypoint].lon) +
+    greatCircleDistanceNM(destinationLat, destinationLon, WAYPOINTS[endWaypoint].lat, WAYPOINTS[endWaypoint].lon);
+
+  let distance = path.distance + accessDistance;
+
+  // Соседние порты на одной акватории (например, Таллин - Хельсинки): прямое расстояние короче захода в путевую точку
+  if (startWaypoint === endWaypoint) {
+    distance = Math.min(distance, greatCircleDistanceNM(originLat, originLon, destinationLat, destinationLon));
+  }
+
+  return {
+    distance: Math.round(distance),
+    routeType: classifyRoute(path.passages),
+    waypoints: path.waypoints,
+    passages: path.passages
+  };
+}
+
+// Функция для расчета всех различных вариантов маршрута между портами (через Суэц, вокруг мыса Доброй Надежды, Кильский канал и т.д.)
+// Возвращает массив вариантов, отсортированный по расстоянию; первый элемент - кратчайший маршрут
+function getRouteOptions(origin, destination, options = {}) {
+  const closedPassages = options.avoidPassages || [];
+  const avoidSets = [[], ['KIEL'], ['SUEZ'], ['PANAMA'], ['SUEZ', 'PANAMA'], ['SUEZ', 'PANAMA', 'CAPE_GOOD_HOPE']];
+  const routesByType = {};
+
+  for (const avoidSet of avoidSets) {
+    const route = computeSeaRoute(origin, destination, { avoidPassages: [...new Set([...closedPassages, ...avoidSet])] });
+    if (!route) continue;
+
+    const existing = routesByType[route.routeType];
+    if (!existing || route.distance < existing.distance) {
+      routesByType[route.routeType] = route;
+    }
+  }
+
+  return Object.values(routesByType).sort((a, b) => a.distance - b.distance);
+}
+
+// Проверка наличия координат у порта
+function hasCoordinates(port) {
+  return port &&
+    port.latitude !== null && port.latitude !== undefined && !isNaN(parseFloat(port.latitude)) &&
+    port.longitude !== null && port.longitude !== undefined && !isNaN(parseFloat(port.longitude));
+}
+
+// Экспорт функций
+module.exports = {
+  ROUTE_TYPES,
+  computeSeaRoute,
+  getRouteOptions,
+  greatCircleDistanceNM
+};
@@ -24,6 +24,24 @@ import ctsScraper from './cts_scraper.js';
 import seasonalityAnalyzer from './seasonality_analyzer.js';
 import fuelSurchargeCalculator from './fuel_surcharge_calculator.js';
 import enhancedFreightCalculator from './freight_calculator_enhanced.js';
+import routeOptions from './route_options.js';
+import transitTime from './transit_time.js';
+import surchargeCalculator from './surcharge_calculator.js';
+import reeferCalculator from './reefer_calculator.js';
+import dangerousGoods from './dangerous_goods.js';
+import lclCalculator from './lcl_calculator.js';
+import transshipment from './transshipment.js';
+import inlandHaulage from './inland_haulage.js';
+import incoterms from './incoterms.js';
+import cargoInsurance from './cargo_insurance.js';
+import quotes from './quotes.js';
+import priceLocks from './price_locks.js';
+import bookingRequests from './booking_requests.js';
+import customerAccounts from './customer_accounts.js';
+import marginRules from './margin_rules.js';
+import settingsService from './settings_service.js';
+import modifierBaselines from './modifier_baselines.js';
+import oogCalculator from './oog_calculator.js';
 
 // Загрузка переменных окружения
 dotenv.config();
@@ -55,12 +73,67 @@ async function initializeSystem() {
   try {
     console.log('Initializing enhanced freight calculator system...');
     
+    // Инициализация настроек системы (веса индексов, базовые значения модификаторов, базовая цена топлива)
+    await settingsService.initializeSettingsTable();
+    
     // Инициализация модуля анализа сезонности
     await seasonalityAnalyzer.initializeAndUpdateSeasonalityData(false); // false - не генерировать синтетические данные при первом запуске
     
     // Инициализация модуля расчета топливной надбавки
     await fuelSurchargeCalculator.initializeAndUpdateFuelSurchargeData();
     
+    // Инициализация параметров транзитного времени (скорость, стоянка в порту, перевалка) по типам линий
+    await transitTime.initializeTransitTables();
+    
+    // Инициализация таблицы узких мест (каналы и проливы) для вариантов маршрутизации
+    await routeOptions.initializeChokepointTables();
+    
+    // Инициализация таблицы надбавок (THC, BAF, LSS, PSS, GRI, EU ETS, рефнадбавки)
+    await surchargeCalculator.initializeSurchargeTables();
+    
+    // Добавление типов рефконтейнеров (20RF, 40RH) в справочник
+    await reeferCalculator.initializeReeferContainerTypes();
+    
+    // Инициализация таблиц надбавок и ограничений для опасных грузов
+    await dangerousGoods.initializeDangerousGoodsTables();
+    
+    // Добавление спецоборудования (флэт-рэк, open top, платформа) и размеров контейнеров
+    await oogCalculator.initializeSpecialEquipment();
+    
+    // Инициализация таблиц хабов и фидерных линий для маршрутов с перевалкой
+    await transshipment.initializeTransshipmentTables();
+    
+    // Инициализация тарифов доставки до порта и от порта и справочника населенных пунктов
+    await inlandHaulage.initializeHaulageTables();
+    
+    // Инициализация таблицы ставок страхования грузов
+    await cargoInsurance.initializeInsuranceTables();
+    
+    // Инициализация таблицы котировок (номер, срок действия, статус)
+    await quotes.initializeQuoteTables();
+    
+    // Инициализация условий фиксации ставок и таблицы фиксаций
+    await priceLocks.initializePriceLockTables();
+    
+    // Инициализация таблицы заявок на бронирование по котировкам
+    await bookingRequests.initializeBookingTables();
+    
+    // Инициализация клиентов, контактов и договорных ставок
+    await customerAccounts.initializeCustomerTables();
+    
+    // Инициализация правил наценки (ставка продажи = ставка закупки + наценка)
+    await marginRules.initializeMarginTables();
+    
+    // Базовые значения модификаторов (Harpex, New ConTex, BDI, CTS) - медианы истории индексов
+    await modifierBaselines.initializeBaselineTables();
+    await modifierBaselines.recomputeBaselines();
+    
+    // Строки оборудования отправки хранятся в истории в колонке shipment (добавлена позже)
+    await pool.query('ALTER TABLE IF EXISTS request_history ADD COLUMN IF NOT EXISTS shipment JSONB');
+    
+    // Версия настроек, по которой выполнен расчет
+    await pool.query('ALTER TABLE IF EXISTS request_history ADD COLUMN IF NOT EXISTS settings_version INTEGER');
+    
     console.log('System initialization completed');
   } catch (error) {
     console.error('Error initializing system:', error);
@@ -90,64 +163,470 @@ app.get('/api/container-types', async (req, res) => {
 });
 
 // Маршрут для расчета фрахтовой ставки
+// Принимает один контейнер (containerType, weight, setTemperature, dangerousGoods, cargoDimensions) или список строк оборудования
+// containers: [{ containerType, quantity, weight, setTemperature, dangerousGoods, cargoDimensions }], например 3 x 40HC + 2 x 20DC
+// setTemperature (°C) обязателен для рефконтейнеров (20RF, 40RH); dangerousGoods: { imoClass, unNumber };
+// cargoDimensions: { length, width, height } в см - для негабаритных грузов на флэт-рэках, open top и платформах
+// mode: 'lcl' - сборный груз: volume (куб. м), weight (кг брутто), packages (количество мест)
+// pickup / delivery: { city, country } или { latitude, longitude } - доставка от двери и до двери; порт без указания подбирается по координатам
+// incoterm: EXW, FCA, FOB, CFR, CIF, DAP, DDP - в ставку включаются расходы стороны quoteFor ('buyer' / 'seller'),
+// по умолчанию - стороны, заключающей договор перевозки
+// cargoValue (USD), commodity, insuranceCover ('A', 'B', 'C') - страхование груза отдельной строкой INSURANCE
+// email контакта клиента - для клиента применяется действующая договорная ставка на линию, иначе спотовая
 app.post('/api/calculate', async (req, res) => {
   try {
-    const { originPort, destinationPort, containerType, weight, email } = req.body;
+    const { originPort, destinationPort, containerType, weight, setTemperature, dangerousGoods: dgCargo, cargoDimensions, containers, email, routing, mode, pickup, delivery, incoterm, quoteFor, cargoValue, commodity, insuranceCover } = req.body;
+    
+    // Проверка условий поставки, если они предоставлены
+    const incotermError = incoterm || quoteFor ? incoterms.validateIncoterm(incoterm, quoteFor) : null;
+    if (incotermError) {
+      return res.status(400).json({ error: incotermError });
+    }
+    
+    // Проверка параметров страхования, если указана стоимость груза или условия страхования
+    const insuranceError = cargoValue !== undefined || commodity || insuranceCover
+      ? cargoInsurance.validateInsuranceRequest({ cargoValue, commodity, insuranceCover })
+      : null;
+    if (insuranceError) {
+      return res.status(400).json({ error: insuranceError });
+    }
+    
+    // Если для клиента зафиксирована ставка на тот же запрос, возвращается зафиксированная котировка без пересчета
+    if (email) {
+      const lockedQuote = await priceLocks.findActiveLock(email, req.body);
+      if (lockedQuote) {
+        return res.json(marginRules.toPublicQuote(lockedQuote));
+      }
+    }
+    
+    // Определение клиента по email для применения договорных ставок
+    // Email не подтверждается: знающий адрес контакта клиента получит его договорную ставку (принятый риск),
+    // поэтому реквизиты договора и клиент из публичного ответа удаляются (marginRules.toPublicQuote)
+    const customer = email && validateEmail(email) ? await customerAccounts.findCustomerByEmail(email) : null;
+    
+    if (mode === 'lcl') {
+      if (pickup || delivery) {
+        return res.status(400).json({ error: 'Door-to-door quoting is available for full container shipments only' });
+      }
+      return await calculateLcl(req, res, customer);
+    }
+    
+    if (pickup || delivery) {
+      return await calculateDoorToDoor(req, res, customer);
+    }
     
     // Проверка наличия всех необходимых параметров
-    if (!originPort || !destinationPort || !containerType || !weight) {
+    if (!originPort || !destinationPort || (!containers && (!containerType || !weight))) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
     
+    // Одиночный контейнер рассматривается как отправка из одной строки
+    const shipmentLines = containers || [{ containerType, quantity: 1, weight, setTemperature, dangerousGoods: dgCargo, cargoDimensions }];
+    const containersError = await validateContainerLines(shipmentLines);
+    if (containersError) {
+      return res.status(400).json({ error: containersError });
+    }
+    
+    // Проверка приема опасных грузов в портах и на паре регионов
+    const dgRejections = await getDangerousGoodsRejections(originPort, destinationPort, shipmentLines);
+    if (dgRejections.length > 0) {
+      return res.status(400).json({ error: 'Dangerous goods are not accepted on this route', rejections: dgRejections });
+    }
+    
     // Проверка валидности email, если он предоставлен
     if (email && !validateEmail(email)) {
       return res.status(400).json({ error: 'Invalid email format' });
     }
     
-    // Расчет фрахтовой ставки
-    const result = await enhancedFreightCalculator.calculateFreightRate(
-      originPort,
-      destinationPort,
-      containerType,
-      weight
-    );
+    // Проверка варианта маршрутизации, если он предоставлен
+    if (routing && !routeOptions.ROUTING_CHOICES.includes(routing)) {
+      return res.status(400).json({ error: `Invalid routing. Allowed values: ${routeOptions.ROUTING_CHOICES.join(', ')}` });
+    }
+    
+    // Расчет фрахтовой ставки: по списку строк оборудования или для одного контейнера
+    const result = containers
+      ? await enhancedFreightCalculator.calculateShipmentRate(
+          originPort,
+          destinationPort,
+          containers,
+          false,
+          { routing: routing || 'auto', customerId: customer ? customer.id : null }
+        )
+      : await enhancedFreightCalculator.calculateFreightRate(
+          originPort,
+          destinationPort,
+          containerType,
+          weight,
+          false,
+          { routing: routing || 'auto', setTemperature, dangerousGoods: dgCargo, cargoDimensions, customerId: customer ? customer.id : null }
+        );
+    
+    // Маршрут с перевалкой известен только после расчета: проверяем прием опасных грузов в хабах
+    const hubPorts = getItineraryHubs(result);
+    if (hubPorts.length > 0) {
+      const hubRejections = await getDangerousGoodsRejections(originPort, destinationPort, shipmentLines, hubPorts);
+      if (hubRejections.length > 0) {
+        return res.status(400).json({ error: 'Dangerous goods are not accepted on this route', rejections: hubRejections });
+      }
+    }
+    
+    const sellResult = await toSellRate(result, customer, originPort, destinationPort, containers ? null : containerType);
+    const quote = await applyQuoteScope(sellResult, req.body, originPort, destinationPort);
     
     // Сохранение запроса в историю, если предоставлен email
     if (email) {
-      await saveRequestToHistory(originPort, destinationPort, containerType, weight, result.finalRate, email);
+      await saveRequestToHistory(originPort, destinationPort, shipmentLines, quote, email);
     }
     
-    res.json(result);
+    const issuedQuote = await issueQuote(req.body, quote, originPort, destinationPort);
+    if (issuedQuote.error) {
+      return res.status(issuedQuote.statusCode).json({ error: issuedQuote.error });
+    }
+    
+    res.json(marginRules.toPublicQuote(issuedQuote));
   } catch (error) {
     console.error('Error calculating freight rate:', error);
     res.status(500).json({ error: 'Failed to calculate freight rate' });
   }
 });
 
+// Маршрут для получения котировки по номеру
+app.get('/api/quotes/:reference', async (req, res) => {
+  try {
+    const quote = await quotes.getQuote(req.params.reference.toUpperCase());
+    
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    
+    res.json(toPublicQuoteRecord(quote));
+  } catch (error) {
+    console.error('Error fetching quote:', error);
+    res.status(500).json({ error: 'Failed to fetch quote' });
+  }
+});
+
+// Маршрут для фиксации ставки котировки на срок по условиям линии
+app.post('/api/quotes/:reference/lock', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    // Проверка валидности email, если он предоставлен
+    if (email && !validateEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+    
+    const result = await priceLocks.lockQuote(req.params.reference.toUpperCase(), email);
+    
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+    
+    res.status(201).json({ ...toPublicQuoteRecord(result.quote), priceLock: result.lock });
+  } catch (error) {
+    console.error('Error locking quote:', error);
+    res.status(500).json({ error: 'Failed to lock quote' });
+  }
+});
+
+// Маршрут для создания заявки на бронирование по котировке
+// quoteReference, cargoReadyDate (YYYY-MM-DD), shipper / consignee: { name, address, contactName, phone, email }, commodity, email, notes
+app.post('/api/bookings', async (req, res) => {
+  try {
+    const validationError = bookingRequests.validateBookingRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    // Проверка валидности email, если он предоставлен
+    if (req.body.email && !validateEmail(req.body.email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+    
+    const result = await bookingRequests.createBookingRequest(req.body);
+    
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+    
+    res.status(201).json(result.booking);
+  } catch (error) {
+    console.error('Error creating booking request:', error);
+    res.status(500).json({ error: 'Failed to create booking request' });
+  }
+});
+
+// Маршрут для получения заявки на бронирование по номеру
+app.get('/api/bookings/:reference', async (req, res) => {
+  try {
+    const booking = await bookingRequests.getBookingRequest(req.params.reference.toUpperCase());
+    
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking request not found' });
+    }
+    
+    res.json(booking);
+  } catch (error) {
+    console.error('Error fetching booking request:', error);
+    res.status(500).json({ error: 'Failed to fetch booking request' });
+  }
+});
+
+// Функция для добавления страхования груза и применения условий поставки (Incoterm) к результату расчета
+// Страховая премия начисляется один раз на отправку и до применения Incoterm, чтобы попасть в расходы нужной стороны
+async function applyQuoteScope(result, { incoterm, quoteFor, cargoValue, commodity, insuranceCover }, originPort, destinationPort) {
+  let quote = result;
+  
+  if (cargoValue !== undefined && cargoValue !== null && cargoValue !== '') {
+    const insurance = await cargoInsurance.calculateInsurance(originPort, destinationPort, { cargoValue, commodity, insuranceCover }, result.finalRate);
+    if (insurance) {
+      const item = {
+        code: 'INSURANCE',
+        name: `Cargo Insurance (ICC ${insurance.cover})`,
+        amount: insurance.premium,
+        method: 'insurance',
+        basis: 'booking',
+        ruleId: insurance.ruleId,
+        details: `${insurance.ratePercent}% of USD ${insurance.insuredValue} insured value (110% of cargo value and freight)${insurance.minimumApplied ? ', minimum premium' : ''}`
+      };
+      quote = {
+        ...quote,
+        lineItems: [...(quote.lineItems || [{ code: 'OCEAN_FREIGHT', name: 'Ocean Freight', amount: quote.finalRate }]), item],
+        bookingItems: quote.bookingItems ? [...quote.bookingItems, item] : quote.bookingItems,
+        routing: quote.routing ? {
+          ...quote.routing,
+          alternatives: quote.routing.alternatives.map(alternative => ({ ...alternative, totalRate: alternative.totalRate + item.amount }))
+        } : quote.routing,
+        insurance, // Страховая сумма, ставка и премия
+        finalRate: quote.finalRate + item.amount
+      };
+    }
+  }
+  
+  return incoterm ? incoterms.applyIncoterm(quote, incoterm, quoteFor) : quote;
+}
+
+// Функция для перевода рыночной ставки расчета (закупка) в ставку продажи по правилам наценки
+// В результат добавляется клиент: по нему видно, почему применена договорная ставка или правило категории клиента
+// Ставка закупки и наценка сохраняются в котировке для администратора, публичный ответ содержит только ставку продажи
+async function toSellRate(result, customer, originPort, destinationPort, containerType = null) {
+  const sellResult = await marginRules.applyMargins(result, {
+    originPortId: originPort,
+    destinationPortId: destinationPort,
+    containerType,
+    customerTier: customer ? customer.tier : null
+  });
+  return customer ? { ...sellResult, customer: { id: customer.id, companyName: customer.companyName } } : sellResult;
+}
+
+// Функция для сохранения расчета как котировки с номером и сроком действия
+// Котировка без номера не может быть зафиксирована или забронирована, поэтому ошибка сохранения возвращается клиенту
+async function issueQuote(request, quote, originPort, destinationPort) {
+  try {
+    const record = await quotes.createQuote({ originPort, destinationPort, email: request.email, request, result: quote });
+    return { ...quote, quoteReference: record.reference, quoteStatus: record.status, validUntil: record.validUntil };
+  } catch (error) {
+    console.error('Error saving quote:', error);
+    return { error: 'Failed to save quote', statusCode: 500 };
+  }
+}
+
+// Функция для публичного представления сохраненной котировки (по номеру котировки)
+// Email клиента, параметры запроса, значения индексов и версия настроек доступны только администратору
+function toPublicQuoteRecord(record) {
+  return {
+    reference: record.reference,
+    status: record.status,
+    originPort: record.originPort,
+    destinationPort: record.destinationPort,
+    finalRate: record.finalRate,
+    currency: record.currency,
+    validUntil: record.validUntil,
+    quote: marginRules.toPublicQuote(record.quote)
+  };
+}
+
+// Функция для расчета ставки от двери до двери по запросу /api/calculate
+// customer - клиент, определенный по email (договорные ставки применяются к выбранной паре портов)
+async function calculateDoorToDoor(req, res, customer = null) {
+  const { originPort, destinationPort, containerType, weight, setTemperature, dangerousGoods: dgCargo, cargoDimensions, containers, email, routing, pickup, delivery, haulageMode } = req.body;
+  
+  // Порт отправления нужен, если не указан адрес забора, порт назначения - если не указан адрес доставки
+  if ((!originPort && !pickup) || (!destinationPort && !delivery) || (!containers && (!containerType || !weight))) {
+    return res.status(400).json({ error: 'Missing required parameters' });
+  }
+  
+  for (const [field, location] of [['pickup', pickup], ['delivery', delivery]]) {
+    const locationError = location ? inlandHaulage.validateLocation(location, field) : null;
+    if (locationError) {
+      return res.status(400).json({ error: locationError });
+    }
+  }
+  
+  if (haulageMode && !inlandHaulage.HAULAGE_MODE_CHOICES.includes(haulageMode)) {
+    return res.status(400).json({ error: `Invalid haulageMode. Allowed values: ${inlandHaulage.HAULAGE_MODE_CHOICES.join(', ')}` });
+  }
+  
+  const shipmentLines = containers || [{ containerType, quantity: 1, weight, setTemperature, dangerousGoods: dgCargo, cargoDimensions }];
+  const containersError = await validateContainerLines(shipmentLines);
+  if (containersError) {
+    return res.status(400).json({ error: containersError });
+  }
+  
+  // Проверка валидности email, если он предоставлен
+  if (email && !validateEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email format' });
+  }
+  
+  // Проверка варианта маршрутизации, если он предоставлен
+  if (routing && !routeOptions.ROUTING_CHOICES.includes(routing)) {
+    return res.status(400).json({ error: `Invalid routing. Allowed values: ${routeOptions.ROUTING_CHOICES.join(', ')}` });
+  }
+  
+  // Определение координат адресов и портов-кандидатов
+  const pickupLocation = pickup ? await inlandHaulage.resolveLocation(pickup) : null;
+  if (pickup && !pickupLocation) {
+    return res.status(400).json({ error: `Pickup location ${pickup.city} not found` });
+  }
+  const deliveryLocation = delivery ? await inlandHaulage.resolveLocation(delivery) : null;
+  if (delivery && !deliveryLocation) {
+    return res.status(400).json({ error: `Delivery location ${delivery.city} not found` });
+  }
+  
+  const candidates = await inlandHaulage.findPortCandidates(originPort, destinationPort, pickupLocation, deliveryLocation);
+  if (candidates.error) {
+    return res.status(400).json({ error: candidates.error });
+  }
+  
+  const result = await enhancedFreightCalculator.calculateDoorToDoorRate(
+    { pickup: pickupLocation, delivery: deliveryLocation, ...candidates },
+    shipmentLines,
+    false,
+    { routing: routing || 'auto', haulageMode: haulageMode || 'auto', customerId: customer ? customer.id : null }
+  );
+  if (!result) {
+    return res.status(400).json({ error: `No ${haulageMode && haulageMode !== 'auto' ? haulageMode : 'haulage'} tariff covers the requested pickup/delivery locations` });
+  }
+  
+  // Прием опасных грузов проверяется для выбранных портов и хабов перевалки
+  const dgRejections = await getDangerousGoodsRejections(result.originPort, result.destinationPort, shipmentLines, getItineraryHubs(result));
+  if (dgRejections.length > 0) {
+    return res.status(400).json({ error: 'Dangerous goods are not accepted on this route', rejections: dgRejections });
+  }
+  
+  const sellResult = await toSellRate(result, customer, result.originPort, result.destinationPort);
+  const quote = await applyQuoteScope(sellResult, req.body, result.originPort, result.destinationPort);
+  
+  // Сохранение запроса в историю, если предоставлен email
+  if (email) {
+    await saveRequestToHistory(result.originPort, result.destinationPort, shipmentLines, quote, email);
+  }
+  
+  const issuedQuote = await issueQuote(req.body, quote, result.originPort, result.destinationPort);
+  if (issuedQuote.error) {
+    return res.status(issuedQuote.statusCode).json({ error: issuedQuote.error });
+  }
+  return res.json(marginRules.toPublicQuote(issuedQuote));
+}
+
+// Функция для расчета ставки сборного груза (LCL) по запросу /api/calculate
+// Договорные ставки заключаются на контейнеры - сборный груз клиента рассчитывается по спотовой ставке
+async function calculateLcl(req, res, customer = null) {
+  const { originPort, destinationPort, weight, volume, packages, email, routing } = req.body;
+  
+  // Проверка наличия всех необходимых параметров
+  if (!originPort || !destinationPort || !volume || !weight || !packages) {
+    return res.status(400).json({ error: 'Missing required parameters' });
+  }
+  
+  const cargoError = lclCalculator.validateLclCargo({ volume, weight, packages });
+  if (cargoError) {
+    return res.status(400).json({ error: cargoError });
+  }
+  
+  // Проверка валидности email, если он предоставлен
+  if (email && !validateEmail(email)) {
+    return res.status(400).json({ error: 'Invalid email format' });
+  }
+  
+  // Проверка варианта маршрутизации, если он предоставлен
+  if (routing && !routeOptions.ROUTING_CHOICES.includes(routing)) {
+    return res.status(400).json({ error: `Invalid routing. Allowed values: ${routeOptions.ROUTING_CHOICES.join(', ')}` });
+  }
+  
+  const result = await lclCalculator.calculateLclRate(
+    originPort,
+    destinationPort,
+    { volume, weight, packages },
+    false,
+    { routing: routing || 'auto' }
+  );
+  const pricing = customer ? { basis: 'spot', reason: 'Contract rates apply to full container shipments only' } : undefined;
+  
+  const sellResult = await toSellRate({ ...result, pricing }, customer, originPort, destinationPort);
+  const quote = await applyQuoteScope(sellResult, req.body, originPort, destinationPort);
+  
+  // Сохранение запроса в историю, если предоставлен email
+  if (email) {
+    await saveRequestToHistory(originPort, destinationPort, null, quote, email);
+  }
+  
+  const issuedQuote = await issueQuote(req.body, quote, originPort, destinationPort);
+  if (issuedQuote.error) {
+    return res.status(issuedQuote.statusCode).json({ error: issuedQuote.error });
+  }
+  return res.json(marginRules.toPublicQuote(issuedQuote));
+}
+
 // Отладочный маршрут для пошагового расчета фрахтовой ставки
 app.post('/api/debug/calculate', async (req, res) => {
   try {
-    const { originPort, destinationPort, containerType, weight, email } = req.body;
+    const { originPort, destinationPort, containerType, weight, setTemperature, dangerousGoods: dgCargo, cargoDimensions, containers, email, routing } = req.body;
     
     // Проверка наличия всех необходимых параметров
-    if (!originPort || !destinationPort || !containerType) {
+    if (!originPort || !destinationPort || (!containers && !containerType)) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
     
-    console.log(`Debug calculation request: ${originPort} -> ${destinationPort}, ${containerType}, weight: ${weight || 20000}`);
+    if (containers) {
+      const containersError = await validateContainerLines(containers);
+      if (containersError) {
+        return res.status(400).json({ error: containersError });
+      }
+    }
+    
+    // Проверка варианта маршрутизации, если он предоставлен
+    if (routing && !routeOptions.ROUTING_CHOICES.includes(routing)) {
+      return res.status(400).json({ error: `Invalid routing. Allowed values: ${routeOptions.ROUTING_CHOICES.join(', ')}` });
+    }
+    
+    console.log(`Debug calculation request: ${originPort} -> ${destinationPort}, ${containers ? formatShipmentSummary(containers) : containerType}, weight: ${weight || 20000}`);
+    
+    // Клиент по email - в отладке виден шаг применения договорной ставки
+    const customer = email && validateEmail(email) ? await customerAccounts.findCustomerByEmail(email) : null;
     
     // Расчет фрахтовой ставки с включенным режимом отладки
-    const result = await enhancedFreightCalculator.calculateFreightRate(
-      originPort,
-      destinationPort,
-      containerType,
-      weight || 20000,
-      true // включаем режим отладки
-    );
+    const result = containers
+      ? await enhancedFreightCalculator.calculateShipmentRate(
+          originPort,
+          destinationPort,
+          containers,
+          true, // включаем режим отладки
+          { routing: routing || 'auto', customerId: customer ? customer.id : null }
+        )
+      : await enhancedFreightCalculator.calculateFreightRate(
+          originPort,
+          destinationPort,
+          containerType,
+          weight || 20000,
+          true, // включаем режим отладки
+          { routing: routing || 'auto', setTemperature, dangerousGoods: dgCargo, cargoDimensions, customerId: customer ? customer.id : null }
+        );
     
     console.log(`Debug calculation completed with ${result.debugLog?.length || 0} log entries`);
     
-    res.json(result);
+    // Отладка показывает ставку закупки, наценку и ставку продажи
+    res.json(await toSellRate(result, customer, originPort, destinationPort, containers ? null : containerType));
   } catch (error) {
     console.error('Error in debug calculation:', error);
     res.status(500).json({ 
@@ -473,6 +952,13 @@ app.post('/api/update-indices', async (req, res) => {
       results.Seasonality = { success: false, error: error.message };
     }
     
+    // Пересчет базовых значений модификаторов по обновленной истории индексов
+    try {
+      results.ModifierBaselines = { success: true, sources: await modifierBaselines.recomputeBaselines() };
+    } catch (error) {
+      results.ModifierBaselines = { success: false, error: error.message };
+    }
+    
     res.json(results);
   } catch (error) {
     console.error('Error updating indices:', error);
@@ -657,13 +1143,18 @@ app.get('/api/admin/container-types/:id', async (req, res) => {
 // Маршрут для добавления нового типа контейнера
 app.post('/api/admin/container-types', async (req, res) => {
   try {
-    const { id, name, length, width, height, maxWeight, teu } = req.body;
+    const { id, name, length, width, height, maxWeight, teu, equipmentCategory } = req.body;
     
     // Проверка наличия всех необходимых параметров
     if (!id || !name) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
     
+    // Проверка категории оборудования (dry, reefer, open_top, flat_rack, platform)
+    if (equipmentCategory && !oogCalculator.EQUIPMENT_CATEGORIES.includes(equipmentCategory)) {
+      return res.status(400).json({ error: `equipmentCategory must be one of: ${oogCalculator.EQUIPMENT_CATEGORIES.join(', ')}` });
+    }
+    
     // Проверка уникальности кода типа контейнера
     const checkResult = await pool.query('SELECT * FROM container_types WHERE id = $1', [id]);
     
@@ -673,8 +1164,8 @@ app.post('/api/admin/container-types', async (req, res) => {
     
     // Добавление нового типа контейнера
     const result = await pool.query(
-      'INSERT INTO container_types (id, name, length, width, height, max_weight, teu) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
-      [id, name, length || null, width || null, height || null, maxWeight || null, teu || null]
+      'INSERT INTO container_types (id, name, length, width, height, max_weight, teu, equipment_category) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+      [id, name, length || null, width || null, height || null, maxWeight || null, teu || null, equipmentCategory || 'dry']
     );
     
     res.status(201).json(result.rows[0]);
@@ -688,7 +1179,12 @@ app.post('/api/admin/container-types', async (req, res) => {
 app.put('/api/admin/container-types/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, length, width, height, maxWeight, teu } = req.body;
+    const { name, length, width, height, maxWeight, teu, equipmentCategory } = req.body;
+    
+    // Проверка категории оборудования (dry, reefer, open_top, flat_rack, platform)
+    if (equipmentCategory && !oogCalculator.EQUIPMENT_CATEGORIES.includes(equipmentCategory)) {
+      return res.status(400).json({ error: `equipmentCategory must be one of: ${oogCalculator.EQUIPMENT_CATEGORIES.join(', ')}` });
+    }
     
     // Проверка наличия типа контейнера
     const checkResult = await pool.query('SELECT * FROM container_types WHERE id = $1', [id]);
@@ -699,8 +1195,8 @@ app.put('/api/admin/container-types/:id', async (req, res) => {
     
     // Обновление информации о типе контейнера
     const result = await pool.query(
-      'UPDATE container_types SET name = $1, length = $2, width = $3, height = $4, max_weight = $5, teu = $6 WHERE id = $7 RETURNING *',
-      [name, length, width, height, maxWeight, teu, id]
+      'UPDATE container_types SET name = $1, length = $2, width = $3, height = $4, max_weight = $5, teu = $6, equipment_category = COALESCE($7, equipment_category) WHERE id = $8 RETURNING *',
+      [name, length, width, height, maxWeight, teu, equipmentCategory || null, id]
     );
     
     res.json(result.rows[0]);
@@ -724,7 +1220,9 @@ app.delete('/api/admin/container-types/:id', async (req, res) => {
     
     // Проверка использования типа контейнера в расчетах
     const usageCheck = await pool.query(
-      'SELECT COUNT(*) FROM request_history WHERE container_type = $1',
+      `SELECT COUNT(*) FROM request_history
+       WHERE container_type = $1
+       OR shipment->'containers' @> jsonb_build_array(jsonb_build_object('containerType', $1::text))`,
       [id]
     );
     
@@ -756,6 +1254,8 @@ app.get('/api/admin/calculations', async (req, res) => {
         rh.container_type, 
         rh.weight, 
         rh.rate, 
+        rh.shipment, 
+        rh.settings_version, 
         rh.email, 
         rh.request_date as created_at
       FROM 
@@ -794,129 +1294,973 @@ app.delete('/api/admin/calculations/:id', async (req, res) => {
   }
 });
 
-// Маршрут для получения настроек системы
-app.get('/api/admin/settings', async (req, res) => {
+// Маршрут для получения списка узких мест (каналы и проливы)
+app.get('/api/admin/chokepoints', async (req, res) => {
   try {
-    // Проверка существования таблицы settings
-    const tableCheckResult = await pool.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_name = 'settings'
-      )
-    `);
+    const chokepoints = await routeOptions.getChokepoints();
+    res.json(chokepoints);
+  } catch (error) {
+    console.error('Error fetching chokepoints:', error);
+    res.status(500).json({ error: 'Failed to fetch chokepoints' });
+  }
+});
+
+// Маршрут для обновления узкого места (закрытие/открытие, сборы и надбавки)
+app.put('/api/admin/chokepoints/:code', async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { status, tollPerFeu, warRiskPerFeu, emergencySurchargePerFeu, delayDays, notes } = req.body;
     
-    // Если таблица не существует, создаем ее с дефолтными настройками
-    if (!tableCheckResult.rows[0].exists) {
-      await pool.query(`
-        CREATE TABLE settings (
-          key VARCHAR(50) PRIMARY KEY,
-          value TEXT NOT NULL,
-          description TEXT,
-          updated_at TIMESTAMP NOT NULL DEFAULT NOW()
-        )
-      `);
-      
-      // Добавление дефолтных настроек
-      await pool.query(`
-        INSERT INTO settings (key, value, description) VALUES
-        ('default_reliability', '0.7', 'Default reliability score when no data is available'),
-        ('scfi_weight', '1.2', 'Weight coefficient for SCFI data'),
-        ('fbx_weight', '1.2', 'Weight coefficient for FBX data'),
-        ('wci_weight', '1.2', 'Weight coefficient for WCI data')
-      `);
+    // Проверка статуса
+    if (status && !['open', 'closed'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be "open" or "closed"' });
     }
     
-    // Получение всех настроек
-    const result = await pool.query('SELECT * FROM settings ORDER BY key');
+    // Проверка числовых параметров
+    for (const [name, value] of Object.entries({ tollPerFeu, warRiskPerFeu, emergencySurchargePerFeu, delayDays })) {
+      if (value !== undefined && value !== null && (isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+        return res.status(400).json({ error: `${name} must be a non-negative number` });
+      }
+    }
     
-    // Преобразование в объект для удобства использования
-    const settings = {};
-    result.rows.forEach(row => {
-      settings[row.key] = {
-        value: row.value,
-        description: row.description,
-        updatedAt: row.updated_at
-      };
+    const chokepoint = await routeOptions.updateChokepoint(code, {
+      status,
+      tollPerFeu,
+      warRiskPerFeu,
+      emergencySurchargePerFeu,
+      delayDays,
+      notes
     });
     
-    res.json(settings);
+    if (!chokepoint) {
+      return res.status(404).json({ error: 'Chokepoint not found' });
+    }
+    
+    res.json(chokepoint);
   } catch (error) {
-    console.error('Error fetching settings:', error);
-    res.status(500).json({ error: 'Failed to fetch settings' });
+    console.error('Error updating chokepoint:', error);
+    res.status(500).json({ error: 'Failed to update chokepoint' });
   }
 });
 
-// Маршрут для обновления настроек системы
-app.post('/api/admin/settings', async (req, res) => {
+// Маршрут для получения списка котировок (фильтр по статусу)
+app.get('/api/admin/quotes', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !quotes.QUOTE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${quotes.QUOTE_STATUSES.join(', ')}` });
+    }
+    
+    const quoteList = await quotes.getQuotes({ status: status || null });
+    res.json(quoteList);
+  } catch (error) {
+    console.error('Error fetching quotes:', error);
+    res.status(500).json({ error: 'Failed to fetch quotes' });
+  }
+});
+
+// Маршрут для изменения статуса котировки (draft, sent, accepted, expired)
+app.put('/api/admin/quotes/:reference/status', async (req, res) => {
   try {
-    const settings = req.body;
+    const result = await quotes.updateQuoteStatus(req.params.reference, req.body.status);
     
-    // Проверка формата данных
-    if (!settings || typeof settings !== 'object') {
-      return res.status(400).json({ error: 'Invalid settings format' });
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
     }
     
-    const results = {};
+    res.json(result.quote);
+  } catch (error) {
+    console.error('Error updating quote status:', error);
+    res.status(500).json({ error: 'Failed to update quote status' });
+  }
+});
+
+// Маршрут для получения списка заявок на бронирование (фильтр по статусу)
+app.get('/api/admin/bookings', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !bookingRequests.BOOKING_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${bookingRequests.BOOKING_STATUSES.join(', ')}` });
+    }
     
-    // Обновление каждой настройки
-    for (const [key, value] of Object.entries(settings)) {
-      try {
-        const result = await pool.query(
-          'UPDATE settings SET value = $1, updated_at = NOW() WHERE key = $2 RETURNING *',
-          [value.toString(), key]
-        );
-        
-        if (result.rows.length === 0) {
-          // Если настройка не существует, добавляем ее
-          const insertResult = await pool.query(
-            'INSERT INTO settings (key, value, description) VALUES ($1, $2, $3) RETURNING *',
-            [key, value.toString(), `Custom setting: ${key}`]
-          );
-          
-          results[key] = { success: true, action: 'inserted' };
-        } else {
-          results[key] = { success: true, action: 'updated' };
-        }
-      } catch (error) {
-        console.error(`Error updating setting ${key}:`, error);
-        results[key] = { success: false, error: error.message };
-      }
+    const bookings = await bookingRequests.getBookingRequests({ status: status || null });
+    res.json(bookings);
+  } catch (error) {
+    console.error('Error fetching booking requests:', error);
+    res.status(500).json({ error: 'Failed to fetch booking requests' });
+  }
+});
+
+// Маршрут для изменения статуса заявки на бронирование (submitted, confirmed, rejected, cancelled)
+app.put('/api/admin/bookings/:id/status', async (req, res) => {
+  try {
+    const { status, statusNote } = req.body;
+    const result = await bookingRequests.updateBookingStatus(req.params.id, status, statusNote || null);
+    
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
     }
     
-    res.json(results);
+    res.json(result.booking);
   } catch (error) {
-    console.error('Error updating settings:', error);
-    res.status(500).json({ error: 'Failed to update settings' });
+    console.error('Error updating booking request status:', error);
+    res.status(500).json({ error: 'Failed to update booking request status' });
   }
 });
 
-// Маршрут для административной страницы
-app.get('/admin', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+// Маршрут для получения списка клиентов с контактами
+app.get('/api/admin/customers', async (req, res) => {
+  try {
+    const customers = await customerAccounts.getCustomers();
+    res.json(customers);
+  } catch (error) {
+    console.error('Error fetching customers:', error);
+    res.status(500).json({ error: 'Failed to fetch customers' });
+  }
 });
 
-// Функция для сохранения запроса в историю
-async function saveRequestToHistory(originPort, destinationPort, containerType, weight, rate, email) {
+// Маршрут для добавления клиента (компании)
+app.post('/api/admin/customers', async (req, res) => {
   try {
-    // Проверка существования таблицы request_history
-    const tableCheckResult = await pool.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_name = 'request_history'
-      )
-    `);
+    const validationError = customerAccounts.validateCustomer(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
     
-    // Если таблица не существует, создаем ее
-    if (!tableCheckResult.rows[0].exists) {
-      await pool.query(`
-        CREATE TABLE request_history (
-          id SERIAL PRIMARY KEY,
-          origin_port_id VARCHAR(10) NOT NULL,
-          destination_port_id VARCHAR(10) NOT NULL,
-          container_type VARCHAR(10) NOT NULL,
-          weight INTEGER NOT NULL,
-          rate NUMERIC NOT NULL,
-          email VARCHAR(255) NOT NULL,
+    const customer = await customerAccounts.createCustomer(req.body);
+    res.status(201).json(customer);
+  } catch (error) {
+    console.error('Error creating customer:', error);
+    res.status(500).json({ error: 'Failed to create customer' });
+  }
+});
+
+// Маршрут для изменения категории, примечания или активности клиента
+app.put('/api/admin/customers/:id', async (req, res) => {
+  try {
+    const { tier, notes, active } = req.body;
+    
+    if (tier && !customerAccounts.CUSTOMER_TIERS.includes(tier)) {
+      return res.status(400).json({ error: `tier must be one of: ${customerAccounts.CUSTOMER_TIERS.join(', ')}` });
+    }
+    
+    const customer = await customerAccounts.updateCustomer(req.params.id, { tier, notes, active });
+    
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    
+    res.json(customer);
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    res.status(500).json({ error: 'Failed to update customer' });
+  }
+});
+
+// Маршрут для удаления клиента вместе с контактами и договорными ставками
+app.delete('/api/admin/customers/:id', async (req, res) => {
+  try {
+    const deleted = await customerAccounts.deleteCustomer(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    
+    res.json({ success: true, message: 'Customer deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting customer:', error);
+    res.status(500).json({ error: 'Failed to delete customer' });
+  }
+});
+
+// Маршрут для добавления контакта клиента; по email контакта расчеты связываются с клиентом
+app.post('/api/admin/customer-contacts', async (req, res) => {
+  try {
+    const validationError = customerAccounts.validateContact(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const contact = await customerAccounts.createContact(req.body);
+    res.status(201).json(contact);
+  } catch (error) {
+    // Email уже принадлежит контакту другого или того же клиента
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `Email ${req.body.email} is already assigned to a customer contact` });
+    }
+    console.error('Error creating customer contact:', error);
+    res.status(500).json({ error: 'Failed to create customer contact' });
+  }
+});
+
+// Маршрут для удаления контакта клиента
+app.delete('/api/admin/customer-contacts/:id', async (req, res) => {
+  try {
+    const deleted = await customerAccounts.deleteContact(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Customer contact not found' });
+    }
+    
+    res.json({ success: true, message: 'Customer contact deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting customer contact:', error);
+    res.status(500).json({ error: 'Failed to delete customer contact' });
+  }
+});
+
+// Маршрут для получения договорных ставок клиентов
+app.get('/api/admin/contract-rates', async (req, res) => {
+  try {
+    const contractRates = await customerAccounts.getContractRates();
+    res.json(contractRates);
+  } catch (error) {
+    console.error('Error fetching contract rates:', error);
+    res.status(500).json({ error: 'Failed to fetch contract rates' });
+  }
+});
+
+// Маршрут для добавления договорной ставки клиента на линию (порт - порт, тип контейнера, срок действия)
+app.post('/api/admin/contract-rates', async (req, res) => {
+  try {
+    const validationError = customerAccounts.validateContractRate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const contractRate = await customerAccounts.createContractRate(req.body);
+    res.status(201).json(contractRate);
+  } catch (error) {
+    // Неизвестный клиент или порт
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'customerId, originPortId and destinationPortId must refer to existing records' });
+    }
+    console.error('Error creating contract rate:', error);
+    res.status(500).json({ error: 'Failed to create contract rate' });
+  }
+});
+
+// Маршрут для удаления договорной ставки
+app.delete('/api/admin/contract-rates/:id', async (req, res) => {
+  try {
+    const deleted = await customerAccounts.deleteContractRate(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Contract rate not found' });
+    }
+    
+    res.json({ success: true, message: 'Contract rate deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting contract rate:', error);
+    res.status(500).json({ error: 'Failed to delete contract rate' });
+  }
+});
+
+// Маршрут для получения правил наценки в порядке приоритета
+app.get('/api/admin/margin-rules', async (req, res) => {
+  try {
+    const rules = await marginRules.getMarginRules();
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching margin rules:', error);
+    res.status(500).json({ error: 'Failed to fetch margin rules' });
+  }
+});
+
+// Маршрут для добавления правила наценки
+app.post('/api/admin/margin-rules', async (req, res) => {
+  try {
+    const validationError = marginRules.validateMarginRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const rule = await marginRules.createMarginRule(req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating margin rule:', error);
+    res.status(500).json({ error: 'Failed to create margin rule' });
+  }
+});
+
+// Маршрут для изменения наценки, минимальной и максимальной ставки, приоритета или активности правила
+app.put('/api/admin/margin-rules/:id', async (req, res) => {
+  try {
+    const { markupValue, floorRate, ceilingRate, priority, active } = req.body;
+    
+    const validationError = marginRules.validateMarginRuleUpdate({ markupValue, floorRate, ceilingRate, priority });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const rule = await marginRules.updateMarginRule(req.params.id, { markupValue, floorRate, ceilingRate, priority, active });
+    
+    if (!rule) {
+      return res.status(404).json({ error: 'Margin rule not found' });
+    }
+    
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating margin rule:', error);
+    res.status(500).json({ error: 'Failed to update margin rule' });
+  }
+});
+
+// Маршрут для удаления правила наценки
+app.delete('/api/admin/margin-rules/:id', async (req, res) => {
+  try {
+    const deleted = await marginRules.deleteMarginRule(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Margin rule not found' });
+    }
+    
+    res.json({ success: true, message: 'Margin rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting margin rule:', error);
+    res.status(500).json({ error: 'Failed to delete margin rule' });
+  }
+});
+
+// Маршрут для получения условий фиксации ставок
+app.get('/api/admin/price-lock-policies', async (req, res) => {
+  try {
+    const policies = await priceLocks.getPolicies();
+    res.json(policies);
+  } catch (error) {
+    console.error('Error fetching price lock policies:', error);
+    res.status(500).json({ error: 'Failed to fetch price lock policies' });
+  }
+});
+
+// Маршрут для добавления условий фиксации ставок (пара регионов, срок, лимит фиксаций на линию)
+app.post('/api/admin/price-lock-policies', async (req, res) => {
+  try {
+    const validationError = priceLocks.validatePolicy(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const policy = await priceLocks.createPolicy(req.body);
+    res.status(201).json(policy);
+  } catch (error) {
+    console.error('Error creating price lock policy:', error);
+    res.status(500).json({ error: 'Failed to create price lock policy' });
+  }
+});
+
+// Маршрут для удаления условий фиксации ставок
+app.delete('/api/admin/price-lock-policies/:id', async (req, res) => {
+  try {
+    const deleted = await priceLocks.deletePolicy(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Price lock policy not found' });
+    }
+    
+    res.json({ success: true, message: 'Price lock policy deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting price lock policy:', error);
+    res.status(500).json({ error: 'Failed to delete price lock policy' });
+  }
+});
+
+// Маршрут для получения действующих фиксаций ставок
+app.get('/api/admin/price-locks', async (req, res) => {
+  try {
+    const locks = await priceLocks.getActiveLocks();
+    res.json(locks);
+  } catch (error) {
+    console.error('Error fetching price locks:', error);
+    res.status(500).json({ error: 'Failed to fetch price locks' });
+  }
+});
+
+// Маршрут для снятия фиксации ставки
+app.delete('/api/admin/price-locks/:id', async (req, res) => {
+  try {
+    const lock = await priceLocks.releaseLock(req.params.id);
+    
+    if (!lock) {
+      return res.status(404).json({ error: 'Active price lock not found' });
+    }
+    
+    res.json(lock);
+  } catch (error) {
+    console.error('Error releasing price lock:', error);
+    res.status(500).json({ error: 'Failed to release price lock' });
+  }
+});
+
+// Маршрут для получения параметров транзитного времени по типам линий
+app.get('/api/admin/transit-parameters', async (req, res) => {
+  try {
+    const parameters = await transitTime.getTransitParameterRows();
+    res.json(parameters);
+  } catch (error) {
+    console.error('Error fetching transit parameters:', error);
+    res.status(500).json({ error: 'Failed to fetch transit parameters' });
+  }
+});
+
+// Маршрут для обновления параметров транзитного времени типа линии (mainline, feeder)
+app.put('/api/admin/transit-parameters/:laneType', async (req, res) => {
+  try {
+    const { laneType } = req.params;
+    const { serviceSpeedKnots, portDwellDays, transshipmentDays, scheduleBufferDays } = req.body;
+    
+    const validationError = transitTime.validateTransitParameters(laneType, { serviceSpeedKnots, portDwellDays, transshipmentDays, scheduleBufferDays });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const parameters = await transitTime.updateTransitParameters(laneType, {
+      serviceSpeedKnots,
+      portDwellDays,
+      transshipmentDays,
+      scheduleBufferDays
+    });
+    
+    if (!parameters) {
+      return res.status(404).json({ error: 'Lane type not found' });
+    }
+    
+    res.json(parameters);
+  } catch (error) {
+    console.error('Error updating transit parameters:', error);
+    res.status(500).json({ error: 'Failed to update transit parameters' });
+  }
+});
+
+// Маршрут для получения списка правил надбавок
+app.get('/api/admin/surcharges', async (req, res) => {
+  try {
+    const surcharges = await surchargeCalculator.getSurcharges();
+    res.json(surcharges);
+  } catch (error) {
+    console.error('Error fetching surcharges:', error);
+    res.status(500).json({ error: 'Failed to fetch surcharges' });
+  }
+});
+
+// Маршрут для добавления правила надбавки
+app.post('/api/admin/surcharges', async (req, res) => {
+  try {
+    const validationError = surchargeCalculator.validateSurcharge(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const surcharge = await surchargeCalculator.createSurcharge(req.body);
+    res.status(201).json(surcharge);
+  } catch (error) {
+    console.error('Error creating surcharge:', error);
+    res.status(500).json({ error: 'Failed to create surcharge' });
+  }
+});
+
+// Маршрут для обновления правила надбавки
+app.put('/api/admin/surcharges/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const validationError = surchargeCalculator.validateSurcharge(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const surcharge = await surchargeCalculator.updateSurcharge(id, req.body);
+    if (!surcharge) {
+      return res.status(404).json({ error: 'Surcharge not found' });
+    }
+    
+    res.json(surcharge);
+  } catch (error) {
+    console.error('Error updating surcharge:', error);
+    res.status(500).json({ error: 'Failed to update surcharge' });
+  }
+});
+
+// Маршрут для удаления правила надбавки
+app.delete('/api/admin/surcharges/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const deleted = await surchargeCalculator.deleteSurcharge(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Surcharge not found' });
+    }
+    
+    res.json({ success: true, message: 'Surcharge deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting surcharge:', error);
+    res.status(500).json({ error: 'Failed to delete surcharge' });
+  }
+});
+
+// Маршрут для получения надбавок за опасные грузы
+app.get('/api/admin/dg-surcharges', async (req, res) => {
+  try {
+    const rules = await dangerousGoods.getDgSurcharges();
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching DG surcharges:', error);
+    res.status(500).json({ error: 'Failed to fetch DG surcharges' });
+  }
+});
+
+// Маршрут для добавления надбавки за опасный груз
+app.post('/api/admin/dg-surcharges', async (req, res) => {
+  try {
+    const validationError = dangerousGoods.validateDgSurcharge(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const rule = await dangerousGoods.createDgSurcharge(req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating DG surcharge:', error);
+    res.status(500).json({ error: 'Failed to create DG surcharge' });
+  }
+});
+
+// Маршрут для удаления надбавки за опасный груз
+app.delete('/api/admin/dg-surcharges/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const deleted = await dangerousGoods.deleteDgSurcharge(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'DG surcharge not found' });
+    }
+    
+    res.json({ success: true, message: 'DG surcharge deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting DG surcharge:', error);
+    res.status(500).json({ error: 'Failed to delete DG surcharge' });
+  }
+});
+
+// Маршрут для получения ограничений на опасные грузы (порты и пары регионов)
+app.get('/api/admin/dg-restrictions', async (req, res) => {
+  try {
+    const rules = await dangerousGoods.getDgRestrictions();
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching DG restrictions:', error);
+    res.status(500).json({ error: 'Failed to fetch DG restrictions' });
+  }
+});
+
+// Маршрут для добавления ограничения на опасный груз
+app.post('/api/admin/dg-restrictions', async (req, res) => {
+  try {
+    const validationError = dangerousGoods.validateDgRestriction(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const rule = await dangerousGoods.createDgRestriction(req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating DG restriction:', error);
+    res.status(500).json({ error: 'Failed to create DG restriction' });
+  }
+});
+
+// Маршрут для удаления ограничения на опасный груз
+app.delete('/api/admin/dg-restrictions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const deleted = await dangerousGoods.deleteDgRestriction(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'DG restriction not found' });
+    }
+    
+    res.json({ success: true, message: 'DG restriction deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting DG restriction:', error);
+    res.status(500).json({ error: 'Failed to delete DG restriction' });
+  }
+});
+
+// Маршрут для получения хабов перевалки
+app.get('/api/admin/hub-ports', async (req, res) => {
+  try {
+    const hubs = await transshipment.getHubPorts();
+    res.json(hubs);
+  } catch (error) {
+    console.error('Error fetching hub ports:', error);
+    res.status(500).json({ error: 'Failed to fetch hub ports' });
+  }
+});
+
+// Маршрут для добавления или изменения хаба перевалки
+app.post('/api/admin/hub-ports', async (req, res) => {
+  try {
+    const validationError = transshipment.validateHubPort(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const portResult = await pool.query('SELECT id FROM ports WHERE id = $1', [req.body.portId]);
+    if (portResult.rows.length === 0) {
+      return res.status(400).json({ error: `Port ${req.body.portId} not found` });
+    }
+    
+    const hub = await transshipment.saveHubPort(req.body);
+    res.status(201).json(hub);
+  } catch (error) {
+    console.error('Error saving hub port:', error);
+    res.status(500).json({ error: 'Failed to save hub port' });
+  }
+});
+
+// Маршрут для удаления хаба перевалки вместе с его фидерными линиями
+app.delete('/api/admin/hub-ports/:portId', async (req, res) => {
+  try {
+    const { portId } = req.params;
+    
+    const deleted = await transshipment.deleteHubPort(portId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Hub port not found' });
+    }
+    
+    res.json({ success: true, message: 'Hub port deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting hub port:', error);
+    res.status(500).json({ error: 'Failed to delete hub port' });
+  }
+});
+
+// Маршрут для получения фидерных линий
+app.get('/api/admin/feeder-connections', async (req, res) => {
+  try {
+    const connections = await transshipment.getFeederConnections();
+    res.json(connections);
+  } catch (error) {
+    console.error('Error fetching feeder connections:', error);
+    res.status(500).json({ error: 'Failed to fetch feeder connections' });
+  }
+});
+
+// Маршрут для добавления или изменения фидерной линии
+app.post('/api/admin/feeder-connections', async (req, res) => {
+  try {
+    const validationError = transshipment.validateFeederConnection(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const hubResult = await pool.query('SELECT port_id FROM hub_ports WHERE port_id = $1', [req.body.hubPortId]);
+    if (hubResult.rows.length === 0) {
+      return res.status(400).json({ error: `${req.body.hubPortId} is not a hub port` });
+    }
+    const portResult = await pool.query('SELECT id FROM ports WHERE id = $1', [req.body.portId]);
+    if (portResult.rows.length === 0) {
+      return res.status(400).json({ error: `Port ${req.body.portId} not found` });
+    }
+    
+    const connection = await transshipment.saveFeederConnection(req.body);
+    res.status(201).json(connection);
+  } catch (error) {
+    console.error('Error saving feeder connection:', error);
+    res.status(500).json({ error: 'Failed to save feeder connection' });
+  }
+});
+
+// Маршрут для удаления фидерной линии
+app.delete('/api/admin/feeder-connections/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const deleted = await transshipment.deleteFeederConnection(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Feeder connection not found' });
+    }
+    
+    res.json({ success: true, message: 'Feeder connection deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting feeder connection:', error);
+    res.status(500).json({ error: 'Failed to delete feeder connection' });
+  }
+});
+
+// Маршрут для получения тарифов доставки до порта и от порта
+app.get('/api/admin/haulage-tariffs', async (req, res) => {
+  try {
+    const tariffs = await inlandHaulage.getHaulageTariffs();
+    res.json(tariffs);
+  } catch (error) {
+    console.error('Error fetching haulage tariffs:', error);
+    res.status(500).json({ error: 'Failed to fetch haulage tariffs' });
+  }
+});
+
+// Маршрут для добавления тарифа доставки
+app.post('/api/admin/haulage-tariffs', async (req, res) => {
+  try {
+    const validationError = inlandHaulage.validateHaulageTariff(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const tariff = await inlandHaulage.createHaulageTariff(req.body);
+    res.status(201).json(tariff);
+  } catch (error) {
+    console.error('Error creating haulage tariff:', error);
+    res.status(500).json({ error: 'Failed to create haulage tariff' });
+  }
+});
+
+// Маршрут для удаления тарифа доставки
+app.delete('/api/admin/haulage-tariffs/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const deleted = await inlandHaulage.deleteHaulageTariff(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Haulage tariff not found' });
+    }
+    
+    res.json({ success: true, message: 'Haulage tariff deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting haulage tariff:', error);
+    res.status(500).json({ error: 'Failed to delete haulage tariff' });
+  }
+});
+
+// Маршрут для получения ставок страхования грузов
+app.get('/api/admin/insurance-rates', async (req, res) => {
+  try {
+    const rates = await cargoInsurance.getInsuranceRates();
+    res.json(rates);
+  } catch (error) {
+    console.error('Error fetching insurance rates:', error);
+    res.status(500).json({ error: 'Failed to fetch insurance rates' });
+  }
+});
+
+// Маршрут для добавления ставки страхования
+app.post('/api/admin/insurance-rates', async (req, res) => {
+  try {
+    const validationError = cargoInsurance.validateInsuranceRate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const rate = await cargoInsurance.createInsuranceRate(req.body);
+    res.status(201).json(rate);
+  } catch (error) {
+    console.error('Error creating insurance rate:', error);
+    res.status(500).json({ error: 'Failed to create insurance rate' });
+  }
+});
+
+// Маршрут для удаления ставки страхования
+app.delete('/api/admin/insurance-rates/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const deleted = await cargoInsurance.deleteInsuranceRate(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Insurance rate not found' });
+    }
+    
+    res.json({ success: true, message: 'Insurance rate deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting insurance rate:', error);
+    res.status(500).json({ error: 'Failed to delete insurance rate' });
+  }
+});
+
+// Маршрут для получения настроек системы вместе со схемой (тип, диапазон, значение по умолчанию)
+app.get('/api/admin/settings', async (req, res) => {
+  try {
+    res.json(await settingsService.describeSettings());
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+});
+
+// Маршрут для обновления настроек системы; новые значения применяются к следующему расчету
+// Тело запроса - значения настроек { key: value } и автор изменения changedBy с необязательным комментарием comment
+// Каждое изменение сохраняется как новая версия настроек
+app.post('/api/admin/settings', async (req, res) => {
+  try {
+    const { changedBy, comment, ...updates } = req.body || {};
+    
+    const validationError = settingsService.validateChangedBy(changedBy) || settingsService.validateSettings(updates);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    res.json(await settingsService.updateSettings(updates, { changedBy, comment }));
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+// Маршрут для получения действующих базовых значений модификаторов (медиана или значение из настроек)
+app.get('/api/admin/modifier-baselines', async (req, res) => {
+  try {
+    res.json(await modifierBaselines.getCurrentBaselines(await settingsService.getSettings()));
+  } catch (error) {
+    console.error('Error fetching modifier baselines:', error);
+    res.status(500).json({ error: 'Failed to fetch modifier baselines' });
+  }
+});
+
+// Маршрут для пересчета базовых значений модификаторов (например, после изменения окна медианы)
+app.post('/api/admin/modifier-baselines/recompute', async (req, res) => {
+  try {
+    res.json(await modifierBaselines.recomputeBaselines());
+  } catch (error) {
+    console.error('Error recomputing modifier baselines:', error);
+    res.status(500).json({ error: 'Failed to recompute modifier baselines' });
+  }
+});
+
+// Маршрут для получения истории версий настроек: кто, когда, старые и новые значения
+app.get('/api/admin/settings/history', async (req, res) => {
+  try {
+    res.json(await settingsService.getSettingsHistory());
+  } catch (error) {
+    console.error('Error fetching settings history:', error);
+    res.status(500).json({ error: 'Failed to fetch settings history' });
+  }
+});
+
+// Маршрут для отката настроек к прежней версии; откат сохраняется как новая версия
+app.post('/api/admin/settings/history/:version/rollback', async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    const { changedBy, comment } = req.body || {};
+    
+    if (isNaN(version)) {
+      return res.status(400).json({ error: 'Invalid settings version' });
+    }
+    
+    const validationError = settingsService.validateChangedBy(changedBy);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const result = await settingsService.rollbackSettings(version, { changedBy, comment });
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error rolling back settings:', error);
+    res.status(500).json({ error: 'Failed to roll back settings' });
+  }
+});
+
+// Маршрут для административной страницы
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Функция для проверки строк оборудования отправки; возвращает текст ошибки или null
+// Вес груза в строке указывается на один контейнер и не должен превышать max_weight типа контейнера
+async function validateContainerLines(containers) {
+  if (!Array.isArray(containers) || containers.length === 0) {
+    return 'containers must be a non-empty array';
+  }
+  
+  const result = await pool.query('SELECT * FROM container_types');
+  const containerTypes = Object.fromEntries(result.rows.map(row => [row.id, row]));
+  
+  for (const [index, line] of containers.entries()) {
+    const containerType = containerTypes[line.containerType];
+    if (!containerType) {
+      return `containers[${index}]: unknown container type ${line.containerType}`;
+    }
+    const quantity = Number(line.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return `containers[${index}]: quantity must be a positive integer`;
+    }
+    const weight = Number(line.weight);
+    if (!(weight > 0)) {
+      return `containers[${index}]: weight must be a positive number (kg per container)`;
+    }
+    if (containerType.max_weight && weight > parseFloat(containerType.max_weight)) {
+      return `containers[${index}]: weight ${weight} kg exceeds max weight ${containerType.max_weight} kg for ${containerType.id}`;
+    }
+    const temperatureError = reeferCalculator.validateSetTemperature(line.containerType, line.setTemperature);
+    if (temperatureError) {
+      return `containers[${index}]: ${temperatureError}`;
+    }
+    const dangerousGoodsError = dangerousGoods.validateDangerousGoods(line.dangerousGoods);
+    if (dangerousGoodsError) {
+      return `containers[${index}]: ${dangerousGoodsError}`;
+    }
+    const dimensionsError = oogCalculator.validateCargoDimensions(containerType, line.cargoDimensions);
+    if (dimensionsError) {
+      return `containers[${index}]: ${dimensionsError}`;
+    }
+  }
+  
+  return null;
+}
+
+// Функция для проверки приема опасных грузов отправки; возвращает список отказов по строкам
+// hubPorts - хабы перевалки выбранного маршрута: ограничения этих портов тоже учитываются
+async function getDangerousGoodsRejections(originPort, destinationPort, containers, hubPorts = []) {
+  const rejections = [];
+  
+  for (const [index, line] of containers.entries()) {
+    if (!line.dangerousGoods) continue;
+    const acceptance = await dangerousGoods.checkAcceptance(originPort, destinationPort, line.dangerousGoods, hubPorts);
+    acceptance.rejections.forEach(rejection => {
+      rejections.push({ line: index, containerType: line.containerType, imoClass: String(line.dangerousGoods.imoClass), ...rejection });
+    });
+  }
+  
+  return rejections;
+}
+
+// Функция для получения хабов перевалки рассчитанного маршрута
+function getItineraryHubs(result) {
+  return result && result.itinerary && result.itinerary.hubs ? result.itinerary.hubs : [];
+}
+
+// Функция для краткого описания отправки, например "3x40HC + 2x20DC"
+function formatShipmentSummary(containers) {
+  return containers.map(line => `${line.quantity ?? 1}x${line.containerType}`).join(' + ');
+}
+
+// Функция для сохранения запроса в историю
+// Отправка сохраняется одной записью: строки оборудования - в колонке shipment
+async function saveRequestToHistory(originPort, destinationPort, containers, result, email) {
+  try {
+    // Проверка существования таблицы request_history
+    const tableCheckResult = await pool.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables 
+        WHERE table_name = 'request_history'
+      )
+    `);
+    
+    // Если таблица не существует, создаем ее
+    if (!tableCheckResult.rows[0].exists) {
+      await pool.query(`
+        CREATE TABLE request_history (
+          id SERIAL PRIMARY KEY,
+          origin_port_id VARCHAR(10) NOT NULL,
+          destination_port_id VARCHAR(10) NOT NULL,
+          container_type VARCHAR(10) NOT NULL,
+          weight INTEGER NOT NULL,
+          rate NUMERIC NOT NULL,
+          shipment JSONB,
+          settings_version INTEGER,
+          email VARCHAR(255) NOT NULL,
           request_date TIMESTAMP NOT NULL DEFAULT NOW(),
           FOREIGN KEY (origin_port_id) REFERENCES ports(id),
           FOREIGN KEY (destination_port_id) REFERENCES ports(id)
@@ -924,17 +2268,58 @@ async function saveRequestToHistory(originPort, destinationPort, containerType,
       `);
     }
     
+    let historyContainerType;
+    let totalWeight;
+    let shipment;
+    
+    if (result.mode === 'lcl') {
+      // Для сборного груза сохраняются объем, вес, количество мест и оплачиваемые единицы W/M
+      historyContainerType = 'LCL';
+      totalWeight = result.cargo.weight;
+      shipment = {
+        mode: 'lcl',
+        cargo: result.cargo,
+        ratePerUnit: result.ratePerUnit,
+        insurance: result.insurance ? { cover: result.insurance.cover, commodity: result.insurance.commodity, cargoValue: result.insurance.cargoValue, premium: result.insurance.premium } : undefined,
+        incoterm: result.incoterm ? result.incoterm.code : undefined
+      };
+    } else {
+      // Для смешанной отправки тип контейнера - MIXED, вес - общий вес груза
+      const containerTypes = [...new Set(containers.map(line => line.containerType))];
+      const pricedLines = result.containers || [{ containerRate: result.finalRate, lineTotal: result.finalRate }];
+      historyContainerType = containerTypes.length === 1 ? containerTypes[0] : 'MIXED';
+      totalWeight = containers.reduce((sum, line) => sum + Number(line.weight) * Number(line.quantity ?? 1), 0);
+      shipment = {
+        containers: containers.map((line, index) => ({
+          containerType: line.containerType,
+          quantity: Number(line.quantity ?? 1),
+          weight: Number(line.weight),
+          setTemperature: reeferCalculator.isReeferContainer(line.containerType) ? Number(line.setTemperature) : undefined,
+          dangerousGoods: line.dangerousGoods || undefined,
+          cargoDimensions: line.cargoDimensions || undefined,
+          containerRate: pricedLines[index] ? pricedLines[index].containerRate : null,
+          lineTotal: pricedLines[index] ? pricedLines[index].lineTotal : null
+        })),
+        bookingItems: (result.bookingItems || []).map(item => ({ code: item.code, amount: item.amount })),
+        inland: result.inland || undefined,
+        insurance: result.insurance ? { cover: result.insurance.cover, commodity: result.insurance.commodity, cargoValue: result.insurance.cargoValue, premium: result.insurance.premium } : undefined,
+        incoterm: result.incoterm ? result.incoterm.code : undefined
+      };
+    }
+    
     // Сохранение запроса в историю
     await pool.query(
       `INSERT INTO request_history 
-       (origin_port_id, destination_port_id, container_type, weight, rate, email) 
-       VALUES ($1, $2, $3, $4, $5, $6)`,
+       (origin_port_id, destination_port_id, container_type, weight, rate, shipment, settings_version, email) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
       [
         originPort,
         destinationPort,
-        containerType,
-        weight,
-        rate,
+        historyContainerType,
+        Math.round(totalWeight),
+        result.finalRate,
+        JSON.stringify(shipment),
+        result.settingsVersion ?? null,
         email
       ]
     );
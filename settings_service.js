@@ -0,0 +1,369 @@
+// Модуль типизированных настроек системы
+// Схема описывает тип, допустимый диапазон, значение по умолчанию и назначение каждой настройки;
+// калькулятор и модуль топливной надбавки читают значения при расчете через кэш, который сбрасывается при сохранении
+// Каждое изменение создает версию (кто, когда, старые и новые значения, полный снимок), к которой можно вернуться;
+// расчеты и котировки хранят номер версии, по которой они получены
+
+const { Pool } = require('pg');
+const dotenv = require('dotenv');
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Время жизни кэша настроек в миллисекундах (на случай изменения таблицы в обход API)
+const CACHE_TTL_MS = 60 * 1000;
+
+// Схема настроек: type - 'number' или 'integer', min/max - допустимый диапазон включительно
+const SETTINGS_SCHEMA = {
+  scfi_weight: { type: 'number', min: 0, max: 5, default: 1.2, description: 'Weight coefficient for SCFI data' },
+  fbx_weight: { type: 'number', min: 0, max: 5, default: 1.2, description: 'Weight coefficient for Freightos FBX data' },
+  wci_weight: { type: 'number', min: 0, max: 5, default: 1.1, description: 'Weight coefficient for Drewry WCI data' },
+  ccfi_weight: { type: 'number', min: 0, max: 5, default: 1.0, description: 'Weight coefficient for CCFI data' },
+  harpex_weight: { type: 'number', min: 0, max: 5, default: 0.4, description: 'Influence of the Harpex charter index modifier' },
+  newcontex_weight: { type: 'number', min: 0, max: 5, default: 0.4, description: 'Influence of the New ConTex charter index modifier' },
+  bdi_weight: { type: 'number', min: 0, max: 5, default: 0.1, description: 'Influence of the Baltic Dry Index modifier' },
+  cts_weight: { type: 'number', min: 0, max: 5, default: 0.2, description: 'Influence of the Container Trade Statistics modifier' },
+  istfix_weight: { type: 'number', min: 0, max: 5, default: 1.5, description: 'Influence of the ISTFIX modifier on short-sea lanes' },
+  harpex_baseline: { type: 'number', min: 1, max: 100000, default: 1000, description: 'Harpex value treated as a neutral market until enough index history is available for a median' },
+  newcontex_baseline: { type: 'number', min: 1, max: 100000, default: 500, description: 'New ConTex value treated as a neutral market until enough index history is available for a median' },
+  bdi_baseline: { type: 'number', min: 1, max: 100000, default: 1500, description: 'Baltic Dry Index value treated as a neutral market until enough index history is available for a median' },
+  cts_baseline: { type: 'number', min: 1, max: 100000, default: 100, description: 'CTS index value treated as a neutral market until enough index history is available for a median' },
+  baseline_window_days: { type: 'integer', min: 30, max: 1825, default: 365, description: 'Rolling window in days for modifier baseline medians' },
+  baseline_min_observations: { type: 'integer', min: 3, max: 1000, default: 12, description: 'Minimum index observations in the window to compute a modifier baseline median' },
+  base_fuel_price: { type: 'number', min: 0, max: 5000, default: 400, description: 'Bunker price in USD per tonne already included in base rates; fuel surcharge covers the excess' },
+  default_reliability: { type: 'number', min: 0, max: 1, default: 0.7, description: 'Default reliability score when no data is available' },
+  eua_price: { type: 'number', min: 0, max: 1000, default: 70, description: 'EU ETS allowance (EUA) price in EUR per tonne of CO2' },
+  eur_usd_rate: { type: 'number', min: 0.01, max: 10, default: 1.08, description: 'EUR to USD exchange rate for EU ETS surcharge' }
+};
+
+let cachedSnapshot = null;
+let cachedAt = 0;
+
+// Функция для инициализации таблиц настроек и версий настроек
+// Недостающие ключи схемы добавляются со значениями по умолчанию, сохраненные значения не перезаписываются;
+// если версий еще нет, текущие значения сохраняются как первая версия
+async function initializeSettingsTable() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key VARCHAR(50) PRIMARY KEY,
+        value TEXT NOT NULL,
+        description TEXT,
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+      await client.query(
+        'INSERT INTO settings (key, value, description) VALUES ($1, $2, $3) ON CONFLICT (key) DO NOTHING',
+        [key, String(definition.default), definition.description]
+      );
+    }
+
+    // changes - [{ key, oldValue, newValue }], snapshot - все значения настроек после изменения
+    // rolled_back_to - версия, значения которой восстановлены откатом
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS settings_versions (
+        version SERIAL PRIMARY KEY,
+        changed_by VARCHAR(255) NOT NULL,
+        comment TEXT,
+        changes JSONB NOT NULL,
+        snapshot JSONB NOT NULL,
+        rolled_back_to INTEGER REFERENCES settings_versions(version),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const versionCount = await client.query('SELECT COUNT(*) FROM settings_versions');
+    if (parseInt(versionCount.rows[0].count) === 0) {
+      await client.query(
+        'INSERT INTO settings_versions (changed_by, comment, changes, snapshot) VALUES ($1, $2, $3, $4)',
+        ['system', 'Initial settings', JSON.stringify([]), JSON.stringify(await readStoredValues(client))]
+      );
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    invalidateCache();
+    console.log('Settings table initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing settings table:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для проверки значения настройки по схеме; возвращает текст ошибки или null
+function validateSettingValue(key, value) {
+  const definition = SETTINGS_SCHEMA[key];
+  if (!definition) {
+    return `Unknown setting: ${key}`;
+  }
+  const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+  if (!Number.isFinite(number)) {
+    return `${key} must be a number`;
+  }
+  if (definition.type === 'integer' && !Number.isInteger(number)) {
+    return `${key} must be an integer`;
+  }
+  if (number < definition.min || number > definition.max) {
+    return `${key} must be between ${definition.min} and ${definition.max}`;
+  }
+  return null;
+}
+
+// Функция для проверки автора изменения настроек; возвращает текст ошибки или null
+function validateChangedBy(changedBy) {
+  if (!changedBy || !String(changedBy).trim()) {
+    return 'changedBy is required';
+  }
+  if (String(changedBy).trim().length > 255) {
+    return 'changedBy must not exceed 255 characters';
+  }
+  return null;
+}
+
+// Функция для проверки набора настроек перед сохранением; возвращает текст ошибки или null
+function validateSettings(updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return 'Invalid settings format';
+  }
+  const keys = Object.keys(updates);
+  if (keys.length === 0) {
+    return 'At least one setting is required';
+  }
+  for (const key of keys) {
+    const error = validateSettingValue(key, updates[key]);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+// Функция для преобразования сохраненного значения; некорректное значение заменяется значением по умолчанию
+function parseSettingValue(key, rawValue) {
+  if (rawValue === null || rawValue === undefined || validateSettingValue(key, rawValue)) {
+    return SETTINGS_SCHEMA[key].default;
+  }
+  return Number(rawValue);
+}
+
+// Функция для получения значений по умолчанию для всех настроек
+function getDefaultSettings() {
+  const defaults = {};
+  for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    defaults[key] = definition.default;
+  }
+  return defaults;
+}
+
+// Функция для чтения сохраненных значений всех настроек схемы (client - пул или клиент транзакции)
+async function readStoredValues(client) {
+  const result = await client.query('SELECT key, value FROM settings WHERE key = ANY($1)', [Object.keys(SETTINGS_SCHEMA)]);
+  const stored = {};
+  result.rows.forEach(row => {
+    stored[row.key] = row.value;
+  });
+
+  const values = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    values[key] = parseSettingValue(key, stored[key]);
+  }
+  return values;
+}
+
+// Функция для получения текущей версии настроек вместе со значениями { version, values } с учетом кэша
+// Калькулятор берет один снимок на расчет, чтобы все строки отправки считались по одной версии
+// При недоступности базы данных используются значения по умолчанию без номера версии
+async function getSettingsSnapshot() {
+  if (cachedSnapshot && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedSnapshot;
+  }
+
+  try {
+    const values = await readStoredValues(pool);
+    const versionResult = await pool.query('SELECT MAX(version) AS version FROM settings_versions');
+
+    cachedSnapshot = { version: versionResult.rows[0].version, values };
+    cachedAt = Date.now();
+    return cachedSnapshot;
+  } catch (error) {
+    console.error('Error loading settings, using defaults:', error);
+    return { version: null, values: getDefaultSettings() };
+  }
+}
+
+// Функция для получения всех настроек в виде { key: value }
+async function getSettings() {
+  const snapshot = await getSettingsSnapshot();
+  return snapshot.values;
+}
+
+// Функция для получения одной настройки
+async function getSetting(key) {
+  if (!SETTINGS_SCHEMA[key]) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  const settings = await getSettings();
+  return settings[key];
+}
+
+// Функция для получения настроек вместе со схемой (для административной панели)
+async function describeSettings() {
+  const result = await pool.query('SELECT * FROM settings WHERE key = ANY($1)', [Object.keys(SETTINGS_SCHEMA)]);
+  const rows = {};
+  result.rows.forEach(row => {
+    rows[row.key] = row;
+  });
+
+  const settings = {};
+  for (const [key, definition] of Object.entries(SETTINGS_SCHEMA)) {
+    const row = rows[key];
+    settings[key] = {
+      value: parseSettingValue(key, row ? row.value : null),
+      type: definition.type,
+      min: definition.min,
+      max: definition.max,
+      default: definition.default,
+      description: definition.description,
+      updatedAt: row ? row.updated_at : null
+    };
+  }
+  return settings;
+}
+
+// Функция для записи новых значений и создания версии в рамках транзакции
+// Версия создается только при фактическом изменении хотя бы одного значения
+async function saveVersion(updates, { changedBy, comment, rolledBackTo = null }) {
+  const client = await pool.connect();
+  let version;
+  let changes;
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    // Изменения настроек выполняются последовательно, чтобы старые значения версии были точными
+    await client.query('LOCK TABLE settings_versions IN SHARE ROW EXCLUSIVE MODE');
+
+    const current = await readStoredValues(client);
+    changes = Object.entries(updates)
+      .map(([key, value]) => ({ key, oldValue: current[key], newValue: Number(value) }))
+      .filter(change => change.oldValue !== change.newValue);
+
+    if (changes.length === 0) {
+      const versionResult = await client.query('SELECT MAX(version) AS version FROM settings_versions');
+      version = versionResult.rows[0].version;
+    } else {
+      for (const change of changes) {
+        await client.query(
+          `INSERT INTO settings (key, value, description, updated_at) VALUES ($1, $2, $3, NOW())
+           ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+          [change.key, String(change.newValue), SETTINGS_SCHEMA[change.key].description]
+        );
+        current[change.key] = change.newValue;
+      }
+
+      const versionResult = await client.query(
+        `INSERT INTO settings_versions (changed_by, comment, changes, snapshot, rolled_back_to)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING version`,
+        [String(changedBy).trim(), comment || null, JSON.stringify(changes), JSON.stringify(current), rolledBackTo]
+      );
+      version = versionResult.rows[0].version;
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+
+  invalidateCache();
+  return { version, changes, settings: await describeSettings() };
+}
+
+// Функция для сохранения настроек; значения должны быть предварительно проверены validateSettings
+// Возвращает { version, changes, settings }; без фактических изменений новая версия не создается
+async function updateSettings(updates, { changedBy, comment } = {}) {
+  return saveVersion(updates, { changedBy, comment });
+}
+
+// Функция для отката к значениям прежней версии; откат сохраняется как новая версия
+// Настройки, которых не было в схеме на момент версии, остаются без изменений
+async function rollbackSettings(version, { changedBy, comment } = {}) {
+  const result = await pool.query('SELECT snapshot FROM settings_versions WHERE version = $1', [version]);
+  if (result.rows.length === 0) {
+    return { error: 'Settings version not found', statusCode: 404 };
+  }
+
+  const updates = {};
+  for (const [key, value] of Object.entries(result.rows[0].snapshot)) {
+    if (SETTINGS_SCHEMA[key] && !validateSettingValue(key, value)) {
+      updates[key] = value;
+    }
+  }
+
+  return saveVersion(updates, { changedBy, comment: comment || `Rollback to version ${version}`, rolledBackTo: version });
+}
+
+// Функция для получения истории изменений настроек (последние версии первыми)
+async function getSettingsHistory(limit = 100) {
+  const result = await pool.query('SELECT * FROM settings_versions ORDER BY version DESC LIMIT $1', [limit]);
+  return result.rows.map(row => ({
+    version: row.version,
+    changedBy: row.changed_by,
+    comment: row.comment,
+    changes: row.changes,
+    settings: row.snapshot,
+    rolledBackTo: row.rolled_back_to,
+    createdAt: row.created_at
+  }));
+}
+
+// Функция для сброса кэша настроек
+function invalidateCache() {
+  cachedSnapshot = null;
+  cachedAt = 0;
+}
+
+// Экспорт функций
+module.exports = {
+  SETTINGS_SCHEMA,
+  initializeSettingsTable,
+  validateChangedBy,
+  validateSettings,
+  getSettingsSnapshot,
+  getSettings,
+  getSetting,
+  describeSettings,
+  updateSettings,
+  rollbackSettings,
+  getSettingsHistory,
+  invalidateCache
+};
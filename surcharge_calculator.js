@@ -0,0 +1,373 @@
+// Модуль расчета надбавок к фрахтовой ставке (THC, BAF, LSS, PSS, GRI, EU ETS, DOC, рефнадбавки)
+// Надбавки хранятся в таблице surcharges и подбираются по паре регионов, типу контейнера и сроку действия
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import laneResolver from './lane_resolver.js';
+import emissionsCalculator from './emissions_calculator.js';
+import reeferCalculator from './reefer_calculator.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Типы надбавок и их названия для строк расчета
+const SURCHARGE_TYPES = {
+  BAF: 'Bunker Adjustment Factor',
+  LSS: 'Low Sulphur Surcharge',
+  PSS: 'Peak Season Surcharge',
+  GRI: 'General Rate Increase',
+  THC_ORIGIN: 'Origin Terminal Handling Charge',
+  THC_DESTINATION: 'Destination Terminal Handling Charge',
+  ETS: 'EU ETS Surcharge',
+  DOC: 'Documentation Fee',
+  REEFER: 'Reefer Premium',
+  RPS: 'Reefer Power Surcharge',
+  PTI: 'Pre-Trip Inspection'
+};
+
+// Способы расчета: fixed - сумма за контейнер (за FEU, если тип контейнера не указан),
+// percent - процент от морского фрахта, formula - именованная формула из FORMULAS
+const CALCULATION_METHODS = ['fixed', 'percent', 'formula'];
+
+// База начисления: container - за каждый контейнер отправки, booking - один раз на бронирование
+const CHARGE_BASES = ['container', 'booking'];
+
+// Формулы расчета надбавок; context содержит данные текущего расчета ставки
+const FORMULAS = {
+  // BAF по топливному калькулятору (цена бункера и морское расстояние маршрута)
+  fuel: context => context.fuelSurcharge || 0,
+  // Стоимость квот EU ETS для рейсов с заходом в порты ЕС/ЕЭЗ
+  eu_ets: context => emissionsCalculator.calculateEtsSurcharge(context),
+  // Рефнадбавка к морскому фрахту по торговой линии (только для рефконтейнеров)
+  reefer_premium: context => reeferCalculator.calculateReeferPremium(context),
+  // Электропитание рефконтейнера за время в пути по температурному режиму
+  reefer_power: context => reeferCalculator.calculateReeferPower(context)
+};
+
+// Надбавки по умолчанию (USD за FEU)
+const DEFAULT_SURCHARGES = [
+  { type: 'BAF', method: 'formula', formula: 'fuel', description: 'Fuel surcharge engine (bunker price and sea distance)' },
+  { type: 'LSS', method: 'fixed', amount: 30, description: 'IMO 2020 low sulphur fuel compliance' },
+  { type: 'ETS', method: 'formula', formula: 'eu_ets', description: 'EU ETS allowances for voyages calling EU/EEA ports' },
+  { type: 'THC_ORIGIN', method: 'fixed', amount: 200, description: 'Default origin terminal handling' },
+  { type: 'THC_ORIGIN', originRegion: 'Europe', method: 'fixed', amount: 280, description: 'European terminals' },
+  { type: 'THC_ORIGIN', originRegion: 'Asia', method: 'fixed', amount: 170, description: 'Asian terminals' },
+  { type: 'THC_ORIGIN', originRegion: 'North America', method: 'fixed', amount: 400, description: 'North American terminals' },
+  { type: 'THC_DESTINATION', method: 'fixed', amount: 200, description: 'Default destination terminal handling' },
+  { type: 'THC_DESTINATION', destinationRegion: 'Europe', method: 'fixed', amount: 280, description: 'European terminals' },
+  { type: 'THC_DESTINATION', destinationRegion: 'Asia', method: 'fixed', amount: 170, description: 'Asian terminals' },
+  { type: 'THC_DESTINATION', destinationRegion: 'North America', method: 'fixed', amount: 400, description: 'North American terminals' },
+  { type: 'DOC', method: 'fixed', basis: 'booking', amount: 75, description: 'Bill of lading and documentation, per booking' }
+];
+
+// Надбавки для рефконтейнеров (добавлены позже остальных правил по умолчанию)
+const REEFER_SURCHARGES = [
+  { type: 'REEFER', method: 'formula', formula: 'reefer_premium', description: 'Reefer equipment premium by trade lane' },
+  { type: 'RPS', method: 'formula', formula: 'reefer_power', description: 'Reefer power supply during transit' },
+  { type: 'PTI', containerType: '20RF', method: 'fixed', amount: 45, description: 'Pre-trip inspection of reefer unit' },
+  { type: 'PTI', containerType: '40RH', method: 'fixed', amount: 60, description: 'Pre-trip inspection of reefer unit' }
+];
+
+// Функция для инициализации таблицы надбавок
+async function initializeSurchargeTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    // NULL в origin_region/destination_region/container_type означает "любой"
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS surcharges (
+        id SERIAL PRIMARY KEY,
+        surcharge_type VARCHAR(20) NOT NULL,
+        origin_region VARCHAR(100),
+        destination_region VARCHAR(100),
+        container_type VARCHAR(10),
+        calculation_method VARCHAR(20) NOT NULL DEFAULT 'fixed',
+        amount NUMERIC,
+        formula VARCHAR(50),
+        basis VARCHAR(20) NOT NULL DEFAULT 'container',
+        valid_from DATE NOT NULL DEFAULT CURRENT_DATE,
+        valid_to DATE,
+        description TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Колонка basis появилась позже - добавляем ее в существующие таблицы
+    await client.query(`ALTER TABLE surcharges ADD COLUMN IF NOT EXISTS basis VARCHAR(20) NOT NULL DEFAULT 'container'`);
+
+    // Заполнение надбавками по умолчанию, если таблица пуста
+    const checkResult = await client.query('SELECT COUNT(*) FROM surcharges');
+    if (parseInt(checkResult.rows[0].count) === 0) {
+      for (const surcharge of DEFAULT_SURCHARGES) {
+        await client.query(
+          `INSERT INTO surcharges
+           (surcharge_type, origin_region, destination_region, calculation_method, amount, formula, basis, valid_from, description)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, '2000-01-01', $8)`,
+          [
+            surcharge.type,
+            surcharge.originRegion || null,
+            surcharge.destinationRegion || null,
+            surcharge.method,
+            surcharge.amount ?? null,
+            surcharge.formula || null,
+            surcharge.basis || 'container',
+            surcharge.description
+          ]
+        );
+      }
+    }
+
+    // Правило EU ETS появилось позже остальных - добавляем его и в уже заполненные таблицы
+    await client.query(`
+      INSERT INTO surcharges (surcharge_type, calculation_method, formula, valid_from, description)
+      SELECT 'ETS', 'formula', 'eu_ets', '2024-01-01', 'EU ETS allowances for voyages calling EU/EEA ports'
+      WHERE NOT EXISTS (SELECT 1 FROM surcharges WHERE surcharge_type = 'ETS')
+    `);
+
+    // Сбор за документацию взимается за бронирование, а не за контейнер
+    await client.query(`
+      INSERT INTO surcharges (surcharge_type, calculation_method, amount, basis, valid_from, description)
+      SELECT 'DOC', 'fixed', 75, 'booking', '2000-01-01', 'Bill of lading and documentation, per booking'
+      WHERE NOT EXISTS (SELECT 1 FROM surcharges WHERE surcharge_type = 'DOC')
+    `);
+
+    // Надбавки для рефконтейнеров - добавляем и в уже заполненные таблицы
+    for (const surcharge of REEFER_SURCHARGES) {
+      await client.query(
+        `INSERT INTO surcharges (surcharge_type, container_type, calculation_method, amount, formula, valid_from, description)
+         SELECT $1::VARCHAR, $2::VARCHAR, $3::VARCHAR, $4::NUMERIC, $5::VARCHAR, '2000-01-01', $6::TEXT
+         WHERE NOT EXISTS (
+           SELECT 1 FROM surcharges WHERE surcharge_type = $1::VARCHAR AND container_type IS NOT DISTINCT FROM $2::VARCHAR
+         )`,
+        [
+          surcharge.type,
+          surcharge.containerType || null,
+          surcharge.method,
+          surcharge.amount ?? null,
+          surcharge.formula || null,
+          surcharge.description
+        ]
+      );
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Surcharge tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing surcharge tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для проверки правила надбавки перед сохранением; возвращает текст ошибки или null
+function validateSurcharge(surcharge) {
+  if (!SURCHARGE_TYPES[surcharge.surchargeType]) {
+    return `surchargeType must be one of: ${Object.keys(SURCHARGE_TYPES).join(', ')}`;
+  }
+  const method = surcharge.calculationMethod || 'fixed';
+  if (!CALCULATION_METHODS.includes(method)) {
+    return `calculationMethod must be one of: ${CALCULATION_METHODS.join(', ')}`;
+  }
+  if (method === 'formula' && !FORMULAS[surcharge.formula]) {
+    return `formula must be one of: ${Object.keys(FORMULAS).join(', ')}`;
+  }
+  if (surcharge.basis && !CHARGE_BASES.includes(surcharge.basis)) {
+    return `basis must be one of: ${CHARGE_BASES.join(', ')}`;
+  }
+  if (method !== 'formula' && (surcharge.amount === undefined || surcharge.amount === null || isNaN(parseFloat(surcharge.amount)))) {
+    return 'amount is required for fixed and percent surcharges';
+  }
+  return null;
+}
+
+// Функция для получения всех правил надбавок
+async function getSurcharges() {
+  const result = await pool.query('SELECT * FROM surcharges ORDER BY surcharge_type, valid_from DESC, id');
+  return result.rows;
+}
+
+// Функция для добавления правила надбавки
+async function createSurcharge(surcharge) {
+  const result = await pool.query(
+    `INSERT INTO surcharges
+     (surcharge_type, origin_region, destination_region, container_type, calculation_method, amount, formula, basis, valid_from, valid_to, description)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, CURRENT_DATE), $10, $11)
+     RETURNING *`,
+    [
+      surcharge.surchargeType,
+      surcharge.originRegion || null,
+      surcharge.destinationRegion || null,
+      surcharge.containerType || null,
+      surcharge.calculationMethod || 'fixed',
+      surcharge.amount ?? null,
+      surcharge.formula || null,
+      surcharge.basis || 'container',
+      surcharge.validFrom || null,
+      surcharge.validTo || null,
+      surcharge.description || null
+    ]
+  );
+  return result.rows[0];
+}
+
+// Функция для обновления правила надбавки
+async function updateSurcharge(id, surcharge) {
+  const result = await pool.query(
+    `UPDATE surcharges SET
+       surcharge_type = $2, origin_region = $3, destination_region = $4, container_type = $5,
+       calculation_method = $6, amount = $7, formula = $8, basis = $9, valid_from = COALESCE($10, valid_from),
+       valid_to = $11, description = $12
+     WHERE id = $1
+     RETURNING *`,
+    [
+      id,
+      surcharge.surchargeType,
+      surcharge.originRegion || null,
+      surcharge.destinationRegion || null,
+      surcharge.containerType || null,
+      surcharge.calculationMethod || 'fixed',
+      surcharge.amount ?? null,
+      surcharge.formula || null,
+      surcharge.basis || 'container',
+      surcharge.validFrom || null,
+      surcharge.validTo || null,
+      surcharge.description || null
+    ]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+// Функция для удаления правила надбавки
+async function deleteSurcharge(id) {
+  const result = await pool.query('DELETE FROM surcharges WHERE id = $1 RETURNING *', [id]);
+  return result.rows.length > 0;
+}
+
+// Коэффициент пересчета сумм, заданных за FEU, на тип контейнера
+function getFeuFactor(containerType) {
+  return containerType && containerType.startsWith('20') ? 0.5 : 1.0;
+}
+
+// Проверка соответствия региона правила региону порта (регион из ports.region или торговая зона)
+function matchesRegion(ruleRegion, port) {
+  if (!ruleRegion) return true;
+  if (!port) return false;
+  return ruleRegion === port.region || ruleRegion === laneResolver.getTradeArea(port);
+}
+
+// Специфичность правила: точный тип контейнера и регионы важнее общих правил
+function getSpecificity(rule) {
+  return (rule.container_type ? 4 : 0) + (rule.origin_region ? 2 : 0) + (rule.destination_region ? 1 : 0);
+}
+
+// Функция для расчета строк надбавок для маршрута и контейнера
+// context: { oceanFreight, fuelSurcharge, ... } - данные текущего расчета для процентов и формул
+// context.asOf - дата расчета для бэктеста: применяются правила, действовавшие на эту дату
+async function calculateSurcharges(originPortId, destinationPortId, containerType, context = {}) {
+  const portsResult = await pool.query(
+    'SELECT id, name, country, region, latitude, longitude FROM ports WHERE id IN ($1, $2)',
+    [originPortId, destinationPortId]
+  );
+  const originPort = portsResult.rows.find(port => port.id === originPortId);
+  const destinationPort = portsResult.rows.find(port => port.id === destinationPortId);
+
+  const rulesResult = await pool.query(
+    `SELECT * FROM surcharges
+     WHERE valid_from <= COALESCE($2::DATE, CURRENT_DATE)
+     AND (valid_to IS NULL OR valid_to >= COALESCE($2::DATE, CURRENT_DATE))
+     AND (container_type IS NULL OR container_type = $1)
+     ORDER BY valid_from DESC, id DESC`,
+    [containerType, context.asOf || null]
+  );
+
+  // Для каждого типа надбавки выбираем самое специфичное подходящее правило
+  const selectedRules = {};
+  for (const rule of rulesResult.rows) {
+    if (!matchesRegion(rule.origin_region, originPort) || !matchesRegion(rule.destination_region, destinationPort)) {
+      continue;
+    }
+    const current = selectedRules[rule.surcharge_type];
+    if (!current || getSpecificity(rule) > getSpecificity(current)) {
+      selectedRules[rule.surcharge_type] = rule;
+    }
+  }
+
+  const fullContext = { originPort, destinationPort, containerType, ...context };
+  const lineItems = [];
+
+  for (const type of Object.keys(SURCHARGE_TYPES)) {
+    const rule = selectedRules[type];
+    if (!rule) continue;
+
+    let amount = 0;
+    let details = null;
+    let breakdown;
+    if (rule.calculation_method === 'percent') {
+      amount = (context.oceanFreight || 0) * parseFloat(rule.amount) / 100;
+      details = `${parseFloat(rule.amount)}% of ocean freight`;
+    } else if (rule.calculation_method === 'formula') {
+      const formula = FORMULAS[rule.formula];
+      if (!formula) {
+        console.warn(`Unknown surcharge formula ${rule.formula} for rule ${rule.id}`);
+        continue;
+      }
+      const formulaResult = await formula(fullContext);
+      amount = typeof formulaResult === 'object' ? formulaResult.amount : formulaResult;
+      details = typeof formulaResult === 'object' ? formulaResult.details : `Formula: ${rule.formula}`;
+      breakdown = typeof formulaResult === 'object' ? formulaResult.breakdown : undefined;
+    } else if (rule.basis === 'booking') {
+      // Сумма за бронирование не зависит от типа контейнера
+      amount = parseFloat(rule.amount);
+    } else {
+      // Суммы без указания типа контейнера заданы за FEU
+      amount = parseFloat(rule.amount) * (rule.container_type ? 1 : getFeuFactor(containerType));
+    }
+
+    // Нулевые надбавки по формуле (например, EU ETS для рейса вне ЕС или рефнадбавки для сухого контейнера) в разбивку не включаются
+    if (rule.calculation_method === 'formula' && Math.round(amount) === 0) continue;
+
+    lineItems.push({
+      code: type,
+      name: SURCHARGE_TYPES[type],
+      amount: Math.round(amount),
+      method: rule.calculation_method,
+      basis: rule.basis || 'container',
+      ruleId: rule.id,
+      details,
+      breakdown
+    });
+  }
+
+  return lineItems;
+}
+
+// Экспорт функций
+export default {
+  SURCHARGE_TYPES,
+  CHARGE_BASES,
+  initializeSurchargeTables,
+  validateSurcharge,
+  getSurcharges,
+  createSurcharge,
+  updateSurcharge,
+  deleteSurcharge,
+  calculateSurcharges
+};
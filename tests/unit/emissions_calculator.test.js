@@ -0,0 +1,27 @@
+// Модульные тесты расчета выбросов и стоимости квот EU ETS (без базы данных)
+
+import { test } from 'node:test';
+import assert from 'assert';
+import emissionsCalculator from '../../emissions_calculator.js';
+
+test('EU ETS phase-in is 40% in 2024, 70% in 2025 and full from 2026', () => {
+  assert.strictEqual(emissionsCalculator.getEtsPhaseIn(2023), 0);
+  assert.strictEqual(emissionsCalculator.getEtsPhaseIn(2024), 0.4);
+  assert.strictEqual(emissionsCalculator.getEtsPhaseIn(2025), 0.7);
+  assert.strictEqual(emissionsCalculator.getEtsPhaseIn(2026), 1.0);
+  assert.strictEqual(emissionsCalculator.getEtsPhaseIn(2030), 1.0);
+});
+
+test('voyage type depends on how many ports are in the EU/EEA', () => {
+  assert.strictEqual(emissionsCalculator.getEtsVoyageType({ country: 'Germany' }, { country: 'Estonia' }), 'intra_eu');
+  assert.strictEqual(emissionsCalculator.getEtsVoyageType({ country: 'China' }, { country: 'Netherlands' }), 'extra_eu');
+  assert.strictEqual(emissionsCalculator.getEtsVoyageType({ country: 'China' }, { country: 'United States' }), 'non_eu');
+});
+
+test('voyage CO2 is proportional to distance and TEU', () => {
+  const perTeu = emissionsCalculator.calculateVoyageCo2(10000);
+
+  assert.ok(perTeu > 0);
+  assert.strictEqual(emissionsCalculator.calculateVoyageCo2(10000, 2), perTeu * 2);
+  assert.strictEqual(emissionsCalculator.calculateVoyageCo2(5000), perTeu / 2);
+});
@@ -0,0 +1,55 @@
+// Модульные тесты применения условий поставки Incoterms к расчету ставки
+
+import { test } from 'node:test';
+import assert from 'assert';
+import incoterms from '../../incoterms.js';
+
+const RESULT = {
+  finalRate: 2350,
+  lineItems: [
+    { code: 'THC_ORIGIN', name: 'Origin THC', amount: 200 },
+    { code: 'OCEAN_FREIGHT', name: 'Ocean Freight', amount: 1800 },
+    { code: 'BAF', name: 'Bunker Adjustment Factor', amount: 100 },
+    { code: 'THC_DESTINATION', name: 'Destination THC', amount: 250 }
+  ],
+  routing: { selected: 'suez', alternatives: [{ routeType: 'suez', totalRate: 2350 }, { routeType: 'cape', totalRate: 2750 }] }
+};
+
+test('FOB quoted for the buyer includes main freight and destination charges only', () => {
+  const quote = incoterms.applyIncoterm(RESULT, 'FOB');
+
+  assert.strictEqual(quote.incoterm.quotedParty, 'buyer');
+  assert.deepStrictEqual(quote.lineItems.map(item => item.code), ['OCEAN_FREIGHT', 'BAF', 'THC_DESTINATION']);
+  assert.deepStrictEqual(quote.excludedItems.map(item => item.code), ['THC_ORIGIN']);
+  assert.strictEqual(quote.finalRate, 2150);
+  assert.deepStrictEqual(quote.routing.alternatives.map(alternative => alternative.totalRate), [2150, 2550]);
+});
+
+test('CFR quoted for the seller excludes destination charges and notes missing pre-carriage', () => {
+  const quote = incoterms.applyIncoterm(RESULT, 'CFR');
+
+  assert.strictEqual(quote.incoterm.quotedParty, 'seller');
+  assert.strictEqual(quote.finalRate, 2100);
+  assert.strictEqual(quote.incoterm.responsibilities.destination, 'buyer');
+  assert.ok(quote.incoterm.notes.some(note => note.startsWith('Pre-carriage')));
+});
+
+test('route choice does not change the rate when the other party pays main freight', () => {
+  const quote = incoterms.applyIncoterm(RESULT, 'FOB', 'seller');
+
+  assert.strictEqual(quote.finalRate, 200);
+  assert.deepStrictEqual(quote.routing.alternatives.map(alternative => alternative.totalRate), [200, 200]);
+});
+
+test('fallback result without a breakdown is treated as main freight', () => {
+  const quote = incoterms.applyIncoterm({ finalRate: 1500 }, 'EXW');
+
+  assert.deepStrictEqual(quote.lineItems.map(item => [item.code, item.group, item.payer]), [['OCEAN_FREIGHT', 'main_freight', 'buyer']]);
+  assert.strictEqual(quote.finalRate, 1500);
+});
+
+test('unknown incoterm and quote party are rejected', () => {
+  assert.match(incoterms.validateIncoterm('XYZ'), /^incoterm must be one of/);
+  assert.match(incoterms.validateIncoterm('FOB', 'carrier'), /^quoteFor must be one of/);
+  assert.strictEqual(incoterms.validateIncoterm('DDP', 'seller'), null);
+});
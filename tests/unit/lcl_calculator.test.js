@@ -0,0 +1,23 @@
+// Модульные тесты расчета оплачиваемых единиц сборного груза (W/M)
+
+import { test } from 'node:test';
+import assert from 'assert';
+import lclCalculator from '../../lcl_calculator.js';
+
+test('volume is charged when it exceeds revenue tons', () => {
+  assert.deepStrictEqual(lclCalculator.getChargeableUnits(5, 2000), { units: 5, basis: 'measure', minimumApplied: false });
+});
+
+test('weight is charged when revenue tons exceed volume', () => {
+  assert.deepStrictEqual(lclCalculator.getChargeableUnits(3, 4500), { units: 4.5, basis: 'weight', minimumApplied: false });
+});
+
+test('small cargo is charged the minimum of one unit', () => {
+  assert.deepStrictEqual(lclCalculator.getChargeableUnits(0.4, 250), { units: 1, basis: 'measure', minimumApplied: true });
+});
+
+test('LCL cargo above the FCL threshold is rejected', () => {
+  assert.match(lclCalculator.validateLclCargo({ volume: 20, weight: 3000, packages: 10 }), /quote the cargo as FCL/);
+  assert.match(lclCalculator.validateLclCargo({ volume: 2, weight: 300, packages: 1.5 }), /^packages must be a positive integer/);
+  assert.strictEqual(lclCalculator.validateLclCargo({ volume: 2, weight: 300, packages: 4 }), null);
+});
@@ -0,0 +1,55 @@
+// Модульные тесты правил наценки: сезон правила и ставка продажи
+
+import { test } from 'node:test';
+import assert from 'assert';
+import marginRules from '../../margin_rules.js';
+
+// Строка margin_rules (числовые поля NUMERIC возвращаются базой данных строками)
+function rule(fields) {
+  return { markup_type: 'percent', markup_value: '10', floor_rate: null, ceiling_rate: null, season_start_month: null, season_end_month: null, ...fields };
+}
+
+test('rule without a season matches every month', () => {
+  assert.ok([1, 6, 12].every(month => marginRules.matchesSeason(rule({}), month)));
+});
+
+test('season within one year includes its boundary months', () => {
+  const summer = rule({ season_start_month: 6, season_end_month: 8 });
+
+  assert.deepStrictEqual([5, 6, 7, 8, 9].map(month => marginRules.matchesSeason(summer, month)), [false, true, true, true, false]);
+});
+
+test('season crossing the year end matches November to February', () => {
+  const winter = rule({ season_start_month: 11, season_end_month: 2 });
+
+  assert.deepStrictEqual([10, 11, 12, 1, 2, 3].map(month => marginRules.matchesSeason(winter, month)), [false, true, true, true, true, false]);
+});
+
+test('percent and flat markups', () => {
+  assert.deepStrictEqual(marginRules.getSellRate(rule({}), 2000), { sellRate: 2200, limit: null });
+  assert.deepStrictEqual(marginRules.getSellRate(rule({ markup_type: 'flat', markup_value: '150' }), 2000), { sellRate: 2150, limit: null });
+});
+
+test('sell rate is raised to the floor and capped at the ceiling', () => {
+  assert.deepStrictEqual(marginRules.getSellRate(rule({ floor_rate: '1500' }), 1000), { sellRate: 1500, limit: 'floor' });
+  assert.deepStrictEqual(marginRules.getSellRate(rule({ ceiling_rate: '3000' }), 2900), { sellRate: 3000, limit: 'ceiling' });
+});
+
+test('public quote omits buy-side, contract and model details', () => {
+  const publicQuote = marginRules.toPublicQuote({
+    finalRate: 2200,
+    margin: { amount: 200 },
+    customer: { id: 1, companyName: 'Example OÜ' },
+    pricing: { basis: 'contract', contractId: 7, contractNumber: 'C-7', validTo: '2024-12-31', spotRate: 2400 },
+    indexValues: [{ source: 'SCFI', role: 'core', value: 2100 }],
+    settingsVersion: 12,
+    debugLog: [],
+    containers: [{ containerType: '40DV', pricing: { basis: 'spot', spotRate: 2000 }, debugLog: [] }]
+  });
+
+  assert.deepStrictEqual(publicQuote, {
+    finalRate: 2200,
+    pricing: { basis: 'contract' },
+    containers: [{ containerType: '40DV', pricing: { basis: 'spot' } }]
+  });
+});
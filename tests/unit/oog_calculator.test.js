@@ -0,0 +1,36 @@
+// Модульные тесты оценки негабаритного груза и потерянных мест на судне
+
+import { test } from 'node:test';
+import assert from 'assert';
+import oogCalculator from '../../oog_calculator.js';
+
+// Строки container_types (размеры в см, как их возвращает база данных)
+const FLAT_RACK_40 = { id: '40FR', equipment_category: 'flat_rack', length: '1208', width: '212', height: '195', teu: '2' };
+const OPEN_TOP_20 = { id: '20OT', equipment_category: 'open_top', length: '589', width: '234', height: '234', teu: '1' };
+
+test('cargo within the container is not out of gauge and loses no slots', () => {
+  const assessment = oogCalculator.assessCargo(FLAT_RACK_40, { length: 1100, width: 200, height: 180 });
+
+  assert.strictEqual(assessment.isOutOfGauge, false);
+  assert.deepStrictEqual(oogCalculator.calculateLostSlots(assessment, 2), { heightSlots: 0, widthSlots: 0, lengthSlots: 0, total: 0 });
+});
+
+test('over-height, over-width and over-length on a 40-foot flat rack', () => {
+  const assessment = oogCalculator.assessCargo(FLAT_RACK_40, { length: 1300, width: 300, height: 250 });
+
+  assert.strictEqual(assessment.isOutOfGauge, true);
+  assert.strictEqual(assessment.overWidthPerSide, 44);
+  // Ярус сверху и ряды с обеих сторон - на всю длину контейнера (2 TEU), по длине - одна 20-футовая ячейка
+  assert.deepStrictEqual(oogCalculator.calculateLostSlots(assessment, 2), { heightSlots: 2, widthSlots: 4, lengthSlots: 1, total: 7 });
+});
+
+test('over-height above one tier loses two tiers', () => {
+  const assessment = oogCalculator.assessCargo(OPEN_TOP_20, { length: 500, width: 220, height: 500 });
+
+  assert.deepStrictEqual(oogCalculator.calculateLostSlots(assessment, 1), { heightSlots: 2, widthSlots: 0, lengthSlots: 0, total: 2 });
+});
+
+test('open top does not allow over-width cargo', () => {
+  assert.match(oogCalculator.validateCargoDimensions(OPEN_TOP_20, { length: 500, width: 260, height: 250 }), /does not allow over-width/);
+  assert.strictEqual(oogCalculator.validateCargoDimensions(OPEN_TOP_20, { length: 500, width: 220, height: 300 }), null);
+});
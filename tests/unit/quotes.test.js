@@ -0,0 +1,42 @@
+// Модульные тесты срока действия котировки по периодичности публикации индексов
+
+import { test } from 'node:test';
+import assert from 'assert';
+import quotes from '../../quotes.js';
+
+const NOW = new Date('2024-06-12T12:00:00Z');
+
+test('validity ends with the next publication of the weekly core index', () => {
+  const validity = quotes.getValidity([
+    { source: 'SCFI', role: 'core', indexDate: '2024-06-10T12:00:00Z' },
+    { source: 'Harpex', role: 'modifier', indexDate: '2024-06-01T12:00:00Z' }
+  ], NOW);
+
+  assert.deepStrictEqual(validity, { validUntil: new Date('2024-06-17T12:00:00Z'), basis: 'SCFI' });
+});
+
+test('the earliest next publication among core indices defines the validity', () => {
+  const validity = quotes.getValidity([
+    { source: 'SCFI', role: 'core', indexDate: '2024-06-11T12:00:00Z' },
+    { source: 'WCI', role: 'core', indexDate: '2024-06-10T12:00:00Z' }
+  ], NOW);
+
+  assert.deepStrictEqual(validity, { validUntil: new Date('2024-06-17T12:00:00Z'), basis: 'WCI' });
+});
+
+test('daily index validity is extended to the minimum of three days', () => {
+  const validity = quotes.getValidity([{ source: 'FBX', role: 'core', indexDate: '2024-06-12T00:00:00Z' }], NOW);
+
+  assert.deepStrictEqual(validity, { validUntil: new Date('2024-06-15T12:00:00Z'), basis: 'minimum' });
+});
+
+test('stale index is counted from now', () => {
+  const validity = quotes.getValidity([{ source: 'SCFI', role: 'core', indexDate: '2024-05-01T12:00:00Z' }], NOW);
+
+  assert.deepStrictEqual(validity, { validUntil: new Date('2024-06-19T12:00:00Z'), basis: 'SCFI' });
+});
+
+test('result without core indices gets the default validity', () => {
+  assert.deepStrictEqual(quotes.getValidity([], NOW), { validUntil: new Date('2024-06-19T12:00:00Z'), basis: 'default' });
+  assert.deepStrictEqual(quotes.getValidity(undefined, NOW), { validUntil: new Date('2024-06-19T12:00:00Z'), basis: 'default' });
+});
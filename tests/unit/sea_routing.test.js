@@ -0,0 +1,63 @@
+// Модульные тесты расчета морских маршрутов по графу судоходных путей
+
+import { test } from 'node:test';
+import assert from 'assert';
+import seaRouting from '../../sea_routing.js';
+
+const PORTS = {
+  CNSHA: { id: 'CNSHA', latitude: 31.23, longitude: 121.47 },
+  NLRTM: { id: 'NLRTM', latitude: 51.95, longitude: 4.14 },
+  DEHAM: { id: 'DEHAM', latitude: 53.55, longitude: 9.99 },
+  EETLL: { id: 'EETLL', latitude: 59.44, longitude: 24.75 },
+  USNYC: { id: 'USNYC', latitude: 40.68, longitude: -74.04 }
+};
+
+test('great circle distance of one degree of longitude at the equator is 60 NM', () => {
+  assert.strictEqual(Math.round(seaRouting.greatCircleDistanceNM(0, 0, 0, 1)), 60);
+});
+
+test('Shanghai - Rotterdam goes through Suez, with Cape of Good Hope as a longer alternative', () => {
+  const routes = seaRouting.getRouteOptions(PORTS.CNSHA, PORTS.NLRTM);
+  const suez = routes[0];
+  const cape = routes.find(route => route.routeType === 'cape');
+
+  assert.strictEqual(suez.routeType, 'suez');
+  assert.ok(suez.passages.includes('SUEZ') && suez.passages.includes('BAB_EL_MANDEB'));
+  assert.ok(suez.distance > 10000 && suez.distance < 11500, `unexpected Suez distance ${suez.distance}`);
+  assert.ok(cape.passages.includes('CAPE_GOOD_HOPE') && !cape.passages.includes('SUEZ'));
+  assert.ok(cape.distance > suez.distance + 3000);
+});
+
+test('route options are sorted by distance and unique per route type', () => {
+  const routes = seaRouting.getRouteOptions(PORTS.CNSHA, PORTS.USNYC);
+  const types = routes.map(route => route.routeType);
+
+  assert.strictEqual(types[0], 'panama');
+  assert.strictEqual(new Set(types).size, types.length);
+  assert.deepStrictEqual(routes.map(route => route.distance), [...routes.map(route => route.distance)].sort((a, b) => a - b));
+});
+
+test('closed passages are avoided', () => {
+  const routes = seaRouting.getRouteOptions(PORTS.CNSHA, PORTS.NLRTM, { avoidPassages: ['SUEZ'] });
+
+  assert.ok(routes.length > 0);
+  assert.ok(routes.every(route => !route.passages.includes('SUEZ')));
+});
+
+test('Hamburg - Tallinn uses the Kiel Canal, with the Danish straits as an alternative', () => {
+  const routes = seaRouting.getRouteOptions(PORTS.DEHAM, PORTS.EETLL);
+
+  assert.deepStrictEqual(routes.map(route => route.routeType), ['kiel', 'danish_straits']);
+  assert.deepStrictEqual(routes[0].passages, ['KIEL']);
+});
+
+test('transatlantic route without passages is direct', () => {
+  const [route] = seaRouting.getRouteOptions(PORTS.NLRTM, PORTS.USNYC);
+
+  assert.strictEqual(route.routeType, 'direct');
+  assert.deepStrictEqual(route.passages, []);
+});
+
+test('port without coordinates has no sea route', () => {
+  assert.strictEqual(seaRouting.computeSeaRoute({ id: 'XXXXX' }, PORTS.NLRTM), null);
+});
@@ -0,0 +1,79 @@
+// Модульные тесты построения маршрутов с перевалкой (без базы данных)
+
+import { test } from 'node:test';
+import assert from 'assert';
+import transshipment from '../../transshipment.js';
+
+// Способы захода в порты по умолчанию (как их возвращает getPortCalls)
+const HUBS = {
+  DEHAM: { port_id: 'DEHAM', transshipment_fee: '120' },
+  NLRTM: { port_id: 'NLRTM', transshipment_fee: '110' }
+};
+
+function hubCall(portId) {
+  return [{ hub: HUBS[portId], feeder: null }];
+}
+
+function feederCalls(portId, connections) {
+  return connections.map(([hubPortId, rate, transitDays]) => ({
+    hub: HUBS[hubPortId],
+    feeder: { hub_port_id: hubPortId, port_id: portId, rate: String(rate), transit_days: String(transitDays) }
+  }));
+}
+
+const DIRECT_CALL = [{ hub: null, feeder: null }];
+const EETLL_CALLS = feederCalls('EETLL', [['DEHAM', 450, 3], ['NLRTM', 520, 4]]);
+const EERGA_CALLS = feederCalls('EERGA', [['DEHAM', 430, 3]]);
+const LVVNT_CALLS = feederCalls('LVVNT', [['DEHAM', 420, 3], ['NLRTM', 490, 4]]);
+
+test('Baltic feeder port to its own hub is priced as the feeder leg only', () => {
+  const itineraries = transshipment.combinePortCalls('EETLL', 'DEHAM', EETLL_CALLS, hubCall('DEHAM'));
+
+  assert.strictEqual(itineraries.length, 1);
+  assert.strictEqual(itineraries[0].mainline, null);
+  assert.deepStrictEqual(itineraries[0].hubs, []);
+  assert.deepStrictEqual(itineraries[0].transshipments, []);
+  assert.deepStrictEqual(itineraries[0].legs, [{ type: 'feeder', from: 'EETLL', to: 'DEHAM', rate: 450, transitDays: 3 }]);
+});
+
+test('Baltic feeder port served by one hub gets a feeder-only itinerary in both directions', () => {
+  const outbound = transshipment.combinePortCalls('EERGA', 'DEHAM', EERGA_CALLS, hubCall('DEHAM'));
+  const inbound = transshipment.combinePortCalls('DEHAM', 'EERGA', hubCall('DEHAM'), EERGA_CALLS);
+
+  assert.deepStrictEqual(outbound.map(itinerary => itinerary.legs), [[{ type: 'feeder', from: 'EERGA', to: 'DEHAM', rate: 430, transitDays: 3 }]]);
+  assert.deepStrictEqual(inbound.map(itinerary => itinerary.legs), [[{ type: 'feeder', from: 'DEHAM', to: 'EERGA', rate: 430, transitDays: 3 }]]);
+});
+
+test('feeder port to another hub goes via its feeder hub with a transshipment fee', () => {
+  const itineraries = transshipment.combinePortCalls('EERGA', 'NLRTM', EERGA_CALLS, hubCall('NLRTM'));
+
+  assert.strictEqual(itineraries.length, 1);
+  assert.deepStrictEqual(itineraries[0].mainline, { origin: 'DEHAM', destination: 'NLRTM' });
+  assert.deepStrictEqual(itineraries[0].hubs, ['DEHAM']);
+  assert.deepStrictEqual(itineraries[0].transshipments, [{ portId: 'DEHAM', fee: 120 }]);
+});
+
+test('feeder port to a direct port has one itinerary per feeder hub', () => {
+  const itineraries = transshipment.combinePortCalls('CNSHA', 'EETLL', DIRECT_CALL, EETLL_CALLS);
+
+  assert.deepStrictEqual(itineraries.map(itinerary => itinerary.hubs), [['DEHAM'], ['NLRTM']]);
+  assert.deepStrictEqual(itineraries[0].legs.map(leg => leg.type), ['mainline', 'feeder']);
+});
+
+test('two feeder ports are not routed through a hub they share', () => {
+  const itineraries = transshipment.combinePortCalls('EETLL', 'LVVNT', EETLL_CALLS, LVVNT_CALLS);
+
+  assert.ok(itineraries.every(itinerary => itinerary.mainline.origin !== itinerary.mainline.destination));
+  assert.deepStrictEqual(itineraries.map(itinerary => itinerary.hubs), [['DEHAM', 'NLRTM'], ['NLRTM', 'DEHAM']]);
+});
+
+test('direct ports have no itineraries', () => {
+  assert.deepStrictEqual(transshipment.combinePortCalls('CNSHA', 'USLAX', DIRECT_CALL, DIRECT_CALL), []);
+});
+
+test('itinerary items apply the 20-foot feeder factor and sum transshipment fees', () => {
+  const [itinerary] = transshipment.combinePortCalls('CNSHA', 'EERGA', DIRECT_CALL, EERGA_CALLS);
+  const items = transshipment.getItineraryItems(itinerary, '20DV');
+
+  assert.deepStrictEqual(items.map(item => [item.code, item.amount]), [['FEEDER_DESTINATION', 258], ['TRANSSHIPMENT', 120]]);
+});
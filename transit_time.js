@@ -0,0 +1,206 @@
+// Модуль оценки транзитного времени порт - порт
+// Время в пути по плечам считается по морскому расстоянию и эксплуатационной скорости типа линии (магистральная / фидерная),
+// к нему добавляются стоянка в портах отправления и назначения и перевалка в хабах
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import fuelSurchargeCalculator from './fuel_surcharge_calculator.js';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Типы линий
+const LANE_TYPES = ['mainline', 'feeder'];
+
+// Параметры по умолчанию: скорость в узлах, стоянка в порту и перевалка в хабе в сутках,
+// запас на отклонение от расписания в сутках на плечо (верхняя граница окна)
+const DEFAULT_TRANSIT_PARAMETERS = {
+  mainline: { serviceSpeedKnots: 16, portDwellDays: 1, transshipmentDays: 2, scheduleBufferDays: 3 },
+  feeder: { serviceSpeedKnots: 13, portDwellDays: 1, transshipmentDays: 2, scheduleBufferDays: 1 }
+};
+
+// Функция для инициализации таблицы параметров транзитного времени
+async function initializeTransitTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS transit_parameters (
+        lane_type VARCHAR(20) PRIMARY KEY,
+        service_speed_knots NUMERIC NOT NULL,
+        port_dwell_days NUMERIC NOT NULL DEFAULT 0,
+        transshipment_days NUMERIC NOT NULL DEFAULT 0,
+        schedule_buffer_days NUMERIC NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Заполнение параметрами по умолчанию, если таблица пуста
+    const parametersCount = await client.query('SELECT COUNT(*) FROM transit_parameters');
+    if (parseInt(parametersCount.rows[0].count) === 0) {
+      for (const [laneType, parameters] of Object.entries(DEFAULT_TRANSIT_PARAMETERS)) {
+        await client.query(
+          `INSERT INTO transit_parameters (lane_type, service_speed_knots, port_dwell_days, transshipment_days, schedule_buffer_days)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [laneType, parameters.serviceSpeedKnots, parameters.portDwellDays, parameters.transshipmentDays, parameters.scheduleBufferDays]
+        );
+      }
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Transit time tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing transit time tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для получения параметров по типам линий; отсутствующие в таблице типы берутся по умолчанию
+async function getTransitParameters() {
+  const parameters = { ...DEFAULT_TRANSIT_PARAMETERS };
+  const result = await pool.query('SELECT * FROM transit_parameters');
+  for (const row of result.rows) {
+    parameters[row.lane_type] = {
+      serviceSpeedKnots: parseFloat(row.service_speed_knots),
+      portDwellDays: parseFloat(row.port_dwell_days),
+      transshipmentDays: parseFloat(row.transshipment_days),
+      scheduleBufferDays: parseFloat(row.schedule_buffer_days)
+    };
+  }
+  return parameters;
+}
+
+// Функция для расчета ходового времени по расстоянию, сут
+function getSailingDays(distance, serviceSpeedKnots) {
+  return distance / (serviceSpeedKnots * 24);
+}
+
+// Функция для оценки транзитного времени по плечам маршрута
+// legs: [{ type: 'mainline' | 'feeder', from, to, distance (NM), delayDays (задержка на каналах), transitDays (время плеча по расписанию) }]
+// Если для плеча задано время по расписанию, оно используется вместо расчета по расстоянию
+// Возвращает null, если для плеча не удалось определить ни расстояние, ни время
+async function estimateTransitTime(legs, parameters = null) {
+  const transitParameters = parameters || await getTransitParameters();
+
+  const legEstimates = [];
+  for (const leg of legs) {
+    const laneParameters = transitParameters[leg.type] || transitParameters.mainline;
+    let days = leg.transitDays || null;
+    let distance = leg.distance || null;
+    if (!days) {
+      if (!distance) {
+        distance = await fuelSurchargeCalculator.getPortDistance(leg.from, leg.to);
+      }
+      if (!distance) return null;
+      days = getSailingDays(distance, laneParameters.serviceSpeedKnots) + (leg.delayDays || 0);
+    }
+    legEstimates.push({
+      type: leg.type,
+      from: leg.from,
+      to: leg.to,
+      distance: distance ? Math.round(distance) : null,
+      days: Math.round(days * 10) / 10,
+      basis: leg.transitDays ? 'schedule' : 'distance'
+    });
+  }
+
+  const sailingDays = legEstimates.reduce((sum, leg) => sum + leg.days, 0);
+  // Стоянка в порту отправления и порту назначения по параметрам первого и последнего плеча
+  const firstLane = transitParameters[legs[0].type] || transitParameters.mainline;
+  const lastLane = transitParameters[legs[legs.length - 1].type] || transitParameters.mainline;
+  const portDays = firstLane.portDwellDays + lastLane.portDwellDays;
+  // Перевалка в каждом хабе: берется большее время из параметров двух стыкуемых плеч
+  let transshipmentDays = 0;
+  for (let i = 1; i < legs.length; i++) {
+    const inbound = transitParameters[legs[i - 1].type] || transitParameters.mainline;
+    const outbound = transitParameters[legs[i].type] || transitParameters.mainline;
+    transshipmentDays += Math.max(inbound.transshipmentDays, outbound.transshipmentDays);
+  }
+  const bufferDays = legs.reduce((sum, leg) => sum + (transitParameters[leg.type] || transitParameters.mainline).scheduleBufferDays, 0);
+
+  const totalDays = sailingDays + portDays + transshipmentDays;
+  return {
+    minDays: Math.max(1, Math.round(totalDays)),
+    maxDays: Math.max(1, Math.ceil(totalDays + bufferDays)),
+    sailingDays: Math.round(sailingDays * 10) / 10,
+    portDays,
+    transshipmentDays,
+    legs: legEstimates
+  };
+}
+
+// Функция для проверки параметров перед сохранением; возвращает текст ошибки или null
+function validateTransitParameters(laneType, parameters) {
+  if (!LANE_TYPES.includes(laneType)) {
+    return `laneType must be one of: ${LANE_TYPES.join(', ')}`;
+  }
+  if (parameters.serviceSpeedKnots !== undefined && parameters.serviceSpeedKnots !== null &&
+      (isNaN(parseFloat(parameters.serviceSpeedKnots)) || parseFloat(parameters.serviceSpeedKnots) <= 0)) {
+    return 'serviceSpeedKnots must be a positive number';
+  }
+  for (const field of ['portDwellDays', 'transshipmentDays', 'scheduleBufferDays']) {
+    const value = parameters[field];
+    if (value !== undefined && value !== null && (isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+// Функции администрирования параметров
+async function getTransitParameterRows() {
+  const result = await pool.query('SELECT * FROM transit_parameters ORDER BY lane_type');
+  return result.rows;
+}
+
+async function updateTransitParameters(laneType, updates) {
+  const result = await pool.query(
+    `UPDATE transit_parameters SET
+       service_speed_knots = COALESCE($2, service_speed_knots),
+       port_dwell_days = COALESCE($3, port_dwell_days),
+       transshipment_days = COALESCE($4, transshipment_days),
+       schedule_buffer_days = COALESCE($5, schedule_buffer_days),
+       updated_at = NOW()
+     WHERE lane_type = $1
+     RETURNING *`,
+    [
+      laneType,
+      updates.serviceSpeedKnots ?? null,
+      updates.portDwellDays ?? null,
+      updates.transshipmentDays ?? null,
+      updates.scheduleBufferDays ?? null
+    ]
+  );
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+// Экспорт функций
+export default {
+  LANE_TYPES,
+  initializeTransitTables,
+  getTransitParameters,
+  getSailingDays,
+  estimateTransitTime,
+  validateTransitParameters,
+  getTransitParameterRows,
+  updateTransitParameters
+};
@@ -0,0 +1,319 @@
+// Модуль модели хабов и фидерных линий (перевалка)
+// Порты, обслуживаемые фидерами (например, EETLL через DEHAM), рассчитываются как фидер + магистральная линия между хабами + сборы за перевалку
+
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+
+// Загрузка переменных окружения
+dotenv.config();
+
+// Подключение к базе данных
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+    sslmode: 'require'
+  }
+});
+
+// Хабы по умолчанию: сбор за перевалку, USD за контейнер
+const DEFAULT_HUB_PORTS = [
+  { portId: 'DEHAM', transshipmentFee: 120, description: 'Hamburg - Baltic feeder hub' },
+  { portId: 'NLRTM', transshipmentFee: 110, description: 'Rotterdam - Baltic and North Sea feeder hub' }
+];
+
+// Фидерные линии по умолчанию: ставка фидера, USD за FEU, время в пути, сут
+const DEFAULT_FEEDER_CONNECTIONS = [
+  { hubPortId: 'DEHAM', portId: 'EETLL', rate: 450, transitDays: 3 },
+  { hubPortId: 'DEHAM', portId: 'EERGA', rate: 430, transitDays: 3 },
+  { hubPortId: 'DEHAM', portId: 'LVVNT', rate: 420, transitDays: 3 },
+  { hubPortId: 'DEHAM', portId: 'LTKLJ', rate: 400, transitDays: 2 },
+  { hubPortId: 'DEHAM', portId: 'FIKOK', rate: 480, transitDays: 4 },
+  { hubPortId: 'NLRTM', portId: 'EETLL', rate: 520, transitDays: 4 },
+  { hubPortId: 'NLRTM', portId: 'LVVNT', rate: 490, transitDays: 4 },
+  { hubPortId: 'NLRTM', portId: 'LTKLJ', rate: 470, transitDays: 3 }
+];
+
+// Ставка фидера для 20-футового контейнера - доля ставки за FEU
+const FEEDER_TEU_FACTOR = 0.6;
+
+// Функция для инициализации таблиц хабов и фидерных линий
+async function initializeTransshipmentTables() {
+  const client = await pool.connect();
+
+  try {
+    // Начало транзакции
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS hub_ports (
+        port_id VARCHAR(10) PRIMARY KEY REFERENCES ports(id),
+        transshipment_fee NUMERIC NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // port_id - порт, обслуживаемый фидером из хаба (в обоих направлениях)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS feeder_connections (
+        id SERIAL PRIMARY KEY,
+        hub_port_id VARCHAR(10) NOT NULL REFERENCES hub_ports(port_id) ON DELETE CASCADE,
+        port_id VARCHAR(10) NOT NULL REFERENCES ports(id),
+        rate NUMERIC NOT NULL,
+        transit_days NUMERIC,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (hub_port_id, port_id)
+      )
+    `);
+
+    // Заполнение значениями по умолчанию, если таблицы пусты; порты, отсутствующие в справочнике, пропускаются
+    const hubsCount = await client.query('SELECT COUNT(*) FROM hub_ports');
+    if (parseInt(hubsCount.rows[0].count) === 0) {
+      for (const hub of DEFAULT_HUB_PORTS) {
+        await client.query(
+          `INSERT INTO hub_ports (port_id, transshipment_fee, description)
+           SELECT $1::VARCHAR, $2, $3
+           WHERE EXISTS (SELECT 1 FROM ports WHERE id = $1::VARCHAR)`,
+          [hub.portId, hub.transshipmentFee, hub.description]
+        );
+      }
+
+      for (const connection of DEFAULT_FEEDER_CONNECTIONS) {
+        await client.query(
+          `INSERT INTO feeder_connections (hub_port_id, port_id, rate, transit_days)
+           SELECT $1::VARCHAR, $2::VARCHAR, $3, $4
+           WHERE EXISTS (SELECT 1 FROM hub_ports WHERE port_id = $1::VARCHAR)
+             AND EXISTS (SELECT 1 FROM ports WHERE id = $2::VARCHAR)`,
+          [connection.hubPortId, connection.portId, connection.rate, connection.transitDays]
+        );
+      }
+    }
+
+    // Завершение транзакции
+    await client.query('COMMIT');
+
+    console.log('Transshipment tables initialized');
+  } catch (error) {
+    // Откат транзакции в случае ошибки
+    await client.query('ROLLBACK');
+    console.error('Error initializing transshipment tables:', error);
+    throw error;
+  } finally {
+    // Освобождение клиента
+    client.release();
+  }
+}
+
+// Функция для получения способов захода в порт: сам порт или фидер из хаба
+// Хабы и порты без фидерных линий обслуживаются магистральными линиями напрямую
+async function getPortCalls(portId) {
+  const hubResult = await pool.query('SELECT * FROM hub_ports WHERE port_id = $1', [portId]);
+  if (hubResult.rows.length > 0) {
+    return [{ hub: hubResult.rows[0], feeder: null }];
+  }
+
+  const feederResult = await pool.query(
+    `SELECT fc.*, hp.transshipment_fee
+     FROM feeder_connections fc
+     JOIN hub_ports hp ON hp.port_id = fc.hub_port_id
+     WHERE fc.port_id = $1
+     ORDER BY fc.rate`,
+    [portId]
+  );
+  if (feederResult.rows.length === 0) {
+    return [{ hub: null, feeder: null }];
+  }
+
+  return feederResult.rows.map(connection => ({
+    hub: { port_id: connection.hub_port_id, transshipment_fee: connection.transshipment_fee },
+    feeder: connection
+  }));
+}
+
+// Функция для построения маршрутов с перевалкой: отправление -> хаб -> хаб -> назначение
+// Возвращает пустой список, если оба порта обслуживаются напрямую
+// Если оба порта обслуживаются через один хаб, пара рассчитывается как прямой short-sea заход
+// Если второй порт - хаб фидерной линии, маршрут состоит только из фидерного плеча (mainline: null, без перевалки);
+// маршруты через другие хабы в этом случае не строятся
+async function buildItineraries(originPortId, destinationPortId) {
+  const originCalls = await getPortCalls(originPortId);
+  const destinationCalls = await getPortCalls(destinationPortId);
+  return combinePortCalls(originPortId, destinationPortId, originCalls, destinationCalls);
+}
+
+// Функция для построения маршрутов по способам захода в порты отправления и назначения (см. getPortCalls)
+function combinePortCalls(originPortId, destinationPortId, originCalls, destinationCalls) {
+  const itineraries = [];
+  const feederOnly = [];
+  for (const originCall of originCalls) {
+    for (const destinationCall of destinationCalls) {
+      if (!originCall.feeder && !destinationCall.feeder) continue;
+
+      const mainlineOrigin = originCall.feeder ? originCall.hub.port_id : originPortId;
+      const mainlineDestination = destinationCall.feeder ? destinationCall.hub.port_id : destinationPortId;
+      if (mainlineOrigin === mainlineDestination) {
+        if (originCall.feeder && destinationCall.feeder) continue;
+        const feeder = originCall.feeder || destinationCall.feeder;
+        feederOnly.push({
+          mainline: null,
+          hubs: [],
+          legs: [{ type: 'feeder', from: originPortId, to: destinationPortId, rate: parseFloat(feeder.rate), transitDays: feeder.transit_days ? parseFloat(feeder.transit_days) : null }],
+          transshipments: []
+        });
+        continue;
+      }
+
+      const legs = [];
+      const transshipments = [];
+      if (originCall.feeder) {
+        legs.push({ type: 'feeder', from: originPortId, to: mainlineOrigin, rate: parseFloat(originCall.feeder.rate), transitDays: originCall.feeder.transit_days ? parseFloat(originCall.feeder.transit_days) : null });
+        transshipments.push({ portId: mainlineOrigin, fee: parseFloat(originCall.hub.transshipment_fee) });
+      }
+      legs.push({ type: 'mainline', from: mainlineOrigin, to: mainlineDestination });
+      if (destinationCall.feeder) {
+        transshipments.push({ portId: mainlineDestination, fee: parseFloat(destinationCall.hub.transshipment_fee) });
+        legs.push({ type: 'feeder', from: mainlineDestination, to: destinationPortId, rate: parseFloat(destinationCall.feeder.rate), transitDays: destinationCall.feeder.transit_days ? parseFloat(destinationCall.feeder.transit_days) : null });
+      }
+
+      itineraries.push({
+        mainline: { origin: mainlineOrigin, destination: mainlineDestination },
+        hubs: transshipments.map(transshipment => transshipment.portId),
+        legs,
+        transshipments
+      });
+    }
+  }
+
+  return feederOnly.length > 0 ? feederOnly : itineraries;
+}
+
+// Функция для формирования строк разбивки за фидерные плечи и перевалку для типа контейнера
+function getItineraryItems(itinerary, containerType) {
+  const factor = containerType && containerType.startsWith('20') ? FEEDER_TEU_FACTOR : 1.0;
+  const items = [];
+
+  itinerary.legs.forEach((leg, index) => {
+    if (leg.type !== 'feeder') return;
+    const isOrigin = index === 0;
+    items.push({
+      code: isOrigin ? 'FEEDER_ORIGIN' : 'FEEDER_DESTINATION',
+      name: isOrigin ? 'Origin Feeder' : 'Destination Feeder',
+      amount: Math.round(leg.rate * factor),
+      method: 'feeder',
+      details: `${leg.from} - ${leg.to}${leg.transitDays ? `, ${leg.transitDays} days` : ''}`
+    });
+  });
+
+  if (itinerary.transshipments.length > 0) {
+    items.push({
+      code: 'TRANSSHIPMENT',
+      name: 'Transshipment Fee',
+      amount: Math.round(itinerary.transshipments.reduce((sum, transshipment) => sum + transshipment.fee, 0)),
+      method: 'feeder',
+      details: itinerary.transshipments.map(transshipment => `${transshipment.portId} USD ${transshipment.fee}`).join(', ')
+    });
+  }
+
+  return items;
+}
+
+// Функция для проверки хаба перед сохранением; возвращает текст ошибки или null
+function validateHubPort(hub) {
+  if (!hub.portId) {
+    return 'portId is required';
+  }
+  if (hub.transshipmentFee === undefined || hub.transshipmentFee === null || isNaN(parseFloat(hub.transshipmentFee)) || parseFloat(hub.transshipmentFee) < 0) {
+    return 'transshipmentFee must be a non-negative number';
+  }
+  return null;
+}
+
+// Функция для проверки фидерной линии перед сохранением; возвращает текст ошибки или null
+function validateFeederConnection(connection) {
+  if (!connection.hubPortId || !connection.portId) {
+    return 'hubPortId and portId are required';
+  }
+  if (connection.hubPortId === connection.portId) {
+    return 'hubPortId and portId must be different ports';
+  }
+  if (connection.rate === undefined || connection.rate === null || isNaN(parseFloat(connection.rate)) || parseFloat(connection.rate) < 0) {
+    return 'rate must be a non-negative number';
+  }
+  if (connection.transitDays !== undefined && connection.transitDays !== null && connection.transitDays !== '' &&
+      (isNaN(parseFloat(connection.transitDays)) || parseFloat(connection.transitDays) <= 0)) {
+    return 'transitDays must be a positive number';
+  }
+  return null;
+}
+
+// Функции администрирования хабов и фидерных линий
+async function getHubPorts() {
+  const result = await pool.query(
+    `SELECT hp.*, p.name AS port_name
+     FROM hub_ports hp
+     JOIN ports p ON p.id = hp.port_id
+     ORDER BY hp.port_id`
+  );
+  return result.rows;
+}
+
+// Повторное добавление хаба обновляет сбор за перевалку
+async function saveHubPort(hub) {
+  const result = await pool.query(
+    `INSERT INTO hub_ports (port_id, transshipment_fee, description)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (port_id) DO UPDATE SET transshipment_fee = EXCLUDED.transshipment_fee, description = EXCLUDED.description
+     RETURNING *`,
+    [hub.portId, hub.transshipmentFee, hub.description || null]
+  );
+  return result.rows[0];
+}
+
+// Фидерные линии хаба удаляются вместе с ним
+async function deleteHubPort(portId) {
+  const result = await pool.query('DELETE FROM hub_ports WHERE port_id = $1 RETURNING *', [portId]);
+  return result.rows.length > 0;
+}
+
+async function getFeederConnections() {
+  const result = await pool.query(
+    `SELECT fc.*, p.name AS port_name
+     FROM feeder_connections fc
+     JOIN ports p ON p.id = fc.port_id
+     ORDER BY fc.hub_port_id, fc.port_id`
+  );
+  return result.rows;
+}
+
+async function saveFeederConnection(connection) {
+  const result = await pool.query(
+    `INSERT INTO feeder_connections (hub_port_id, port_id, rate, transit_days)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (hub_port_id, port_id) DO UPDATE SET rate = EXCLUDED.rate, transit_days = EXCLUDED.transit_days
+     RETURNING *`,
+    [connection.hubPortId, connection.portId, connection.rate, connection.transitDays || null]
+  );
+  return result.rows[0];
+}
+
+async function deleteFeederConnection(id) {
+  const result = await pool.query('DELETE FROM feeder_connections WHERE id = $1 RETURNING *', [id]);
+  return result.rows.length > 0;
+}
+
+// Экспорт функций
+export default {
+  initializeTransshipmentTables,
+  buildItineraries,
+  combinePortCalls,
+  getItineraryItems,
+  validateHubPort,
+  validateFeederConnection,
+  getHubPorts,
+  saveHubPort,
+  deleteHubPort,
+  getFeederConnections,
+  saveFeederConnection,
+  deleteFeederConnection
+};